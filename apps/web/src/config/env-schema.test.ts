@@ -0,0 +1,82 @@
+import { ENV_SCHEMA, checkEnv } from './env-schema';
+
+const production = {
+  NEXT_PUBLIC_APP_ENV: 'production',
+  NEXT_PUBLIC_FIREBASE_PROJECT_ID: 'my-app',
+  NEXT_PUBLIC_FIREBASE_API_KEY: 'AIza123',
+  NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN: 'my-app.firebaseapp.com',
+  NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL: 'https://us-central1-my-app.cloudfunctions.net',
+};
+
+describe('ENV_SCHEMA', () => {
+  it('only exposes public variables to the browser', () => {
+    for (const definition of ENV_SCHEMA) {
+      expect(definition.name.startsWith('NEXT_PUBLIC_')).toBe(definition.visibility === 'public');
+    }
+  });
+});
+
+describe('checkEnv', () => {
+  it('accepts a complete production environment', () => {
+    expect(checkEnv(production, 'production')).toEqual([]);
+  });
+
+  it('only requires Firebase project values outside development', () => {
+    expect(checkEnv({}, 'development')).toEqual([]);
+    expect(checkEnv({}, 'staging').map(issue => issue.name)).toEqual([
+      'NEXT_PUBLIC_FIREBASE_PROJECT_ID',
+      'NEXT_PUBLIC_FIREBASE_API_KEY',
+      'NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN',
+      'NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL',
+    ]);
+  });
+
+  it('accepts an alternative for a required variable', () => {
+    const { NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL, ...values } = production;
+
+    expect(checkEnv({ ...values, NEXT_PUBLIC_API_URL: 'https://app.example.com' }, 'production')).toEqual([]);
+    expect(checkEnv(values, 'production')).toEqual([
+      expect.objectContaining({ kind: 'missing', name: 'NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL' }),
+    ]);
+  });
+
+  it('validates enum, port and URL values', () => {
+    const issues = checkEnv({
+      NEXT_PUBLIC_APP_ENV: 'prod',
+      NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_PORT: '99999',
+      NEXT_PUBLIC_API_URL: 'api.example.com',
+    }, 'development');
+
+    expect(issues).toEqual([
+      { kind: 'invalid', name: 'NEXT_PUBLIC_APP_ENV', message: 'must be one of development, staging, production (got "prod")' },
+      { kind: 'invalid', name: 'NEXT_PUBLIC_API_URL', message: 'must be an absolute URL (got "api.example.com")' },
+      { kind: 'invalid', name: 'NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_PORT', message: 'must be a port number (got "99999")' },
+    ]);
+  });
+
+  it('reports variables with the wrong prefix', () => {
+    const issues = checkEnv({ FIREBASE_API_KEY: 'AIza123', NEXT_PUBLIC_SECRETS_KEY: 'key' }, 'development');
+
+    expect(issues).toEqual([
+      { kind: 'exposed', name: 'FIREBASE_API_KEY', message: 'Not visible in the browser; rename to NEXT_PUBLIC_FIREBASE_API_KEY' },
+      { kind: 'exposed', name: 'NEXT_PUBLIC_SECRETS_KEY', message: 'Secret value exposed to the browser; rename to SECRETS_KEY' },
+    ]);
+  });
+
+  it('flags credentials in unknown public variables', () => {
+    expect(checkEnv({ NEXT_PUBLIC_STRIPE_SECRET: 'sk_live' }, 'development')).toEqual([
+      expect.objectContaining({ kind: 'exposed', name: 'NEXT_PUBLIC_STRIPE_SECRET' }),
+    ]);
+  });
+
+  it('suggests the closest name for a typo', () => {
+    expect(checkEnv({ NEXT_PUBLIC_FIREBASE_PROJCT_ID: 'my-app' }, 'development')).toEqual([
+      {
+        kind: 'unknown',
+        name: 'NEXT_PUBLIC_FIREBASE_PROJCT_ID',
+        message: 'Not used by ConfigService (did you mean NEXT_PUBLIC_FIREBASE_PROJECT_ID?)',
+      },
+    ]);
+    expect(checkEnv({ MY_FEATURE: 'on' }, 'development')[0].message).toBe('Not used by ConfigService');
+  });
+});
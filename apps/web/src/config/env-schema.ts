@@ -0,0 +1,394 @@
+/**
+ * Environment Variable Schema
+ *
+ * Single source of truth for every environment variable ConfigService reads.
+ * apps/web/.env.local.example is generated from this list
+ * (`npm run env:example`) and `npm run env:check` validates a developer's
+ * .env.local against it.
+ *
+ * Visibility:
+ * - public: inlined into the browser bundle, must use the NEXT_PUBLIC_ prefix
+ * - server: server-side only, not sensitive
+ * - secret: server-side only and sensitive, must never be NEXT_PUBLIC_
+ *
+ * @module config/env-schema
+ */
+
+import { AppConfig } from './types';
+
+export type Environment = AppConfig['environment'];
+
+export type EnvVarType = 'string' | 'url' | 'port' | 'enum';
+
+export type EnvVisibility = 'public' | 'server' | 'secret';
+
+/**
+ * Definition of one environment variable
+ */
+export interface EnvVarDefinition {
+  name: string;
+  type: EnvVarType;
+  /** Allowed values for `enum` variables */
+  values?: readonly string[];
+  /** Environments in which the variable must be set */
+  requiredIn: readonly Environment[];
+  /** Other variables that satisfy the requirement when set instead */
+  alternatives?: readonly string[];
+  visibility: EnvVisibility;
+  description: string;
+  example: string;
+  /** Section heading in the generated example file */
+  group: string;
+}
+
+/**
+ * Problem found by checkEnv()
+ */
+export interface EnvIssue {
+  kind: 'missing' | 'unknown' | 'exposed' | 'invalid';
+  name: string;
+  message: string;
+}
+
+export const ENVIRONMENTS: readonly Environment[] = ['development', 'staging', 'production'];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'] as const;
+
+const emulatorPort = (service: string, port: number): EnvVarDefinition => ({
+  name: `NEXT_PUBLIC_FIREBASE_${service.toUpperCase()}_EMULATOR_PORT`,
+  type: 'port',
+  requiredIn: [],
+  visibility: 'public',
+  description: `${service[0].toUpperCase()}${service.slice(1)} emulator port override (default: firebase.json)`,
+  example: String(port),
+  group: 'Emulator port overrides (set by `npm run e2e:start -- --instance`)',
+});
+
+const emulatorHost = (name: string, description: string, port: number): EnvVarDefinition => ({
+  name,
+  type: 'string',
+  requiredIn: [],
+  visibility: 'server',
+  description: `${description} (host:port)`,
+  example: `localhost:${port}`,
+  group: 'Emulator discovery (server-side; set by `firebase emulators:exec` and `npm run e2e:start`)',
+});
+
+export const ENV_SCHEMA: readonly EnvVarDefinition[] = [
+  {
+    name: 'NEXT_PUBLIC_APP_ENV',
+    type: 'enum',
+    values: ENVIRONMENTS,
+    requiredIn: [],
+    visibility: 'public',
+    description: 'Application environment; development uses the Firebase emulators (default: NODE_ENV)',
+    example: 'development',
+    group: 'Environment',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_PROJECT_ID',
+    type: 'string',
+    requiredIn: ['staging', 'production'],
+    alternatives: ['FIREBASE_PROJECT_ID'],
+    visibility: 'public',
+    description: 'Firebase project ID (default in development: demo-project)',
+    example: 'your-project-id',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_API_KEY',
+    type: 'string',
+    requiredIn: ['staging', 'production'],
+    visibility: 'public',
+    description: 'Web API key (identifies the project, not a secret)',
+    example: 'your-api-key',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN',
+    type: 'string',
+    requiredIn: ['staging', 'production'],
+    visibility: 'public',
+    description: 'Auth domain used for sign-in redirects',
+    example: 'your-project-id.firebaseapp.com',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'public',
+    description: 'Default Cloud Storage bucket',
+    example: 'your-project-id.appspot.com',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'public',
+    description: 'Cloud Messaging sender ID',
+    example: 'your-sender-id',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_APP_ID',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'public',
+    description: 'Firebase web app ID',
+    example: 'your-app-id',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'FIREBASE_PROJECT_ID',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'server',
+    description: 'Server-side fallback for the project ID when NEXT_PUBLIC_FIREBASE_PROJECT_ID is not set',
+    example: 'your-project-id',
+    group: 'Firebase project (Project settings → Your apps → firebaseConfig)',
+  },
+  {
+    name: 'NEXT_PUBLIC_API_URL',
+    type: 'url',
+    requiredIn: [],
+    visibility: 'public',
+    description: 'API base URL serving /api/** (e.g. the Hosting site); overrides the emulator and Functions URLs',
+    example: 'https://api.example.com',
+    group: 'API',
+  },
+  {
+    name: 'NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL',
+    type: 'url',
+    requiredIn: ['staging', 'production'],
+    alternatives: ['NEXT_PUBLIC_API_URL'],
+    visibility: 'public',
+    description: 'Deployed Cloud Functions base URL (used outside emulator mode)',
+    example: 'https://us-central1-your-project-id.cloudfunctions.net',
+    group: 'API',
+  },
+  emulatorPort('auth', 9099),
+  emulatorPort('firestore', 8081),
+  emulatorPort('functions', 5002),
+  emulatorPort('storage', 9199),
+  emulatorPort('hosting', 5000),
+  {
+    name: 'FIREBASE_CONFIG_PATH',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'server',
+    description: 'firebase.json to read emulator ports from (default: nearest firebase.json above the working directory)',
+    example: '../../firebase.json',
+    group: 'Emulator discovery (server-side; set by `firebase emulators:exec` and `npm run e2e:start`)',
+  },
+  emulatorHost('FIREBASE_EMULATOR_HUB', 'Emulator hub; must match the hub port of the loaded firebase.json', 4400),
+  emulatorHost('FIREBASE_AUTH_EMULATOR_HOST', 'Auth emulator used by the Admin SDK', 9099),
+  emulatorHost('FIRESTORE_EMULATOR_HOST', 'Firestore emulator used by the Admin SDK', 8081),
+  emulatorHost('FIREBASE_STORAGE_EMULATOR_HOST', 'Storage emulator used by the Admin SDK', 9199),
+  {
+    name: 'SECRET_PROVIDERS',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'server',
+    description: 'Secret providers to ask in order: env, file, secret-manager (default: the environment profile)',
+    example: 'env,file,secret-manager',
+    group: 'Secrets (server-only; read with getSecret from @/config/server)',
+  },
+  {
+    name: 'SECRETS_KEY',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'secret',
+    description: 'Key of the encrypted secrets file (created by `npm run secrets -- init`)',
+    example: 'base64-encoded-32-byte-key',
+    group: 'Secrets (server-only; read with getSecret from @/config/server)',
+  },
+  {
+    name: 'SECRETS_FILE',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'server',
+    description: 'Encrypted secrets file, relative to apps/web (default: .secrets.enc)',
+    example: '.secrets.enc',
+    group: 'Secrets (server-only; read with getSecret from @/config/server)',
+  },
+  {
+    name: 'SECRET_MANAGER_EMULATOR_FILE',
+    type: 'string',
+    requiredIn: [],
+    visibility: 'server',
+    description: 'Secret Manager stand-in used in emulator mode (default: nearest secrets.emulator.json)',
+    example: '../../secrets.emulator.json',
+    group: 'Secrets (server-only; read with getSecret from @/config/server)',
+  },
+  {
+    name: 'LOG_LEVEL',
+    type: 'enum',
+    values: LOG_LEVELS,
+    requiredIn: [],
+    visibility: 'server',
+    description: 'Minimum log level on the server (default: warn in production, info otherwise) and in scripts (default: info)',
+    example: 'info',
+    group: 'Logging (see lib/logger)',
+  },
+  {
+    name: 'NEXT_PUBLIC_LOG_LEVEL',
+    type: 'enum',
+    values: LOG_LEVELS,
+    requiredIn: [],
+    visibility: 'public',
+    description: 'Minimum log level in the browser (default: warn in production, info otherwise)',
+    example: 'warn',
+    group: 'Logging (see lib/logger)',
+  },
+  {
+    name: 'LOG_FORMAT',
+    type: 'enum',
+    values: ['pretty', 'json'],
+    requiredIn: [],
+    visibility: 'server',
+    description: 'pretty for terminals, json for Cloud Logging (default: json for production servers)',
+    example: 'pretty',
+    group: 'Logging (see lib/logger)',
+  },
+];
+
+const PUBLIC_PREFIX = 'NEXT_PUBLIC_';
+
+// Names that suggest a credential, for unknown variables
+const SECRET_NAME_PATTERN = /SECRET|TOKEN|PASSWORD|PRIVATE|CREDENTIAL|SERVICE_ACCOUNT/i;
+
+/**
+ * Look up a variable definition by name
+ */
+export function getEnvVar(name: string): EnvVarDefinition | undefined {
+  return ENV_SCHEMA.find(definition => definition.name === name);
+}
+
+/**
+ * Validate a value against its definition, returning an error message
+ */
+function validateValue(definition: EnvVarDefinition, value: string): string | null {
+  switch (definition.type) {
+    case 'enum':
+      return definition.values?.includes(value)
+        ? null
+        : `must be one of ${definition.values?.join(', ')} (got "${value}")`;
+    case 'port': {
+      const port = Number(value);
+      return Number.isInteger(port) && port > 0 && port < 65536 ? null : `must be a port number (got "${value}")`;
+    }
+    case 'url':
+      try {
+        new URL(value);
+        return null;
+      } catch {
+        return `must be an absolute URL (got "${value}")`;
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Closest schema name for a likely typo
+ */
+function suggestName(name: string): string | undefined {
+  const distance = (a: string, b: string): number => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const [best] = ENV_SCHEMA
+    .map(definition => ({ name: definition.name, score: distance(name, definition.name) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= 3 ? best.name : undefined;
+}
+
+/**
+ * Check environment values (e.g. a parsed .env.local) against the schema
+ *
+ * Reports required variables that are missing for `environment`, variables
+ * the schema does not know, variables exposed to (or hidden from) the
+ * browser by their prefix, and values of the wrong type.
+ */
+export function checkEnv(values: Record<string, string | undefined>, environment: Environment): EnvIssue[] {
+  const issues: EnvIssue[] = [];
+  const isSet = (name: string) => !!values[name];
+
+  for (const definition of ENV_SCHEMA) {
+    const value = values[definition.name];
+
+    if (!value) {
+      const satisfied = (definition.alternatives || []).some(isSet);
+      if (definition.requiredIn.includes(environment) && !satisfied) {
+        const alternatives = definition.alternatives?.length ? ` (or ${definition.alternatives.join(', ')})` : '';
+        issues.push({
+          kind: 'missing',
+          name: definition.name,
+          message: `Required in ${environment}${alternatives}: ${definition.description}`,
+        });
+      }
+      continue;
+    }
+
+    const error = validateValue(definition, value);
+    if (error) {
+      issues.push({ kind: 'invalid', name: definition.name, message: error });
+    }
+  }
+
+  for (const name of Object.keys(values)) {
+    if (getEnvVar(name)) continue;
+
+    // Right variable, wrong prefix
+    const publicVariant = getEnvVar(`${PUBLIC_PREFIX}${name}`);
+    if (publicVariant) {
+      issues.push({
+        kind: 'exposed',
+        name,
+        message: `Not visible in the browser; rename to ${publicVariant.name}`,
+      });
+      continue;
+    }
+
+    if (name.startsWith(PUBLIC_PREFIX)) {
+      const serverVariant = getEnvVar(name.slice(PUBLIC_PREFIX.length));
+      if (serverVariant) {
+        issues.push({
+          kind: 'exposed',
+          name,
+          message: `${serverVariant.visibility === 'secret' ? 'Secret' : 'Server-only'} value exposed to the browser; rename to ${serverVariant.name}`,
+        });
+        continue;
+      }
+      if (SECRET_NAME_PATTERN.test(name)) {
+        issues.push({
+          kind: 'exposed',
+          name,
+          message: 'Looks like a credential but NEXT_PUBLIC_ inlines it into the browser bundle',
+        });
+        continue;
+      }
+    }
+
+    const suggestion = suggestName(name);
+    issues.push({
+      kind: 'unknown',
+      name,
+      message: suggestion ? `Not used by ConfigService (did you mean ${suggestion}?)` : 'Not used by ConfigService',
+    });
+  }
+
+  return issues;
+}
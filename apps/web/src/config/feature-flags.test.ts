@@ -0,0 +1,123 @@
+import { FeatureFlags, evaluateRule, parseRemoteRules, resolveBaseRules, rolloutBucket } from './feature-flags';
+
+const users = Array.from({ length: 1000 }, (_, i) => `user-${i}`);
+
+describe('rolloutBucket', () => {
+  it('is stable per user and flag', () => {
+    expect(rolloutBucket('newDashboard', 'uid-1')).toBe(rolloutBucket('newDashboard', 'uid-1'));
+  });
+
+  it('spreads users evenly over 0-99', () => {
+    const inLowerHalf = users.filter(user => rolloutBucket('newDashboard', user) < 50).length;
+
+    expect(inLowerHalf).toBeGreaterThan(420);
+    expect(inLowerHalf).toBeLessThan(580);
+  });
+
+  it('buckets flags independently', () => {
+    const same = users.filter(user => rolloutBucket('a', user) === rolloutBucket('b', user)).length;
+
+    expect(same).toBeLessThan(50);
+  });
+});
+
+describe('evaluateRule', () => {
+  it('always enables targeted users', () => {
+    expect(evaluateRule('newDashboard', { enabled: false, users: ['tester'] }, { userId: 'tester' })).toBe(true);
+    expect(evaluateRule('newDashboard', { enabled: false, users: ['tester'] }, { userId: 'other' })).toBe(false);
+  });
+
+  it('needs a user for a partial rollout', () => {
+    const rule = { enabled: true, rolloutPercentage: 99 };
+
+    expect(evaluateRule('newDashboard', rule)).toBe(false);
+    expect(evaluateRule('newDashboard', { ...rule, rolloutPercentage: 100 })).toBe(true);
+  });
+
+  it('enables the rollout percentage of users', () => {
+    const enabled = users.filter(userId => evaluateRule('newDashboard', { enabled: true, rolloutPercentage: 25 }, { userId }));
+
+    expect(enabled.length).toBeGreaterThan(200);
+    expect(enabled.length).toBeLessThan(300);
+  });
+});
+
+describe('parseRemoteRules', () => {
+  it('keeps valid rules and reports the rest', () => {
+    expect(parseRemoteRules({
+      maintenanceBanner: true,
+      newDashboard: { enabled: true, rolloutPercentage: 150 },
+      darkMode: true,
+    })).toEqual({
+      rules: { maintenanceBanner: { enabled: true } },
+      warnings: [
+        'config/featureFlags.newDashboard.rolloutPercentage: must be between 0 and 100 (got 150)',
+        'config/featureFlags.darkMode: unknown flag (add it to FLAG_DEFINITIONS)',
+      ],
+    });
+  });
+
+  it('accepts a missing document', () => {
+    expect(parseRemoteRules(undefined)).toEqual({ rules: {}, warnings: [] });
+  });
+});
+
+describe('resolveBaseRules', () => {
+  it('applies profile overrides over the code defaults', () => {
+    const { rules, sources, issues } = resolveBaseRules('development', { newDashboard: true });
+
+    expect(rules).toEqual({ maintenanceBanner: { enabled: false }, newDashboard: { enabled: true } });
+    expect(sources.newDashboard).toEqual({ layer: 'profile', key: 'development.flags.newDashboard' });
+    expect(sources.maintenanceBanner).toEqual({ layer: 'default', key: 'FLAG_DEFINITIONS.maintenanceBanner' });
+    expect(issues).toEqual([]);
+  });
+
+  it('falls back to the default for malformed overrides', () => {
+    const { rules, issues } = resolveBaseRules('staging', { newDashboard: { enabled: true, rolloutPercentage: -5 } });
+
+    expect(rules.newDashboard).toEqual({ enabled: false });
+    expect(issues).toEqual([{
+      path: 'flags.newDashboard.rolloutPercentage',
+      message: 'must be between 0 and 100 (got -5)',
+      resolution: 'Fix flags.newDashboard in the staging profile (config/profiles.ts)',
+    }]);
+  });
+});
+
+describe('FeatureFlags', () => {
+  const create = () => {
+    const { rules, sources } = resolveBaseRules('development', { newDashboard: true });
+    return new FeatureFlags(rules, sources);
+  };
+
+  it('lets the flag document override the profile and notifies subscribers', () => {
+    const flags = create();
+    const listener = jest.fn();
+    flags.subscribe(listener);
+
+    flags.setRemoteRules({ newDashboard: { enabled: false } });
+
+    expect(flags.isEnabled('newDashboard')).toBe(false);
+    expect(flags.isEnabledByDefault('newDashboard')).toBe(true);
+    expect(flags.getSource('newDashboard')).toEqual({ layer: 'firestore', key: 'config/featureFlags.newDashboard' });
+    expect(flags.hasRemoteRules()).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the profile when a flag leaves the document', () => {
+    const flags = create();
+    flags.setRemoteRules({ newDashboard: { enabled: false } });
+    flags.setRemoteRules({});
+
+    expect(flags.getAll()).toEqual({ maintenanceBanner: false, newDashboard: true });
+  });
+
+  it('stops notifying after unsubscribe', () => {
+    const flags = create();
+    const listener = jest.fn();
+    flags.subscribe(listener)();
+
+    flags.setRemoteRules({});
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Feature Flags
+ *
+ * Typed flags evaluated from three layers, lowest priority first:
+ * 1. Defaults in code (FLAG_DEFINITIONS below)
+ * 2. The environment profile (`flags` in config/profiles.ts)
+ * 3. Live values from the Firestore document config/featureFlags (the
+ *    emulator locally), applied with `setRemoteRules()` by
+ *    lib/feature-flags, so flags change without a redeploy
+ *
+ * A rule can be a plain boolean or target users and percentages:
+ *
+ * ```yaml
+ * # config/featureFlags
+ * newDashboard:
+ *   enabled: true
+ *   rolloutPercentage: 25   # 25% of signed-in users, stable per user
+ *   users: [uid-of-tester]  # always on for these users
+ * maintenanceBanner: false
+ * ```
+ *
+ * This module has no Firebase dependency, so ConfigService, scripts and
+ * both server and browser code evaluate flags the same way.
+ *
+ * @module config/feature-flags
+ */
+
+import { ConfigSource, FlagRule, ValidationIssue } from './types';
+import { s } from './schema';
+
+/**
+ * Definition of one flag in code
+ */
+export interface FlagDefinition {
+  default: boolean;
+  description: string;
+}
+
+/**
+ * Every flag the app knows about
+ *
+ * Add flags here first; the Firestore document can only set known flags.
+ */
+export const FLAG_DEFINITIONS = {
+  maintenanceBanner: {
+    default: false,
+    description: 'Show the maintenance banner on every page',
+  },
+  newDashboard: {
+    default: false,
+    description: 'Serve the redesigned dashboard',
+  },
+} satisfies Record<string, FlagDefinition>;
+
+export type FlagName = keyof typeof FLAG_DEFINITIONS;
+
+/**
+ * Who a flag is evaluated for
+ */
+export interface FlagContext {
+  /** Firebase Auth uid; percentage rollouts need one */
+  userId?: string | null;
+}
+
+/**
+ * Firestore location of the live flag document
+ */
+export const FLAGS_COLLECTION = 'config';
+export const FLAGS_DOCUMENT = 'featureFlags';
+
+export const FLAG_NAMES = Object.keys(FLAG_DEFINITIONS) as FlagName[];
+
+const flagRuleSchema = s.object<FlagRule>({
+  enabled: s.boolean(),
+  rolloutPercentage: s.number().range(0, 100).optional(),
+  users: s.array(s.string()).optional(),
+});
+
+/**
+ * Normalize a rule (booleans are shorthand for { enabled })
+ */
+function toRule(value: boolean | FlagRule): FlagRule {
+  return typeof value === 'boolean' ? { enabled: value } : value;
+}
+
+/**
+ * Stable bucket 0-99 for a user and flag (FNV-1a)
+ *
+ * Hashing the flag name too keeps rollouts of different flags independent.
+ */
+export function rolloutBucket(flag: string, userId: string): number {
+  let hash = 0x811c9dc5;
+  for (const char of `${flag}:${userId}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % 100;
+}
+
+/**
+ * Evaluate one rule for a context
+ *
+ * Targeted users always get the flag; otherwise it must be enabled, and
+ * with a rollout percentage the user's bucket must fall below it (no user
+ * means no rollout, unless it is 100%).
+ */
+export function evaluateRule(flag: string, rule: FlagRule, context: FlagContext = {}): boolean {
+  const { userId } = context;
+  if (userId && rule.users?.includes(userId)) return true;
+  if (!rule.enabled) return false;
+  if (rule.rolloutPercentage === undefined || rule.rolloutPercentage >= 100) return true;
+  return !!userId && rolloutBucket(flag, userId) < rule.rolloutPercentage;
+}
+
+/**
+ * Validate the data of the flag document
+ *
+ * Returns the rules for known flags and a message per entry that was
+ * ignored (unknown flag, malformed rule), so one bad edit in the console
+ * cannot break every flag.
+ */
+export function parseRemoteRules(data: Record<string, unknown> | undefined): {
+  rules: Partial<Record<FlagName, FlagRule>>;
+  warnings: string[];
+} {
+  const rules: Partial<Record<FlagName, FlagRule>> = {};
+  const warnings: string[] = [];
+
+  for (const [name, value] of Object.entries(data || {})) {
+    if (!(name in FLAG_DEFINITIONS)) {
+      warnings.push(`${FLAGS_COLLECTION}/${FLAGS_DOCUMENT}.${name}: unknown flag (add it to FLAG_DEFINITIONS)`);
+      continue;
+    }
+
+    const rule = typeof value === 'boolean' ? { enabled: value } : value;
+    const issues = flagRuleSchema.validate(rule, `${FLAGS_COLLECTION}/${FLAGS_DOCUMENT}.${name}`);
+    if (issues.length > 0) {
+      warnings.push(...issues.map(issue => `${issue.path}: ${issue.message}`));
+      continue;
+    }
+    rules[name as FlagName] = rule as FlagRule;
+  }
+
+  return { rules, warnings };
+}
+
+/**
+ * Flag state for one ConfigService
+ *
+ * Holds the code and profile layers from construction; the remote layer is
+ * replaced whenever the flag document changes, and subscribers (the
+ * useFeatureFlag hook) are notified.
+ */
+export class FeatureFlags {
+  private remote: Partial<Record<FlagName, FlagRule>> = {};
+  private remoteLoaded = false;
+  private listeners = new Set<() => void>();
+
+  constructor(private base: Record<FlagName, FlagRule>, private baseSources: Record<FlagName, ConfigSource>) {}
+
+  /**
+   * Check a flag for a context
+   */
+  isEnabled(flag: FlagName, context: FlagContext = {}): boolean {
+    return evaluateRule(flag, this.getRule(flag), context);
+  }
+
+  /**
+   * Check a flag with the code and profile layers only
+   *
+   * What a server render without the flag document sees; hooks use it for
+   * hydration.
+   */
+  isEnabledByDefault(flag: FlagName, context: FlagContext = {}): boolean {
+    return evaluateRule(flag, this.base[flag], context);
+  }
+
+  /**
+   * Evaluate every flag for a context
+   */
+  getAll(context: FlagContext = {}): Record<FlagName, boolean> {
+    return Object.fromEntries(FLAG_NAMES.map(flag => [flag, this.isEnabled(flag, context)])) as Record<FlagName, boolean>;
+  }
+
+  /**
+   * Effective rule of a flag (remote, else profile, else default)
+   */
+  getRule(flag: FlagName): FlagRule {
+    return this.remote[flag] || this.base[flag];
+  }
+
+  /**
+   * Layer the effective rule came from
+   */
+  getSource(flag: FlagName): ConfigSource {
+    return this.remote[flag]
+      ? { layer: 'firestore', key: `${FLAGS_COLLECTION}/${FLAGS_DOCUMENT}.${flag}` }
+      : this.baseSources[flag];
+  }
+
+  /**
+   * Whether the flag document has been read at least once
+   */
+  hasRemoteRules(): boolean {
+    return this.remoteLoaded;
+  }
+
+  /**
+   * Replace the remote layer (called with each flag document snapshot)
+   */
+  setRemoteRules(rules: Partial<Record<FlagName, FlagRule>>): void {
+    this.remote = { ...rules };
+    this.remoteLoaded = true;
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Be notified when the remote layer changes; returns the unsubscribe function
+   */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+}
+
+/**
+ * Merge code defaults with profile overrides
+ *
+ * Malformed profile rules (e.g. a percentage above 100) are returned as
+ * issues and fall back to the default.
+ */
+export function resolveBaseRules(
+  environment: string,
+  overrides: Partial<Record<FlagName, boolean | FlagRule>> = {}
+): { rules: Record<FlagName, FlagRule>; sources: Record<FlagName, ConfigSource>; issues: ValidationIssue[] } {
+  const rules = {} as Record<FlagName, FlagRule>;
+  const sources = {} as Record<FlagName, ConfigSource>;
+  const issues: ValidationIssue[] = [];
+
+  for (const flag of FLAG_NAMES) {
+    const override = overrides[flag];
+    const ruleIssues = override !== undefined
+      ? flagRuleSchema
+        .validate(toRule(override), `flags.${flag}`)
+        .map(issue => ({ ...issue, resolution: `Fix flags.${flag} in the ${environment} profile (config/profiles.ts)` }))
+      : [];
+    issues.push(...ruleIssues);
+
+    const useOverride = override !== undefined && ruleIssues.length === 0;
+    rules[flag] = useOverride ? toRule(override) : { enabled: FLAG_DEFINITIONS[flag].default };
+    sources[flag] = useOverride
+      ? { layer: 'profile', key: `${environment}.flags.${flag}` }
+      : { layer: 'default', key: `FLAG_DEFINITIONS.${flag}` };
+  }
+
+  return { rules, sources, issues };
+}
@@ -0,0 +1,235 @@
+import path from 'path';
+import { ConfigService } from './firebase-config';
+import { EmulatorNotRunningError, type EmulatorStatus } from './types';
+
+const FIREBASE_JSON = path.resolve(__dirname, '../../../../firebase.json');
+const originalEnv = process.env;
+
+/**
+ * Run with only the given configuration variables set
+ */
+function setEnv(values: Record<string, string>): void {
+  const env = Object.fromEntries(
+    Object.entries(originalEnv).filter(([key]) => !/^(NEXT_PUBLIC_|FIREBASE_|FIRESTORE_|SECRET|LOG_)/.test(key))
+  );
+  process.env = { ...env, FIREBASE_CONFIG_PATH: FIREBASE_JSON, ...values };
+}
+
+const load = (environment: 'development' | 'staging' | 'production') =>
+  ConfigService.createForEnvironment(environment, { silent: true, validate: false });
+
+const provenanceOf = (config: ConfigService, key: string) =>
+  config.getProvenance().find(entry => entry.path === key);
+
+afterEach(() => {
+  process.env = originalEnv;
+});
+
+describe('ConfigService provenance', () => {
+  it('records the profile as the source of profile values', () => {
+    setEnv({});
+
+    expect(provenanceOf(load('development'), 'firebase.projectId')).toEqual({
+      path: 'firebase.projectId',
+      value: 'demo-project',
+      source: { layer: 'profile', key: 'development.firebase.projectId' },
+      redacted: false,
+    });
+  });
+
+  it('lets environment variables win over the profile', () => {
+    setEnv({ NEXT_PUBLIC_FIREBASE_PROJECT_ID: 'demo-other' });
+
+    expect(provenanceOf(load('development'), 'firebase.projectId')).toMatchObject({
+      value: 'demo-other',
+      source: { layer: 'env', key: 'NEXT_PUBLIC_FIREBASE_PROJECT_ID' },
+    });
+  });
+
+  it('reads emulator ports from firebase.json', () => {
+    setEnv({});
+
+    expect(provenanceOf(load('development'), 'firebase.emulators.auth.port')).toEqual({
+      path: 'firebase.emulators.auth.port',
+      value: 9099,
+      source: { layer: 'firebase.json', key: 'emulators.auth.port', file: FIREBASE_JSON },
+      redacted: false,
+    });
+  });
+
+  it('redacts the API key', () => {
+    setEnv({ NEXT_PUBLIC_FIREBASE_API_KEY: `AIza${'x'.repeat(31)}9876` });
+
+    expect(provenanceOf(load('staging'), 'firebase.apiKey')).toMatchObject({ value: '****9876', redacted: true });
+  });
+
+  it('joins list values', () => {
+    setEnv({ SECRET_PROVIDERS: 'env, file' });
+
+    expect(provenanceOf(load('production'), 'secrets.providers')).toMatchObject({
+      value: 'env, file',
+      source: { layer: 'env', key: 'SECRET_PROVIDERS' },
+    });
+  });
+});
+
+describe('ConfigService emulator discovery', () => {
+  const issuesOf = (config: ConfigService) => config.validate().issues.map(issue => `${issue.path}: ${issue.message}`);
+
+  it('finds firebase.json in a parent of the working directory', () => {
+    setEnv({});
+    delete process.env.FIREBASE_CONFIG_PATH;
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(path.resolve(__dirname, '..'));
+
+    try {
+      expect(provenanceOf(load('development'), 'firebase.emulators.auth.port')?.source.file).toBe(FIREBASE_JSON);
+    } finally {
+      cwd.mockRestore();
+    }
+  });
+
+  it('reports a FIREBASE_CONFIG_PATH that does not exist', () => {
+    setEnv({ FIREBASE_CONFIG_PATH: '/nonexistent/firebase.json' });
+    const config = load('development');
+
+    expect(issuesOf(config)).toEqual(['firebase.emulators: FIREBASE_CONFIG_PATH points to /nonexistent/firebase.json, which does not exist']);
+    expect(config.getEmulatorConfig()?.auth.port).toBe(9099);
+  });
+
+  it('uses the Admin SDK host variables', () => {
+    setEnv({ FIRESTORE_EMULATOR_HOST: '127.0.0.1:8081' });
+
+    expect(load('development').getEmulatorConfig()?.firestore).toEqual({ host: '127.0.0.1', port: 8081 });
+  });
+
+  it('reports host variables that disagree with the browser port', () => {
+    setEnv({ FIRESTORE_EMULATOR_HOST: 'localhost:8181' });
+
+    expect(issuesOf(load('development'))).toEqual([
+      `firebase.emulators.firestore.port: FIRESTORE_EMULATOR_HOST=localhost:8181 disagrees with firebase.json emulators.firestore.port (${FIREBASE_JSON}) ` +
+        '(port 8081); server and browser would use different firestore emulators',
+    ]);
+  });
+
+  it('reports an emulator hub started from another firebase.json', () => {
+    setEnv({ FIREBASE_EMULATOR_HUB: 'localhost:4410' });
+
+    expect(issuesOf(load('development'))).toEqual([
+      `firebase.emulators: FIREBASE_EMULATOR_HUB=localhost:4410 does not match ${FIREBASE_JSON} (hub port 4400); the running emulators use a different config`,
+    ]);
+  });
+});
+
+describe('ConfigService emulator readiness', () => {
+  type FetchBehavior = 'up' | 'refused' | 'hang';
+
+  /**
+   * Stub fetch by emulator port: answer, refuse the connection, or never answer
+   */
+  function stubFetch(behaviors: Record<number, FetchBehavior>) {
+    return jest.spyOn(global, 'fetch').mockImplementation((input, init) => {
+      const port = Number(new URL(String(input)).port);
+      switch (behaviors[port] || 'up') {
+        case 'up':
+          return Promise.resolve(new Response('Ok'));
+        case 'refused':
+          return Promise.reject(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }));
+        default:
+          return new Promise((_, reject) => {
+            init?.signal?.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+          });
+      }
+    });
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is always ready outside emulator mode', async () => {
+    setEnv({});
+    const fetch = stubFetch({});
+
+    await expect(load('production').checkEmulators()).resolves.toMatchObject({ ready: true, services: [] });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('probes the required emulators', async () => {
+    setEnv({});
+    const fetch = stubFetch({});
+
+    const readiness = await load('development').checkEmulators();
+
+    expect(readiness.ready).toBe(true);
+    expect(readiness.services.map(status => `${status.service}:${status.port}:${status.reachable}`))
+      .toEqual(['auth:9099:true', 'firestore:8081:true', 'functions:5002:true']);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('tells a refused connection from a timeout', async () => {
+    setEnv({});
+    stubFetch({ 9099: 'refused', 8081: 'hang' });
+
+    const { ready, services } = await load('development').checkEmulators({ timeout: 20 });
+
+    expect(ready).toBe(false);
+    expect(services.map(({ service, reachable, error }) => ({ service, reachable, error }))).toEqual([
+      { service: 'auth', reachable: false, error: 'ECONNREFUSED' },
+      { service: 'firestore', reachable: false, error: 'no response within 20ms' },
+      { service: 'functions', reachable: true, error: undefined },
+    ]);
+  });
+
+  it('caches results for 10 seconds per service list', async () => {
+    setEnv({});
+    const fetch = stubFetch({});
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const config = load('development');
+
+    const first = config.checkEmulators();
+    expect(config.checkEmulators()).toBe(first);
+    await first;
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    now.mockReturnValue(1_009_999);
+    await config.checkEmulators();
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    await config.checkEmulators({ services: ['storage'] });
+    expect(fetch).toHaveBeenCalledTimes(4);
+
+    now.mockReturnValue(1_020_000);
+    await config.checkEmulators({ services: ['storage'] });
+    expect(fetch).toHaveBeenCalledTimes(5);
+  });
+
+  it('probes again with force', async () => {
+    setEnv({});
+    const fetch = stubFetch({});
+    const config = load('development');
+
+    await config.checkEmulators();
+    await config.checkEmulators({ force: true });
+
+    expect(fetch).toHaveBeenCalledTimes(6);
+  });
+
+  it('names only the emulators that are down', async () => {
+    setEnv({});
+    stubFetch({ 8081: 'refused' });
+
+    const error = await load('development').ensureEmulatorsRunning().catch(e => e);
+
+    expect(error).toBeInstanceOf(EmulatorNotRunningError);
+    expect(error.message).toBe('Firebase emulators are not running: firestore');
+    expect(error.services.map((status: EmulatorStatus) => status.service)).toEqual(['firestore']);
+    expect(error.details).toBe('firestore (localhost:8081): ECONNREFUSED');
+  });
+
+  it('resolves when every emulator is up', async () => {
+    setEnv({});
+    stubFetch({});
+
+    await expect(load('development').ensureEmulatorsRunning()).resolves.toBeUndefined();
+  });
+});
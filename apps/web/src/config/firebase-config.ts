@@ -5,8 +5,16 @@
  * Loads configuration from multiple sources in priority order:
  * 1. Process environment variables
  * 2. .env.local file (Next.js)
- * 3. firebase.json (emulator defaults - server-side only)
- * 4. Hardcoded safe defaults
+ * 3. Environment profile (config/profiles.ts)
+ * 4. firebase.json (emulator defaults - server-side only; found by searching
+ *    upward from process.cwd(), or at FIREBASE_CONFIG_PATH)
+ * 5. Hardcoded safe defaults (matching the repo's firebase.json)
+ *
+ * Every resolved value remembers which layer it came from; see
+ * `getProvenance()` and `npm run config:print -- --provenance`.
+ *
+ * Secrets are not part of the configuration: server code resolves them on
+ * demand with `getSecret()` from `@/config/server` (see config/secrets).
  *
  * NOTE: This module works in both Node.js and browser environments.
  * File system access (firebase.json reading) is only available server-side.
@@ -16,15 +24,88 @@
 
 import {
   AppConfig,
+  ConfigProvenance,
+  ConfigSource,
+  FeatureSettings,
   FirebaseConfig,
+  SecretProviderName,
+  SecretResolver,
   EmulatorConfig,
+  EmulatorService,
+  EmulatorStatus,
+  EmulatorReadiness,
+  ValidationIssue,
   ValidationResult,
   ConfigurationError,
+  EmulatorNotRunningError,
 } from './types';
+import { toValidationResult, validateConfig } from './validation';
+import { ConfigProfile, getProfile } from './profiles';
+import { describeSource, isRedactedPath, redactValue } from './provenance';
+import { FeatureFlags, FlagContext, FlagName, resolveBaseRules } from './feature-flags';
+import { Logger, createLogger } from '../lib/logger';
 
 // Check if we're in a Node.js environment (not browser)
 const isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
 
+/**
+ * Options for constructing a ConfigService
+ */
+export interface ConfigServiceOptions {
+  /** Environment to load (default: NEXT_PUBLIC_APP_ENV, then NODE_ENV) */
+  environment?: AppConfig['environment'];
+  /** Throw ConfigurationError when validation fails (default: true) */
+  validate?: boolean;
+  /** Suppress all log output (otherwise LOG_LEVEL applies) */
+  silent?: boolean;
+}
+
+/**
+ * Options for emulator readiness checks
+ */
+export interface EmulatorCheckOptions {
+  /** Emulators to probe (default: auth, firestore, functions) */
+  services?: EmulatorService[];
+  /** Per-endpoint timeout in milliseconds (default: 2000) */
+  timeout?: number;
+  /** Ignore a cached result */
+  force?: boolean;
+}
+
+// Emulators the app cannot work without
+const REQUIRED_EMULATORS: EmulatorService[] = ['auth', 'firestore', 'functions'];
+
+const EMULATOR_CHECK_TIMEOUT = 2000;
+
+// How long a readiness result is reused before probing again
+const EMULATOR_CHECK_CACHE_MS = 10000;
+
+// Same ports as the repo's firebase.json, for the browser and missing files
+const DEFAULT_EMULATOR_PORTS: Record<EmulatorService, number> = {
+  auth: 9099,
+  firestore: 8081,
+  functions: 5002,
+  storage: 9199,
+  hosting: 5000,
+};
+
+// Emulator hub port when firebase.json does not set emulators.hub.port
+const DEFAULT_HUB_PORT = 4400;
+
+// Next.js only inlines literal process.env.NEXT_PUBLIC_* references, so
+// values are read literally and the variable name is recorded separately
+const fromEnv = (key: string): ConfigSource => ({ layer: 'env', key });
+
+/**
+ * Split a "host:port" value (FIREBASE_EMULATOR_HUB, *_EMULATOR_HOST)
+ */
+function parseHostPort(value: string): { host: string; port: number } | null {
+  const index = value.lastIndexOf(':');
+  const port = Number(value.slice(index + 1));
+  if (index <= 0 || !Number.isInteger(port) || port <= 0 || port > 65535) return null;
+  return { host: value.slice(0, index).replace(/^\[(.*)\]$/, '$1'), port };
+}
+
 /**
  * Centralized Configuration Service
  *
@@ -36,43 +117,77 @@ const isNode = typeof process !== 'undefined' && process.versions != null && pro
  * import { ConfigService } from '@/config/firebase-config';
  *
  * const config = ConfigService.getInstance();
- * const emulators = config.getEmulatorConfig();
- *
- * if (emulators) {
- *   connectFirestoreEmulator(db, emulators.firestore.host, emulators.firestore.port);
- * }
+ * const apiUrl = config.getApiUrl();
  * ```
+ *
+ * To use the Firebase SDKs, don't connect emulators by hand: `getFirebase()`
+ * from `@/lib/firebase` initializes the app from this configuration and
+ * connects every emulator once.
  */
 export class ConfigService {
   private static instance: ConfigService | null = null;
+  private static secretResolverFactory: ((config: ConfigService) => SecretResolver) | null = null;
   private config: AppConfig;
-
-  private constructor() {
-    console.log('[ConfigService] Initializing configuration...');
+  private profile: ConfigProfile;
+  private sources = new Map<string, ConfigSource>();
+  // Problems found while loading (e.g. conflicting emulator settings), reported by validate()
+  private loadErrors: ValidationIssue[] = [];
+  private logger: Logger;
+  private secretResolver: SecretResolver | null = null;
+  private flags: FeatureFlags;
+  private emulatorCheck: { key: string; startedAt: number; result: Promise<EmulatorReadiness> } | null = null;
+
+  private constructor(options: ConfigServiceOptions = {}) {
+    this.logger = createLogger('ConfigService', options.silent ? { level: 'silent' } : {});
+    this.logger.debug('Initializing configuration...');
+
+    const environment = options.environment || ConfigService.resolveEnvironment();
+    this.sources.set('environment', options.environment
+      ? { layer: 'option', key: 'environment' }
+      : ConfigService.getEnvironmentSource(environment));
+    this.profile = getProfile(environment);
 
     this.config = {
-      environment: this.getEnvironment(),
-      firebase: this.loadFirebaseConfig(),
+      environment,
+      firebase: this.loadFirebaseConfig(environment),
       api: {
         baseUrl: '', // Will be set after Firebase config is loaded
       },
+      features: { ...this.profile.features },
+      secrets: {
+        providers: this.loadSecretProviders(environment),
+      },
     };
 
+    for (const feature of Object.keys(this.profile.features)) {
+      this.sources.set(`features.${feature}`, { layer: 'profile', key: `${environment}.features.${feature}` });
+    }
+
+    const flags = resolveBaseRules(environment, this.profile.flags);
+    this.flags = new FeatureFlags(flags.rules, flags.sources);
+    this.loadErrors.push(...flags.issues);
+
     // Set API base URL after Firebase config is loaded
     this.config.api.baseUrl = this.getApiBaseUrl();
 
     // Validate configuration
     const validation = this.validate();
-    if (!validation.valid) {
+    if (!validation.valid && options.validate !== false) {
+      const steps = [
+        ...new Set(validation.issues.map(issue => issue.resolution).filter((step): step is string => !!step)),
+        `Inspect the merged configuration: npm run config:print -- --env ${environment}`,
+      ];
       throw new ConfigurationError(
         'Configuration validation failed',
         validation.errors?.join('\n'),
-        'Check your .env.local file and ensure Firebase emulators are running'
+        `Resolution:\n${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`
       );
     }
 
-    console.log('[ConfigService] ✅ Configuration loaded successfully');
-    this.logConfiguration();
+    this.logger.debug('Configuration loaded successfully');
+    if (this.config.features.logConfiguration && this.logger.isLevelEnabled('info')) {
+      this.logConfiguration();
+    }
   }
 
   /**
@@ -85,6 +200,37 @@ export class ConfigService {
     return ConfigService.instance;
   }
 
+  /**
+   * Load the configuration of another environment
+   *
+   * Returns a separate instance (the singleton is untouched), so tooling can
+   * inspect e.g. the staging config from a development shell. Values still
+   * come from process.env, so load that environment's variables first.
+   *
+   * @example
+   * ```typescript
+   * const staging = ConfigService.createForEnvironment('staging', { validate: false });
+   * console.log(staging.getConfig(), staging.validate());
+   * ```
+   */
+  static createForEnvironment(
+    environment: AppConfig['environment'],
+    options: Omit<ConfigServiceOptions, 'environment'> = {}
+  ): ConfigService {
+    return new ConfigService({ ...options, environment });
+  }
+
+  /**
+   * Register how secrets are resolved
+   *
+   * Called by config/server.ts, which keeps the providers (Node.js modules,
+   * server-only values) out of anything the browser imports.
+   * @internal
+   */
+  static useSecretResolver(factory: (config: ConfigService) => SecretResolver): void {
+    ConfigService.secretResolverFactory = factory;
+  }
+
   /**
    * Reset instance (for testing only)
    * @internal
@@ -94,15 +240,91 @@ export class ConfigService {
   }
 
   /**
-   * Get current environment
+   * Environment selected by NEXT_PUBLIC_APP_ENV (or NODE_ENV)
    */
-  getEnvironment(): 'development' | 'staging' | 'production' {
+  private static resolveEnvironment(): AppConfig['environment'] {
     const env = process.env.NEXT_PUBLIC_APP_ENV || process.env.NODE_ENV;
     if (env === 'production') return 'production';
     if (env === 'staging') return 'staging';
     return 'development';
   }
 
+  /**
+   * Layer that selected the environment
+   */
+  private static getEnvironmentSource(environment: AppConfig['environment']): ConfigSource {
+    if (process.env.NEXT_PUBLIC_APP_ENV === environment) return fromEnv('NEXT_PUBLIC_APP_ENV');
+    if (!process.env.NEXT_PUBLIC_APP_ENV && process.env.NODE_ENV === environment) return fromEnv('NODE_ENV');
+    return { layer: 'default' };
+  }
+
+  /**
+   * Get current environment
+   */
+  getEnvironment(): AppConfig['environment'] {
+    return this.config.environment;
+  }
+
+  /**
+   * Get the complete merged configuration
+   */
+  getConfig(): AppConfig {
+    return this.config;
+  }
+
+  /**
+   * Get feature settings for the current environment
+   */
+  getFeatures(): FeatureSettings {
+    return this.config.features;
+  }
+
+  /**
+   * Get the feature flags
+   *
+   * Code defaults and profile overrides are available immediately; live
+   * values from the Firestore flag document are applied by lib/feature-flags
+   * (`useFeatureFlag()` in components, `getServerFlags()` on the server).
+   */
+  getFlags(): FeatureFlags {
+    return this.flags;
+  }
+
+  /**
+   * Check a feature flag with the values known so far
+   *
+   * @example
+   * ```typescript
+   * if (getConfig().isFeatureEnabled('newDashboard', { userId: user.uid })) { ... }
+   * ```
+   */
+  isFeatureEnabled(flag: FlagName, context: FlagContext = {}): boolean {
+    return this.flags.isEnabled(flag, context);
+  }
+
+  /**
+   * Get every resolved value with the layer it came from
+   *
+   * Secrets (see config/provenance.ts) are redacted.
+   *
+   * @example
+   * ```typescript
+   * console.table(getConfig().getProvenance().map(({ path, value, source }) => ({ path, value, ...source })));
+   * ```
+   */
+  getProvenance(): ConfigProvenance[] {
+    return Array.from(this.sources, ([path, source]) => {
+      const value = path
+        .split('.')
+        .reduce<unknown>((node, key) => (node as Record<string, unknown> | undefined)?.[key], this.config) as ConfigProvenance['value'];
+      if (Array.isArray(value)) {
+        return { path, value: value.join(', '), source, redacted: false };
+      }
+      const redacted = isRedactedPath(path) && value !== undefined && value !== '';
+      return { path, value: redacted ? redactValue(value) : value, source, redacted };
+    });
+  }
+
   /**
    * Get complete Firebase configuration
    */
@@ -119,16 +341,107 @@ export class ConfigService {
 
   /**
    * Get API base URL
+   *
+   * The Functions base URL (emulator or deployed) unless NEXT_PUBLIC_API_URL
+   * points elsewhere; lib/api appends /api and the endpoint path.
    */
   getApiUrl(): string {
     return this.config.api.baseUrl;
   }
 
+  /**
+   * Resolve a server-side secret
+   *
+   * Server code should import `getSecret` from `@/config/server`, which
+   * registers the providers. Secret values are cached by the resolver, never
+   * stored in the configuration, and never logged.
+   *
+   * @throws {ConfigurationError} in the browser, or when config/server.ts was not imported
+   * @throws {SecretNotFoundError} when no provider has the secret
+   */
+  async getSecret(name: string): Promise<string> {
+    if (!isNode || typeof window !== 'undefined') {
+      throw new ConfigurationError(
+        `Secret ${name} requested in the browser`,
+        'Secrets are only available to server code',
+        'Resolution:\n1. Read the secret in a Server Component, Route Handler or Server Action\n' +
+          '2. Pass the client only what it needs (never the secret itself)'
+      );
+    }
+
+    if (!this.secretResolver) {
+      if (!ConfigService.secretResolverFactory) {
+        throw new ConfigurationError(
+          'No secret providers registered',
+          `getSecret('${name}') was called without loading config/server.ts`,
+          "Resolution:\n1. Import getSecret from '@/config/server' instead of calling ConfigService directly"
+        );
+      }
+      this.secretResolver = ConfigService.secretResolverFactory(this);
+    }
+    return this.secretResolver.get(name);
+  }
+
   /**
    * Check if running in emulator mode
    */
   isEmulatorMode(): boolean {
-    return this.config.environment === 'development' && !!this.config.firebase.emulators;
+    return !!this.config.firebase.emulators;
+  }
+
+  /**
+   * Probe the configured emulator endpoints
+   *
+   * Any HTTP response counts as reachable; connection errors and timeouts do
+   * not. Results (and in-flight checks) are cached for a few seconds, so
+   * callers on hot paths can await this freely. Outside emulator mode the
+   * result is always ready with no services.
+   */
+  checkEmulators(options: EmulatorCheckOptions = {}): Promise<EmulatorReadiness> {
+    const emulators = this.isEmulatorMode() ? this.getEmulatorConfig() : null;
+    if (!emulators) {
+      return Promise.resolve({ ready: true, checkedAt: Date.now(), services: [] });
+    }
+
+    const services = options.services || REQUIRED_EMULATORS;
+    const timeout = options.timeout ?? EMULATOR_CHECK_TIMEOUT;
+    const key = services.join(',');
+
+    const cached = this.emulatorCheck;
+    if (!options.force && cached && cached.key === key && Date.now() - cached.startedAt < EMULATOR_CHECK_CACHE_MS) {
+      return cached.result;
+    }
+
+    const result = Promise.all(
+      services.map(service => this.probeEmulator(service, emulators[service], timeout))
+    ).then((statuses): EmulatorReadiness => ({
+      ready: statuses.every(status => status.reachable),
+      checkedAt: Date.now(),
+      services: statuses,
+    }));
+
+    this.emulatorCheck = { key, startedAt: Date.now(), result };
+    return result;
+  }
+
+  /**
+   * Fail fast when emulators are down
+   *
+   * Call at server startup (or before the first Firebase request) instead of
+   * letting SDK calls hang against a port nobody listens on.
+   *
+   * @throws {EmulatorNotRunningError} naming the unreachable services
+   *
+   * @example
+   * ```typescript
+   * await getConfig().ensureEmulatorsRunning();
+   * ```
+   */
+  async ensureEmulatorsRunning(options: EmulatorCheckOptions = {}): Promise<void> {
+    const readiness = await this.checkEmulators(options);
+    if (!readiness.ready) {
+      throw new EmulatorNotRunningError(readiness.services.filter(status => !status.reachable));
+    }
   }
 
   /**
@@ -142,183 +455,416 @@ export class ConfigService {
    * Validate configuration
    */
   validate(): ValidationResult {
-    const errors: string[] = [];
-
-    // Required fields
-    if (!this.config.firebase.projectId) {
-      errors.push('Firebase projectId is required');
-    }
-
-    // Development/emulator validation
-    if (this.config.environment === 'development') {
-      if (!this.config.firebase.emulators) {
-        errors.push('Emulator configuration missing in development mode');
-      }
-    }
-
-    // Production validation
-    if (this.config.environment === 'production') {
-      if (!this.config.firebase.apiKey) {
-        errors.push('Firebase apiKey required for production');
-      }
-      if (!this.config.firebase.authDomain) {
-        errors.push('Firebase authDomain required for production');
-      }
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors: errors.length > 0 ? errors : undefined,
-    };
+    return toValidationResult([...this.loadErrors, ...validateConfig(this.config).issues]);
   }
 
   /**
    * Load Firebase configuration from all sources
    */
-  private loadFirebaseConfig(): FirebaseConfig {
-    // IMPORTANT: Replace 'demo-project' with your actual Firebase project ID
-    // Or set NEXT_PUBLIC_FIREBASE_PROJECT_ID in your .env.local file
+  private loadFirebaseConfig(environment: AppConfig['environment']): FirebaseConfig {
+    const profile = this.profile.firebase;
+    const fromProfile = (key: string): ConfigSource => ({ layer: 'profile', key: `${environment}.firebase.${key}` });
+
     const config: FirebaseConfig = {
-      projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || process.env.FIREBASE_PROJECT_ID || 'demo-project',
-      apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY,
-      authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
-      storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET,
-      messagingSenderId: process.env.NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID,
-      appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID,
+      projectId: this.resolveValue('firebase.projectId', [
+        [process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID, fromEnv('NEXT_PUBLIC_FIREBASE_PROJECT_ID')],
+        [process.env.FIREBASE_PROJECT_ID, fromEnv('FIREBASE_PROJECT_ID')],
+        [profile.projectId, fromProfile('projectId')],
+      ]) || '',
+      apiKey: this.resolveValue('firebase.apiKey', [
+        [process.env.NEXT_PUBLIC_FIREBASE_API_KEY, fromEnv('NEXT_PUBLIC_FIREBASE_API_KEY')],
+        [profile.apiKey, fromProfile('apiKey')],
+      ]),
+      authDomain: this.resolveValue('firebase.authDomain', [
+        [process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN, fromEnv('NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN')],
+        [profile.authDomain, fromProfile('authDomain')],
+      ]),
+      storageBucket: this.resolveValue('firebase.storageBucket', [
+        [process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET, fromEnv('NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET')],
+        [profile.storageBucket, fromProfile('storageBucket')],
+      ]),
+      messagingSenderId: this.resolveValue('firebase.messagingSenderId', [
+        [process.env.NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID, fromEnv('NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID')],
+        [profile.messagingSenderId, fromProfile('messagingSenderId')],
+      ]),
+      appId: this.resolveValue('firebase.appId', [
+        [process.env.NEXT_PUBLIC_FIREBASE_APP_ID, fromEnv('NEXT_PUBLIC_FIREBASE_APP_ID')],
+        [profile.appId, fromProfile('appId')],
+      ]),
     };
 
-    // Load emulator configuration if in development
-    if (this.getEnvironment() === 'development') {
-      config.emulators = this.loadEmulatorConfig();
+    // Load emulator configuration if the profile uses emulators
+    if (this.profile.useEmulators) {
+      config.emulators = this.loadEmulatorConfig(config.projectId || 'demo-project');
     }
 
     return config;
   }
 
+  /**
+   * Secret providers from SECRET_PROVIDERS (comma-separated) or the profile
+   *
+   * Unknown names are left in place for validate() to report.
+   */
+  private loadSecretProviders(environment: AppConfig['environment']): SecretProviderName[] {
+    const override = isNode ? process.env.SECRET_PROVIDERS : undefined;
+    if (override) {
+      this.sources.set('secrets.providers', fromEnv('SECRET_PROVIDERS'));
+      return override.split(',').map(name => name.trim()).filter(Boolean) as SecretProviderName[];
+    }
+    this.sources.set('secrets.providers', { layer: 'profile', key: `${environment}.secrets.providers` });
+    return [...this.profile.secrets.providers];
+  }
+
   /**
    * Load emulator configuration from firebase.json (server-side only)
    * In browser, falls back to defaults immediately
    */
-  private loadEmulatorConfig(): EmulatorConfig | undefined {
+  private loadEmulatorConfig(projectId: string): EmulatorConfig | undefined {
     // In browser environment, skip file reading and use defaults
     if (!isNode) {
-      console.log('[ConfigService] Browser environment detected, using default emulator ports');
-      return this.getDefaultEmulatorConfig();
+      this.logger.debug('Browser environment detected, using default emulator ports');
+      return this.getDefaultEmulatorConfig(projectId, 'browser: firebase.json is not readable');
+    }
+
+    const firebasePath = this.findFirebaseJson();
+    if (!firebasePath) {
+      this.logger.warn(`firebase.json not found in ${process.cwd()} or its parents, using defaults`);
+      return this.getDefaultEmulatorConfig(projectId, `firebase.json not found in ${process.cwd()} or its parents`);
     }
 
+    let firebaseJson;
     try {
       // Dynamic require for Node.js-only modules
-
       const fs = require('fs');
+      firebaseJson = JSON.parse(fs.readFileSync(firebasePath, 'utf-8'));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.logger.error(`Error loading ${firebasePath}`, error);
+      this.loadErrors.push({
+        path: 'firebase.emulators',
+        message: `could not read ${firebasePath}: ${message}`,
+        resolution: 'Fix the JSON in firebase.json (npm run doctor)',
+      });
+      return this.getDefaultEmulatorConfig(projectId, `error reading ${firebasePath}`);
+    }
 
-      const path = require('path');
-
-      const firebasePath = path.join(process.cwd(), 'firebase.json');
+    if (!firebaseJson.emulators) {
+      this.logger.warn(`No emulator config in ${firebasePath}`);
+      return this.getDefaultEmulatorConfig(projectId, `no emulators block in ${firebasePath}`);
+    }
 
-      if (!fs.existsSync(firebasePath)) {
-        console.warn('[ConfigService] ⚠️  firebase.json not found, using defaults');
-        return this.getDefaultEmulatorConfig();
-      }
+    const emulators = firebaseJson.emulators;
+    this.checkEmulatorHub(Number(emulators.hub?.port) || DEFAULT_HUB_PORT, firebasePath);
+
+    const fromFile = (service: EmulatorService): [number | undefined, ConfigSource] => [
+      emulators[service]?.port,
+      { layer: 'firebase.json', key: `emulators.${service}.port`, file: firebasePath },
+    ];
+
+    return this.buildEmulatorConfig(projectId, {
+      auth: fromFile('auth'),
+      firestore: fromFile('firestore'),
+      functions: fromFile('functions'),
+      storage: fromFile('storage'),
+      hosting: fromFile('hosting'),
+    });
+  }
 
-      const firebaseJson = JSON.parse(fs.readFileSync(firebasePath, 'utf-8'));
+  /**
+   * Locate firebase.json: FIREBASE_CONFIG_PATH, else the nearest one from
+   * process.cwd() upward (Next.js runs from apps/web, the file is at the root)
+   */
+  private findFirebaseJson(): string | null {
+    const fs = require('fs');
+    const path = require('path');
+
+    const override = process.env.FIREBASE_CONFIG_PATH;
+    if (override) {
+      const file = path.resolve(process.cwd(), override);
+      if (fs.existsSync(file)) return file;
+      this.loadErrors.push({
+        path: 'firebase.emulators',
+        message: `FIREBASE_CONFIG_PATH points to ${file}, which does not exist`,
+        resolution: 'Point FIREBASE_CONFIG_PATH at an existing firebase.json, or unset it to search from the working directory',
+      });
+      return null;
+    }
 
-      if (!firebaseJson.emulators) {
-        console.warn('[ConfigService] ⚠️  No emulator config in firebase.json');
-        return this.getDefaultEmulatorConfig();
-      }
+    let dir = process.cwd();
+    for (;;) {
+      const file = path.join(dir, 'firebase.json');
+      if (fs.existsSync(file)) return file;
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
 
-      const emulators = firebaseJson.emulators;
-      const host = 'localhost';
-      const projectId = this.config?.firebase?.projectId || 'demo-project';
-
-      return {
-        auth: {
-          host,
-          port: emulators.auth?.port || 9099,
-          url: `http://${host}:${emulators.auth?.port || 9099}`,
-        },
-        firestore: {
-          host,
-          port: emulators.firestore?.port || 8080,
-        },
-        functions: {
-          host,
-          port: emulators.functions?.port || 5001,
-          baseUrl: `http://${host}:${emulators.functions?.port || 5001}/${projectId}/us-central1`,
-        },
-        storage: {
-          host,
-          port: emulators.storage?.port || 9199,
-        },
-        hosting: {
-          host,
-          port: emulators.hosting?.port || 5000,
-        },
-      };
-    } catch (error) {
-      console.error('[ConfigService] ❌ Error loading firebase.json:', error);
-      return this.getDefaultEmulatorConfig();
+  /**
+   * Compare FIREBASE_EMULATOR_HUB with the hub port of the loaded config
+   *
+   * firebase emulators:exec and e2e:start set it; a different port means the
+   * running emulators were started from another firebase.json.
+   */
+  private checkEmulatorHub(hubPort: number, firebasePath: string): void {
+    const hub = this.readHostPortVariable('FIREBASE_EMULATOR_HUB', process.env.FIREBASE_EMULATOR_HUB);
+    if (hub && hub.port !== hubPort) {
+      this.loadErrors.push({
+        path: 'firebase.emulators',
+        message: `FIREBASE_EMULATOR_HUB=${hub.host}:${hub.port} does not match ${firebasePath} (hub port ${hubPort}); the running emulators use a different config`,
+        resolution: 'Set FIREBASE_CONFIG_PATH to the firebase.json the emulators were started with, or unset FIREBASE_EMULATOR_HUB',
+      });
     }
   }
 
   /**
    * Get default emulator configuration (fallback)
+   *
+   * `reason` is recorded on every port so provenance shows why defaults won.
    */
-  private getDefaultEmulatorConfig(): EmulatorConfig {
-    const host = 'localhost';
-    const projectId = this.config?.firebase?.projectId || 'demo-project';
+  private getDefaultEmulatorConfig(projectId: string, reason: string): EmulatorConfig {
+    const none: [undefined, ConfigSource] = [undefined, { layer: 'unset' }];
+    return this.buildEmulatorConfig(
+      projectId,
+      { auth: none, firestore: none, functions: none, storage: none, hosting: none },
+      reason
+    );
+  }
+
+  /**
+   * Build emulator endpoints from firebase.json ports, applying environment
+   * overrides and defaults
+   *
+   * NEXT_PUBLIC_*_EMULATOR_PORT is what the browser sees; the Admin SDK
+   * follows *_EMULATOR_HOST. When both describe the same emulator they must
+   * agree, otherwise server and browser would talk to different emulators.
+   */
+  private buildEmulatorConfig(
+    projectId: string,
+    filePorts: Record<EmulatorService, [number | undefined, ConfigSource]>,
+    defaultReason?: string
+  ): EmulatorConfig {
+    const portOverrides = this.getEmulatorPortOverrides();
+    const hostOverrides = this.getEmulatorHostOverrides();
+    const hubValue = process.env.FIREBASE_EMULATOR_HUB;
+    const hub = hubValue ? parseHostPort(hubValue) : null;
+
+    const resolveEndpoint = (service: EmulatorService): { host: string; port: number } => {
+      const hostOverride = hostOverrides[service];
+      const defaultPort: [number, ConfigSource] = [
+        DEFAULT_EMULATOR_PORTS[service],
+        { layer: 'default', note: defaultReason || `emulators.${service}.port not set in firebase.json` },
+      ];
+
+      const host = this.resolveValue(`firebase.emulators.${service}.host`, [
+        [hostOverride?.host, fromEnv(hostOverride?.variable || '')],
+        [hub?.host, fromEnv('FIREBASE_EMULATOR_HUB')],
+        ['localhost', { layer: 'default' }],
+      ]) as string;
+
+      const port = this.resolveValue(`firebase.emulators.${service}.port`, [
+        [portOverrides[service], fromEnv(`NEXT_PUBLIC_FIREBASE_${service.toUpperCase()}_EMULATOR_PORT`)],
+        [hostOverride?.port, fromEnv(hostOverride?.variable || '')],
+        filePorts[service],
+        defaultPort,
+      ]) as number;
+
+      if (hostOverride) {
+        const [browserPort, browserSource] = portOverrides[service] !== undefined
+          ? [portOverrides[service], fromEnv(`NEXT_PUBLIC_FIREBASE_${service.toUpperCase()}_EMULATOR_PORT`)]
+          : filePorts[service][0] !== undefined ? filePorts[service] : defaultPort;
+        if (hostOverride.port !== browserPort) {
+          this.loadErrors.push({
+            path: `firebase.emulators.${service}.port`,
+            message: `${hostOverride.variable}=${hostOverride.host}:${hostOverride.port} disagrees with ${describeSource(browserSource)} ` +
+              `(port ${browserPort}); server and browser would use different ${service} emulators`,
+            resolution: `Make ${hostOverride.variable} use port ${browserPort}, or unset it`,
+          });
+        }
+      }
+
+      return { host, port };
+    };
+
+    const auth = resolveEndpoint('auth');
+    const firestore = resolveEndpoint('firestore');
+    const functions = resolveEndpoint('functions');
+    const storage = resolveEndpoint('storage');
+    const hosting = resolveEndpoint('hosting');
 
     return {
-      auth: { host, port: 9099, url: `http://${host}:9099` },
-      firestore: { host, port: 8080 },
-      functions: { host, port: 5001, baseUrl: `http://${host}:5001/${projectId}/us-central1` },
-      storage: { host, port: 9199 },
-      hosting: { host, port: 5000 },
+      auth: { ...auth, url: `http://${auth.host}:${auth.port}` },
+      firestore,
+      functions: { ...functions, baseUrl: `http://${functions.host}:${functions.port}/${projectId}/us-central1` },
+      storage,
+      hosting,
     };
   }
 
   /**
-   * Get API base URL from environment or emulator config
+   * Emulator hosts from the variables the Firebase SDKs read (server-side only)
    */
-  private getApiBaseUrl(): string {
-    // Explicit environment variable takes priority
-    if (process.env.NEXT_PUBLIC_API_URL) {
-      return process.env.NEXT_PUBLIC_API_URL;
+  private getEmulatorHostOverrides(): Partial<Record<EmulatorService, { variable: string; host: string; port: number }>> {
+    const variables: Array<[EmulatorService, string, string | undefined]> = [
+      ['auth', 'FIREBASE_AUTH_EMULATOR_HOST', process.env.FIREBASE_AUTH_EMULATOR_HOST],
+      ['firestore', 'FIRESTORE_EMULATOR_HOST', process.env.FIRESTORE_EMULATOR_HOST],
+      ['storage', 'FIREBASE_STORAGE_EMULATOR_HOST', process.env.FIREBASE_STORAGE_EMULATOR_HOST],
+    ];
+
+    const overrides: Partial<Record<EmulatorService, { variable: string; host: string; port: number }>> = {};
+    for (const [service, variable, value] of variables) {
+      const parsed = this.readHostPortVariable(variable, value);
+      if (parsed) {
+        overrides[service] = { variable, ...parsed };
+      }
     }
+    return overrides;
+  }
 
-    // Use emulator config if available
-    if (this.config.firebase.emulators) {
-      return this.config.firebase.emulators.functions.baseUrl;
+  /**
+   * Parse a host:port variable, recording an error when it is malformed
+   */
+  private readHostPortVariable(variable: string, value: string | undefined): { host: string; port: number } | null {
+    if (!value) return null;
+    const parsed = parseHostPort(value);
+    if (!parsed) {
+      this.loadErrors.push({
+        path: 'firebase.emulators',
+        message: `${variable} must be host:port (got "${value}")`,
+        resolution: `Set ${variable} like localhost:8081, or unset it`,
+      });
     }
+    return parsed;
+  }
+
+  /**
+   * Emulator port overrides from the environment
+   *
+   * Set by `npm run e2e:start -- --instance <name>` so the app targets an
+   * isolated emulator stack. They are NEXT_PUBLIC_ so the browser sees them too
+   * (Next.js only inlines literal process.env.NEXT_PUBLIC_* references).
+   */
+  private getEmulatorPortOverrides(): Partial<Record<keyof EmulatorConfig, number>> {
+    const overrides: Partial<Record<keyof EmulatorConfig, string | undefined>> = {
+      auth: process.env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_PORT,
+      firestore: process.env.NEXT_PUBLIC_FIREBASE_FIRESTORE_EMULATOR_PORT,
+      functions: process.env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_EMULATOR_PORT,
+      storage: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_EMULATOR_PORT,
+      hosting: process.env.NEXT_PUBLIC_FIREBASE_HOSTING_EMULATOR_PORT,
+    };
 
-    // Production URL (if set)
-    if (process.env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL) {
-      return process.env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL;
+    const ports: Partial<Record<keyof EmulatorConfig, number>> = {};
+    for (const [service, value] of Object.entries(overrides)) {
+      const port = Number(value);
+      if (value && Number.isInteger(port) && port > 0) {
+        ports[service as keyof EmulatorConfig] = port;
+      }
     }
+    return ports;
+  }
 
-    throw new ConfigurationError(
-      'API base URL not configured',
-      'No NEXT_PUBLIC_API_URL or Firebase Functions URL found',
-      'Set NEXT_PUBLIC_API_URL in .env.local or ensure Firebase emulators are configured'
-    );
+  /**
+   * Probe one emulator endpoint with a timeout
+   */
+  private async probeEmulator(
+    service: EmulatorService,
+    endpoint: { host: string; port: number },
+    timeout: number
+  ): Promise<EmulatorStatus> {
+    const { host, port } = endpoint;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const startTime = Date.now();
+
+    try {
+      // Browsers block reading cross-origin responses; reachability is all we need
+      await fetch(`http://${host}:${port}/`, {
+        signal: controller.signal,
+        ...(isNode ? {} : { mode: 'no-cors' as RequestMode }),
+      });
+      return { service, host, port, reachable: true, responseTime: Date.now() - startTime };
+    } catch (error) {
+      // Node's fetch reports "fetch failed" with the socket error as the cause
+      const cause = (error as { cause?: { code?: string } }).cause;
+      const message = controller.signal.aborted
+        ? `no response within ${timeout}ms`
+        : cause?.code || (error instanceof Error ? error.message : String(error));
+      return { service, host, port, reachable: false, error: message };
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Log configuration for debugging
+   * Get API base URL from environment, profile or emulator config
+   *
+   * Empty when nothing is configured; validate() reports that.
+   */
+  private getApiBaseUrl(): string {
+    const environment = this.config.environment;
+
+    // Explicit API URL takes priority, then the emulator, then deployed Functions
+    return this.resolveValue('api.baseUrl', [
+      [process.env.NEXT_PUBLIC_API_URL, fromEnv('NEXT_PUBLIC_API_URL')],
+      [this.profile.apiUrl, { layer: 'profile', key: `${environment}.apiUrl` }],
+      [this.config.firebase.emulators?.functions.baseUrl, { layer: 'derived', key: 'firebase.emulators.functions' }],
+      [process.env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL, fromEnv('NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL')],
+      [this.profile.functionsUrl, { layer: 'profile', key: `${environment}.functionsUrl` }],
+    ]) || '';
+  }
+
+  /**
+   * Take the first candidate that has a value, recording its source
+   */
+  private resolveValue<T extends string | number>(
+    path: string,
+    candidates: Array<[T | undefined, ConfigSource]>
+  ): T | undefined {
+    for (const [value, source] of candidates) {
+      if (value !== undefined && value !== '') {
+        this.sources.set(path, source);
+        return value;
+      }
+    }
+    this.sources.set(path, { layer: 'unset' });
+    return undefined;
+  }
+
+  /**
+   * One-line source description for a config path
+   */
+  private sourceOf(path: string): string {
+    const source = this.sources.get(path);
+    return source ? describeSource(source) : 'unknown';
+  }
+
+  /**
+   * Log the configuration summary (one entry, info level)
    */
   private logConfiguration(): void {
-    console.log('[ConfigService] Configuration Summary:');
-    console.log(`  Environment: ${this.config.environment}`);
-    console.log(`  Project ID: ${this.config.firebase.projectId}`);
-    console.log(`  Emulator Mode: ${this.isEmulatorMode()}`);
-    console.log(`  API Base URL: ${this.config.api.baseUrl}`);
-
-    if (this.isEmulatorMode() && this.config.firebase.emulators) {
-      console.log('  Emulator Endpoints:');
-      console.log(`    Auth: ${this.config.firebase.emulators.auth.url}`);
-      console.log(`    Firestore: http://${this.config.firebase.emulators.firestore.host}:${this.config.firebase.emulators.firestore.port}`);
-      console.log(`    Functions: ${this.config.firebase.emulators.functions.baseUrl}`);
+    const lines = [
+      'Configuration Summary:',
+      `  Environment: ${this.config.environment} [${this.sourceOf('environment')}]`,
+      `  Project ID: ${this.config.firebase.projectId} [${this.sourceOf('firebase.projectId')}]`,
+      `  Emulator Mode: ${this.isEmulatorMode()}`,
+      `  API Base URL: ${this.config.api.baseUrl} [${this.sourceOf('api.baseUrl')}]`,
+      `  Feature Flags: ${Object.entries(this.flags.getAll()).map(([flag, enabled]) => `${flag}=${enabled ? 'on' : 'off'}`).join(', ')}`,
+      // Provider names only; secret values are never logged
+      `  Secret Providers: ${this.config.secrets.providers.join(', ')} [${this.sourceOf('secrets.providers')}]`,
+    ];
+
+    const emulators = this.config.firebase.emulators;
+    if (emulators) {
+      lines.push(
+        '  Emulator Endpoints:',
+        `    Auth: ${emulators.auth.url} [${this.sourceOf('firebase.emulators.auth.port')}]`,
+        `    Firestore: http://${emulators.firestore.host}:${emulators.firestore.port} [${this.sourceOf('firebase.emulators.firestore.port')}]`,
+        `    Functions: ${emulators.functions.baseUrl} [${this.sourceOf('firebase.emulators.functions.port')}]`
+      );
     }
+
+    this.logger.info(lines.join('\n'));
   }
 }
 
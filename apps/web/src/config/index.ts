@@ -12,11 +12,43 @@
  */
 
 export { ConfigService, getConfig } from './firebase-config';
+export type { ConfigServiceOptions, EmulatorCheckOptions } from './firebase-config';
+export { validateConfig, validateFirebaseConfig, getConfigSchema, toValidationResult } from './validation';
+export { s, Schema, StringSchema, NumberSchema, BooleanSchema, ObjectSchema, ArraySchema, AbsentSchema } from './schema';
+export {
+  FeatureFlags,
+  FLAG_DEFINITIONS,
+  FLAG_NAMES,
+  FLAGS_COLLECTION,
+  FLAGS_DOCUMENT,
+  evaluateRule,
+  parseRemoteRules,
+  rolloutBucket,
+} from './feature-flags';
+export type { FlagContext, FlagDefinition, FlagName } from './feature-flags';
+export { PROFILES, getProfile } from './profiles';
+export type { ConfigProfile } from './profiles';
+export { REDACTED_PATHS, isRedactedPath, redactValue, describeSource } from './provenance';
+export { ENV_SCHEMA, ENVIRONMENTS, getEnvVar, checkEnv } from './env-schema';
+export type { EnvVarDefinition, EnvIssue, EnvVisibility } from './env-schema';
 export type {
   AppConfig,
+  ConfigLayer,
+  ConfigProvenance,
+  ConfigSource,
   FirebaseConfig,
   EmulatorConfig,
   EmulatorEndpoint,
+  EmulatorService,
+  EmulatorStatus,
+  EmulatorReadiness,
+  FeatureSettings,
+  FlagRule,
+  SecretProviderName,
+  SecretResolver,
+  SecretSettings,
+  ValidationIssue,
   ValidationResult,
 } from './types';
-export { ConfigurationError, EmulatorNotRunningError } from './types';
+export { ConfigurationError, EmulatorNotRunningError, SecretNotFoundError } from './types';
+// Secrets are server-only: import getSecret from '@/config/server', never re-export it here
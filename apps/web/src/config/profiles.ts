@@ -0,0 +1,93 @@
+/**
+ * Environment Profiles
+ *
+ * Per-environment configuration committed with the code: which Firebase
+ * project each environment uses, where its API lives, whether it talks to
+ * the emulators, feature settings and flags, and where server secrets come
+ * from.
+ *
+ * Firebase web config values are not secrets (they ship to every browser),
+ * so they can live here. Environment variables still win over profile
+ * values, e.g. for a one-off deploy to another project.
+ *
+ * Print the merged result for any environment with
+ * `npm run config:print -- --env staging`.
+ *
+ * @module config/profiles
+ */
+
+import { AppConfig, FeatureSettings, FirebaseConfig, FlagRule, SecretSettings } from './types';
+import type { FlagName } from './feature-flags';
+
+/**
+ * Configuration profile for one environment
+ */
+export interface ConfigProfile {
+  /** Connect to the Firebase emulators instead of a deployed project */
+  useEmulators: boolean;
+  /** Firebase web app config (NEXT_PUBLIC_FIREBASE_* variables override) */
+  firebase: Partial<Omit<FirebaseConfig, 'emulators'>>;
+  /** API base URL (NEXT_PUBLIC_API_URL overrides) */
+  apiUrl?: string;
+  /** Deployed Cloud Functions base URL (NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL overrides) */
+  functionsUrl?: string;
+  features: FeatureSettings;
+  /** Feature flag overrides of the code defaults (the Firestore flag document overrides these) */
+  flags?: Partial<Record<FlagName, boolean | FlagRule>>;
+  /** Secret providers (SECRET_PROVIDERS overrides) */
+  secrets: SecretSettings;
+}
+
+export const PROFILES: Record<AppConfig['environment'], ConfigProfile> = {
+  development: {
+    useEmulators: true,
+    // IMPORTANT: Replace 'demo-project' with your actual Firebase project ID
+    // Or set NEXT_PUBLIC_FIREBASE_PROJECT_ID in your .env.local file
+    firebase: {
+      projectId: 'demo-project',
+    },
+    features: {
+      logConfiguration: true,
+    },
+    flags: {
+      newDashboard: true,
+    },
+    // secret-manager reads secrets.emulator.json here (emulator mode)
+    secrets: {
+      providers: ['env', 'file', 'secret-manager'],
+    },
+  },
+
+  staging: {
+    useEmulators: false,
+    // Fill in from the staging project's firebaseConfig, or set the
+    // NEXT_PUBLIC_FIREBASE_* variables in CI / apps/web/.env.staging
+    firebase: {},
+    features: {
+      logConfiguration: true,
+    },
+    secrets: {
+      providers: ['secret-manager', 'env'],
+    },
+  },
+
+  production: {
+    useEmulators: false,
+    // Fill in from the production project's firebaseConfig, or set the
+    // NEXT_PUBLIC_FIREBASE_* variables in CI / apps/web/.env.production
+    firebase: {},
+    features: {
+      logConfiguration: false,
+    },
+    secrets: {
+      providers: ['secret-manager', 'env'],
+    },
+  },
+};
+
+/**
+ * Get the profile for an environment
+ */
+export function getProfile(environment: AppConfig['environment']): ConfigProfile {
+  return PROFILES[environment];
+}
@@ -0,0 +1,32 @@
+import { describeSource, isRedactedPath, redactValue } from './provenance';
+
+describe('redactValue', () => {
+  it('keeps the last four characters of long values', () => {
+    expect(redactValue('AIzaSyExample1234')).toBe('****1234');
+  });
+
+  it('hides short values completely', () => {
+    expect(redactValue('abc')).toBe('****');
+  });
+
+  it('leaves unset values unset', () => {
+    expect(redactValue(undefined)).toBeUndefined();
+    expect(redactValue('')).toBeUndefined();
+  });
+});
+
+describe('isRedactedPath', () => {
+  it('redacts the API key only', () => {
+    expect(isRedactedPath('firebase.apiKey')).toBe(true);
+    expect(isRedactedPath('firebase.projectId')).toBe(false);
+  });
+});
+
+describe('describeSource', () => {
+  it('lists the layer, key, file and note', () => {
+    expect(describeSource({ layer: 'env', key: 'NEXT_PUBLIC_API_URL' })).toBe('env NEXT_PUBLIC_API_URL');
+    expect(describeSource({ layer: 'firebase.json', key: 'emulators.auth.port', file: '/repo/firebase.json' }))
+      .toBe('firebase.json emulators.auth.port (/repo/firebase.json)');
+    expect(describeSource({ layer: 'default', note: 'firebase.json not found' })).toBe('default - firebase.json not found');
+  });
+});
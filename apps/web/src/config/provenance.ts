@@ -0,0 +1,46 @@
+/**
+ * Configuration Provenance Helpers
+ *
+ * Formatting and redaction for the source records ConfigService keeps for
+ * every resolved value (see `ConfigService.getProvenance()`), shared with
+ * `npm run config:print -- --provenance`.
+ *
+ * @module config/provenance
+ */
+
+import { ConfigSource } from './types';
+
+/**
+ * Config paths whose values are never printed in full
+ *
+ * The web API key is not a secret in the Firebase sense (it ships to the
+ * browser), but it does not belong in CI logs or pasted bug reports either.
+ */
+export const REDACTED_PATHS: readonly string[] = ['firebase.apiKey'];
+
+/**
+ * Check whether a config path holds a value that must be redacted
+ */
+export function isRedactedPath(path: string): boolean {
+  return REDACTED_PATHS.includes(path);
+}
+
+/**
+ * Redact a value, keeping the last four characters for recognition
+ */
+export function redactValue(value: string | number | boolean | undefined): string | undefined {
+  if (value === undefined || value === '') return undefined;
+  const text = String(value);
+  return text.length > 8 ? `****${text.slice(-4)}` : '****';
+}
+
+/**
+ * Describe a source in one line, e.g. "env NEXT_PUBLIC_API_URL"
+ */
+export function describeSource(source: ConfigSource): string {
+  const parts: string[] = [source.layer];
+  if (source.key) parts.push(source.key);
+  if (source.file) parts.push(`(${source.file})`);
+  if (source.note) parts.push(`- ${source.note}`);
+  return parts.join(' ');
+}
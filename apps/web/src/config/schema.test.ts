@@ -0,0 +1,72 @@
+import { s } from './schema';
+
+describe('config schema', () => {
+  it('reports missing values unless optional', () => {
+    expect(s.string().validate(undefined, 'api.baseUrl')).toEqual([{ path: 'api.baseUrl', message: 'is required', resolution: undefined }]);
+    expect(s.string().validate('', 'api.baseUrl')).toHaveLength(1);
+    expect(s.string().optional().validate('', 'api.baseUrl')).toEqual([]);
+  });
+
+  it('checks the type before any rule', () => {
+    expect(s.number().port().validate('9099', 'port')).toEqual([
+      { path: 'port', message: 'must be a number (got string)', resolution: undefined },
+    ]);
+  });
+
+  it('reports every failed rule', () => {
+    expect(s.number().port().validate(70000.5, 'port').map(issue => issue.message)).toEqual([
+      'must be an integer (got 70000.5)',
+      'must be between 1 and 65535 (got 70000.5)',
+    ]);
+  });
+
+  it('validates URLs and allowed values', () => {
+    expect(s.string().url().validate('api.example.com', 'url')[0].message).toBe('must be an absolute URL (got "api.example.com")');
+    expect(s.string().oneOf(['env', 'file']).validate('vault', 'provider')[0].message).toBe('must be one of env, file (got "vault")');
+  });
+
+  it('attaches the field resolution unless a rule has its own', () => {
+    const schema = s.string()
+      .regex(/^demo-/, 'must be a demo project', 'Use a demo- project ID')
+      .refine(value => value.length < 10, 'is too long')
+      .resolution('Set NEXT_PUBLIC_FIREBASE_PROJECT_ID');
+
+    expect(schema.validate('my-long-project', 'firebase.projectId')).toEqual([
+      { path: 'firebase.projectId', message: 'must be a demo project', resolution: 'Use a demo- project ID' },
+      { path: 'firebase.projectId', message: 'is too long', resolution: 'Set NEXT_PUBLIC_FIREBASE_PROJECT_ID' },
+    ]);
+  });
+
+  it('validates nested objects and lists with dotted paths', () => {
+    const schema = s.object({
+      api: s.object({ baseUrl: s.string().url() }),
+      providers: s.array(s.string().oneOf(['env'])).nonEmpty(),
+    });
+
+    expect(schema.validate({ api: { baseUrl: 'nope' }, providers: ['env', 'vault'] }).map(issue => issue.path)).toEqual([
+      'api.baseUrl',
+      'providers[1]',
+    ]);
+    expect(schema.validate({ api: {}, providers: [] }).map(issue => `${issue.path}: ${issue.message}`)).toEqual([
+      'api.baseUrl: is required',
+      'providers: must not be empty',
+    ]);
+  });
+
+  it('skips cross-field rules for fields that are already invalid', () => {
+    const schema = s.object<{ min: number; max: number }>({ min: s.number(), max: s.number() })
+      .refineField('max', value => value.max >= value.min, 'must not be below min', 'Swap min and max');
+
+    expect(schema.validate({ min: 5, max: 1 }, 'range')).toEqual([
+      { path: 'range.max', message: 'must not be below min', resolution: 'Swap min and max' },
+    ]);
+    expect(schema.validate({ min: 5, max: 'one' }, 'range').map(issue => issue.message)).toEqual(['must be a number (got string)']);
+  });
+
+  it('rejects values that must be absent', () => {
+    const schema = s.absent('must not be used in production');
+
+    expect(schema.validate(undefined, 'firebase.emulators')).toEqual([]);
+    expect(schema.validate({}, 'firebase.emulators')[0].message).toBe('must not be used in production');
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Declarative Configuration Schema
+ *
+ * A small zod-style schema builder for validating AppConfig, without pulling
+ * a validation library into the browser bundle. Schemas describe types,
+ * formats and cross-field rules; `validate()` returns structured issues
+ * (path, message, resolution) instead of throwing.
+ *
+ * @example
+ * ```typescript
+ * const apiSchema = s.object({
+ *   baseUrl: s.string().url().resolution('Set NEXT_PUBLIC_API_URL'),
+ * });
+ * apiSchema.validate({ baseUrl: 'nope' }, 'api');
+ * // [{ path: 'api.baseUrl', message: 'must be an absolute URL (got "nope")', resolution: 'Set NEXT_PUBLIC_API_URL' }]
+ * ```
+ *
+ * @module config/schema
+ */
+
+import { ValidationIssue } from './types';
+
+type Message<T> = string | ((value: T) => string);
+
+interface Rule<T> {
+  test: (value: T) => boolean;
+  message: Message<T>;
+  resolution?: string;
+}
+
+const joinPath = (path: string, key: string): string => (path ? `${path}.${key}` : key);
+
+/**
+ * Base schema: presence, type check and chained rules
+ */
+export abstract class Schema<T> {
+  protected rules: Rule<T>[] = [];
+  private isOptional = false;
+  private fieldResolution?: string;
+
+  /**
+   * Allow undefined (and empty strings)
+   */
+  optional(): this {
+    this.isOptional = true;
+    return this;
+  }
+
+  /**
+   * Resolution attached to every issue of this field
+   */
+  resolution(text: string): this {
+    this.fieldResolution = text;
+    return this;
+  }
+
+  /**
+   * Add a custom rule
+   */
+  refine(test: (value: T) => boolean, message: Message<T>, resolution?: string): this {
+    this.rules.push({ test, message, resolution });
+    return this;
+  }
+
+  /**
+   * Validate a value, returning every issue found
+   */
+  validate(value: unknown, path = ''): ValidationIssue[] {
+    const issue = (message: string, resolution?: string): ValidationIssue => ({
+      path,
+      message,
+      resolution: resolution || this.fieldResolution,
+    });
+
+    if (value === undefined || value === null || value === '') {
+      return this.isOptional ? [] : [issue('is required')];
+    }
+
+    const typeError = this.checkType(value);
+    if (typeError) {
+      return [issue(typeError)];
+    }
+
+    const typed = value as T;
+    const issues: ValidationIssue[] = [];
+    for (const rule of this.rules) {
+      if (!rule.test(typed)) {
+        issues.push(issue(typeof rule.message === 'function' ? rule.message(typed) : rule.message, rule.resolution));
+      }
+    }
+    return [...issues, ...this.validateChildren(typed, path)];
+  }
+
+  /**
+   * Return an error message when the value has the wrong type
+   */
+  protected abstract checkType(value: unknown): string | null;
+
+  protected validateChildren(_value: T, _path: string): ValidationIssue[] {
+    return [];
+  }
+}
+
+export class StringSchema extends Schema<string> {
+  protected checkType(value: unknown): string | null {
+    return typeof value === 'string' ? null : `must be a string (got ${typeof value})`;
+  }
+
+  regex(pattern: RegExp, message: Message<string>, resolution?: string): this {
+    return this.refine(value => pattern.test(value), message, resolution);
+  }
+
+  url(): this {
+    return this.refine((value) => {
+      try {
+        new URL(value);
+        return true;
+      } catch {
+        return false;
+      }
+    }, value => `must be an absolute URL (got "${value}")`);
+  }
+
+  oneOf(values: readonly string[]): this {
+    return this.refine(value => values.includes(value), value => `must be one of ${values.join(', ')} (got "${value}")`);
+  }
+}
+
+export class NumberSchema extends Schema<number> {
+  protected checkType(value: unknown): string | null {
+    return typeof value === 'number' && !Number.isNaN(value) ? null : `must be a number (got ${typeof value})`;
+  }
+
+  int(): this {
+    return this.refine(value => Number.isInteger(value), value => `must be an integer (got ${value})`);
+  }
+
+  range(min: number, max: number): this {
+    return this.refine(value => value >= min && value <= max, value => `must be between ${min} and ${max} (got ${value})`);
+  }
+
+  port(): this {
+    return this.int().range(1, 65535);
+  }
+}
+
+export class BooleanSchema extends Schema<boolean> {
+  protected checkType(value: unknown): string | null {
+    return typeof value === 'boolean' ? null : `must be true or false (got ${typeof value})`;
+  }
+}
+
+type Shape = Record<string, Pick<Schema<unknown>, 'validate'>>;
+
+export class ObjectSchema<T extends object = Record<string, unknown>> extends Schema<T> {
+  private crossFieldRules: Array<{ path: string; test: (value: T) => boolean; message: Message<T>; resolution?: string }> = [];
+
+  constructor(private shape: Shape) {
+    super();
+  }
+
+  protected checkType(value: unknown): string | null {
+    return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+  }
+
+  /**
+   * Add a rule spanning several fields, reported at `path` (relative to this object)
+   */
+  refineField(path: string, test: (value: T) => boolean, message: Message<T>, resolution?: string): this {
+    this.crossFieldRules.push({ path, test, message, resolution });
+    return this;
+  }
+
+  protected validateChildren(value: T, path: string): ValidationIssue[] {
+    const record = value as Record<string, unknown>;
+    const issues = Object.entries(this.shape).flatMap(([key, schema]) => schema.validate(record[key], joinPath(path, key)));
+
+    // A field that is already invalid gets no extra cross-field noise
+    for (const rule of this.crossFieldRules) {
+      const fieldPath = joinPath(path, rule.path);
+      if (!issues.some(issue => issue.path === fieldPath) && !rule.test(value)) {
+        issues.push({
+          path: fieldPath,
+          message: typeof rule.message === 'function' ? rule.message(value) : rule.message,
+          resolution: rule.resolution,
+        });
+      }
+    }
+    return issues;
+  }
+}
+
+export class ArraySchema<T> extends Schema<T[]> {
+  constructor(private item: Pick<Schema<T>, 'validate'>) {
+    super();
+  }
+
+  protected checkType(value: unknown): string | null {
+    return Array.isArray(value) ? null : 'must be a list';
+  }
+
+  nonEmpty(): this {
+    return this.refine(value => value.length > 0, 'must not be empty');
+  }
+
+  protected validateChildren(value: T[], path: string): ValidationIssue[] {
+    return value.flatMap((item, index) => this.item.validate(item, `${path}[${index}]`));
+  }
+}
+
+/**
+ * Field that must not be set (e.g. emulators outside development)
+ */
+export class AbsentSchema extends Schema<never> {
+  constructor(private message: string) {
+    super();
+    this.optional();
+  }
+
+  protected checkType(): string | null {
+    return this.message;
+  }
+}
+
+/**
+ * Schema builders, in the spirit of zod's `z`
+ */
+export const s = {
+  string: () => new StringSchema(),
+  number: () => new NumberSchema(),
+  boolean: () => new BooleanSchema(),
+  object: <T extends object = Record<string, unknown>>(shape: Shape) => new ObjectSchema<T>(shape),
+  array: <T>(item: Pick<Schema<T>, 'validate'>) => new ArraySchema<T>(item),
+  absent: (message: string) => new AbsentSchema(message),
+};
@@ -0,0 +1,35 @@
+/**
+ * Environment Variable Secret Provider
+ *
+ * Reads secrets from server-only environment variables (shell, CI, or the
+ * .env files Next.js loads). NEXT_PUBLIC_* variables are inlined into the
+ * browser bundle, so they are never accepted as secrets.
+ *
+ * @module config/secrets/env-provider
+ */
+
+import { ConfigurationError } from '../types';
+import { SecretProvider } from './types';
+
+const PUBLIC_PREFIX = 'NEXT_PUBLIC_';
+
+export class EnvSecretProvider implements SecretProvider {
+  readonly name = 'env' as const;
+
+  constructor(private env: Record<string, string | undefined> = process.env) {}
+
+  async get(name: string): Promise<string | undefined> {
+    if (name.startsWith(PUBLIC_PREFIX)) {
+      throw new ConfigurationError(
+        `Secret ${name} uses the ${PUBLIC_PREFIX} prefix`,
+        `${PUBLIC_PREFIX}* variables are inlined into the browser bundle`,
+        `Resolution:\n1. Rename the variable to ${name.slice(PUBLIC_PREFIX.length)} (npm run env:check lists exposed variables)`
+      );
+    }
+    return this.env[name] || undefined;
+  }
+
+  describe(): string {
+    return 'env';
+  }
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigurationError } from '../types';
+import { FileSecretProvider, decryptSecrets, encryptSecrets, generateSecretsKey } from './file-provider';
+
+describe('encrypted secrets file', () => {
+  const key = generateSecretsKey();
+  const secrets = { STRIPE_KEY: 'sk_test', SENDGRID_KEY: 'SG.abc' };
+
+  it('round-trips the secret map', () => {
+    expect(decryptSecrets(encryptSecrets(secrets, key), key)).toEqual(secrets);
+  });
+
+  it('uses a fresh IV for every encryption', () => {
+    expect(encryptSecrets(secrets, key).iv).not.toBe(encryptSecrets(secrets, key).iv);
+  });
+
+  it('fails loudly for a wrong key or a modified file', () => {
+    const file = encryptSecrets(secrets, key);
+    const tampered = { ...file, data: Buffer.from('{"STRIPE_KEY":"x"}').toString('base64') };
+
+    expect(() => decryptSecrets(file, generateSecretsKey())).toThrow('Could not decrypt the secrets file');
+    expect(() => decryptSecrets(tampered, key)).toThrow('Could not decrypt the secrets file');
+  });
+
+  it('rejects keys of the wrong length', () => {
+    expect(() => encryptSecrets(secrets, Buffer.alloc(16).toString('base64'))).toThrow('SECRETS_KEY is not a valid key');
+  });
+});
+
+describe('FileSecretProvider', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads secrets from the file', async () => {
+    const key = generateSecretsKey();
+    const file = path.join(dir, '.secrets.enc');
+    fs.writeFileSync(file, JSON.stringify(encryptSecrets({ STRIPE_KEY: 'sk_test' }, key)));
+    const provider = new FileSecretProvider({ file, key });
+
+    await expect(provider.get('STRIPE_KEY')).resolves.toBe('sk_test');
+    await expect(provider.get('OTHER')).resolves.toBeUndefined();
+  });
+
+  it('has no secrets when the file does not exist', async () => {
+    await expect(new FileSecretProvider({ file: path.join(dir, 'missing.enc'), key: '' }).get('STRIPE_KEY')).resolves.toBeUndefined();
+  });
+
+  it('requires SECRETS_KEY when the file exists', async () => {
+    const file = path.join(dir, '.secrets.enc');
+    fs.writeFileSync(file, JSON.stringify(encryptSecrets({}, generateSecretsKey())));
+
+    await expect(new FileSecretProvider({ file, key: '' }).get('STRIPE_KEY')).rejects.toThrow(ConfigurationError);
+  });
+});
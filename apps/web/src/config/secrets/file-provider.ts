@@ -0,0 +1,149 @@
+/**
+ * Encrypted File Secret Provider
+ *
+ * Reads secrets from a JSON map encrypted with AES-256-GCM, so a team can
+ * commit apps/web/.secrets.enc and share only the key (SECRETS_KEY, base64
+ * of 32 random bytes) out of band. The GCM tag makes a wrong key or an
+ * edited file fail loudly instead of yielding garbage.
+ *
+ * Create and edit the file with `npm run secrets` (scripts/secrets.js),
+ * which uses the helpers exported here.
+ *
+ * @module config/secrets/file-provider
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ConfigurationError } from '../types';
+import { SecretProvider } from './types';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Relative to the working directory (apps/web when Next.js runs)
+export const DEFAULT_SECRETS_FILE = '.secrets.enc';
+
+/**
+ * On-disk format of the encrypted file
+ */
+export interface EncryptedSecretsFile {
+  version: 1;
+  algorithm: typeof ALGORITHM;
+  /** base64 */
+  iv: string;
+  /** base64 GCM authentication tag */
+  tag: string;
+  /** base64 ciphertext of the JSON secret map */
+  data: string;
+}
+
+/**
+ * Generate a new key, base64 encoded (the SECRETS_KEY value)
+ */
+export function generateSecretsKey(): string {
+  return randomBytes(KEY_BYTES).toString('base64');
+}
+
+/**
+ * Decode SECRETS_KEY
+ */
+function parseKey(key: string): Buffer {
+  const bytes = Buffer.from(key, 'base64');
+  if (bytes.length !== KEY_BYTES) {
+    throw new ConfigurationError(
+      'SECRETS_KEY is not a valid key',
+      `Expected base64 of ${KEY_BYTES} bytes, got ${bytes.length} bytes`,
+      'Resolution:\n1. Copy SECRETS_KEY again from whoever created the secrets file\n2. Or start over with a new key: npm run secrets -- init'
+    );
+  }
+  return bytes;
+}
+
+/**
+ * Encrypt a secret map with a base64 key
+ */
+export function encryptSecrets(secrets: Record<string, string>, key: string): EncryptedSecretsFile {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, parseKey(key), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return {
+    version: 1,
+    algorithm: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt an encrypted file's contents with a base64 key
+ *
+ * @throws {ConfigurationError} when the key is wrong or the file was modified
+ */
+export function decryptSecrets(file: EncryptedSecretsFile, key: string): Record<string, string> {
+  if (file.version !== 1 || file.algorithm !== ALGORITHM) {
+    throw new ConfigurationError(
+      'Unsupported secrets file',
+      `version ${file.version}, algorithm ${file.algorithm}`,
+      'Resolution:\n1. Recreate the file with: npm run secrets -- init'
+    );
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, parseKey(key), Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    if (error instanceof ConfigurationError) throw error;
+    throw new ConfigurationError(
+      'Could not decrypt the secrets file',
+      'SECRETS_KEY does not match the key the file was encrypted with, or the file was modified',
+      'Resolution:\n1. Check SECRETS_KEY in apps/web/.env.local\n2. Restore the file from git if it was edited by hand'
+    );
+  }
+}
+
+/**
+ * Read and decrypt a secrets file; null when the file does not exist
+ */
+export function readSecretsFile(file: string, key: string | undefined): Record<string, string> | null {
+  if (!fs.existsSync(file)) return null;
+
+  if (!key) {
+    throw new ConfigurationError(
+      `SECRETS_KEY is not set, but ${file} exists`,
+      undefined,
+      'Resolution:\n1. Add SECRETS_KEY to apps/web/.env.local (ask whoever created the file)\n' +
+        '2. Or remove "file" from SECRET_PROVIDERS'
+    );
+  }
+
+  return decryptSecrets(JSON.parse(fs.readFileSync(file, 'utf8')), key);
+}
+
+export class FileSecretProvider implements SecretProvider {
+  readonly name = 'file' as const;
+  private file: string;
+  private key: string | undefined;
+  private secrets: Record<string, string> | null | undefined;
+
+  constructor(options: { file?: string; key?: string } = {}) {
+    this.file = path.resolve(process.cwd(), options.file || process.env.SECRETS_FILE || DEFAULT_SECRETS_FILE);
+    this.key = options.key ?? process.env.SECRETS_KEY;
+  }
+
+  async get(name: string): Promise<string | undefined> {
+    // Decrypted once per process
+    if (this.secrets === undefined) {
+      this.secrets = readSecretsFile(this.file, this.key);
+    }
+    return this.secrets?.[name];
+  }
+
+  describe(): string {
+    return `file (${this.file})`;
+  }
+}
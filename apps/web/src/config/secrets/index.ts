@@ -0,0 +1,23 @@
+/**
+ * Secret Providers (server-only)
+ *
+ * Import through `@/config/server`, never from client code: the providers
+ * use Node.js modules and resolve server-only values.
+ *
+ * @module config/secrets
+ */
+
+export { SecretProviderChain, createSecretProvider, createSecretResolver } from './resolver';
+export { EnvSecretProvider } from './env-provider';
+export {
+  FileSecretProvider,
+  DEFAULT_SECRETS_FILE,
+  generateSecretsKey,
+  encryptSecrets,
+  decryptSecrets,
+  readSecretsFile,
+} from './file-provider';
+export type { EncryptedSecretsFile } from './file-provider';
+export { SecretManagerProvider, EMULATOR_SECRETS_FILE } from './secret-manager-provider';
+export type { SecretManagerProviderOptions } from './secret-manager-provider';
+export type { SecretProvider } from './types';
@@ -0,0 +1,81 @@
+import { ConfigurationError, SecretNotFoundError } from '../types';
+import { EnvSecretProvider } from './env-provider';
+import { SecretProviderChain } from './resolver';
+import { SecretProvider } from './types';
+
+/**
+ * Provider backed by a map that counts lookups
+ */
+function mapProvider(values: Record<string, string>, label = 'map'): SecretProvider & { calls: string[] } {
+  const calls: string[] = [];
+  return {
+    name: 'file',
+    calls,
+    async get(name) {
+      calls.push(name);
+      return values[name];
+    },
+    describe: () => label,
+  };
+}
+
+describe('SecretProviderChain', () => {
+  it('returns the first non-empty value in provider order', async () => {
+    const chain = new SecretProviderChain([
+      mapProvider({ STRIPE_KEY: '' }),
+      mapProvider({ STRIPE_KEY: 'from-second' }),
+      mapProvider({ STRIPE_KEY: 'from-third' }),
+    ]);
+
+    await expect(chain.get('STRIPE_KEY')).resolves.toBe('from-second');
+  });
+
+  it('caches resolved values', async () => {
+    const provider = mapProvider({ STRIPE_KEY: 'sk_test' });
+    const chain = new SecretProviderChain([provider]);
+
+    await chain.get('STRIPE_KEY');
+    await chain.get('STRIPE_KEY');
+    expect(provider.calls).toEqual(['STRIPE_KEY']);
+  });
+
+  it('does not cache missing secrets', async () => {
+    const values: Record<string, string> = {};
+    const chain = new SecretProviderChain([mapProvider(values, 'env')]);
+
+    await expect(chain.get('STRIPE_KEY')).rejects.toThrow(SecretNotFoundError);
+    values.STRIPE_KEY = 'sk_test';
+    await expect(chain.get('STRIPE_KEY')).resolves.toBe('sk_test');
+  });
+
+  it('lists the providers it checked', async () => {
+    const chain = new SecretProviderChain([mapProvider({}, 'env'), mapProvider({}, 'file (.secrets.enc)')]);
+
+    await expect(chain.get('STRIPE_KEY')).rejects.toMatchObject({
+      secretName: 'STRIPE_KEY',
+      details: 'Providers checked: env, file (.secrets.enc)',
+    });
+  });
+
+  it('rejects names Secret Manager would not accept', async () => {
+    const provider = mapProvider({});
+
+    await expect(new SecretProviderChain([provider]).get('../STRIPE_KEY')).rejects.toThrow('Invalid secret name "../STRIPE_KEY"');
+    expect(provider.calls).toEqual([]);
+  });
+});
+
+describe('EnvSecretProvider', () => {
+  it('reads server-side variables', async () => {
+    const provider = new EnvSecretProvider({ STRIPE_KEY: 'sk_test', EMPTY: '' });
+
+    await expect(provider.get('STRIPE_KEY')).resolves.toBe('sk_test');
+    await expect(provider.get('EMPTY')).resolves.toBeUndefined();
+  });
+
+  it('refuses variables that are inlined into the browser bundle', async () => {
+    const provider = new EnvSecretProvider({ NEXT_PUBLIC_STRIPE_KEY: 'sk_test' });
+
+    await expect(provider.get('NEXT_PUBLIC_STRIPE_KEY')).rejects.toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Secret Provider Chain
+ *
+ * Asks the configured providers in order and caches what they return for a
+ * few minutes, so rotated Secret Manager values are picked up without a
+ * restart. Values live only in this cache: never in AppConfig, provenance or
+ * logs.
+ *
+ * @module config/secrets/resolver
+ */
+
+import type { ConfigService } from '../firebase-config';
+import { ConfigurationError, SecretNotFoundError, SecretProviderName, SecretResolver } from '../types';
+import { EnvSecretProvider } from './env-provider';
+import { FileSecretProvider } from './file-provider';
+import { SecretManagerProvider } from './secret-manager-provider';
+import { SECRET_NAME_PATTERN, SecretProvider } from './types';
+
+const SECRET_CACHE_MS = 5 * 60 * 1000;
+
+export class SecretProviderChain implements SecretResolver {
+  private cache = new Map<string, { value: Promise<string>; expiresAt: number }>();
+
+  constructor(private providers: SecretProvider[]) {}
+
+  get(name: string): Promise<string> {
+    if (!SECRET_NAME_PATTERN.test(name)) {
+      return Promise.reject(new ConfigurationError(
+        `Invalid secret name "${name}"`,
+        'Secret names may only contain letters, digits, hyphens and underscores'
+      ));
+    }
+
+    const cached = this.cache.get(name);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.value;
+    }
+
+    const value = this.resolve(name);
+    this.cache.set(name, { value, expiresAt: Date.now() + SECRET_CACHE_MS });
+    // Failures are not cached: the secret may be added any moment
+    value.catch(() => this.cache.delete(name));
+    return value;
+  }
+
+  describe(): string[] {
+    return this.providers.map(provider => provider.describe());
+  }
+
+  private async resolve(name: string): Promise<string> {
+    for (const provider of this.providers) {
+      const value = await provider.get(name);
+      if (value !== undefined && value !== '') return value;
+    }
+    throw new SecretNotFoundError(name, this.describe());
+  }
+}
+
+/**
+ * Create one provider for a ConfigService
+ */
+export function createSecretProvider(name: SecretProviderName, config: ConfigService): SecretProvider {
+  switch (name) {
+    case 'env':
+      return new EnvSecretProvider();
+    case 'file':
+      return new FileSecretProvider();
+    case 'secret-manager':
+      return new SecretManagerProvider({
+        projectId: config.getFirebaseConfig().projectId,
+        emulator: config.isEmulatorMode(),
+      });
+  }
+}
+
+/**
+ * Create the resolver for a ConfigService from its secrets.providers setting
+ */
+export function createSecretResolver(config: ConfigService): SecretResolver {
+  return new SecretProviderChain(config.getConfig().secrets.providers.map(name => createSecretProvider(name, config)));
+}
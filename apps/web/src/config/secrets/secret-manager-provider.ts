@@ -0,0 +1,134 @@
+/**
+ * Google Secret Manager Provider
+ *
+ * Deployed, secrets are read from Secret Manager over its REST API with the
+ * runtime service account's token from the metadata server (Cloud Functions,
+ * Cloud Run, App Hosting), so no client library is bundled.
+ *
+ * There is no Secret Manager emulator, so in emulator mode a plain JSON map
+ * stands in for it: secrets.emulator.json, found by searching upward from
+ * the working directory (or at SECRET_MANAGER_EMULATOR_FILE). Only ever put
+ * fake values in it.
+ *
+ * @module config/secrets/secret-manager-provider
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ConfigurationError } from '../types';
+import { SecretProvider } from './types';
+
+export const EMULATOR_SECRETS_FILE = 'secrets.emulator.json';
+
+const METADATA_TOKEN_URL = 'http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token';
+const SECRET_MANAGER_URL = 'https://secretmanager.googleapis.com/v1';
+
+// Refresh the token this long before it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+export interface SecretManagerProviderOptions {
+  projectId: string;
+  /** Use the local JSON stand-in instead of Secret Manager */
+  emulator: boolean;
+  /** Stand-in file (default: SECRET_MANAGER_EMULATOR_FILE, else nearest secrets.emulator.json) */
+  emulatorFile?: string;
+  /** Secret version to access (default: latest) */
+  version?: string;
+}
+
+/**
+ * Nearest file with this name from the working directory upward
+ */
+function findUp(name: string): string | null {
+  let dir = process.cwd();
+  for (;;) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+export class SecretManagerProvider implements SecretProvider {
+  readonly name = 'secret-manager' as const;
+  private standIn: Record<string, string> | null | undefined;
+  private token: { value: string; expiresAt: number } | null = null;
+
+  constructor(private options: SecretManagerProviderOptions) {}
+
+  async get(name: string): Promise<string | undefined> {
+    return this.options.emulator ? this.getFromStandIn(name) : this.access(name);
+  }
+
+  describe(): string {
+    if (!this.options.emulator) {
+      return `secret-manager (projects/${this.options.projectId})`;
+    }
+    return `secret-manager (emulator stand-in: ${this.getStandInFile() || `no ${EMULATOR_SECRETS_FILE}`})`;
+  }
+
+  private getStandInFile(): string | null {
+    const override = this.options.emulatorFile || process.env.SECRET_MANAGER_EMULATOR_FILE;
+    return override ? path.resolve(process.cwd(), override) : findUp(EMULATOR_SECRETS_FILE);
+  }
+
+  private getFromStandIn(name: string): string | undefined {
+    if (this.standIn === undefined) {
+      const file = this.getStandInFile();
+      this.standIn = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+    return this.standIn?.[name];
+  }
+
+  /**
+   * Access a secret version; undefined when the secret does not exist
+   */
+  private async access(name: string): Promise<string | undefined> {
+    const { projectId, version = 'latest' } = this.options;
+    const url = `${SECRET_MANAGER_URL}/projects/${projectId}/secrets/${name}/versions/${version}:access`;
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${await this.getAccessToken()}` } });
+
+    if (response.status === 404) return undefined;
+    if (!response.ok) {
+      throw new ConfigurationError(
+        `Secret Manager returned ${response.status} for secret ${name}`,
+        await response.text(),
+        'Resolution:\n' +
+          '1. Grant the runtime service account roles/secretmanager.secretAccessor\n' +
+          `2. Check that the Secret Manager API is enabled for ${projectId}`
+      );
+    }
+
+    const body = await response.json() as { payload?: { data?: string } };
+    return body.payload?.data ? Buffer.from(body.payload.data, 'base64').toString('utf8') : undefined;
+  }
+
+  /**
+   * Access token of the runtime service account (cached until shortly before expiry)
+   */
+  private async getAccessToken(): Promise<string> {
+    if (this.token && Date.now() < this.token.expiresAt) {
+      return this.token.value;
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(METADATA_TOKEN_URL, { headers: { 'Metadata-Flavor': 'Google' } });
+    } catch {
+      throw new ConfigurationError(
+        'Secret Manager needs Google Cloud runtime credentials',
+        'The metadata server is not reachable; this only works on Cloud Functions, Cloud Run or App Hosting',
+        'Resolution:\n1. Locally, use the env or file providers (SECRET_PROVIDERS=env,file)\n' +
+          '2. Or use the emulator stand-in by running with NEXT_PUBLIC_APP_ENV=development'
+      );
+    }
+    if (!response.ok) {
+      throw new ConfigurationError('Could not get an access token from the metadata server', `HTTP ${response.status}`);
+    }
+
+    const { access_token: value, expires_in: expiresIn } = await response.json() as { access_token: string; expires_in: number };
+    this.token = { value, expiresAt: Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS };
+    return value;
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Secret Provider Interface
+ *
+ * @module config/secrets/types
+ */
+
+import { SecretProviderName } from '../types';
+
+/**
+ * A source of server-side secrets
+ */
+export interface SecretProvider {
+  readonly name: SecretProviderName;
+  /** Value of a secret, or undefined when this provider does not have it */
+  get(name: string): Promise<string | undefined>;
+  /** One-line description for logs; never includes secret values */
+  describe(): string;
+}
+
+// Secret Manager IDs allow letters, digits, hyphens and underscores
+export const SECRET_NAME_PATTERN = /^[A-Za-z0-9_-]{1,255}$/;
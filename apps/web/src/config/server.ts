@@ -0,0 +1,35 @@
+/**
+ * Server-only Configuration
+ *
+ * Entry point for secrets. Importing this module from a Client Component is
+ * a build error (`server-only`), and the secret providers are only reachable
+ * through it, so secret values cannot end up in the browser bundle. Keep
+ * `@/config` (index.ts) free of imports from here.
+ *
+ * @example
+ * ```typescript
+ * // app/api/checkout/route.ts
+ * import { getSecret } from '@/config/server';
+ *
+ * const stripeKey = await getSecret('STRIPE_SECRET_KEY');
+ * ```
+ *
+ * @module config/server
+ */
+
+import 'server-only';
+import { ConfigService, getConfig } from './firebase-config';
+import { createSecretResolver } from './secrets';
+
+ConfigService.useSecretResolver(createSecretResolver);
+
+/**
+ * Resolve a secret through the configured providers
+ *
+ * @throws {SecretNotFoundError} when no provider has it
+ */
+export function getSecret(name: string): Promise<string> {
+  return getConfig().getSecret(name);
+}
+
+export { getConfig };
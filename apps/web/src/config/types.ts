@@ -26,6 +26,32 @@ export interface EmulatorConfig {
   hosting: EmulatorEndpoint;
 }
 
+/**
+ * Emulator service name
+ */
+export type EmulatorService = keyof EmulatorConfig;
+
+/**
+ * Reachability of one emulator endpoint
+ */
+export interface EmulatorStatus {
+  service: EmulatorService;
+  host: string;
+  port: number;
+  reachable: boolean;
+  responseTime?: number;
+  error?: string;
+}
+
+/**
+ * Result of an emulator readiness check
+ */
+export interface EmulatorReadiness {
+  ready: boolean;
+  checkedAt: number;
+  services: EmulatorStatus[];
+}
+
 /**
  * Firebase project configuration
  */
@@ -39,6 +65,52 @@ export interface FirebaseConfig {
   emulators?: EmulatorConfig;
 }
 
+/**
+ * Feature settings that differ per environment (see config/profiles.ts)
+ */
+export interface FeatureSettings {
+  /** Print the configuration summary when ConfigService starts */
+  logConfiguration: boolean;
+}
+
+/**
+ * Rule for one feature flag (see config/feature-flags.ts)
+ */
+export interface FlagRule {
+  enabled: boolean;
+  /** Share of signed-in users (0-100) that get the flag when enabled */
+  rolloutPercentage?: number;
+  /** uids that always get the flag, even when disabled */
+  users?: string[];
+}
+
+/**
+ * Where server-side secrets are read from (see config/secrets)
+ *
+ * - env: server-only environment variables
+ * - file: AES-256-GCM encrypted file (apps/web/.secrets.enc)
+ * - secret-manager: Google Secret Manager; a local JSON stand-in in emulator mode
+ */
+export type SecretProviderName = 'env' | 'file' | 'secret-manager';
+
+/**
+ * Secret settings that differ per environment (see config/profiles.ts)
+ */
+export interface SecretSettings {
+  /** Providers to ask, in order; the first that has a secret wins */
+  providers: SecretProviderName[];
+}
+
+/**
+ * Resolves secrets for ConfigService.getSecret() (registered by config/server.ts)
+ */
+export interface SecretResolver {
+  /** Resolve a secret, throwing SecretNotFoundError when no provider has it */
+  get(name: string): Promise<string>;
+  /** Provider descriptions for logs, e.g. "file (apps/web/.secrets.enc)" */
+  describe(): string[];
+}
+
 /**
  * Complete application configuration
  */
@@ -48,14 +120,69 @@ export interface AppConfig {
   api: {
     baseUrl: string;
   };
+  features: FeatureSettings;
+  secrets: SecretSettings;
+}
+
+/**
+ * Configuration layer a value was resolved from
+ *
+ * - option: passed to ConfigService.createForEnvironment()
+ * - env: process environment (including what Next.js loaded from .env files)
+ * - profile: config/profiles.ts
+ * - firebase.json: emulator settings
+ * - firestore: live value from a Firestore document (feature flags)
+ * - derived: computed from other values (e.g. the Functions emulator URL)
+ * - default: hardcoded fallback
+ * - unset: no layer provided a value
+ */
+export type ConfigLayer = 'option' | 'env' | 'profile' | 'firebase.json' | 'firestore' | 'derived' | 'default' | 'unset';
+
+/**
+ * Where a configuration value came from
+ */
+export interface ConfigSource {
+  layer: ConfigLayer;
+  /** Variable name, profile key or JSON path within the layer */
+  key?: string;
+  /** File the value was read from */
+  file?: string;
+  /** Why a fallback was used, e.g. firebase.json not found */
+  note?: string;
+}
+
+/**
+ * A resolved configuration value with its source
+ */
+export interface ConfigProvenance {
+  /** Dotted path in AppConfig, e.g. firebase.projectId */
+  path: string;
+  /** Resolved value; secrets are redacted */
+  value: string | number | boolean | undefined;
+  source: ConfigSource;
+  redacted: boolean;
+}
+
+/**
+ * One configuration problem
+ */
+export interface ValidationIssue {
+  /** Dotted path in AppConfig, e.g. firebase.authDomain */
+  path: string;
+  message: string;
+  /** How to fix it */
+  resolution?: string;
 }
 
 /**
  * Configuration validation result
+ *
+ * `errors` holds the issues as "path: message" lines.
  */
 export interface ValidationResult {
   valid: boolean;
   errors?: string[];
+  issues: ValidationIssue[];
 }
 
 /**
@@ -74,13 +201,39 @@ export class ConfigurationError extends Error {
 
 /**
  * Error thrown when Firebase emulators are not running
+ *
+ * `services` lists the emulators that did not answer (all of them when
+ * omitted).
  */
 export class EmulatorNotRunningError extends ConfigurationError {
-  constructor() {
+  constructor(public services: EmulatorStatus[] = []) {
+    super(
+      services.length > 0
+        ? `Firebase emulators are not running: ${services.map(status => status.service).join(', ')}`
+        : 'Firebase emulators are not running',
+      services.length > 0
+        ? services.map(status => `${status.service} (${status.host}:${status.port}): ${status.error || 'not reachable'}`).join('\n')
+        : 'Unable to detect running Firebase emulators on configured ports',
+      'Resolution:\n1. Run: npm run dev:all (or npm run e2e:start)\n2. Or: firebase emulators:start\n3. Check firebase.json for emulator ports (npm run doctor)'
+    );
+    this.name = 'EmulatorNotRunningError';
+  }
+}
+
+/**
+ * Error thrown when no secret provider has the requested secret
+ */
+export class SecretNotFoundError extends ConfigurationError {
+  constructor(public secretName: string, providers: string[]) {
     super(
-      'Firebase emulators are not running',
-      'Unable to detect running Firebase emulators on configured ports',
-      'Resolution:\n1. Run: npm run dev:all\n2. Or: firebase emulators:start\n3. Check firebase.json for emulator ports'
+      `Secret ${secretName} not found`,
+      `Providers checked: ${providers.length > 0 ? providers.join(', ') : '(none)'}`,
+      'Resolution:\n' +
+        `1. Development: add ${secretName} to apps/web/.env.local, or run: npm run secrets -- set ${secretName}\n` +
+        `2. Emulators: add ${secretName} to secrets.emulator.json\n` +
+        `3. Deployed: create it in Secret Manager (gcloud secrets create ${secretName} --data-file=-)\n` +
+        '4. Check the provider order: SECRET_PROVIDERS or secrets.providers in config/profiles.ts'
     );
+    this.name = 'SecretNotFoundError';
   }
 }
@@ -0,0 +1,112 @@
+import { AppConfig } from './types';
+import { validateConfig, validateFirebaseConfig } from './validation';
+
+const API_KEY = `AIza${'x'.repeat(35)}`;
+
+const emulators: NonNullable<AppConfig['firebase']['emulators']> = {
+  auth: { host: 'localhost', port: 9099, url: 'http://localhost:9099' },
+  firestore: { host: 'localhost', port: 8081 },
+  functions: { host: 'localhost', port: 5002, baseUrl: 'http://localhost:5002/demo-project/us-central1' },
+  storage: { host: 'localhost', port: 9199 },
+  hosting: { host: 'localhost', port: 5000 },
+};
+
+const development: AppConfig = {
+  environment: 'development',
+  firebase: { projectId: 'demo-project', emulators },
+  api: { baseUrl: 'http://localhost:5002/demo-project/us-central1' },
+  features: { logConfiguration: true },
+  secrets: { providers: ['env', 'file', 'secret-manager'] },
+};
+
+const production: AppConfig = {
+  environment: 'production',
+  firebase: { projectId: 'my-app', apiKey: API_KEY, authDomain: 'my-app.firebaseapp.com' },
+  api: { baseUrl: 'https://us-central1-my-app.cloudfunctions.net' },
+  features: { logConfiguration: false },
+  secrets: { providers: ['secret-manager', 'env'] },
+};
+
+const errorsOf = (config: AppConfig) => validateConfig(config).errors || [];
+
+describe('validateConfig', () => {
+  it('accepts the emulator setup in development', () => {
+    expect(validateConfig(development)).toEqual({ valid: true, errors: undefined, issues: [] });
+  });
+
+  it('accepts a complete production config', () => {
+    expect(errorsOf(production)).toEqual([]);
+  });
+
+  it('rejects emulators outside development', () => {
+    expect(errorsOf({ ...production, firebase: { ...production.firebase, emulators } })).toEqual([
+      'firebase.emulators: must not be used in production',
+    ]);
+  });
+
+  it('requires https for the API in production only', () => {
+    const api = { baseUrl: 'http://api.example.com' };
+
+    expect(errorsOf({ ...production, api })).toEqual(['api.baseUrl: must use https in production (got http://api.example.com)']);
+    expect(errorsOf({ ...production, environment: 'staging', api })).toEqual([]);
+  });
+});
+
+describe('validation issues', () => {
+  it('point at the value and say how to fix it', () => {
+    const { issues } = validateConfig({ ...production, firebase: { ...production.firebase, apiKey: undefined } });
+
+    expect(issues).toEqual([
+      {
+        path: 'firebase.apiKey',
+        message: 'is required',
+        resolution: 'Set NEXT_PUBLIC_FIREBASE_API_KEY (or firebase.apiKey in the production profile, config/profiles.ts)',
+      },
+    ]);
+  });
+
+  it('catch values copied from different projects', () => {
+    const firebase = { ...production.firebase, authDomain: 'other-app.firebaseapp.com', storageBucket: 'my-app.appspot.com' };
+
+    expect(validateConfig({ ...production, firebase }).issues).toEqual([
+      {
+        path: 'firebase.authDomain',
+        message: '"other-app.firebaseapp.com" belongs to project "other-app", not "my-app"',
+        resolution: 'Copy projectId and authDomain from the same firebaseConfig snippet',
+      },
+    ]);
+  });
+
+  it('report unknown secret providers', () => {
+    const secrets = { providers: ['vault'] } as unknown as AppConfig['secrets'];
+
+    expect(errorsOf({ ...production, secrets })).toEqual(['secrets.providers[0]: must be one of env, file, secret-manager (got "vault")']);
+  });
+});
+
+describe('validateFirebaseConfig', () => {
+  it('accepts demo projects without credentials in development', () => {
+    expect(validateFirebaseConfig('development', { projectId: 'demo-project' })).toEqual([]);
+  });
+
+  it('requires real credentials in staging and production', () => {
+    expect(validateFirebaseConfig('staging', { projectId: 'demo-project' })).toEqual([
+      'firebase.projectId: "demo-project" is an emulator-only demo project, not allowed in staging',
+      'firebase.apiKey: is required',
+      'firebase.authDomain: is required',
+    ]);
+  });
+
+  it('checks the shape of each value', () => {
+    expect(validateFirebaseConfig('production', {
+      projectId: 'My_App',
+      apiKey: 'not-a-key',
+      authDomain: 'auth.example.com',
+      messagingSenderId: 'abc',
+    })).toEqual([
+      'firebase.projectId: "My_App" is not a valid Firebase project ID (6-30 lowercase letters, digits and hyphens)',
+      'firebase.apiKey: does not look like a Firebase web API key (AIza... , 39 characters)',
+      'firebase.messagingSenderId: must be numeric (got "abc")',
+    ]);
+  });
+});
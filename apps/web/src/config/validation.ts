@@ -0,0 +1,225 @@
+/**
+ * Configuration Validation Rules
+ *
+ * The rules behind `ConfigService.validate()`, declared as one schema per
+ * environment (see config/schema.ts). They are kept free of Node.js and
+ * browser dependencies so tooling (scripts/setup.js, config:print) checks
+ * values with exactly the rules the app enforces at runtime.
+ *
+ * @module config/validation
+ */
+
+import { AppConfig, FirebaseConfig, SecretProviderName, ValidationIssue, ValidationResult } from './types';
+import { ObjectSchema, s } from './schema';
+
+type Environment = AppConfig['environment'];
+
+/**
+ * What an environment demands of its configuration
+ */
+interface EnvironmentRules {
+  /** apiKey and authDomain must be set (and well-formed) */
+  requireCredentials: boolean;
+  /** demo-* project IDs (emulator-only projects) are accepted */
+  allowDemoProject: boolean;
+  /** Emulators must be configured (true) or must not be (false) */
+  emulators: boolean;
+  /** The API base URL must use https */
+  requireHttps: boolean;
+}
+
+const ENVIRONMENT_RULES: Record<Environment, EnvironmentRules> = {
+  development: { requireCredentials: false, allowDemoProject: true, emulators: true, requireHttps: false },
+  staging: { requireCredentials: true, allowDemoProject: false, emulators: false, requireHttps: false },
+  production: { requireCredentials: true, allowDemoProject: false, emulators: false, requireHttps: true },
+};
+
+// 6-30 lowercase letters, digits and hyphens, as the Firebase console enforces
+const PROJECT_ID_PATTERN = /^[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+// Emulator-only projects; any length (E2E instances use demo-e2e-<name>)
+const DEMO_PROJECT_PATTERN = /^demo-[a-z0-9-]+$/;
+const API_KEY_PATTERN = /^AIza[0-9A-Za-z_-]{35}$/;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+const APP_ID_PATTERN = /^1:\d+:web:[0-9a-f]+$/;
+const SENDER_ID_PATTERN = /^\d+$/;
+
+const SECRET_PROVIDERS: readonly SecretProviderName[] = ['env', 'file', 'secret-manager'];
+
+// Hosted domains whose first label must be the project ID
+const AUTH_DOMAIN_SUFFIXES = ['.firebaseapp.com', '.web.app'];
+const BUCKET_SUFFIXES = ['.appspot.com', '.firebasestorage.app'];
+
+const FIREBASE_ENV_VARS: Record<keyof Omit<FirebaseConfig, 'emulators'>, string> = {
+  projectId: 'NEXT_PUBLIC_FIREBASE_PROJECT_ID',
+  apiKey: 'NEXT_PUBLIC_FIREBASE_API_KEY',
+  authDomain: 'NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN',
+  storageBucket: 'NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET',
+  messagingSenderId: 'NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID',
+  appId: 'NEXT_PUBLIC_FIREBASE_APP_ID',
+};
+
+/**
+ * First label of a Firebase-hosted domain, or null for custom domains
+ */
+function hostedProjectId(domain: string | undefined, suffixes: string[]): string | null {
+  const suffix = domain && suffixes.find(candidate => domain.endsWith(candidate));
+  return suffix ? domain.slice(0, -suffix.length) : null;
+}
+
+/**
+ * Schema for the Firebase settings of an environment
+ *
+ * Without `withEmulators` it covers only the web app values a developer
+ * provides, which is what scripts/setup.js checks before writing .env.local.
+ */
+function firebaseSchema(environment: Environment, withEmulators: boolean): ObjectSchema<FirebaseConfig> {
+  const rules = ENVIRONMENT_RULES[environment];
+  const setValue = (field: keyof typeof FIREBASE_ENV_VARS) =>
+    `Set ${FIREBASE_ENV_VARS[field]}${environment === 'development' ? ' in apps/web/.env.local' : ''} ` +
+    `(or firebase.${field} in the ${environment} profile, config/profiles.ts)`;
+
+  const projectId = s.string()
+    .refine(
+      value => PROJECT_ID_PATTERN.test(value) || DEMO_PROJECT_PATTERN.test(value),
+      value => `"${value}" is not a valid Firebase project ID (6-30 lowercase letters, digits and hyphens)`
+    )
+    .resolution(setValue('projectId'));
+  if (!rules.allowDemoProject) {
+    projectId.refine(
+      value => !value.startsWith('demo-'),
+      value => `"${value}" is an emulator-only demo project, not allowed in ${environment}`
+    );
+  }
+
+  // The emulators accept any API key, so only deployed environments check its shape
+  const apiKey = rules.requireCredentials
+    ? s.string().regex(API_KEY_PATTERN, 'does not look like a Firebase web API key (AIza... , 39 characters)')
+    : s.string().optional();
+
+  const authDomain = s.string().regex(HOSTNAME_PATTERN, value => `must be a host name (got "${value}")`);
+
+  const emulators = rules.emulators
+    ? emulatorsSchema()
+    : s.absent(`must not be used in ${environment}`).resolution(`Set useEmulators: false in the ${environment} profile (config/profiles.ts)`);
+
+  return s.object<FirebaseConfig>({
+    ...(withEmulators ? { emulators } : {}),
+    projectId,
+    apiKey: apiKey.resolution(setValue('apiKey')),
+    authDomain: (rules.requireCredentials ? authDomain : authDomain.optional()).resolution(setValue('authDomain')),
+    storageBucket: s.string().optional()
+      .regex(HOSTNAME_PATTERN, value => `must be a bucket name like your-project-id.appspot.com (got "${value}")`)
+      .resolution(setValue('storageBucket')),
+    messagingSenderId: s.string().optional()
+      .regex(SENDER_ID_PATTERN, value => `must be numeric (got "${value}")`)
+      .resolution(setValue('messagingSenderId')),
+    appId: s.string().optional()
+      .regex(APP_ID_PATTERN, value => `does not look like a web app ID (1:<number>:web:<hex>, got "${value}")`)
+      .resolution(setValue('appId')),
+  })
+    .refineField(
+      'authDomain',
+      config => [null, config.projectId].includes(hostedProjectId(config.authDomain, AUTH_DOMAIN_SUFFIXES)),
+      config => `"${config.authDomain}" belongs to project "${hostedProjectId(config.authDomain, AUTH_DOMAIN_SUFFIXES)}", not "${config.projectId}"`,
+      'Copy projectId and authDomain from the same firebaseConfig snippet'
+    )
+    .refineField(
+      'storageBucket',
+      config => [null, config.projectId].includes(hostedProjectId(config.storageBucket, BUCKET_SUFFIXES)),
+      config => `"${config.storageBucket}" belongs to project "${hostedProjectId(config.storageBucket, BUCKET_SUFFIXES)}", not "${config.projectId}"`,
+      'Copy projectId and storageBucket from the same firebaseConfig snippet'
+    );
+}
+
+/**
+ * Schema for the emulator endpoints
+ */
+function emulatorsSchema() {
+  const resolution = 'Check the emulators block in firebase.json and the *_EMULATOR_PORT overrides (npm run doctor)';
+  const endpoint = (extra: Record<string, ReturnType<typeof s.string>> = {}) => s.object({
+    host: s.string().resolution(resolution),
+    port: s.number().port().resolution(resolution),
+    ...extra,
+  });
+
+  return s.object({
+    auth: endpoint({ url: s.string().url() }),
+    firestore: endpoint(),
+    functions: endpoint({ baseUrl: s.string().url() }),
+    storage: endpoint(),
+    hosting: endpoint(),
+  }).resolution(resolution);
+}
+
+const schemas = new Map<Environment, ObjectSchema<AppConfig>>();
+
+/**
+ * Get the complete configuration schema for an environment
+ */
+export function getConfigSchema(environment: Environment): ObjectSchema<AppConfig> {
+  const cached = schemas.get(environment);
+  if (cached) return cached;
+
+  const rules = ENVIRONMENT_RULES[environment];
+  const baseUrl = s.string()
+    .url()
+    .resolution(
+      'Set NEXT_PUBLIC_API_URL or NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL ' +
+      `(or apiUrl/functionsUrl in the ${environment} profile, config/profiles.ts)`
+    );
+  if (rules.requireHttps) {
+    baseUrl.refine(value => value.startsWith('https://'), value => `must use https in ${environment} (got ${value})`);
+  }
+
+  const providersResolution = `Set SECRET_PROVIDERS (comma-separated) or secrets.providers in the ${environment} profile (config/profiles.ts)`;
+
+  const schema = s.object<AppConfig>({
+    environment: s.string().oneOf(Object.keys(ENVIRONMENT_RULES)),
+    firebase: firebaseSchema(environment, true),
+    api: s.object({ baseUrl }),
+    features: s.object({
+      logConfiguration: s.boolean().resolution(`Set features.logConfiguration in the ${environment} profile (config/profiles.ts)`),
+    }),
+    secrets: s.object({
+      providers: s.array(s.string().oneOf(SECRET_PROVIDERS).resolution(providersResolution))
+        .nonEmpty()
+        .resolution(providersResolution),
+    }),
+  });
+
+  schemas.set(environment, schema);
+  return schema;
+}
+
+/**
+ * Build a ValidationResult from issues
+ */
+export function toValidationResult(issues: ValidationIssue[]): ValidationResult {
+  return {
+    valid: issues.length === 0,
+    errors: issues.length > 0 ? issues.map(issue => `${issue.path}: ${issue.message}`) : undefined,
+    issues,
+  };
+}
+
+/**
+ * Validate Firebase project values for an environment
+ *
+ * Covers the credentials a developer provides (project ID, API key, auth
+ * domain and the other web app values), independent of emulator detection.
+ * Returns "path: message" lines.
+ */
+export function validateFirebaseConfig(
+  environment: Environment,
+  firebase: Omit<FirebaseConfig, 'emulators'>
+): string[] {
+  const issues = firebaseSchema(environment, false).validate(firebase, 'firebase');
+  return toValidationResult(issues).errors || [];
+}
+
+/**
+ * Validate a complete application configuration
+ */
+export function validateConfig(config: AppConfig): ValidationResult {
+  return toValidationResult(getConfigSchema(config.environment).validate(config));
+}
@@ -0,0 +1,174 @@
+import { createApiClient } from './client';
+import { ApiError, ApiNotFoundError, ApiRateLimitError, ApiServerError, ApiUnauthenticatedError, ApiValidationError } from './errors';
+
+const json = (status: number, body: unknown, headers: Record<string, string> = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+const errorBody = (code: string, message: string, issues?: Array<{ path: string; message: string }>) =>
+  ({ error: { code, message, ...(issues ? { issues } : {}) } });
+
+const project = { id: 'p1', name: 'Demo', owner: 'uid-1', members: ['uid-1'] };
+
+function setup(responses: Array<() => Response>, options: { retries?: number } = {}) {
+  const fetch = jest.fn(async (_input: RequestInfo | URL, _init?: RequestInit) => {
+    const next = responses.shift();
+    if (!next) throw new Error('unexpected request');
+    return next();
+  });
+  const getIdToken = jest.fn(async (forceRefresh: boolean) => (forceRefresh ? 'fresh-token' : 'cached-token'));
+  const client = createApiClient({ baseUrl: 'http://api.test', fetch, getIdToken, retries: options.retries ?? 1 });
+  return { client, fetch, getIdToken };
+}
+
+const headersOf = (init?: RequestInit) => init?.headers as Record<string, string>;
+
+describe('ApiClient', () => {
+  beforeEach(() => {
+    // No backoff jitter: each retry waits RETRY_BASE_DELAY * 2^(attempt - 1)
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds the URL from params and query and sends the ID token', async () => {
+    const { client, fetch } = setup([() => json(200, project), () => json(200, { projects: [] })]);
+
+    await expect(client.request('GET /projects/:projectId', { params: { projectId: 'a b/c' } })).resolves.toEqual(project);
+    await client.request('GET /projects', { query: { cursor: 'next', limit: 10 } });
+
+    expect(fetch.mock.calls[0][0]).toBe('http://api.test/api/projects/a%20b%2Fc');
+    expect(fetch.mock.calls[1][0]).toBe('http://api.test/api/projects?cursor=next&limit=10');
+    expect(headersOf(fetch.mock.calls[0][1]).Authorization).toBe('Bearer cached-token');
+  });
+
+  it('rejects a missing path parameter before sending', async () => {
+    const { client, fetch } = setup([]);
+
+    await expect(client.request('GET /projects/:projectId', { params: {} as { projectId: string } }))
+      .rejects.toThrow(new TypeError('Missing path parameter "projectId" for /projects/:projectId'));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('sends JSON bodies and no token when auth is false', async () => {
+    const { client, fetch, getIdToken } = setup([() => json(201, project)]);
+
+    await client.request('POST /projects', { body: { name: 'Demo' }, auth: false });
+
+    const init = fetch.mock.calls[0][1];
+    expect(init?.method).toBe('POST');
+    expect(init?.body).toBe('{"name":"Demo"}');
+    expect(headersOf(init)['Content-Type']).toBe('application/json');
+    expect(headersOf(init).Authorization).toBeUndefined();
+    expect(getIdToken).not.toHaveBeenCalled();
+  });
+
+  it('retries idempotent requests after a 503', async () => {
+    const { client, fetch } = setup([() => json(503, errorBody('unavailable', 'Try again')), () => json(200, project)]);
+
+    await expect(client.request('GET /projects/:projectId', { params: { projectId: 'p1' } })).resolves.toEqual(project);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const { client, fetch } = setup([
+      () => json(503, errorBody('unavailable', 'Try again')),
+      () => json(502, errorBody('unavailable', 'Bad gateway')),
+    ]);
+
+    await expect(client.request('GET /users/me')).rejects.toBeInstanceOf(ApiServerError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry POST unless asked', async () => {
+    const { client, fetch } = setup([
+      () => json(503, errorBody('unavailable', 'Try again')),
+      () => json(503, errorBody('unavailable', 'Try again')),
+      () => json(201, project),
+    ]);
+
+    await expect(client.request('POST /projects', { body: { name: 'Demo' } })).rejects.toMatchObject({ status: 503 });
+    await expect(client.request('POST /projects', { body: { name: 'Demo' }, retry: true })).resolves.toEqual(project);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('honors Retry-After on 429', async () => {
+    const { client, fetch } = setup([
+      () => json(429, errorBody('resource-exhausted', 'Slow down'), { 'Retry-After': '0' }),
+      () => json(200, project),
+    ]);
+
+    await expect(client.request('GET /projects/:projectId', { params: { projectId: 'p1' } })).resolves.toEqual(project);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('refreshes the token once after a 401', async () => {
+    const { client, fetch, getIdToken } = setup([
+      () => json(401, errorBody('unauthenticated', 'Token expired')),
+      () => json(200, project),
+    ], { retries: 0 });
+
+    await expect(client.request('POST /projects', { body: { name: 'Demo' } })).resolves.toEqual(project);
+    expect(getIdToken.mock.calls).toEqual([[false], [true]]);
+    expect(headersOf(fetch.mock.calls[1][1]).Authorization).toBe('Bearer fresh-token');
+  });
+
+  it('rejects when the refreshed token is refused too', async () => {
+    const { client, fetch } = setup([
+      () => json(401, errorBody('unauthenticated', 'Token expired')),
+      () => json(401, errorBody('unauthenticated', 'Token revoked')),
+    ]);
+
+    await expect(client.request('GET /users/me')).rejects.toBeInstanceOf(ApiUnauthenticatedError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a response that is not JSON', async () => {
+    const { client } = setup([() => new Response('<!doctype html>', { status: 200, headers: { 'Content-Type': 'text/html' } })]);
+
+    await expect(client.request('GET /health', { auth: false })).rejects.toMatchObject({
+      name: 'ApiError',
+      code: 'invalid-response',
+      status: 200,
+    });
+  });
+});
+
+describe('toApiError', () => {
+  const request = (response: () => Response) => setup([response], { retries: 0 }).client.request('PATCH /users/me', { body: { displayName: '' } });
+
+  it('maps statuses to error classes', async () => {
+    await expect(request(() => json(404, errorBody('not-found', 'No profile')))).rejects.toBeInstanceOf(ApiNotFoundError);
+    await expect(request(() => json(418, errorBody('teapot', 'Short and stout')))).rejects.toMatchObject({
+      constructor: ApiError,
+      status: 418,
+      code: 'teapot',
+    });
+  });
+
+  it('keeps validation issues', async () => {
+    const issues = [{ path: 'displayName', message: 'must not be empty' }];
+
+    const error = await request(() => json(422, errorBody('invalid-argument', 'Invalid profile', issues))).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiValidationError);
+    expect(error.issues).toEqual(issues);
+    expect(error.message).toBe('Invalid profile');
+  });
+
+  it('falls back to the status line for bodies that are not ApiErrorBody', async () => {
+    const error = await request(() => new Response('Not Found', { status: 404, statusText: 'Not Found' })).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiNotFoundError);
+    expect(error.code).toBe('http-404');
+    expect(error.message).toBe('HTTP 404 Not Found');
+  });
+
+  it('reads Retry-After in seconds', async () => {
+    const error = await request(() => json(429, errorBody('resource-exhausted', 'Slow down'), { 'Retry-After': '2' })).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiRateLimitError);
+    expect(error.retryAfter).toBe(2000);
+  });
+});
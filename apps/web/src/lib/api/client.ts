@@ -0,0 +1,277 @@
+/**
+ * API Client
+ *
+ * Typed fetch client for the `api` Cloud Function. Endpoints, request and
+ * response types come from @savvyproxy/shared-types; the client
+ * - builds URLs from ConfigService.getApiUrl() (see resolveApiBaseUrl)
+ * - attaches the signed-in user's Firebase ID token, refreshing it once
+ *   when the function answers 401
+ * - retries idempotent requests (GET, HEAD, PUT, DELETE, OPTIONS) after
+ *   network errors, timeouts, 408, 429, 502, 503 and 504
+ * - rejects with the ApiError subclasses from ./errors
+ *
+ * The function is reached in one of two ways, with the same paths:
+ * - function (default): `${getApiUrl()}/api/...`, i.e. the Functions
+ *   emulator, NEXT_PUBLIC_FIREBASE_FUNCTIONS_URL, or NEXT_PUBLIC_API_URL
+ * - hosting: `/api/...` on the current origin through the Hosting rewrite
+ *   (no CORS); server-side, the Hosting emulator in emulator mode and the
+ *   direct URL otherwise
+ *
+ * The function receives `/users/me` when called directly and
+ * `/api/users/me` through the rewrite, so it should route both.
+ *
+ * @example
+ * ```typescript
+ * import { getApiClient } from '@/lib/api';
+ *
+ * const profile = await getApiClient().request('GET /users/me');
+ * ```
+ *
+ * @module lib/api/client
+ */
+
+import { ConfigService, getConfig } from '@/config';
+import { getFirebaseAuth } from '@/lib/firebase';
+import { createLogger } from '@/lib/logger';
+import type { ApiEndpoint, ApiEndpoints } from '@savvyproxy/shared-types';
+import { ApiError, ApiNetworkError, ApiRateLimitError, ApiTimeoutError, ApiUnauthenticatedError, toApiError } from './errors';
+
+/**
+ * How requests reach the api function
+ */
+export type ApiTransport = 'function' | 'hosting';
+
+export interface ApiClientOptions {
+  /** Origin or Functions base URL, without /api (default: resolveApiBaseUrl()) */
+  baseUrl?: string;
+  /** Direct function URL or the Hosting rewrite (default: function) */
+  transport?: ApiTransport;
+  /**
+   * ID token to send (default: the signed-in Firebase Auth user; none on
+   * the server, where Server Components pass the caller's token here)
+   */
+  getIdToken?: (forceRefresh: boolean) => Promise<string | null>;
+  /** Retries of idempotent requests (default: 2) */
+  retries?: number;
+  /** Timeout of each attempt in ms (default: 10000) */
+  timeout?: number;
+  /** fetch implementation (default: the global fetch) */
+  fetch?: typeof fetch;
+}
+
+type Contract<E extends ApiEndpoint> = ApiEndpoints[E];
+
+/**
+ * Per-call options: the endpoint's params, query and body, plus overrides
+ */
+export type ApiRequestOptions<E extends ApiEndpoint> = Omit<Contract<E>, 'response'> & {
+  /** Send the ID token (default: true) */
+  auth?: boolean;
+  /** Retry this call even if not idempotent, or never (default: by method) */
+  retry?: boolean;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+};
+
+export type ApiResponse<E extends ApiEndpoint> = Contract<E>['response'];
+
+// Options can be omitted when the endpoint needs no params or body
+type RequestArgs<E extends ApiEndpoint> = object extends Omit<Contract<E>, 'response'>
+  ? [options?: ApiRequestOptions<E>]
+  : [options: ApiRequestOptions<E>];
+
+// ApiRequestOptions of any endpoint
+interface SendOptions {
+  params?: Record<string, string>;
+  query?: Record<string, unknown>;
+  body?: unknown;
+  auth?: boolean;
+  retry?: boolean;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+const API_PREFIX = '/api';
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT = 10000;
+const RETRY_BASE_DELAY = 300;
+const RETRY_MAX_DELAY = 5000;
+
+const isBrowser = typeof window !== 'undefined';
+
+const logger = createLogger('ApiClient');
+
+/**
+ * Base URL for a transport, without the /api prefix
+ *
+ * Empty for the Hosting rewrite in the browser (same origin).
+ */
+export function resolveApiBaseUrl(transport: ApiTransport = 'function', config: ConfigService = getConfig()): string {
+  if (transport === 'hosting') {
+    if (isBrowser) return '';
+    const hosting = config.isEmulatorMode() ? config.getEmulatorConfig()?.hosting : null;
+    if (hosting) return `http://${hosting.host}:${hosting.port}`;
+  }
+  return config.getApiUrl().replace(/\/+$/, '');
+}
+
+/**
+ * ID token of the signed-in user, once Auth has restored the session
+ */
+async function currentUserToken(forceRefresh: boolean): Promise<string | null> {
+  // The client SDK has no signed-in user on the server
+  if (!isBrowser) return null;
+  const auth = getFirebaseAuth();
+  await auth.authStateReady();
+  return auth.currentUser ? auth.currentUser.getIdToken(forceRefresh) : null;
+}
+
+/**
+ * Backoff before retry `attempt` (1-based), honoring Retry-After
+ */
+function retryDelay(attempt: number, error: ApiError): number {
+  if (error instanceof ApiRateLimitError && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, RETRY_MAX_DELAY);
+  }
+  const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+  return Math.min(delay + Math.random() * delay, RETRY_MAX_DELAY);
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class ApiClient {
+  private baseUrl: string;
+  private getIdToken: (forceRefresh: boolean) => Promise<string | null>;
+  private retries: number;
+  private timeout: number;
+  private fetchImpl: typeof fetch;
+
+  constructor(options: ApiClientOptions = {}) {
+    this.baseUrl = options.baseUrl ?? resolveApiBaseUrl(options.transport);
+    this.getIdToken = options.getIdToken || currentUserToken;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.fetchImpl = options.fetch || ((input, init) => fetch(input, init));
+  }
+
+  /**
+   * Call an endpoint
+   *
+   * @throws {ApiError} subclass per failure (see ./errors); an AbortError
+   * when `signal` aborts
+   */
+  async request<E extends ApiEndpoint>(endpoint: E, ...[options]: RequestArgs<E>): Promise<ApiResponse<E>> {
+    const requestOptions = (options || {}) as SendOptions;
+    const [method, path] = endpoint.split(' ');
+    const url = this.buildUrl(path, requestOptions.params, requestOptions.query);
+    const attempts = 1 + ((requestOptions.retry ?? IDEMPOTENT_METHODS.has(method)) ? this.retries : 0);
+    let forceRefresh = false;
+
+    for (let attempt = 1; ; attempt++) {
+      const token = requestOptions.auth === false ? null : await this.getIdToken(forceRefresh);
+      try {
+        return await this.send(endpoint, method, url, token, requestOptions) as ApiResponse<E>;
+      } catch (error) {
+        if (!(error instanceof ApiError) || requestOptions.signal?.aborted) throw error;
+
+        // Expired or revoked token: refresh once, which is not a retry
+        if (error instanceof ApiUnauthenticatedError && token && !forceRefresh) {
+          forceRefresh = true;
+          attempt--;
+          continue;
+        }
+
+        if (!error.retryable || attempt >= attempts) throw error;
+        const delay = retryDelay(attempt, error);
+        logger.debug(`Retrying ${endpoint} in ${Math.round(delay)}ms (${attempt}/${attempts - 1})`, { code: error.code, status: error.status });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Full URL for a path template, e.g. /projects/:projectId
+   */
+  private buildUrl(path: string, params: Record<string, string> = {}, query: Record<string, unknown> = {}): string {
+    const resolved = path.replace(/:([A-Za-z]+)/g, (_, name: string) => {
+      if (params[name] === undefined) throw new TypeError(`Missing path parameter "${name}" for ${path}`);
+      return encodeURIComponent(params[name]);
+    });
+
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined) search.set(key, String(value));
+    }
+    const queryString = search.toString();
+
+    return `${this.baseUrl}${API_PREFIX}${resolved}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * One attempt, with its own timeout
+   */
+  private async send(
+    endpoint: string,
+    method: string,
+    url: string,
+    token: string | null,
+    options: SendOptions
+  ): Promise<unknown> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const abort = () => controller.abort();
+    options.signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+      const response = await this.fetchImpl(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...options.headers,
+        },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) throw await toApiError(endpoint, response);
+      if (response.status === 204) return undefined;
+      try {
+        return await response.json();
+      } catch (error) {
+        if (controller.signal.aborted) throw error;
+        // e.g. an HTML page because the rewrite or base URL is wrong
+        throw new ApiError(`${endpoint} returned a response that is not JSON`, endpoint, response.status, 'invalid-response');
+      }
+    } catch (error) {
+      if (error instanceof ApiError || options.signal?.aborted) throw error;
+      throw controller.signal.aborted ? new ApiTimeoutError(endpoint, this.timeout) : new ApiNetworkError(endpoint, error);
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', abort);
+    }
+  }
+}
+
+/**
+ * Create a client, e.g. with a caller's token on the server
+ */
+export function createApiClient(options: ApiClientOptions = {}): ApiClient {
+  return new ApiClient(options);
+}
+
+let defaultClient: ApiClient | null = null;
+
+/**
+ * Shared client with the default options (direct function URL, signed-in user's token)
+ */
+export function getApiClient(): ApiClient {
+  if (!defaultClient) {
+    defaultClient = new ApiClient();
+  }
+  return defaultClient;
+}
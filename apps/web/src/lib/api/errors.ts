@@ -0,0 +1,187 @@
+/**
+ * API Errors
+ *
+ * Every failed call rejects with an ApiError subclass, so callers can
+ * branch on the class instead of status codes:
+ *
+ * ```typescript
+ * try {
+ *   await apiClient.request('GET /projects/:projectId', { params: { projectId } });
+ * } catch (error) {
+ *   if (error instanceof ApiNotFoundError) notFound();
+ *   throw error;
+ * }
+ * ```
+ *
+ * @module lib/api/errors
+ */
+
+import type { ApiErrorBody } from '@savvyproxy/shared-types';
+
+/**
+ * Base API error
+ *
+ * `status` is 0 when no response was received.
+ */
+export class ApiError extends Error {
+  constructor(
+    message: string,
+    public endpoint: string,
+    public status: number,
+    public code: string,
+    public issues: Array<{ path: string; message: string }> = []
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   */
+  get retryable(): boolean {
+    return [0, 408, 429, 502, 503, 504].includes(this.status);
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, refused connection, CORS)
+ */
+export class ApiNetworkError extends ApiError {
+  constructor(endpoint: string, cause: unknown) {
+    super(`${endpoint} failed: ${cause instanceof Error ? cause.message : String(cause)}`, endpoint, 0, 'unavailable');
+    this.name = 'ApiNetworkError';
+  }
+}
+
+/**
+ * No response within the client's timeout
+ */
+export class ApiTimeoutError extends ApiError {
+  constructor(endpoint: string, public timeout: number) {
+    super(`${endpoint} timed out after ${timeout}ms`, endpoint, 0, 'deadline-exceeded');
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+/**
+ * 400 / 422: the request was rejected; `issues` lists the fields
+ */
+export class ApiValidationError extends ApiError {
+  constructor(endpoint: string, status: number, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, status, body.code, body.issues);
+    this.name = 'ApiValidationError';
+  }
+}
+
+/**
+ * 401: no valid ID token (not signed in, or the token was revoked)
+ */
+export class ApiUnauthenticatedError extends ApiError {
+  constructor(endpoint: string, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, 401, body.code);
+    this.name = 'ApiUnauthenticatedError';
+  }
+}
+
+/**
+ * 403: signed in, but not allowed
+ */
+export class ApiPermissionDeniedError extends ApiError {
+  constructor(endpoint: string, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, 403, body.code);
+    this.name = 'ApiPermissionDeniedError';
+  }
+}
+
+/**
+ * 404
+ */
+export class ApiNotFoundError extends ApiError {
+  constructor(endpoint: string, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, 404, body.code);
+    this.name = 'ApiNotFoundError';
+  }
+}
+
+/**
+ * 409: the request conflicts with the current state (e.g. a duplicate)
+ */
+export class ApiConflictError extends ApiError {
+  constructor(endpoint: string, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, 409, body.code);
+    this.name = 'ApiConflictError';
+  }
+}
+
+/**
+ * 429; `retryAfter` is the server's Retry-After in milliseconds, if sent
+ */
+export class ApiRateLimitError extends ApiError {
+  constructor(endpoint: string, body: ApiErrorBody['error'], public retryAfter?: number) {
+    super(body.message, endpoint, 429, body.code);
+    this.name = 'ApiRateLimitError';
+  }
+}
+
+/**
+ * 5xx
+ */
+export class ApiServerError extends ApiError {
+  constructor(endpoint: string, status: number, body: ApiErrorBody['error']) {
+    super(body.message, endpoint, status, body.code);
+    this.name = 'ApiServerError';
+  }
+}
+
+/**
+ * Read the error body, tolerating responses that are not ApiErrorBody
+ * (e.g. the Hosting or emulator 404 page)
+ */
+async function readErrorBody(response: Response): Promise<ApiErrorBody['error']> {
+  const fallback = { code: `http-${response.status}`, message: `HTTP ${response.status} ${response.statusText}`.trim() };
+  try {
+    const body = await response.json() as Partial<ApiErrorBody>;
+    return body.error?.message ? { ...fallback, ...body.error } : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Retry-After (seconds or an HTTP date) in milliseconds
+ */
+function parseRetryAfter(value: string | null): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Map a non-2xx response to its error class
+ */
+export async function toApiError(endpoint: string, response: Response): Promise<ApiError> {
+  const body = await readErrorBody(response);
+  const { status } = response;
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ApiValidationError(endpoint, status, body);
+    case 401:
+      return new ApiUnauthenticatedError(endpoint, body);
+    case 403:
+      return new ApiPermissionDeniedError(endpoint, body);
+    case 404:
+      return new ApiNotFoundError(endpoint, body);
+    case 409:
+      return new ApiConflictError(endpoint, body);
+    case 429:
+      return new ApiRateLimitError(endpoint, body, parseRetryAfter(response.headers.get('Retry-After')));
+    default:
+      return status >= 500
+        ? new ApiServerError(endpoint, status, body)
+        : new ApiError(body.message, endpoint, status, body.code, body.issues);
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * API Client Module
+ *
+ * Typed access to the `api` Cloud Function (endpoints are defined in
+ * @savvyproxy/shared-types and re-exported here).
+ *
+ * @example
+ * ```typescript
+ * import { getApiClient, ApiNotFoundError } from '@/lib/api';
+ *
+ * const { projects } = await getApiClient().request('GET /projects', { query: { limit: 20 } });
+ * ```
+ */
+
+export { ApiClient, createApiClient, getApiClient, resolveApiBaseUrl } from './client';
+export type { ApiClientOptions, ApiRequestOptions, ApiResponse, ApiTransport } from './client';
+export {
+  ApiError,
+  ApiNetworkError,
+  ApiTimeoutError,
+  ApiValidationError,
+  ApiUnauthenticatedError,
+  ApiPermissionDeniedError,
+  ApiNotFoundError,
+  ApiConflictError,
+  ApiRateLimitError,
+  ApiServerError,
+  toApiError,
+} from './errors';
+export type * from '@savvyproxy/shared-types';
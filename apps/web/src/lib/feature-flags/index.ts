@@ -0,0 +1,17 @@
+/**
+ * Feature Flags Module
+ *
+ * Client-side access to the live flags. Server code uses
+ * `@/lib/feature-flags/server`; plain checks against code and profile
+ * values are available everywhere from `getConfig().isFeatureEnabled()`.
+ *
+ * @example
+ * ```tsx
+ * import { useFeatureFlag } from '@/lib/feature-flags';
+ *
+ * const enabled = useFeatureFlag('newDashboard', { userId: user?.uid });
+ * ```
+ */
+
+export { useFeatureFlag, useFeatureFlagsReady } from './use-feature-flag';
+export { watchFeatureFlags, applyFlagDocument, getFlagsDocument } from './remote';
@@ -0,0 +1,74 @@
+/**
+ * Live Feature Flag Document
+ *
+ * Applies the Firestore document config/featureFlags (the emulator in
+ * development) to ConfigService's flags. Shared by the client listener and
+ * the server loader.
+ *
+ * @module lib/feature-flags/remote
+ */
+
+import { DocumentReference, Unsubscribe, doc, onSnapshot } from 'firebase/firestore';
+import { getConfig } from '@/config';
+import { FLAGS_COLLECTION, FLAGS_DOCUMENT, FeatureFlags, parseRemoteRules } from '@/config/feature-flags';
+import { getFirebaseFirestore } from '@/lib/firebase';
+import { createLogger } from '@/lib/logger';
+
+const logger = createLogger('FeatureFlags');
+
+// Warnings already printed, so every snapshot does not repeat them
+const reported = new Set<string>();
+
+let watcher: { unsubscribe: Unsubscribe; count: number } | null = null;
+
+/**
+ * Reference to the flag document
+ */
+export function getFlagsDocument(): DocumentReference {
+  return doc(getFirebaseFirestore(), FLAGS_COLLECTION, FLAGS_DOCUMENT);
+}
+
+/**
+ * Apply flag document data; invalid entries are skipped with a warning
+ */
+export function applyFlagDocument(flags: FeatureFlags, data: Record<string, unknown> | undefined): void {
+  const { rules, warnings } = parseRemoteRules(data);
+  for (const warning of warnings.filter(item => !reported.has(item))) {
+    reported.add(warning);
+    logger.warn(`Ignoring ${warning}`);
+  }
+  flags.setRemoteRules(rules);
+}
+
+/**
+ * Follow the flag document until every caller has released it
+ *
+ * One Firestore listener is shared by all callers (e.g. every component
+ * using useFeatureFlag). Returns the release function.
+ */
+export function watchFeatureFlags(): () => void {
+  if (!watcher) {
+    const flags = getConfig().getFlags();
+    const unsubscribe = onSnapshot(
+      getFlagsDocument(),
+      snapshot => applyFlagDocument(flags, snapshot.data()),
+      // Flags keep their code and profile values
+      error => logger.warn(`Could not read ${FLAGS_COLLECTION}/${FLAGS_DOCUMENT}: ${error.message}`)
+    );
+    watcher = { unsubscribe, count: 0 };
+  }
+
+  const current = watcher;
+  current.count++;
+  let released = false;
+
+  return () => {
+    if (released) return;
+    released = true;
+    current.count--;
+    if (current.count === 0 && watcher === current) {
+      current.unsubscribe();
+      watcher = null;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Feature Flags on the Server
+ *
+ * Server Components, Route Handlers and Server Actions read the flag
+ * document on demand instead of holding a listener open; the result is
+ * reused for a short time so a page render does not read it per flag.
+ *
+ * @example
+ * ```typescript
+ * import { isFeatureEnabled } from '@/lib/feature-flags/server';
+ *
+ * if (await isFeatureEnabled('newDashboard', { userId: session.uid })) { ... }
+ * ```
+ *
+ * @module lib/feature-flags/server
+ */
+
+import { getDoc } from 'firebase/firestore';
+import { getConfig } from '@/config';
+import { FLAGS_COLLECTION, FLAGS_DOCUMENT, FeatureFlags, FlagContext, FlagName } from '@/config/feature-flags';
+import { createLogger } from '@/lib/logger';
+import { applyFlagDocument, getFlagsDocument } from './remote';
+
+// How long a read of the flag document is reused
+const SERVER_FLAGS_MAX_AGE_MS = 30000;
+
+const logger = createLogger('FeatureFlags');
+
+let lastRead: { startedAt: number; result: Promise<FeatureFlags> } | null = null;
+
+/**
+ * Get the flags with the flag document applied
+ *
+ * When the document cannot be read, flags keep their code and profile
+ * values (and the error is logged) rather than failing the request.
+ */
+export function getServerFlags(options: { maxAge?: number } = {}): Promise<FeatureFlags> {
+  const maxAge = options.maxAge ?? SERVER_FLAGS_MAX_AGE_MS;
+  if (lastRead && Date.now() - lastRead.startedAt < maxAge) {
+    return lastRead.result;
+  }
+
+  const flags = getConfig().getFlags();
+  const result = getDoc(getFlagsDocument())
+    .then((snapshot) => {
+      applyFlagDocument(flags, snapshot.data());
+      return flags;
+    })
+    .catch((error: Error) => {
+      logger.warn(`Could not read ${FLAGS_COLLECTION}/${FLAGS_DOCUMENT}: ${error.message}`);
+      lastRead = null;
+      return flags;
+    });
+
+  lastRead = { startedAt: Date.now(), result };
+  return result;
+}
+
+/**
+ * Check a flag with the current flag document
+ */
+export async function isFeatureEnabled(flag: FlagName, context: FlagContext = {}): Promise<boolean> {
+  return (await getServerFlags()).isEnabled(flag, context);
+}
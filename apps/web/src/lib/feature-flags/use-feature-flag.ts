@@ -0,0 +1,58 @@
+'use client';
+
+/**
+ * Feature Flag Hooks
+ *
+ * Components re-render when the flag document changes; the Firestore
+ * listener is shared and closed when the last component unmounts.
+ *
+ * The first render (and the server render) uses the code and profile values,
+ * so hydration matches; live values apply right after. Gate server-rendered
+ * markup with `isFeatureEnabled` from `@/lib/feature-flags/server` instead.
+ *
+ * @example
+ * ```tsx
+ * const showDashboard = useFeatureFlag('newDashboard', { userId: user?.uid });
+ * ```
+ *
+ * @module lib/feature-flags/use-feature-flag
+ */
+
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { getConfig } from '@/config';
+import { FlagContext, FlagName } from '@/config/feature-flags';
+import { watchFeatureFlags } from './remote';
+
+/**
+ * Follow the flag document while the component is mounted
+ */
+function useFlagSubscription(): (listener: () => void) => () => void {
+  useEffect(() => watchFeatureFlags(), []);
+  return useCallback((listener: () => void) => getConfig().getFlags().subscribe(listener), []);
+}
+
+/**
+ * Current value of one flag
+ */
+export function useFeatureFlag(flag: FlagName, context: FlagContext = {}): boolean {
+  const subscribe = useFlagSubscription();
+  const userId = context.userId;
+
+  return useSyncExternalStore(
+    subscribe,
+    () => getConfig().getFlags().isEnabled(flag, { userId }),
+    () => getConfig().getFlags().isEnabledByDefault(flag, { userId })
+  );
+}
+
+/**
+ * Whether the flag document has been read (false while values are still the defaults)
+ */
+export function useFeatureFlagsReady(): boolean {
+  const subscribe = useFlagSubscription();
+  return useSyncExternalStore(
+    subscribe,
+    () => getConfig().getFlags().hasRemoteRules(),
+    () => false
+  );
+}
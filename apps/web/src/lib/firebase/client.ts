@@ -0,0 +1,139 @@
+/**
+ * Firebase Client
+ *
+ * Initializes the Firebase app from ConfigService and, in emulator mode,
+ * connects Auth, Firestore, Functions and Storage to the configured
+ * emulators exactly once.
+ *
+ * State is kept on globalThis, so Next.js hot reloads (which re-evaluate this
+ * module) and multiple bundles (server and client) reuse the same app instead
+ * of connecting twice, which the Firebase SDKs reject.
+ *
+ * @module lib/firebase/client
+ */
+
+import { FirebaseApp, getApp, getApps, initializeApp } from 'firebase/app';
+import { Auth, connectAuthEmulator, getAuth } from 'firebase/auth';
+import { Firestore, connectFirestoreEmulator, getFirestore } from 'firebase/firestore';
+import { Functions, connectFunctionsEmulator, getFunctions } from 'firebase/functions';
+import { FirebaseStorage, connectStorageEmulator, getStorage } from 'firebase/storage';
+import { getConfig } from '@/config';
+import { createLogger } from '@/lib/logger';
+
+/**
+ * Initialized Firebase service handles
+ */
+export interface FirebaseServices {
+  app: FirebaseApp;
+  auth: Auth;
+  firestore: Firestore;
+  functions: Functions;
+  storage: FirebaseStorage;
+  /** Whether the services are connected to the emulators */
+  emulators: boolean;
+}
+
+// Region used by the Functions emulator URL in ConfigService
+const FUNCTIONS_REGION = 'us-central1';
+
+const GLOBAL_KEY = Symbol.for('firebase-nextjs-template.firebase-client');
+
+type GlobalWithFirebase = typeof globalThis & { [GLOBAL_KEY]?: FirebaseServices };
+
+/**
+ * Initialize Firebase and connect emulators (first call only)
+ */
+function initializeServices(): FirebaseServices {
+  const config = getConfig();
+  const firebaseConfig = config.getFirebaseConfig();
+  const emulators = config.isEmulatorMode() ? config.getEmulatorConfig() : null;
+
+  // The Storage emulator still needs a bucket name
+  const storageBucket = firebaseConfig.storageBucket
+    || (emulators ? `${firebaseConfig.projectId}.appspot.com` : undefined);
+
+  const app = getApps().length > 0
+    ? getApp()
+    : initializeApp({
+      apiKey: firebaseConfig.apiKey,
+      authDomain: firebaseConfig.authDomain,
+      projectId: firebaseConfig.projectId,
+      storageBucket,
+      messagingSenderId: firebaseConfig.messagingSenderId,
+      appId: firebaseConfig.appId,
+    });
+
+  const services: FirebaseServices = {
+    app,
+    auth: getAuth(app),
+    firestore: getFirestore(app),
+    functions: getFunctions(app, FUNCTIONS_REGION),
+    storage: getStorage(app),
+    emulators: !!emulators,
+  };
+
+  if (emulators) {
+    connectAuthEmulator(services.auth, emulators.auth.url, { disableWarnings: true });
+    connectFirestoreEmulator(services.firestore, emulators.firestore.host, emulators.firestore.port);
+    connectFunctionsEmulator(services.functions, emulators.functions.host, emulators.functions.port);
+    connectStorageEmulator(services.storage, emulators.storage.host, emulators.storage.port);
+
+    createLogger('Firebase').success('Connected to emulators');
+  }
+
+  return services;
+}
+
+/**
+ * Get the Firebase services, initializing them on first use
+ *
+ * @example
+ * ```typescript
+ * import { getFirebase } from '@/lib/firebase';
+ *
+ * const { firestore } = getFirebase();
+ * const snapshot = await getDoc(doc(firestore, 'users', uid));
+ * ```
+ */
+export function getFirebase(): FirebaseServices {
+  const store = globalThis as GlobalWithFirebase;
+  if (!store[GLOBAL_KEY]) {
+    store[GLOBAL_KEY] = initializeServices();
+  }
+  return store[GLOBAL_KEY];
+}
+
+/**
+ * Get the Firebase app
+ */
+export function getFirebaseApp(): FirebaseApp {
+  return getFirebase().app;
+}
+
+/**
+ * Get Firebase Auth (emulator-connected in development)
+ */
+export function getFirebaseAuth(): Auth {
+  return getFirebase().auth;
+}
+
+/**
+ * Get Firestore (emulator-connected in development)
+ */
+export function getFirebaseFirestore(): Firestore {
+  return getFirebase().firestore;
+}
+
+/**
+ * Get Cloud Functions (emulator-connected in development)
+ */
+export function getFirebaseFunctions(): Functions {
+  return getFirebase().functions;
+}
+
+/**
+ * Get Cloud Storage (emulator-connected in development)
+ */
+export function getFirebaseStorage(): FirebaseStorage {
+  return getFirebase().storage;
+}
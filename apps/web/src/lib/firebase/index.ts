@@ -0,0 +1,22 @@
+/**
+ * Firebase Client Module
+ *
+ * Re-exports the Firebase client helpers for convenient importing.
+ *
+ * @example
+ * ```typescript
+ * import { getFirebaseFirestore } from '@/lib/firebase';
+ *
+ * const db = getFirebaseFirestore();
+ * ```
+ */
+
+export {
+  getFirebase,
+  getFirebaseApp,
+  getFirebaseAuth,
+  getFirebaseFirestore,
+  getFirebaseFunctions,
+  getFirebaseStorage,
+} from './client';
+export type { FirebaseServices } from './client';
@@ -0,0 +1,15 @@
+/**
+ * Logger Module
+ *
+ * Re-exports the structured logger for convenient importing.
+ *
+ * @example
+ * ```typescript
+ * import { createLogger } from '@/lib/logger';
+ *
+ * const logger = createLogger('Checkout');
+ * ```
+ */
+
+export { Logger, createLogger, resolveLogFormat, resolveLogLevel } from './logger';
+export type { LogFields, LogFormat, LogLevel, LoggerOptions } from './logger';
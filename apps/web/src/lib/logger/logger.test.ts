@@ -0,0 +1,79 @@
+import { Logger, resolveLogFormat, resolveLogLevel } from './logger';
+
+const ENV_KEYS = ['LOG_LEVEL', 'LOG_FORMAT', 'NEXT_PUBLIC_LOG_LEVEL', 'NEXT_PUBLIC_APP_ENV', 'NODE_ENV'];
+
+describe('logger', () => {
+  const original = { ...process.env };
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+  });
+
+  afterEach(() => {
+    process.env = { ...original };
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveLogLevel / resolveLogFormat', () => {
+    it('default to info and pretty outside production', () => {
+      expect(resolveLogLevel()).toBe('info');
+      expect(resolveLogFormat()).toBe('pretty');
+    });
+
+    it('default to warn and json in production', () => {
+      process.env.NEXT_PUBLIC_APP_ENV = 'production';
+
+      expect(resolveLogLevel()).toBe('warn');
+      expect(resolveLogFormat()).toBe('json');
+    });
+
+    it('read LOG_LEVEL and LOG_FORMAT, ignoring unknown values', () => {
+      process.env.LOG_LEVEL = 'DEBUG';
+      process.env.LOG_FORMAT = 'json';
+      expect(resolveLogLevel()).toBe('debug');
+      expect(resolveLogFormat()).toBe('json');
+
+      process.env.LOG_LEVEL = 'verbose';
+      process.env.LOG_FORMAT = 'xml';
+      expect(resolveLogLevel()).toBe('info');
+      expect(resolveLogFormat()).toBe('pretty');
+    });
+  });
+
+  describe('Logger', () => {
+    it('writes JSON entries with the stack in the message', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('boom');
+
+      new Logger('ConfigService', { level: 'info', format: 'json' }).child('emulators').error('Hub unreachable', { error, port: 4400 });
+
+      const entry = JSON.parse(consoleError.mock.calls[0][0] as string);
+      expect(entry).toMatchObject({
+        severity: 'ERROR',
+        message: `Hub unreachable\n${error.stack}`,
+        namespace: 'ConfigService:emulators',
+        port: 4400,
+      });
+      expect(entry.error).toBeUndefined();
+    });
+
+    it('passes fields and errors to the console in pretty mode', () => {
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const error = new Error('boom');
+
+      new Logger('ApiClient', { level: 'info', format: 'pretty' }).warn('Retrying', error);
+
+      expect(consoleWarn).toHaveBeenCalledWith('[ApiClient] ⚠️  Retrying', error);
+    });
+
+    it('drops entries below its level', () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const logger = new Logger('test', { level: 'warn', format: 'json' });
+
+      logger.info('hidden');
+
+      expect(consoleLog).not.toHaveBeenCalled();
+      expect(logger.isLevelEnabled('error')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Structured Logger
+ *
+ * Namespaced, leveled logging for the app (ConfigService, Firebase client,
+ * feature flags) with two output formats:
+ * - pretty: `[Namespace] ✅ message` on the console, for terminals and the
+ *           browser dev tools
+ * - json:   one JSON object per line with Cloud Logging's `severity`,
+ *           `message` and `time` fields, so Cloud Functions / Cloud Run logs
+ *           are filterable by level and namespace
+ *
+ * Configuration (read when a logger is created):
+ * - LOG_LEVEL (or NEXT_PUBLIC_LOG_LEVEL in the browser): debug, info, warn,
+ *   error or silent. Default: warn in production, info otherwise.
+ * - LOG_FORMAT: pretty or json. Default: json for production servers,
+ *   pretty otherwise (always pretty in the browser).
+ *
+ * scripts/lib/logger.js implements the same levels, variables and JSON
+ * fields for the Node scripts, which must run before dependencies are
+ * installed.
+ *
+ * @example
+ * ```typescript
+ * import { createLogger } from '@/lib/logger';
+ *
+ * const logger = createLogger('Checkout');
+ * logger.info('Order placed', { orderId });
+ * logger.error('Payment failed', error);
+ * ```
+ *
+ * @module lib/logger
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export type LogFormat = 'pretty' | 'json';
+
+/**
+ * Extra structured data attached to one entry
+ */
+export type LogFields = Record<string, unknown>;
+
+export interface LoggerOptions {
+  /** Minimum level (default: LOG_LEVEL) */
+  level?: LogLevel;
+  /** Output format (default: LOG_FORMAT) */
+  format?: LogFormat;
+}
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Cloud Logging severities (https://cloud.google.com/logging/docs/structured-logging)
+const SEVERITY: Record<Exclude<LogLevel, 'silent'>, string> = {
+  debug: 'DEBUG',
+  info: 'INFO',
+  warn: 'WARNING',
+  error: 'ERROR',
+};
+
+const ICONS = { success: '✅', warn: '⚠️ ', error: '❌' } as const;
+
+const isBrowser = typeof window !== 'undefined';
+
+const isProduction = () =>
+  (process.env.NEXT_PUBLIC_APP_ENV || process.env.NODE_ENV) === 'production';
+
+/**
+ * Level from LOG_LEVEL (NEXT_PUBLIC_LOG_LEVEL in the browser)
+ *
+ * Next.js only inlines literal process.env.NEXT_PUBLIC_* references.
+ */
+export function resolveLogLevel(): LogLevel {
+  const value = (isBrowser ? process.env.NEXT_PUBLIC_LOG_LEVEL : process.env.LOG_LEVEL || process.env.NEXT_PUBLIC_LOG_LEVEL)
+    ?.toLowerCase();
+  if (value && value in LEVELS) return value as LogLevel;
+  return isProduction() ? 'warn' : 'info';
+}
+
+/**
+ * Format from LOG_FORMAT
+ */
+export function resolveLogFormat(): LogFormat {
+  if (isBrowser) return 'pretty';
+  const value = process.env.LOG_FORMAT;
+  if (value === 'json' || value === 'pretty') return value;
+  return isProduction() ? 'json' : 'pretty';
+}
+
+/**
+ * Split an optional Error out of the fields argument
+ */
+function normalizeFields(fieldsOrError?: LogFields | unknown): { fields: LogFields; error?: Error } {
+  if (fieldsOrError instanceof Error) return { fields: {}, error: fieldsOrError };
+  if (fieldsOrError && typeof fieldsOrError === 'object') {
+    const { error, ...fields } = fieldsOrError as LogFields;
+    return error instanceof Error ? { fields, error } : { fields: fieldsOrError as LogFields };
+  }
+  return { fields: fieldsOrError === undefined ? {} : { value: fieldsOrError } };
+}
+
+export class Logger {
+  private level: LogLevel;
+  private format: LogFormat;
+
+  constructor(readonly namespace: string, private options: LoggerOptions = {}) {
+    this.level = options.level || resolveLogLevel();
+    this.format = options.format || resolveLogFormat();
+  }
+
+  /**
+   * Logger for a sub-namespace, e.g. "ConfigService:emulators"
+   */
+  child(namespace: string): Logger {
+    return new Logger(`${this.namespace}:${namespace}`, { level: this.level, format: this.format });
+  }
+
+  /**
+   * Whether entries at this level are written
+   */
+  isLevelEnabled(level: Exclude<LogLevel, 'silent'>): boolean {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message: string, fields?: LogFields): void {
+    this.write('debug', message, fields);
+  }
+
+  info(message: string, fields?: LogFields): void {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Info-level entry marked as a success (✅ in pretty output)
+   */
+  success(message: string, fields?: LogFields): void {
+    this.write('info', message, fields, ICONS.success);
+  }
+
+  warn(message: string, fieldsOrError?: LogFields | unknown): void {
+    this.write('warn', message, fieldsOrError, ICONS.warn);
+  }
+
+  error(message: string, fieldsOrError?: LogFields | unknown): void {
+    this.write('error', message, fieldsOrError, ICONS.error);
+  }
+
+  private write(level: Exclude<LogLevel, 'silent'>, message: string, fieldsOrError?: LogFields | unknown, icon?: string): void {
+    if (!this.isLevelEnabled(level)) return;
+    const { fields, error } = normalizeFields(fieldsOrError);
+
+    if (this.format === 'json') {
+      // Error Reporting picks up stack traces in the message
+      const entry = {
+        severity: SEVERITY[level],
+        message: error?.stack ? `${message}\n${error.stack}` : message,
+        time: new Date().toISOString(),
+        namespace: this.namespace,
+        ...fields,
+      };
+      const line = JSON.stringify(entry);
+      if (level === 'error' || level === 'warn') console.error(line);
+      else console.log(line);
+      return;
+    }
+
+    const text = `[${this.namespace}] ${icon ? `${icon} ` : ''}${message}`;
+    const extra: unknown[] = [];
+    if (Object.keys(fields).length > 0) extra.push(fields);
+    if (error) extra.push(error);
+    const method = level === 'debug' ? 'debug' : level === 'info' ? 'log' : level;
+    console[method](text, ...extra);
+  }
+}
+
+/**
+ * Create a logger for a namespace
+ */
+export function createLogger(namespace: string, options: LoggerOptions = {}): Logger {
+  return new Logger(namespace, options);
+}
@@ -0,0 +1,132 @@
+/**
+ * API Contracts
+ *
+ * Request and response types of the `api` Cloud Function, keyed by
+ * "METHOD /path" as the web client (apps/web/src/lib/api) calls them:
+ *
+ * ```typescript
+ * await apiClient.request('PATCH /users/me', { body: { displayName } });
+ * await apiClient.request('GET /projects/:projectId', { params: { projectId } });
+ * ```
+ *
+ * Paths are relative to the function: the client prefixes `/api`, which is
+ * both the function's name (direct calls) and the Hosting rewrite source
+ * (`/api/**` in firebase.json).
+ *
+ * The function should import the same types from @savvyproxy/shared-types
+ * so both sides compile against one definition.
+ *
+ * @module shared-types/api
+ */
+
+/**
+ * ISO 8601 timestamp as sent over the wire (Firestore Timestamps are
+ * serialized with toDate().toISOString())
+ */
+export type IsoDateString = string;
+
+export type UserRole = 'admin' | 'user';
+
+/**
+ * Profile document users/{uid} (see seed/01-users.yaml)
+ */
+export interface UserProfile {
+  uid: string;
+  email: string;
+  displayName: string;
+  role: UserRole;
+  createdAt: IsoDateString;
+}
+
+export interface UpdateProfileRequest {
+  displayName?: string;
+}
+
+/**
+ * Document projects/{projectId} (see seed/02-projects.yaml)
+ */
+export interface Project {
+  id: string;
+  name: string;
+  description?: string;
+  /** uid of the owner */
+  owner: string;
+  /** uids with access, including the owner */
+  members: string[];
+  createdAt: IsoDateString;
+}
+
+export interface CreateProjectRequest {
+  name: string;
+  description?: string;
+}
+
+export interface ListProjectsResponse {
+  projects: Project[];
+  /** Pass as `query.cursor` for the next page; absent on the last page */
+  nextCursor?: string;
+}
+
+export interface HealthResponse {
+  status: 'ok';
+  /** Project the function runs in ("demo-project" on the emulator) */
+  projectId: string;
+  time: IsoDateString;
+}
+
+/**
+ * Body of every non-2xx response
+ */
+export interface ApiErrorBody {
+  error: {
+    /** Stable machine-readable code, e.g. "not-found", "invalid-argument" */
+    code: string;
+    message: string;
+    /** Per-field problems of a rejected request body or query */
+    issues?: Array<{ path: string; message: string }>;
+  };
+}
+
+/**
+ * Shape of one endpoint; omitted parts are not sent
+ */
+export interface EndpointContract {
+  /** Values for the `:name` segments of the path */
+  params?: Record<string, string>;
+  query?: Record<string, string | number | boolean | undefined>;
+  body?: unknown;
+  response: unknown;
+}
+
+/**
+ * Every endpoint of the `api` function
+ *
+ * Add endpoints here first; the client only accepts keys of this map.
+ * Everything except GET /health expects a signed-in user.
+ */
+export interface ApiEndpoints {
+  'GET /health': {
+    response: HealthResponse;
+  };
+  'GET /users/me': {
+    response: UserProfile;
+  };
+  'PATCH /users/me': {
+    body: UpdateProfileRequest;
+    response: UserProfile;
+  };
+  'GET /projects': {
+    query?: { cursor?: string; limit?: number };
+    response: ListProjectsResponse;
+  };
+  'POST /projects': {
+    body: CreateProjectRequest;
+    response: Project;
+  };
+  'GET /projects/:projectId': {
+    params: { projectId: string };
+    response: Project;
+  };
+}
+
+export type ApiEndpoint = keyof ApiEndpoints;
@@ -0,0 +1,11 @@
+/**
+ * Shared Types
+ *
+ * Types shared by the web app and Cloud Functions. Build with
+ * `npm run build --workspace=packages/shared-types` before type-checking
+ * or building either app.
+ *
+ * @module shared-types
+ */
+
+export type * from './api';
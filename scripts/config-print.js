@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Print Effective Configuration
+ *
+ * Shows the configuration ConfigService would produce for an environment
+ * (env variables → config/profiles.ts → firebase.json → defaults) and the
+ * validation issues for that environment (the same schema the app enforces,
+ * apps/web/src/config/validation.ts), without starting the app.
+ *
+ * Env files are read from apps/web the way Next.js would: .env.local for
+ * development, .env.<env>.local and .env.<env> for staging and production.
+ *
+ * With --provenance, every value is listed with the layer it came from
+ * (shell or .env file variable, profile, firebase.json, default). Secrets
+ * such as the API key are redacted in all output.
+ *
+ * Usage:
+ *   npm run config:print                       # Current environment (NEXT_PUBLIC_APP_ENV)
+ *   npm run config:print -- --env staging      # Any environment
+ *   npm run config:print -- --provenance       # Where each value came from
+ *   npm run config:print -- --env production --json
+ *
+ * Exit codes:
+ * 0 - Configuration is valid
+ * 1 - Validation errors (or unknown environment)
+ */
+
+const path = require('path');
+const { ROOT_DIR } = require('./lib/service-manifest');
+const { parseArgs } = require('./lib/cli-args');
+const { readEnvFile } = require('./lib/env-file');
+const { WEB_DIR, requireWebModule, loadConfigForEnvironment } = require('./lib/config-service');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('config-print');
+
+/**
+ * Environment to print: --env, then the shell, then .env.local
+ */
+function resolveEnvironment(options) {
+  return options.env
+    || process.env.NEXT_PUBLIC_APP_ENV
+    || readEnvFile(path.join(WEB_DIR, '.env.local')).NEXT_PUBLIC_APP_ENV
+    || 'development';
+}
+
+/**
+ * Load a config module through tsx
+ */
+function loadConfigModule(name) {
+  return requireWebModule(path.join(WEB_DIR, 'src', 'config', `${name}.ts`));
+}
+
+/**
+ * Copy of the config with secrets redacted
+ */
+function redactConfig(appConfig, { REDACTED_PATHS, redactValue }) {
+  const copy = JSON.parse(JSON.stringify(appConfig));
+  for (const configPath of REDACTED_PATHS) {
+    const keys = configPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], copy);
+    const last = keys[keys.length - 1];
+    if (parent && parent[last] !== undefined) parent[last] = redactValue(parent[last]);
+  }
+  return copy;
+}
+
+/**
+ * Provenance records with .env file variables attributed to their file
+ */
+function attributeSources(provenance, envSources) {
+  return provenance.map((record) => {
+    const file = record.source.layer === 'env' && envSources[record.source.key];
+    return file ? { ...record, source: { ...record.source, file: path.relative(ROOT_DIR, file) } } : record;
+  });
+}
+
+/**
+ * Print where every value came from
+ */
+function printProvenance(provenance, { describeSource }) {
+  const rows = provenance.map(record => [
+    record.path,
+    record.value === undefined || record.value === '' ? '(not set)' : String(record.value),
+    describeSource(record.source),
+  ]);
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+
+  console.log('🔎 Provenance (highest priority layer that had a value)');
+  for (const [configPath, value, source] of rows) {
+    console.log(`   ${configPath.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${source}`);
+  }
+  console.log('\n   env without a file = set in the shell; unset = no layer had a value');
+
+  const notes = [...new Set(provenance.map(record => record.source.note).filter(Boolean))];
+  notes.forEach(note => logger.warn(`\n${note}`));
+}
+
+/**
+ * Print feature flag rules from code and the profile
+ */
+function printFlags(flags, { FLAG_NAMES }, { describeSource }) {
+  console.log('\n🏁 Flags (before the live Firestore values)');
+  for (const flag of FLAG_NAMES) {
+    const { enabled, rolloutPercentage, users } = flags.getRule(flag);
+    const details = [
+      rolloutPercentage !== undefined ? `${rolloutPercentage}% of users` : null,
+      users && users.length > 0 ? `+${users.length} targeted user(s)` : null,
+    ].filter(Boolean);
+    const state = `${enabled ? 'on' : 'off'}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    console.log(`   ${flag}: ${state}  [${describeSource(flags.getSource(flag))}]`);
+  }
+}
+
+/**
+ * Print the merged configuration in readable form
+ */
+function printConfig(appConfig, envFiles) {
+  const { firebase, api, features } = appConfig;
+  const value = item => (item === undefined || item === '' ? '(not set)' : item);
+
+  console.log(`🧩 Environment: ${appConfig.environment}`);
+  console.log(`   Env files: ${envFiles.length > 0 ? envFiles.map(file => path.relative(ROOT_DIR, file)).join(', ') : '(none)'}`);
+
+  console.log('\n🔥 Firebase');
+  console.log(`   Project ID:          ${value(firebase.projectId)}`);
+  console.log(`   API key:             ${value(firebase.apiKey)}`);
+  console.log(`   Auth domain:         ${value(firebase.authDomain)}`);
+  console.log(`   Storage bucket:      ${value(firebase.storageBucket)}`);
+  console.log(`   Messaging sender ID: ${value(firebase.messagingSenderId)}`);
+  console.log(`   App ID:              ${value(firebase.appId)}`);
+
+  console.log('\n🌐 API');
+  console.log(`   Base URL: ${value(api.baseUrl)}`);
+
+  console.log('\n🧪 Emulators');
+  if (firebase.emulators) {
+    for (const [service, endpoint] of Object.entries(firebase.emulators)) {
+      console.log(`   ${service.padEnd(10)} ${endpoint.host}:${endpoint.port}`);
+    }
+  } else {
+    console.log('   Not used');
+  }
+
+  console.log('\n🔐 Secret providers (values are never printed)');
+  console.log(`   ${appConfig.secrets.providers.join(' → ')}`);
+
+  console.log('\n🚩 Features');
+  for (const [name, enabled] of Object.entries(features)) {
+    console.log(`   ${name}: ${enabled ? 'on' : 'off'}`);
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { options } = parseArgs(process.argv.slice(2), { booleans: ['json', 'provenance'] });
+  const environment = resolveEnvironment(options);
+
+  const { ENVIRONMENTS } = loadConfigModule('env-schema');
+  if (!ENVIRONMENTS.includes(environment)) {
+    logger.error(`Unknown environment "${environment}" (expected ${ENVIRONMENTS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const provenanceHelpers = loadConfigModule('provenance');
+  const { config, envFiles, envSources } = loadConfigForEnvironment(environment);
+  const appConfig = redactConfig(config.getConfig(), provenanceHelpers);
+  const provenance = attributeSources(config.getProvenance(), envSources);
+  const validation = config.validate();
+
+  if (options.json) {
+    const flags = config.getFlags();
+    const { FLAG_NAMES } = loadConfigModule('feature-flags');
+    const output = {
+      config: appConfig,
+      flags: Object.fromEntries(FLAG_NAMES.map(flag => [flag, { rule: flags.getRule(flag), source: flags.getSource(flag) }])),
+      validation,
+    };
+    if (options.provenance) output.provenance = provenance;
+    console.log(JSON.stringify(output, null, 2));
+    if (!validation.valid) process.exit(1);
+    return;
+  }
+
+  if (options.provenance) {
+    console.log(`🧩 Environment: ${environment}\n`);
+    printProvenance(provenance, provenanceHelpers);
+  } else {
+    printConfig(appConfig, envFiles);
+    printFlags(config.getFlags(), loadConfigModule('feature-flags'), provenanceHelpers);
+  }
+
+  if (validation.valid) {
+    logger.success(`\nConfiguration is valid for ${environment}`);
+    return;
+  }
+
+  const issues = validation.issues.flatMap(issue => [
+    `   ${issue.path}: ${issue.message}`,
+    ...(issue.resolution ? [`      → ${issue.resolution}`] : []),
+  ]);
+  logger.error([`\nConfiguration is not valid for ${environment}:`, ...issues].join('\n'));
+  process.exit(1);
+}
+
+main();
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Environment Doctor
+ *
+ * Diagnoses common Firebase + Next.js pitfalls before they show up as
+ * confusing emulator or build failures:
+ * - Node.js version, Firebase CLI, installed dependencies, .env.local
+ * - Java (required by the Firestore emulator)
+ * - Emulator and Next.js ports: free, used by the E2E stack, or held by a
+ *   foreign process
+ * - Files referenced by firebase.json (rules, indexes, functions source)
+ * - .firebaserc project ID vs NEXT_PUBLIC_FIREBASE_PROJECT_ID in .env.local
+ * - Functions runtime in firebase.json vs the local Node.js version
+ *
+ * Every finding comes with resolution steps.
+ *
+ * Usage: npm run doctor
+ *
+ * Exit codes:
+ * 0 - No errors (warnings may be present)
+ * 1 - At least one error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT_DIR, FIREBASE_JSON, loadFirebaseJson, getProcesses } = require('./lib/service-manifest');
+const { readState, verifyProcess, belongsTo } = require('./lib/process-state');
+const { getProcessInfo, tryExec } = require('./lib/processes');
+const { findListeners } = require('./lib/ports');
+const { readEnvFile } = require('./lib/env-file');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('doctor');
+
+const isWindows = process.platform === 'win32';
+
+const WEB_DIR = path.join(ROOT_DIR, 'apps', 'web');
+const ENV_FILE = path.join(WEB_DIR, '.env.local');
+const FIREBASERC = path.join(ROOT_DIR, '.firebaserc');
+
+// firebase-tools 13 needs JDK 11+ for the Firestore emulator
+const MIN_JAVA_VERSION = 11;
+
+/**
+ * Build a finding
+ *
+ * `resolution` is a list of steps, printed like ConfigurationError's
+ * "Resolution:\n1. ..." block.
+ */
+function finding(level, message, details, resolution = []) {
+  return { level, message, details, resolution };
+}
+
+const ok = message => finding('ok', message);
+const warning = (message, details, resolution) => finding('warning', message, details, resolution);
+const error = (message, details, resolution) => finding('error', message, details, resolution);
+
+/**
+ * Required Node.js major version from package.json engines
+ */
+function requiredNodeMajor() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8'));
+  const match = String((pkg.engines && pkg.engines.node) || '').match(/(\d+)/);
+  return match ? Number(match[1]) : 18;
+}
+
+function checkNode() {
+  const required = requiredNodeMajor();
+  const major = Number(process.versions.node.split('.')[0]);
+
+  if (major >= required) return [ok(`Node.js ${process.version}`)];
+
+  return [error(
+    `Node.js ${process.version} is too old`,
+    `package.json requires Node.js ${required} or newer`,
+    [`Install Node.js ${required}+ from https://nodejs.org/ (or: nvm install ${required})`]
+  )];
+}
+
+function checkFirebaseCli() {
+  const version = tryExec(isWindows ? 'firebase.cmd' : 'firebase', ['--version']);
+  if (version) return [ok(`Firebase CLI ${version.trim()}`)];
+
+  return [error(
+    'Firebase CLI not found',
+    'The emulators and deploys run through the firebase command',
+    ['Run: npm install -g firebase-tools', 'Or use the local copy: npx firebase --version']
+  )];
+}
+
+function checkDependencies() {
+  const missing = [ROOT_DIR, WEB_DIR]
+    .filter(dir => !fs.existsSync(path.join(dir, 'node_modules')))
+    .map(dir => path.relative(ROOT_DIR, dir) || '(root)');
+
+  if (missing.length === 0) return [ok('Dependencies installed')];
+
+  return [error(
+    'Dependencies are not installed',
+    `Missing node_modules in: ${missing.join(', ')}`,
+    ['Run: npm install']
+  )];
+}
+
+function checkEnvFile() {
+  if (fs.existsSync(ENV_FILE)) return [ok('apps/web/.env.local exists')];
+
+  return [warning(
+    'apps/web/.env.local not found',
+    'ConfigService falls back to defaults (demo-project, emulators)',
+    ['Run: npm run setup', 'Then check it with: npm run env:check']
+  )];
+}
+
+/**
+ * Java major version from `java -version` output
+ *
+ * `major` is null when the output has no recognizable version.
+ */
+function parseJavaVersion(output) {
+  const raw = output.trim().split('\n')[0];
+  const match = output.match(/version "(\d+)(?:\.(\d+))?/);
+  if (!match) return { major: null, raw };
+
+  // Java 8 and older report "1.8.0_x"
+  const major = match[1] === '1' ? Number(match[2]) : Number(match[1]);
+  return { major, raw };
+}
+
+/**
+ * Java version of the `java` on PATH (printed on stderr), or null
+ */
+function getJavaVersion() {
+  const result = spawnSync('java', ['-version'], { encoding: 'utf8', shell: isWindows });
+  if (result.error || result.status !== 0) return null;
+  return parseJavaVersion(`${result.stderr}${result.stdout}`);
+}
+
+function checkJava(firebaseJson, java = getJavaVersion()) {
+  const emulators = firebaseJson.emulators || {};
+  if (!emulators.firestore) return [ok('Java not needed (no Firestore emulator configured)')];
+
+  if (!java) {
+    return [error(
+      'Java not found',
+      'The Firestore emulator runs on the JVM and will not start without it',
+      [
+        `Install a JDK ${MIN_JAVA_VERSION} or newer (e.g. https://adoptium.net/)`,
+        'Make sure `java` is on your PATH: java -version',
+      ]
+    )];
+  }
+
+  if (java.major !== null && java.major < MIN_JAVA_VERSION) {
+    return [error(
+      `Java ${java.major} is too old`,
+      `The Firestore emulator needs Java ${MIN_JAVA_VERSION}+ (found: ${java.raw})`,
+      [`Install a JDK ${MIN_JAVA_VERSION} or newer and put it first on your PATH`]
+    )];
+  }
+
+  return [ok(`Java ${java.major || java.raw}`)];
+}
+
+/**
+ * Ports: free, held by the tracked E2E stack, or held by something else
+ */
+function checkPorts() {
+  const findings = [];
+
+  for (const processConfig of Object.values(getProcesses())) {
+    const record = readState(processConfig.id);
+    const tracked = record && record.origin === 'started' && verifyProcess(record).matches ? record : null;
+
+    for (const service of processConfig.services) {
+      const listeners = findListeners(service.port);
+      const label = `${service.name} port ${service.port}`;
+
+      if (listeners.length === 0) {
+        findings.push(ok(`${label} is free`));
+        continue;
+      }
+
+      const foreign = listeners.filter(pid => !(tracked && belongsTo(pid, tracked)));
+      if (foreign.length === 0) {
+        findings.push(ok(`${label} is used by the running E2E stack`));
+        continue;
+      }
+
+      const holders = foreign.map((pid) => {
+        const info = getProcessInfo(pid);
+        return `PID ${pid}${info ? ` (${info.command.slice(0, 80)})` : ''}`;
+      });
+
+      findings.push(warning(
+        `${label} is held by another process`,
+        holders.join(', '),
+        [
+          'If it is a leftover emulator or dev server: npm run e2e:stop (add --force for foreign processes)',
+          `Otherwise change the port in firebase.json${service.id === 'nextjs' ? ' / the dev script' : ''}`,
+          'Or run an isolated stack on free ports: npm run e2e:start -- --instance <name>',
+        ]
+      ));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Files firebase.json points at
+ */
+function referencedFiles(firebaseJson) {
+  const files = [];
+  const asList = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  for (const firestore of asList(firebaseJson.firestore)) {
+    if (firestore.rules) files.push({ key: 'firestore.rules', file: firestore.rules });
+    if (firestore.indexes) files.push({ key: 'firestore.indexes', file: firestore.indexes });
+  }
+  for (const storage of asList(firebaseJson.storage)) {
+    if (storage.rules) files.push({ key: 'storage.rules', file: storage.rules });
+  }
+  for (const functions of asList(firebaseJson.functions)) {
+    if (functions.source) {
+      files.push({ key: 'functions.source', file: path.join(functions.source, 'package.json') });
+    }
+  }
+
+  return files;
+}
+
+function checkReferencedFiles(firebaseJson, rootDir = ROOT_DIR) {
+  const files = referencedFiles(firebaseJson);
+  const missing = files.filter(({ file }) => !fs.existsSync(path.join(rootDir, file)));
+
+  if (missing.length === 0) {
+    return [ok(`firebase.json references ${files.length} file(s), all present`)];
+  }
+
+  return missing.map(({ key, file }) => error(
+    `firebase.json ${key} points to a missing file: ${file}`,
+    'The emulators and firebase deploy fail when referenced files are missing',
+    key === 'functions.source'
+      ? [`Create the functions workspace at ${path.dirname(file)}`, 'Or remove the "functions" block from firebase.json']
+      : [`Create ${file} (firebase init ${key.split('.')[0]} generates a starter)`, `Or remove "${key.split('.')[1]}" from the "${key.split('.')[0]}" block in firebase.json`]
+  ));
+}
+
+function checkProjectId({ firebasercFile = FIREBASERC, envFile = ENV_FILE } = {}) {
+  if (!fs.existsSync(firebasercFile)) {
+    return [warning(
+      '.firebaserc not found',
+      'The Firebase CLI has no default project for this directory',
+      ['Run: npm run setup', 'Or: cp .firebaserc.example .firebaserc and set "default"']
+    )];
+  }
+
+  let firebaserc;
+  try {
+    firebaserc = JSON.parse(fs.readFileSync(firebasercFile, 'utf8'));
+  } catch (parseError) {
+    return [error('.firebaserc is not valid JSON', parseError.message, ['Fix the file or re-run: npm run setup -- --force'])];
+  }
+
+  const cliProject = firebaserc.projects && firebaserc.projects.default;
+  const envProject = readEnvFile(envFile).NEXT_PUBLIC_FIREBASE_PROJECT_ID || 'demo-project';
+
+  if (!cliProject || cliProject === 'your-project-id-here') {
+    return [error(
+      '.firebaserc has no real default project',
+      `projects.default is "${cliProject || ''}"`,
+      ['Run: npm run setup -- --force', 'Or: firebase use --add']
+    )];
+  }
+
+  if (cliProject !== envProject) {
+    return [error(
+      'Project ID mismatch between the Firebase CLI and the app',
+      `.firebaserc default: ${cliProject}\n.env.local NEXT_PUBLIC_FIREBASE_PROJECT_ID: ${envProject}\nThe emulators would store data under a different project than the app reads`,
+      ['Run: npm run setup -- --force --project-id=<id> to write both files', 'Or edit one of them so they match']
+    )];
+  }
+
+  return [ok(`Project ID ${cliProject} matches in .firebaserc and .env.local`)];
+}
+
+function checkFunctionsRuntime(firebaseJson, nodeVersion = process.version) {
+  const functions = Array.isArray(firebaseJson.functions) ? firebaseJson.functions : [firebaseJson.functions].filter(Boolean);
+  const localMajor = Number(nodeVersion.replace(/^v/, '').split('.')[0]);
+  const findings = [];
+
+  for (const codebase of functions) {
+    const match = String(codebase.runtime || '').match(/^nodejs(\d+)$/);
+    if (!match) continue;
+
+    const runtimeMajor = Number(match[1]);
+    const name = codebase.codebase || codebase.source;
+
+    if (runtimeMajor === localMajor) {
+      findings.push(ok(`Functions runtime ${codebase.runtime} matches Node.js ${nodeVersion} (${name})`));
+      continue;
+    }
+
+    findings.push(warning(
+      `Functions runtime ${codebase.runtime} does not match local Node.js ${nodeVersion} (${name})`,
+      'The Functions emulator runs your local Node.js, so code that works locally may fail after deploy',
+      [
+        `Switch Node.js for this project: nvm install ${runtimeMajor} && nvm use ${runtimeMajor}`,
+        `Or update "runtime" in firebase.json to nodejs${localMajor} (if Cloud Functions supports it)`,
+      ]
+    ));
+  }
+
+  return findings;
+}
+
+/**
+ * Print one finding
+ */
+function printFinding({ level, message, details, resolution }) {
+  if (level === 'ok') {
+    logger.success(message);
+    return;
+  }
+
+  const lines = [message];
+  if (details) lines.push(`   ${details.split('\n').join('\n   ')}`);
+  if (resolution.length > 0) {
+    lines.push('   Resolution:', ...resolution.map((step, index) => `   ${index + 1}. ${step}`));
+  }
+  // One entry per finding, so details stay with it in JSON logs
+  if (level === 'error') logger.error(lines.join('\n'));
+  else logger.warn(lines.join('\n'));
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  logger.banner('Environment Doctor - SavvyProxy');
+
+  let firebaseJson = null;
+  let firebaseJsonError = null;
+  try {
+    firebaseJson = loadFirebaseJson(FIREBASE_JSON);
+  } catch (loadError) {
+    firebaseJsonError = loadError;
+  }
+
+  const sections = [
+    ['Toolchain', () => [...checkNode(), ...checkFirebaseCli(), ...checkDependencies()]],
+    ['Configuration', () => [...checkEnvFile(), ...checkProjectId()]],
+  ];
+
+  if (firebaseJson) {
+    sections.push(
+      ['Emulators', () => [...checkJava(firebaseJson), ...checkPorts()]],
+      ['firebase.json', () => [...checkReferencedFiles(firebaseJson), ...checkFunctionsRuntime(firebaseJson)]]
+    );
+  } else {
+    sections.push(['firebase.json', () => [error('Could not read firebase.json', firebaseJsonError.message, ['Restore firebase.json from git or run: firebase init'])]]);
+  }
+
+  const findings = [];
+  sections.forEach(([title, run], index) => {
+    logger.info(`${index > 0 ? '\n' : ''}🩺 ${title}`);
+    for (const item of run()) {
+      printFinding(item);
+      findings.push(item);
+    }
+  });
+
+  const errors = findings.filter(item => item.level === 'error').length;
+  const warnings = findings.filter(item => item.level === 'warning').length;
+
+  if (errors === 0 && warnings === 0) {
+    logger.success('\nNo problems found');
+    return;
+  }
+
+  const summary = `\n${errors} error(s), ${warnings} warning(s)`;
+  if (errors > 0) {
+    logger.error(summary);
+    process.exit(1);
+  }
+  logger.warn(summary);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseJavaVersion,
+  checkNode,
+  checkFirebaseCli,
+  checkDependencies,
+  checkEnvFile,
+  checkJava,
+  checkPorts,
+  referencedFiles,
+  checkReferencedFiles,
+  checkProjectId,
+  checkFunctionsRuntime,
+};
@@ -0,0 +1,148 @@
+/**
+ * Tests for the environment doctor checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseJavaVersion,
+  checkJava,
+  referencedFiles,
+  checkReferencedFiles,
+  checkProjectId,
+  checkFunctionsRuntime,
+} = require('./doctor');
+
+const levels = findings => findings.map(({ level, message }) => `${level}: ${message}`);
+
+describe('parseJavaVersion', () => {
+  it('reads current version strings', () => {
+    assert.deepEqual(parseJavaVersion('openjdk version "17.0.9" 2023-10-17\nOpenJDK Runtime Environment'), {
+      major: 17,
+      raw: 'openjdk version "17.0.9" 2023-10-17',
+    });
+    assert.equal(parseJavaVersion('openjdk version "21" 2023-09-19').major, 21);
+  });
+
+  it('reads the legacy 1.x scheme of Java 8 and older', () => {
+    assert.equal(parseJavaVersion('java version "1.8.0_392"\nJava(TM) SE Runtime Environment').major, 8);
+    assert.equal(parseJavaVersion('java version "1.7.0_80"').major, 7);
+  });
+
+  it('keeps the raw line when there is no version', () => {
+    assert.deepEqual(parseJavaVersion('Picked up JAVA_TOOL_OPTIONS: -Xmx1g\n'), {
+      major: null,
+      raw: 'Picked up JAVA_TOOL_OPTIONS: -Xmx1g',
+    });
+  });
+});
+
+describe('checkJava', () => {
+  const withFirestore = { emulators: { firestore: { port: 8081 } } };
+
+  it('requires Java 11+ for the Firestore emulator', () => {
+    assert.deepEqual(levels(checkJava(withFirestore, parseJavaVersion('java version "1.8.0_392"'))), ['error: Java 8 is too old']);
+    assert.deepEqual(levels(checkJava(withFirestore, parseJavaVersion('openjdk version "17.0.9"'))), ['ok: Java 17']);
+    assert.deepEqual(levels(checkJava(withFirestore, null)), ['error: Java not found']);
+  });
+
+  it('skips Java without a Firestore emulator', () => {
+    assert.deepEqual(levels(checkJava({ emulators: {} }, null)), ['ok: Java not needed (no Firestore emulator configured)']);
+  });
+});
+
+describe('referencedFiles', () => {
+  it('lists rules, indexes and functions sources, including multi-target blocks', () => {
+    const firebaseJson = {
+      firestore: { rules: 'firestore.rules', indexes: 'firestore.indexes.json' },
+      storage: [{ bucket: 'a', rules: 'storage.rules' }, { bucket: 'b', rules: 'storage-b.rules' }],
+      functions: [{ source: 'apps/functions' }, { codebase: 'other' }],
+    };
+
+    assert.deepEqual(referencedFiles(firebaseJson), [
+      { key: 'firestore.rules', file: 'firestore.rules' },
+      { key: 'firestore.indexes', file: 'firestore.indexes.json' },
+      { key: 'storage.rules', file: 'storage.rules' },
+      { key: 'storage.rules', file: 'storage-b.rules' },
+      { key: 'functions.source', file: path.join('apps/functions', 'package.json') },
+    ]);
+  });
+
+  it('is empty without those blocks', () => {
+    assert.deepEqual(referencedFiles({ hosting: { public: 'out' } }), []);
+  });
+});
+
+describe('file checks', () => {
+  let dir;
+
+  const write = (file, content) => {
+    fs.writeFileSync(path.join(dir, file), content);
+    return path.join(dir, file);
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports each missing referenced file', () => {
+    write('firestore.rules', '');
+
+    const findings = checkReferencedFiles({ firestore: { rules: 'firestore.rules' }, storage: { rules: 'storage.rules' } }, dir);
+
+    assert.deepEqual(levels(findings), ['error: firebase.json storage.rules points to a missing file: storage.rules']);
+    assert.deepEqual(levels(checkReferencedFiles({ firestore: { rules: 'firestore.rules' } }, dir)), [
+      'ok: firebase.json references 1 file(s), all present',
+    ]);
+  });
+
+  it('reports a project ID mismatch between .firebaserc and .env.local', () => {
+    const firebasercFile = write('.firebaserc', JSON.stringify({ projects: { default: 'demo-cli' } }));
+    const envFile = write('.env.local', 'NEXT_PUBLIC_FIREBASE_PROJECT_ID=demo-app\n');
+
+    const [finding] = checkProjectId({ firebasercFile, envFile });
+
+    assert.equal(finding.level, 'error');
+    assert.equal(finding.message, 'Project ID mismatch between the Firebase CLI and the app');
+    assert.match(finding.details, /\.firebaserc default: demo-cli\n\.env\.local NEXT_PUBLIC_FIREBASE_PROJECT_ID: demo-app/);
+  });
+
+  it('accepts matching project IDs, defaulting the app to demo-project', () => {
+    const firebasercFile = write('.firebaserc', JSON.stringify({ projects: { default: 'demo-project' } }));
+
+    assert.deepEqual(levels(checkProjectId({ firebasercFile, envFile: path.join(dir, 'missing.env') })), [
+      'ok: Project ID demo-project matches in .firebaserc and .env.local',
+    ]);
+  });
+
+  it('reports a missing, invalid or placeholder .firebaserc', () => {
+    const envFile = path.join(dir, 'missing.env');
+
+    assert.deepEqual(levels(checkProjectId({ firebasercFile: path.join(dir, 'none'), envFile })), ['warning: .firebaserc not found']);
+    assert.deepEqual(levels(checkProjectId({ firebasercFile: write('invalid.json', '{'), envFile })), ['error: .firebaserc is not valid JSON']);
+    assert.deepEqual(
+      levels(checkProjectId({ firebasercFile: write('placeholder.json', JSON.stringify({ projects: { default: 'your-project-id-here' } })), envFile })),
+      ['error: .firebaserc has no real default project']
+    );
+  });
+});
+
+describe('checkFunctionsRuntime', () => {
+  it('compares each codebase runtime with the local Node.js major', () => {
+    const firebaseJson = { functions: [{ source: 'apps/functions', codebase: 'default', runtime: 'nodejs18' }] };
+
+    assert.deepEqual(levels(checkFunctionsRuntime(firebaseJson, 'v18.20.8')), [
+      'ok: Functions runtime nodejs18 matches Node.js v18.20.8 (default)',
+    ]);
+    assert.deepEqual(levels(checkFunctionsRuntime(firebaseJson, 'v20.19.5')), [
+      'warning: Functions runtime nodejs18 does not match local Node.js v20.19.5 (default)',
+    ]);
+  });
+});
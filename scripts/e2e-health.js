@@ -3,69 +3,55 @@
 /**
  * E2E Environment Health Check Script
  *
- * Validates that all required services are running and responding:
- * 1. Next.js Dev Server (port 3004)
- * 2. Firebase Auth Emulator (port 9099)
- * 3. Firebase Firestore Emulator (port 8081)
- * 4. Firebase Functions Emulator (port 5002)
+ * Validates that all required services are running and able to serve
+ * requests (see lib/probes.js for what each probe checks):
+ * 1. Next.js Dev Server
+ * 2. Firebase Auth Emulator
+ * 3. Firebase Firestore Emulator
+ * 4. Firebase Functions Emulator
+ *
+ * Services and ports come from the service manifest (firebase.json).
+ *
+ * Usage:
+ *   npm run e2e:health
+ *   npm run e2e:health -- --format json|junit [--output <file>]
+ *
+ * With --format and no --output, only the report is printed to stdout.
+ * Add --instance <name> to check an isolated stack (see e2e-start.js).
+ *
+ * Watch mode (continuous monitoring with uptime, latency and flap detection):
+ *   npm run e2e:health -- --watch [--interval <ms>] [--on-down "<command>"] [--log <file>]
+ *                                 [--flap-threshold <n>] [--flap-window <ms>]
  *
  * Exit codes:
  * 0 - All services healthy
  * 1 - One or more services not responding
  */
 
-const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { getServices, getProjectId } = require('./lib/service-manifest');
+const { probeService } = require('./lib/probes');
+const { parseArgs, parsePositiveNumber } = require('./lib/cli-args');
+const { FORMATS, buildReport, formatReport } = require('./lib/health-report');
+const { watchServices } = require('./lib/health-monitor');
+const { getInstanceName, useInstance } = require('./lib/instances');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-health');
+
+// Select the stack (--instance <name>) before resolving services
+useInstance(parseArgs().options.instance);
 
 // Health check configuration
-const HEALTH_CHECKS = [
-  { name: 'Next.js Dev Server', url: 'http://localhost:3004', required: true },
-  { name: 'Firebase Auth', url: 'http://localhost:9099', required: true },
-  { name: 'Firebase Firestore', url: 'http://localhost:8081', required: true },
-  { name: 'Firebase Functions', url: 'http://localhost:5002', required: true },
-  { name: 'Firebase Storage', url: 'http://localhost:9199', required: false },
-  { name: 'Firebase Hosting', url: 'http://localhost:5000', required: false },
-];
+const HEALTH_CHECKS = getServices();
+const PROJECT_ID = getProjectId();
 
 /**
- * Check if a service is responding
+ * Check if a service is ready, using its protocol-specific probe
  */
-async function checkService(name, url, timeout = 5000) {
-  return new Promise((resolve) => {
-    const urlObj = new URL(url);
-    const startTime = Date.now();
-
-    const req = http.request({
-      hostname: urlObj.hostname,
-      port: urlObj.port,
-      path: '/',
-      method: 'GET',
-      timeout,
-    }, (res) => {
-      const responseTime = Date.now() - startTime;
-      resolve({
-        healthy: true,
-        responseTime,
-        status: res.statusCode,
-      });
-    });
-
-    req.on('error', (error) => {
-      resolve({
-        healthy: false,
-        error: error.message,
-      });
-    });
-
-    req.on('timeout', () => {
-      req.destroy();
-      resolve({
-        healthy: false,
-        error: 'Connection timeout',
-      });
-    });
-
-    req.end();
-  });
+async function checkService(service, timeout = 5000) {
+  return probeService(service, { projectId: PROJECT_ID, timeout });
 }
 
 /**
@@ -76,72 +62,131 @@ function formatTime(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
+/**
+ * Write the machine-readable report to a file or stdout
+ */
+function writeReport(results, { format, output }) {
+  const report = buildReport(results, { projectId: PROJECT_ID });
+  const content = formatReport(report, format);
+
+  if (output) {
+    const file = path.resolve(output);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    logger.info(`📝 ${format.toUpperCase()} report written to ${file}\n`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
 /**
  * Main execution
  */
 async function main() {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║      E2E Environment Health Check - SavvyProxy            ║');
-  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  const { options } = parseArgs(process.argv.slice(2), { booleans: ['watch'] });
+
+  if (options.watch) {
+    let numbers;
+    try {
+      numbers = {
+        interval: parsePositiveNumber(options.interval, '--interval'),
+        flapThreshold: parsePositiveNumber(options.flapThreshold, '--flap-threshold'),
+        flapWindow: parsePositiveNumber(options.flapWindow, '--flap-window'),
+      };
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+
+    await watchServices(HEALTH_CHECKS, {
+      projectId: PROJECT_ID,
+      ...(numbers.interval && { interval: numbers.interval }),
+      ...(numbers.flapThreshold && { flapThreshold: numbers.flapThreshold }),
+      ...(numbers.flapWindow && { flapWindow: numbers.flapWindow }),
+      onDown: options.onDown,
+      logFile: options.log && path.resolve(options.log),
+    });
+    return;
+  }
+
+  const format = options.format || (options.output ? 'json' : null);
+
+  if (format && !FORMATS.includes(format)) {
+    logger.error(`Unknown --format "${format}" (expected: ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  // A report without --output goes to stdout, so keep the console quiet.
+  // `write` prints the result table; everything else is logged.
+  const quiet = Boolean(format && !options.output);
+  const log = quiet ? () => {} : message => logger.info(message);
+  const write = quiet ? () => {} : text => process.stdout.write(text);
+
+  if (!quiet) logger.banner('E2E Environment Health Check - SavvyProxy');
 
   const results = [];
   let hasFailures = false;
 
-  console.log('🔍 Checking services...\n');
+  log('🔍 Checking services...\n');
 
   for (const check of HEALTH_CHECKS) {
-    process.stdout.write(`   ${check.name.padEnd(30)} `);
+    write(`   ${check.name.padEnd(30)} `);
 
-    const result = await checkService(check.name, check.url);
+    const result = await checkService(check);
 
     if (result.healthy) {
       const timeStr = formatTime(result.responseTime);
-      console.log(`✅ OK (${timeStr})`);
+      write(`✅ OK (${timeStr})\n`);
       results.push({ ...check, ...result, passed: true });
     } else {
       if (check.required) {
-        console.log(`❌ FAILED - ${result.error}`);
+        write(`❌ FAILED - ${result.error}\n`);
         results.push({ ...check, ...result, passed: false });
         hasFailures = true;
       } else {
-        console.log(`⚠️  NOT RUNNING (optional)`);
+        write('⚠️  NOT RUNNING (optional)\n');
         results.push({ ...check, ...result, passed: true });
       }
     }
   }
 
+  if (format) {
+    write('\n');
+    writeReport(results, { format, output: options.output });
+  }
+
   // Summary
-  console.log('\n' + '═'.repeat(64));
+  log('\n' + '═'.repeat(64));
 
   if (hasFailures) {
-    console.log('\n❌ Health Check FAILED\n');
-    console.log('The following required services are not responding:');
-
-    results.forEach(result => {
-      if (!result.passed && result.required) {
-        console.log(`   - ${result.name}: ${result.error}`);
-      }
-    });
+    if (!quiet) {
+      const failed = results.filter(result => !result.passed && result.required);
+      logger.error([
+        '\nHealth Check FAILED\n',
+        'The following required services are not responding:',
+        ...failed.map(result => `   - ${result.name}: ${result.error}`),
+      ].join('\n'));
+    }
 
-    console.log('\n💡 To start the E2E environment:');
-    console.log('   npm run e2e:start\n');
+    log('\n💡 To start the E2E environment:');
+    log(`   npm run e2e:start${getInstanceName() ? ` -- --instance ${getInstanceName()}` : ''}\n`);
 
     process.exit(1);
   }
 
-  console.log('\n✅ All Services Healthy!\n');
-  console.log('📍 Service URLs:');
+  log('\n✅ All Services Healthy!\n');
+  log('📍 Service URLs:');
   results.forEach(result => {
     if (result.healthy) {
-      console.log(`   ${result.name.padEnd(30)} ${result.url}`);
+      log(`   ${result.name.padEnd(30)} ${result.url}`);
     }
   });
 
-  console.log('\n🎉 E2E environment is ready for testing!\n');
+  log('\n🎉 E2E environment is ready for testing!\n');
   process.exit(0);
 }
 
 main().catch((error) => {
-  console.error('❌ Health check failed:', error);
+  logger.error('Health check failed:', error);
   process.exit(1);
 });
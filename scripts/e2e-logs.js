@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * E2E Service Logs
+ *
+ * Shows output captured from services started by e2e-start.js
+ * (.e2e/logs/<service>.out.log and .err.log).
+ *
+ * Usage:
+ *   npm run e2e:logs                          # Recent lines from every service
+ *   npm run e2e:logs -- <service>             # Recent lines from one service
+ *   npm run e2e:logs -- <service> --follow    # Keep printing new lines
+ *
+ * Options:
+ *   --lines <n>   Number of recent lines to show (default: 50)
+ *   --stdout      Only show stdout
+ *   --stderr      Only show stderr
+ *   --instance <name>  Logs of an isolated stack (see e2e-start.js)
+ *
+ * Services: the process ids from the service manifest (e.g. emulators, nextjs).
+ */
+
+const fs = require('fs');
+const { getProcesses } = require('./lib/service-manifest');
+const { getLogDir, getLogPaths, readLastLines, parseLine, followLog } = require('./lib/log-files');
+const { parseArgs } = require('./lib/cli-args');
+const { useInstance } = require('./lib/instances');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-logs');
+
+// Select the stack (--instance <name>) before resolving services
+useInstance(parseArgs().options.instance);
+
+const PROCESSES = getProcesses();
+
+/**
+ * Streams to show for the given options
+ */
+function selectStreams(serviceId, options) {
+  const paths = getLogPaths(serviceId);
+  const streams = [];
+  if (!options.stderr) streams.push({ stream: 'out', file: paths.stdout });
+  if (!options.stdout) streams.push({ stream: 'err', file: paths.stderr });
+  return streams;
+}
+
+/**
+ * Format a log line for display
+ */
+function formatLine(serviceId, stream, line, { showService }) {
+  const { timestamp, message } = parseLine(line);
+  const time = timestamp ? timestamp.slice(11, 23) : '';
+  const label = showService ? `[${serviceId}${stream === 'err' ? ' ERROR' : ''}]` : (stream === 'err' ? '[ERROR]' : '');
+  return [time, label, message].filter(Boolean).join(' ');
+}
+
+/**
+ * Print recent lines, merging streams by timestamp
+ */
+function printRecent(serviceIds, options) {
+  const lineCount = Number(options.lines) || 50;
+  const showService = serviceIds.length > 1;
+  const entries = [];
+
+  for (const serviceId of serviceIds) {
+    for (const { stream, file } of selectStreams(serviceId, options)) {
+      readLastLines(file, lineCount).forEach((line) => {
+        entries.push({ serviceId, stream, line, timestamp: parseLine(line).timestamp });
+      });
+    }
+  }
+
+  entries
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .slice(-lineCount * serviceIds.length)
+    .forEach(({ serviceId, stream, line }) => {
+      const text = formatLine(serviceId, stream, line, { showService });
+      if (stream === 'err') {
+        console.error(text);
+      } else {
+        console.log(text);
+      }
+    });
+
+  return entries.length;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { options, positionals } = parseArgs(process.argv.slice(2), {
+    booleans: ['follow', 'stdout', 'stderr'],
+  });
+  const [serviceId] = positionals;
+
+  if (serviceId && !PROCESSES[serviceId]) {
+    logger.error(`Unknown service "${serviceId}" (available: ${Object.keys(PROCESSES).join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(getLogDir())) {
+    logger.info(`No logs yet (${getLogDir()} does not exist)`);
+    logger.info('Run "npm run e2e:start" to start services with log capture');
+    process.exit(0);
+  }
+
+  const serviceIds = serviceId ? [serviceId] : Object.keys(PROCESSES);
+  const printed = printRecent(serviceIds, options);
+
+  if (!options.follow) {
+    if (printed === 0) {
+      logger.info(`No log output for ${serviceIds.join(', ')}`);
+    }
+    return;
+  }
+
+  const showService = serviceIds.length > 1;
+  for (const id of serviceIds) {
+    for (const { stream, file } of selectStreams(id, options)) {
+      followLog(file, (line) => {
+        const text = formatLine(id, stream, line, { showService });
+        if (stream === 'err') {
+          console.error(text);
+        } else {
+          console.log(text);
+        }
+      });
+    }
+  }
+
+  process.on('SIGINT', () => process.exit(0));
+}
+
+main();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * E2E Emulator Snapshots
+ *
+ * Manages named exports of emulator data in .e2e/snapshots/. Snapshots are
+ * committed so teams can share baseline fixtures and reset to a known state
+ * between suites.
+ *
+ * Usage:
+ *   npm run e2e:snapshot -- list                # Show available snapshots
+ *   npm run e2e:snapshot -- create <name>       # Export the running emulators
+ *   npm run e2e:snapshot -- delete <name>       # Remove a snapshot
+ *   npm run e2e:snapshot -- diff <a> <b>        # Compare two snapshots
+ *
+ * Options:
+ *   --instance <name>  Export from an isolated stack (see e2e-start.js)
+ *
+ * Related:
+ *   npm run e2e:start -- --import <name>   # Start with a snapshot loaded
+ *   npm run e2e:stop -- --export <name>    # Save data before shutdown
+ */
+
+const path = require('path');
+const { ROOT_DIR, getProjectId, getFirebaseConfigPath } = require('./lib/service-manifest');
+const {
+  listSnapshots,
+  exportSnapshot,
+  deleteSnapshot,
+  diffSnapshots,
+} = require('./lib/snapshots');
+const { formatBytes } = require('./lib/format');
+const { parseArgs } = require('./lib/cli-args');
+const { getInstanceName, useInstance } = require('./lib/instances');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-snapshot');
+
+const { options, positionals } = parseArgs();
+
+// Select the stack (--instance <name>) before resolving services
+useInstance(options.instance);
+
+const COMMANDS = ['list', 'create', 'delete', 'diff'];
+
+/**
+ * Print available snapshots
+ */
+function list() {
+  const snapshots = listSnapshots();
+
+  if (snapshots.length === 0) {
+    logger.info('No snapshots yet');
+    logger.info('Run "npm run e2e:snapshot -- create <name>" while the emulators are running');
+    return;
+  }
+
+  console.log('📦 Snapshots (.e2e/snapshots/)\n');
+  snapshots.forEach((snapshot) => {
+    const created = snapshot.createdAt ? snapshot.createdAt.slice(0, 19).replace('T', ' ') : 'unknown';
+    const note = snapshot.valid ? '' : '  ⚠️  missing firebase-export-metadata.json';
+    console.log(`   ${snapshot.name.padEnd(24)}${created.padEnd(22)}${formatBytes(snapshot.size).padStart(10)}  ${snapshot.files} files${note}`);
+  });
+}
+
+/**
+ * Export the running emulators into a snapshot
+ */
+async function create(name) {
+  logger.info(`📦 Exporting emulator data to snapshot "${name}"...`);
+
+  const dir = await exportSnapshot(name, {
+    projectId: getProjectId(),
+    firebaseConfig: getInstanceName() ? getFirebaseConfigPath() : null,
+  });
+
+  logger.success(`Snapshot saved to ${path.relative(ROOT_DIR, dir)}`);
+  logger.info(`   Load it with "npm run e2e:start -- --import ${name}"`);
+}
+
+/**
+ * Remove a snapshot
+ */
+function remove(name) {
+  deleteSnapshot(name);
+  logger.success(`Deleted snapshot "${name}"`);
+}
+
+/**
+ * Print one section of a diff
+ */
+function printChanges(title, changes) {
+  const total = changes.added.length + changes.removed.length + changes.changed.length;
+  console.log(`${title}: ${total === 0 ? 'no changes' : `${total} change(s)`}`);
+  changes.added.forEach(item => console.log(`   + ${item}`));
+  changes.removed.forEach(item => console.log(`   - ${item}`));
+  changes.changed.forEach(item => console.log(`   ~ ${item}`));
+  return total;
+}
+
+/**
+ * Compare two snapshots
+ */
+function diff(nameA, nameB) {
+  const { files, users } = diffSnapshots(nameA, nameB);
+
+  console.log(`🔍 ${nameA} → ${nameB}\n`);
+  const total = printChanges('Auth users', users) + printChanges('Files', files);
+
+  if (total > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command = 'list', ...names] = positionals;
+
+  if (!COMMANDS.includes(command)) {
+    logger.error(`Unknown command "${command}" (available: ${COMMANDS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const needed = { list: 0, create: 1, delete: 1, diff: 2 }[command];
+  if (names.length < needed) {
+    logger.error(`"${command}" needs ${needed === 1 ? 'a snapshot name' : 'two snapshot names'}`);
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'list':
+      list();
+      break;
+    case 'create':
+      await create(names[0]);
+      break;
+    case 'delete':
+      remove(names[0]);
+      break;
+    case 'diff':
+      diff(names[0], names[1]);
+      break;
+  }
+}
+
+main().catch((error) => {
+  logger.error(error.message);
+  process.exit(1);
+});
@@ -5,200 +5,297 @@
  *
  * Starts all services required for E2E testing:
  * 1. Firebase Emulators (Auth, Firestore, Functions, Storage, Hosting)
- * 2. Next.js Dev Server (port 3004)
+ * 2. Next.js Dev Server
+ *
+ * Commands, ports, dependencies and health checks come from the service
+ * manifest.
  *
  * This script handles:
  * - Checking if services are already running
- * - Starting services in background
- * - Waiting for services to be ready
- * - Health checks for all services
+ * - Starting independent services in parallel, and dependent services
+ *   once their dependencies are healthy (see lib/startup.js)
+ * - Waiting for services to be ready (per-service timeout and backoff)
+ * - Failing fast with the dependency chain when something upstream dies
+ * - Capturing each service's output in .e2e/logs/ (see e2e-logs.js)
+ *
+ * Usage:
+ *   npm run e2e:start
+ *   npm run e2e:start -- --instance <name>
+ *   npm run e2e:start -- --import <snapshot>
+ *
+ * --instance starts a fully isolated stack on a free block of ports with its
+ * own firebase.json overlay and demo project ID (see lib/instances.js), so
+ * several developers or CI shards can run E2E tests on the same machine.
+ *
+ * --import loads a named snapshot from .e2e/snapshots/ into the emulators
+ * (see e2e-snapshot.js), so suites start from a known baseline.
  */
 
 const { spawn } = require('child_process');
-const http = require('http');
 const path = require('path');
-const fs = require('fs');
+const {
+  FIREBASE_JSON,
+  NEXTJS_PORT,
+  loadFirebaseJson,
+  getProcesses,
+  getProjectId,
+} = require('./lib/service-manifest');
+const { probeService } = require('./lib/probes');
+const { getLogPaths, followLog, parseLine } = require('./lib/log-files');
+const { writeState, removeState } = require('./lib/process-state');
+const { parseArgs } = require('./lib/cli-args');
+const { useInstance, readInstance, allocateInstance, releaseInstance, getInstancePaths } = require('./lib/instances');
+const { getSnapshotPath, snapshotExists } = require('./lib/snapshots');
+const { StartupError, startAll } = require('./lib/startup');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-start');
 
 const isWindows = process.platform === 'win32';
 
-// Service configuration
-const SERVICES = {
-  emulators: {
-    name: 'Firebase Emulators',
-    command: isWindows ? 'firebase.cmd' : 'firebase',
-    args: ['emulators:start'],
-    cwd: path.resolve(__dirname, '../../..'), // Root directory
-    healthChecks: [
-      { name: 'Auth', url: 'http://localhost:9099' },
-      { name: 'Firestore', url: 'http://localhost:8081' },
-      { name: 'Functions', url: 'http://localhost:5002' },
-    ],
-    pidFile: path.resolve(__dirname, '../.e2e-emulators.pid'),
-  },
-  nextjs: {
-    name: 'Next.js Dev Server',
-    command: isWindows ? 'npm.cmd' : 'npm',
-    args: ['run', 'dev'],
-    cwd: path.resolve(__dirname, '..'),
-    healthChecks: [
-      { name: 'Next.js', url: 'http://localhost:3004' },
-    ],
-    pidFile: path.resolve(__dirname, '../.e2e-nextjs.pid'),
-  },
-};
+// Service configuration (ports from firebase.json via the service manifest),
+// resolved in main() once the stack (default or --instance) is known
+let PROCESSES = {};
+let SERVICES = {};
+let PROJECT_ID = null;
+
+const DEFAULT_BACKOFF = { initial: 500, max: 5000, factor: 1.5 };
+const DEFAULT_TIMEOUT = 120000;
+
+const LOG_PUMP = path.join(__dirname, 'lib', 'log-pump.js');
 
 const runningProcesses = [];
+const logFollowers = [];
 
 /**
- * Check if a service is already running
+ * Resolve processes and health checks for the selected stack
  */
-async function isServiceRunning(url) {
-  return new Promise((resolve) => {
-    const urlObj = new URL(url);
-    const req = http.request({
-      hostname: urlObj.hostname,
-      port: urlObj.port,
-      path: '/',
-      method: 'GET',
-      timeout: 2000,
-    }, (res) => {
-      resolve(true);
-    });
-
-    req.on('error', () => resolve(false));
-    req.on('timeout', () => {
-      req.destroy();
-      resolve(false);
-    });
-
-    req.end();
-  });
+function loadServices() {
+  PROCESSES = getProcesses();
+  SERVICES = {};
+  for (const [id, processConfig] of Object.entries(PROCESSES)) {
+    SERVICES[id] = {
+      ...processConfig,
+      // Emulators: only required services gate startup
+      healthChecks: processConfig.services.filter(service => service.required),
+    };
+  }
+  PROJECT_ID = getProjectId();
+}
+
+/**
+ * Check if a service is already running and ready to serve requests
+ */
+async function isServiceRunning(service) {
+  const result = await probeService(service, { projectId: PROJECT_ID, timeout: 2000 });
+  return result.healthy;
 }
 
 /**
  * Wait for a service to become available
+ *
+ * Retries with exponential backoff until `timeout` elapses. Gives up
+ * immediately when `isAborted()` reports the owning process has died.
  */
-async function waitForService(name, url, maxAttempts = 60, interval = 2000) {
-  console.log(`⏳ Waiting for ${name} at ${url}...`);
+async function waitForService(service, { timeout, backoff, isAborted }) {
+  const { name, url } = service;
+  const deadline = Date.now() + timeout;
+  let delay = backoff.initial;
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const isRunning = await isServiceRunning(url);
+  logger.info(`⏳ Waiting for ${name} at ${url}...`);
 
-    if (isRunning) {
-      console.log(`✅ ${name} is ready!`);
-      return true;
+  while (Date.now() < deadline) {
+    if (await isServiceRunning(service)) {
+      logger.success(`${name} is ready!`);
+      return;
     }
 
-    process.stdout.write(`   Attempt ${attempt}/${maxAttempts}...\r`);
-    await new Promise(resolve => setTimeout(resolve, interval));
+    const aborted = isAborted();
+    if (aborted) {
+      throw new StartupError(`${name} will not become ready: ${aborted}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, Math.max(0, deadline - Date.now()))));
+    delay = Math.min(delay * backoff.factor, backoff.max);
   }
 
-  console.error(`❌ ${name} failed to start after ${maxAttempts} attempts`);
-  return false;
+  throw new StartupError(`${name} failed to become ready within ${Math.round(timeout / 1000)}s`);
 }
 
 /**
- * Start a service
+ * Spawn a process through the log pump
+ *
+ * Output goes to .e2e/logs/<id>.{out,err}.log (see lib/log-files.js) so it
+ * survives after this script exits. While we wait for startup, new log lines
+ * are echoed to the console with a [name] prefix.
  */
-async function startService(serviceConfig) {
-  const { name, command, args, cwd, healthChecks, pidFile } = serviceConfig;
+function spawnProcess(serviceConfig) {
+  const { id, name, command, args, cwd, env } = serviceConfig;
 
-  console.log(`\n🚀 Starting ${name}...`);
-  console.log(`   Command: ${command} ${args.join(' ')}`);
-  console.log(`   Directory: ${cwd}`);
-
-  // Check if already running
-  const firstHealthCheck = healthChecks[0];
-  if (await isServiceRunning(firstHealthCheck.url)) {
-    console.log(`✅ ${name} is already running`);
-    return true;
-  }
-
-  // Start the service
-  const proc = spawn(command, args, {
+  const proc = spawn(process.execPath, [LOG_PUMP, id, '--', command, ...args], {
     cwd,
+    env: { ...process.env, ...env },
+    // Own process group, so cleanup can stop the whole tree
     detached: !isWindows,
-    stdio: ['ignore', 'pipe', 'pipe'],
-    shell: isWindows,
+    stdio: 'ignore',
   });
 
-  // Save PID for cleanup
-  if (pidFile) {
-    fs.writeFileSync(pidFile, proc.pid.toString());
-  }
-
-  runningProcesses.push({ name, proc, pidFile });
+  const exit = { status: null };
+  const paths = getLogPaths(id);
 
   // Log output for debugging
-  proc.stdout.on('data', (data) => {
-    const output = data.toString().trim();
-    if (output) {
-      console.log(`   [${name}] ${output}`);
+  logFollowers.push(followLog(paths.stdout, (line) => {
+    logger.info(`   [${name}] ${parseLine(line).message}`);
+  }));
+
+  logFollowers.push(followLog(paths.stderr, (line) => {
+    const { message } = parseLine(line);
+    if (!message.includes('Debugger attached')) {
+      logger.warn(`[${name} ERROR] ${message}`);
     }
-  });
-
-  proc.stderr.on('data', (data) => {
-    const output = data.toString().trim();
-    if (output && !output.includes('Debugger attached')) {
-      console.error(`   [${name} ERROR] ${output}`);
-    }
-  });
+  }));
 
   proc.on('error', (error) => {
-    console.error(`❌ ${name} process error:`, error);
+    logger.error(`${name} process error:`, error);
+    exit.status = `process error (${error.message})`;
   });
 
-  proc.on('exit', (code) => {
+  proc.on('exit', (code, signal) => {
+    exit.status = signal ? `killed by ${signal}` : `exited with code ${code}`;
     if (code !== 0 && code !== null) {
-      console.error(`❌ ${name} exited with code ${code}`);
+      logger.error(`${name} exited with code ${code} (logs: ${paths.stderr})`);
     }
   });
 
-  // Wait for all health checks to pass
-  console.log(`\n⏳ Performing health checks for ${name}...`);
+  return { proc, exit };
+}
+
+/**
+ * Stop echoing service logs to the console
+ */
+function stopFollowingLogs() {
+  logFollowers.splice(0).forEach(stop => stop());
+}
+
+/**
+ * Start a service
+ */
+async function startService(serviceConfig) {
+  const { id, name, command, args, cwd, healthChecks, startup = {} } = serviceConfig;
 
-  for (const healthCheck of healthChecks) {
-    const ready = await waitForService(healthCheck.name, healthCheck.url);
-    if (!ready) {
-      console.error(`❌ Health check failed for ${healthCheck.name}`);
-      return false;
+  logger.info(`\n🚀 Starting ${name}...`);
+  logger.info(`   Command: ${command} ${args.join(' ')}`);
+  logger.info(`   Directory: ${cwd}`);
+
+  // Check if already running
+  const firstHealthCheck = healthChecks[0];
+  if (firstHealthCheck && await isServiceRunning(firstHealthCheck)) {
+    logger.success(`${name} is already running`);
+    if (serviceConfig.importSnapshot) {
+      logger.warn(`Snapshot "${serviceConfig.importSnapshot}" was not imported (stop the emulators first)`);
     }
+    writeState(serviceConfig);
+    return;
   }
 
-  return true;
+  // Start the service
+  const { proc, exit } = spawnProcess(serviceConfig);
+
+  // Record PID, command line, start time and ports for e2e-stop
+  writeState(serviceConfig, proc.pid);
+
+  runningProcesses.push({ id, name, proc });
+
+  // Wait for all health checks to pass (in parallel)
+  logger.info(`\n⏳ Performing health checks for ${name}...`);
+
+  const options = {
+    timeout: startup.timeout || DEFAULT_TIMEOUT,
+    backoff: { ...DEFAULT_BACKOFF, ...startup.backoff },
+    isAborted: () => exit.status && `${name} ${exit.status}`,
+  };
+
+  await Promise.all(healthChecks.map(healthCheck => waitForService(healthCheck, options)));
+
+  // Let this script exit while the service keeps running
+  proc.unref();
+}
+
+// Instance allocated by this run, released again if startup fails
+let allocatedInstance = null;
+
+/**
+ * Release the instance this run allocated (ports, overlay, env file)
+ */
+function releaseAllocatedInstance() {
+  if (!allocatedInstance) return;
+  releaseInstance(allocatedInstance);
+  logger.info(`   Released instance "${allocatedInstance}"`);
+  allocatedInstance = null;
 }
 
 /**
  * Cleanup on exit
  */
 function cleanup() {
-  console.log('\n\n🧹 Cleaning up...');
+  logger.info('\n\n🧹 Cleaning up...');
 
-  runningProcesses.forEach(({ name, proc, pidFile }) => {
+  runningProcesses.forEach(({ id, name, proc }) => {
     try {
       if (isWindows) {
         spawn('taskkill', ['/pid', proc.pid, '/f', '/t'], { shell: true });
       } else {
         process.kill(-proc.pid, 'SIGTERM');
       }
-      console.log(`   Stopped ${name}`);
+      logger.info(`   Stopped ${name}`);
 
-      if (pidFile && fs.existsSync(pidFile)) {
-        fs.unlinkSync(pidFile);
-      }
+      removeState(id);
     } catch (error) {
-      console.error(`   Failed to stop ${name}:`, error.message);
+      logger.error(`Failed to stop ${name}:`, error);
     }
   });
+
+  releaseAllocatedInstance();
 }
 
 /**
  * Main execution
  */
 async function main() {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║      E2E Environment Startup - SavvyProxy                 ║');
-  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  const { options } = parseArgs();
+
+  logger.banner('E2E Environment Startup - SavvyProxy');
+
+  // Isolated stack: allocate ports, overlay config and project ID first
+  useInstance(options.instance, { mustExist: false });
+  if (options.instance && !readInstance(options.instance)) {
+    allocatedInstance = options.instance;
+  }
+  const instance = options.instance
+    ? await allocateInstance(options.instance, {
+      firebaseJson: loadFirebaseJson(FIREBASE_JSON),
+      nextjsPort: NEXTJS_PORT,
+    })
+    : null;
+
+  if (instance) {
+    logger.info(`🧪 Instance "${instance.name}" (project ${instance.projectId})`);
+    logger.info(`   Config: ${instance.firebaseConfig}\n`);
+  }
+
+  loadServices();
+
+  if (options.import) {
+    if (!snapshotExists(options.import)) {
+      logger.error(`Snapshot "${options.import}" not found in .e2e/snapshots/`);
+      logger.info('   Run "npm run e2e:snapshot -- list" to see available snapshots');
+      releaseAllocatedInstance();
+      process.exit(1);
+    }
+    SERVICES.emulators.args.push('--import', getSnapshotPath(options.import));
+    SERVICES.emulators.importSnapshot = options.import;
+    logger.info(`📦 Importing snapshot "${options.import}"\n`);
+  }
 
   process.on('SIGINT', () => {
     cleanup();
@@ -210,36 +307,43 @@ async function main() {
     process.exit(0);
   });
 
-  // Start Firebase Emulators
-  const emulatorsStarted = await startService(SERVICES.emulators);
-  if (!emulatorsStarted) {
-    console.error('\n❌ Failed to start Firebase Emulators');
+  try {
+    await startAll(SERVICES, startService);
+  } catch (error) {
+    stopFollowingLogs();
+    // One entry, so the chain stays together in JSON logs and at LOG_LEVEL=error
+    const details = error.chain && error.chain.length > 1
+      ? ['   Dependency chain:', ...error.chain.map((link, index) => `   ${'  '.repeat(index)}${index === 0 ? '' : '└─ '}${link}`)]
+      : [`   ${error.message}`];
+    logger.error(['\nE2E environment failed to start', ...details].join('\n'));
     cleanup();
     process.exit(1);
   }
 
-  // Start Next.js Dev Server
-  const nextjsStarted = await startService(SERVICES.nextjs);
-  if (!nextjsStarted) {
-    console.error('\n❌ Failed to start Next.js Dev Server');
-    cleanup();
-    process.exit(1);
+  stopFollowingLogs();
+  // Running now: e2e-stop releases the instance
+  allocatedInstance = null;
+
+  logger.banner('\n✅ E2E Environment Ready!');
+  logger.info('\n📍 Service URLs:');
+  Object.values(PROCESSES).flatMap(processConfig => processConfig.services).forEach(({ name, url }) => {
+    logger.info(`   ${(name + ':').padEnd(20)}${url}`);
+  });
+  const instanceArgs = instance ? ` --instance ${instance.name}` : '';
+
+  if (instance) {
+    logger.info('\n🔌 Endpoints for this instance:');
+    logger.info(`   ${getInstancePaths(instance.name).envFile}`);
+    logger.info('   Load it into your test runner (or: set -a; . <file>; set +a)');
   }
 
-  console.log('\n╔════════════════════════════════════════════════════════════╗');
-  console.log('║  ✅ E2E Environment Ready!                                 ║');
-  console.log('╚════════════════════════════════════════════════════════════╝');
-  console.log('\n📍 Service URLs:');
-  console.log('   Next.js:   http://localhost:3004');
-  console.log('   Auth:      http://localhost:9099');
-  console.log('   Firestore: http://localhost:8081');
-  console.log('   Functions: http://localhost:5002');
-  console.log('\n💡 Services are running in the background');
-  console.log('   Run "npm run e2e:stop" to stop all services\n');
+  logger.info('\n💡 Services are running in the background');
+  logger.info(`   Run "npm run e2e:logs --${instanceArgs} <service> --follow" to view their output`);
+  logger.info(`   Run "npm run e2e:stop${instanceArgs ? ` --${instanceArgs}` : ''}" to stop all services\n`);
 }
 
 main().catch((error) => {
-  console.error('❌ Startup failed:', error);
+  logger.error('Startup failed:', error);
   cleanup();
   process.exit(1);
 });
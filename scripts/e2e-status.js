@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * E2E Environment Status
+ *
+ * Shows what is running right now, based on the state files e2e-start
+ * writes (.e2e/run/<id>.json) and on who actually listens on each port:
+ * - Whether e2e-start started the service or found it already running
+ * - PID, uptime and the ports the process listens on
+ * - Whether the recorded process and the port listener agree
+ * - Orphaned state/PID files and ports held by foreign processes
+ *
+ * Unlike e2e-health this does not probe the services over HTTP. The
+ * classification lives in lib/stack-status.js.
+ *
+ * Usage: npm run e2e:status [-- --instance <name>]
+ *
+ * Exit codes:
+ * 0 - No problems found
+ * 1 - Orphaned state files or port conflicts
+ */
+
+const path = require('path');
+const { ROOT_DIR, getProcesses } = require('./lib/service-manifest');
+const { inspectProcess, findLeftovers } = require('./lib/stack-status');
+const { parseArgs } = require('./lib/cli-args');
+const { useInstance } = require('./lib/instances');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-status');
+
+// Select the stack (--instance <name>) before resolving services
+useInstance(parseArgs().options.instance);
+
+const PROCESSES = getProcesses();
+
+// PID files written by older versions of e2e-start
+const LEGACY_PID_FILES = ['.e2e-emulators.pid', '.e2e-nextjs.pid'].map(file => path.join(ROOT_DIR, file));
+
+/**
+ * Print the status of one managed process and collect its problems
+ */
+function printProcessStatus(processConfig, problems) {
+  const status = inspectProcess(processConfig);
+
+  console.log(`${processConfig.name.padEnd(24)} ${status.summary}`);
+  status.ports.forEach(port => console.log(port.line));
+  console.log('');
+
+  problems.push(...status.problems);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  logger.banner('E2E Environment Status - SavvyProxy');
+
+  const problems = [];
+
+  Object.values(PROCESSES).forEach(processConfig => printProcessStatus(processConfig, problems));
+
+  problems.push(...findLeftovers(PROCESSES, LEGACY_PID_FILES));
+
+  if (problems.length === 0) {
+    logger.success('No problems found\n');
+    return;
+  }
+
+  logger.warn(['Problems:', ...problems.map(problem => `   - ${problem}`)].join('\n'));
+  logger.info('\n💡 Run "npm run e2e:stop" to clean up, or "npm run e2e:stop -- --force" to free ports held by other processes\n');
+  process.exit(1);
+}
+
+main();
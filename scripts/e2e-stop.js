@@ -8,124 +8,124 @@
  * 2. Firebase Emulators
  *
  * This script handles:
- * - Finding running processes by PID files
+ * - Finding running processes by their state files (.e2e/run/<id>.json)
+ * - Verifying each PID still matches the recorded start time and command
+ *   line before killing it (stale and reused PIDs are left alone)
  * - Graceful shutdown with fallback to force kill
- * - Port cleanup on Windows
- * - Cleanup of PID files
+ * - Freeing stray listeners on the configured ports (all platforms)
+ * - Confirming the ports are actually released
+ *
+ * Usage:
+ *   npm run e2e:stop
+ *   npm run e2e:stop -- --force   # Also kill foreign processes on E2E ports
+ *   npm run e2e:stop -- --instance <name>   # Stop and release an isolated stack
+ *   npm run e2e:stop -- --export <name>     # Save emulator data to .e2e/snapshots/<name> first
  */
 
-const { spawn, exec } = require('child_process');
-const fs = require('fs');
-const path = require('path');
+const { exec } = require('child_process');
 const { promisify } = require('util');
+const {
+  ROOT_DIR,
+  getProcesses,
+  resolveStartOrder,
+  getPorts,
+  getProjectId,
+  getFirebaseConfigPath,
+} = require('./lib/service-manifest');
+const { readState, removeState, verifyProcess } = require('./lib/process-state');
+const { getProcessInfo, isAlive, terminateTree } = require('./lib/processes');
+const { findListeners, waitForPortsReleased } = require('./lib/ports');
+const { parseArgs } = require('./lib/cli-args');
+const { getInstanceName, useInstance, releaseInstance } = require('./lib/instances');
+const { exportSnapshot } = require('./lib/snapshots');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('e2e-stop');
+
+// Select the stack (--instance <name>) before resolving services
+useInstance(parseArgs().options.instance);
 
 const execAsync = promisify(exec);
 const isWindows = process.platform === 'win32';
 
-// PID file locations
-const PID_FILES = {
-  emulators: path.resolve(__dirname, '../.e2e-emulators.pid'),
-  nextjs: path.resolve(__dirname, '../.e2e-nextjs.pid'),
-};
+const PROCESSES = getProcesses();
+
+// Port configuration (for stray listener cleanup)
+const PORTS = getPorts();
 
-// Port configuration (for Windows cleanup)
-const PORTS = [3004, 9099, 8081, 5002, 9199, 5000];
+// Command lines that belong to the E2E stack (emulators, Next.js, log pump)
+const OWN_PROCESS_PATTERN = /firebase|emulator|next-server|next(\.js)?\s+dev|next[\\/]dist|log-pump/i;
 
 /**
- * Kill process by PID
+ * Stop a service using its state file
  */
-async function killProcess(pid, name) {
-  try {
-    if (isWindows) {
-      // On Windows, use taskkill with /T to kill child processes
-      await execAsync(`taskkill /pid ${pid} /f /t`);
-    } else {
-      // On Unix, kill the process group
-      process.kill(-pid, 'SIGTERM');
-
-      // Wait a bit, then force kill if still running
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      try {
-        process.kill(-pid, 'SIGKILL');
-      } catch (error) {
-        // Process already dead, ignore
-      }
-    }
+async function stopServiceByState(processConfig) {
+  const { id, name } = processConfig;
+  const record = readState(id);
 
-    console.log(`✅ Stopped ${name} (PID: ${pid})`);
+  if (!record) {
+    logger.info(`   No state file for ${name}`);
     return true;
-  } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('No such process')) {
-      console.log(`   ${name} (PID: ${pid}) was not running`);
-      return true;
-    }
-    console.error(`❌ Failed to stop ${name} (PID: ${pid}):`, error.message);
-    return false;
   }
-}
 
-/**
- * Stop service using PID file
- */
-async function stopServiceByPidFile(pidFile, name) {
-  if (!fs.existsSync(pidFile)) {
-    console.log(`   No PID file for ${name}`);
+  if (record.origin === 'external') {
+    logger.info(`   ${name} was already running before e2e-start, leaving it alone`);
+    removeState(id);
     return true;
   }
 
-  try {
-    const pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim());
-
-    if (isNaN(pid)) {
-      console.log(`   Invalid PID in ${pidFile}`);
-      fs.unlinkSync(pidFile);
-      return true;
-    }
+  const check = verifyProcess(record);
 
-    const stopped = await killProcess(pid, name);
+  if (!check.running) {
+    logger.info(`   ${name} (PID: ${record.pid}) was not running (${check.reason})`);
+    removeState(id);
+    return true;
+  }
 
-    // Clean up PID file
-    if (fs.existsSync(pidFile)) {
-      fs.unlinkSync(pidFile);
-    }
+  if (!check.matches) {
+    logger.warn(`Not stopping ${name}: ${check.reason}`);
+    removeState(id);
+    return true;
+  }
 
-    return stopped;
-  } catch (error) {
-    console.error(`   Error reading PID file for ${name}:`, error.message);
+  try {
+    await terminateTree(record.pid);
 
-    if (fs.existsSync(pidFile)) {
-      fs.unlinkSync(pidFile);
+    if (isAlive(record.pid)) {
+      logger.error(`Failed to stop ${name} (PID: ${record.pid})`);
+      return false;
     }
 
+    logger.success(`Stopped ${name} (PID: ${record.pid})`);
+    removeState(id);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to stop ${name} (PID: ${record.pid}):`, error);
     return false;
   }
 }
 
 /**
- * Find and kill processes by port (Windows fallback)
+ * Find and kill stray processes listening on a port
+ *
+ * Only processes that look like part of the E2E stack are killed unless
+ * `force` is set.
  */
-async function killProcessOnPort(port) {
-  if (!isWindows) return;
+async function killProcessOnPort(port, { force }) {
+  for (const pid of findListeners(port)) {
+    if (pid === process.pid) continue;
 
-  try {
-    const { stdout } = await execAsync(`netstat -ano | findstr :${port}`);
-    const lines = stdout.trim().split('\n');
-
-    for (const line of lines) {
-      const match = line.match(/LISTENING\s+(\d+)/);
-      if (match) {
-        const pid = match[1];
-        try {
-          await execAsync(`taskkill /pid ${pid} /f /t`);
-          console.log(`   Killed process on port ${port} (PID: ${pid})`);
-        } catch (error) {
-          // Process might already be dead
-        }
-      }
+    const info = getProcessInfo(pid);
+    const command = info ? info.command : 'unknown command';
+
+    if (!force && !OWN_PROCESS_PATTERN.test(command)) {
+      logger.warn(`Port ${port} is held by a foreign process (PID: ${pid}, ${command})`);
+      logger.info('   Not killed. Re-run with --force to stop it anyway.');
+      continue;
     }
-  } catch (error) {
-    // No process found on port, that's fine
+
+    await terminateTree(pid, { graceMs: 2000 });
+    logger.info(`   Killed process on port ${port} (PID: ${pid})`);
   }
 }
 
@@ -135,32 +135,51 @@ async function killProcessOnPort(port) {
 async function stopFirebaseEmulators() {
   try {
     const firebaseCmd = isWindows ? 'firebase.cmd' : 'firebase';
-    const projectRoot = path.resolve(__dirname, '../../..');
 
-    console.log('🔥 Stopping Firebase Emulators...');
+    logger.info('🔥 Stopping Firebase Emulators...');
 
     await execAsync(`${firebaseCmd} emulators:kill`, {
-      cwd: projectRoot,
+      cwd: ROOT_DIR,
       timeout: 10000,
     });
 
-    console.log('✅ Firebase Emulators stopped');
+    logger.success('Firebase Emulators stopped');
   } catch (error) {
     // Emulators might not be running, that's okay
-    console.log('   Firebase Emulators were not running');
+    logger.info('   Firebase Emulators were not running');
   }
 }
 
 /**
- * Clean up all ports (Windows)
+ * Export emulator data before shutdown
+ *
+ * Returns false if the export failed, so the caller can leave the emulators
+ * running rather than lose their data.
  */
-async function cleanupPorts() {
-  if (!isWindows) return;
+async function exportEmulatorData(name) {
+  logger.info(`📦 Exporting emulator data to snapshot "${name}"...`);
 
-  console.log('\n🧹 Cleaning up ports...');
+  try {
+    const dir = await exportSnapshot(name, {
+      projectId: getProjectId(),
+      firebaseConfig: getInstanceName() ? getFirebaseConfigPath() : null,
+    });
+    logger.success(`Snapshot saved to ${dir}\n`);
+    return true;
+  } catch (error) {
+    logger.error(error.message);
+    return false;
+  }
+}
 
-  for (const port of PORTS) {
-    await killProcessOnPort(port);
+/**
+ * Clean up all ports
+ */
+async function cleanupPorts(ports, options) {
+  logger.info('\n🧹 Cleaning up ports...');
+
+  for (const port of ports) {
+    await killProcessOnPort(port, options);
   }
 }
 
@@ -168,30 +187,60 @@ async function cleanupPorts() {
  * Main execution
  */
 async function main() {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║      E2E Environment Shutdown - SavvyProxy                ║');
-  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  const { options } = parseArgs(process.argv.slice(2), { booleans: ['force'] });
+
+  logger.banner('E2E Environment Shutdown - SavvyProxy');
 
-  // Stop Next.js Dev Server
-  console.log('⏹️  Stopping Next.js Dev Server...');
-  await stopServiceByPidFile(PID_FILES.nextjs, 'Next.js');
+  if (options.export && !(await exportEmulatorData(options.export))) {
+    logger.error('\nExport failed, emulators left running');
+    logger.info('   Re-run without --export to stop anyway');
+    process.exit(1);
+  }
+
+  // Stop services in reverse start order (Next.js before the emulators)
+  const stopOrder = resolveStartOrder(PROCESSES)
+    .reverse()
+    .map(id => PROCESSES[id]);
+
+  // Services e2e-start found already running are not ours to stop
+  const externalPorts = stopOrder
+    .map(processConfig => readState(processConfig.id))
+    .filter(record => record && record.origin === 'external')
+    .flatMap(record => record.ports || []);
+  const ports = PORTS.filter(port => !externalPorts.includes(port));
+
+  let failed = false;
+  for (const processConfig of stopOrder) {
+    logger.info(`\n⏹️  Stopping ${processConfig.name}...`);
+    if (!(await stopServiceByState(processConfig))) failed = true;
+  }
 
-  // Stop Firebase Emulators (try multiple methods)
-  console.log('\n⏹️  Stopping Firebase Emulators...');
-  await stopServiceByPidFile(PID_FILES.emulators, 'Firebase Emulators');
   await stopFirebaseEmulators();
 
-  // Clean up ports on Windows
-  if (isWindows) {
-    await cleanupPorts();
+  await cleanupPorts(ports, { force: Boolean(options.force) });
+
+  // Confirm the ports are really free before reporting success
+  const busyPorts = await waitForPortsReleased(ports);
+
+  if (failed || busyPorts.length > 0) {
+    const details = busyPorts.map((port) => {
+      const holders = findListeners(port);
+      return `   Port ${port} is still in use${holders.length ? ` (PID: ${holders.join(', ')})` : ''}`;
+    });
+    logger.error(['\nE2E environment did not stop cleanly', ...details].join('\n'));
+    process.exit(1);
+  }
+
+  const instance = getInstanceName();
+  if (instance) {
+    releaseInstance(instance);
+    logger.info(`\n🗑️  Released instance "${instance}" (ports and firebase.json overlay)`);
   }
 
-  console.log('\n╔════════════════════════════════════════════════════════════╗');
-  console.log('║  ✅ E2E Environment Stopped                                ║');
-  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  logger.banner('\n✅ E2E Environment Stopped');
 }
 
 main().catch((error) => {
-  console.error('❌ Shutdown failed:', error);
+  logger.error('Shutdown failed:', error);
   process.exit(1);
 });
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Environment Variable Tooling
+ *
+ * Works from the env schema in apps/web/src/config/env-schema.ts:
+ * - example: regenerate apps/web/.env.local.example from the schema
+ * - check:   report missing, unknown, wrongly exposed and invalid variables
+ *            in apps/web/.env.local
+ *
+ * Usage:
+ *   npm run env:example                 # Write .env.local.example
+ *   npm run env:example -- --check      # Exit 1 if the example is out of date (CI)
+ *   npm run env:check                   # Check apps/web/.env.local
+ *   npm run env:check -- --env production --file .env.production
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./lib/cli-args');
+const { readEnvFile } = require('./lib/env-file');
+const { WEB_DIR, requireWebModule } = require('./lib/config-service');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('env');
+
+const EXAMPLE_FILE = path.join(WEB_DIR, '.env.local.example');
+const ENV_FILE = path.join(WEB_DIR, '.env.local');
+
+// Unknown variables are warnings, the rest errors
+const ISSUE_LABELS = {
+  missing: 'Missing',
+  invalid: 'Invalid',
+  exposed: 'Exposure',
+  unknown: 'Unknown',
+};
+
+/**
+ * Load the schema module through tsx
+ */
+function loadSchema() {
+  return requireWebModule(path.join(WEB_DIR, 'src', 'config', 'env-schema.ts'));
+}
+
+/**
+ * Render .env.local.example from the schema
+ */
+function renderExample({ ENV_SCHEMA }) {
+  const lines = [
+    '# Environment variables for apps/web',
+    '#',
+    '# GENERATED from src/config/env-schema.ts by `npm run env:example`. Do not edit by hand.',
+    '# Copy to .env.local (or run `npm run setup`) and check it with `npm run env:check`.',
+    '# Commented-out variables are optional in development; uncomment them as needed.',
+  ];
+
+  const groups = [...new Set(ENV_SCHEMA.map(definition => definition.group))];
+  for (const group of groups) {
+    lines.push('', `# ${'─'.repeat(60)}`, `# ${group}`, `# ${'─'.repeat(60)}`);
+
+    for (const definition of ENV_SCHEMA.filter(item => item.group === group)) {
+      const required = definition.requiredIn.length > 0
+        ? `required in ${definition.requiredIn.join(', ')}${definition.alternatives ? ` (or ${definition.alternatives.join(', ')})` : ''}`
+        : 'optional';
+      const values = definition.values ? `, one of: ${definition.values.join(' | ')}` : '';
+      // Only what development needs is active, so a plain copy runs against the emulators
+      const active = definition.requiredIn.includes('development') || definition.name === 'NEXT_PUBLIC_APP_ENV';
+
+      lines.push('', `# ${definition.description}`, `# ${definition.visibility}, ${required}${values}`);
+      lines.push(`${active ? '' : '# '}${definition.name}=${definition.example}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write (or verify) the example file
+ */
+function example(schema, options) {
+  const content = renderExample(schema);
+  const relative = path.relative(process.cwd(), EXAMPLE_FILE);
+
+  if (options.check) {
+    const current = fs.existsSync(EXAMPLE_FILE) ? fs.readFileSync(EXAMPLE_FILE, 'utf8') : '';
+    if (current !== content) {
+      logger.error(`${relative} is out of date with the env schema\n   Run: npm run env:example`);
+      process.exit(1);
+    }
+    logger.success(`${relative} matches the env schema`);
+    return;
+  }
+
+  fs.writeFileSync(EXAMPLE_FILE, content);
+  logger.success(`Wrote ${relative} (${schema.ENV_SCHEMA.length} variables)`);
+}
+
+/**
+ * Check an env file against the schema
+ */
+function check(schema, options) {
+  const file = options.file ? path.resolve(options.file) : ENV_FILE;
+  const relative = path.relative(process.cwd(), file);
+
+  if (!fs.existsSync(file)) {
+    logger.error(`${relative} not found\n   Run: npm run setup (or copy apps/web/.env.local.example)`);
+    process.exit(1);
+  }
+
+  const values = readEnvFile(file);
+  const environment = options.env || values.NEXT_PUBLIC_APP_ENV || 'development';
+
+  if (!schema.ENVIRONMENTS.includes(environment)) {
+    logger.error(`Unknown environment "${environment}" (expected ${schema.ENVIRONMENTS.join(', ')})`);
+    process.exit(1);
+  }
+
+  logger.info(`🔍 Checking ${relative} for ${environment}\n`);
+
+  const issues = schema.checkEnv(values, environment);
+  if (issues.length === 0) {
+    logger.success(`${Object.keys(values).length} variable(s), no problems found`);
+    return;
+  }
+
+  issues.forEach((issue) => {
+    const message = `${ISSUE_LABELS[issue.kind]}: ${issue.name}\n   ${issue.message}`;
+    if (issue.kind === 'unknown') logger.warn(message);
+    else logger.error(message);
+  });
+
+  const errors = issues.filter(issue => issue.kind !== 'unknown');
+  logger.info(`\n${errors.length} error(s), ${issues.length - errors.length} warning(s)`);
+  if (errors.length > 0) process.exit(1);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { options, positionals } = parseArgs(process.argv.slice(2), { booleans: ['check'] });
+  const [command] = positionals;
+  const schema = loadSchema();
+
+  switch (command) {
+    case 'example':
+      example(schema, options);
+      break;
+    case 'check':
+      check(schema, options);
+      break;
+    default:
+      logger.error(`Unknown command "${command || ''}" (available: example, check)`);
+      process.exit(1);
+  }
+}
+
+main();
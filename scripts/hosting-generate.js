@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Firebase Hosting Config
+ *
+ * Replaces the `hosting` block of firebase.json with one derived from the
+ * Next.js build in apps/web (see lib/next-hosting.js):
+ * - static export (`output: 'export'`): serve apps/web/out
+ * - SSR: stage hashed assets, public/ and static prerendered pages in
+ *   apps/web/.hosting; everything else falls through to the SSR function,
+ *   which a functions source in firebase.json must export (else it exits 1)
+ * - `/api/**` to the `api` function, immutable caching for /_next/static
+ *
+ * Run it after `npm run build`; the result also works in the Hosting
+ * emulator (firebase emulators:start --only hosting,functions).
+ *
+ * Usage:
+ *   npm run hosting:generate                       # Detect mode from the build
+ *   npm run hosting:generate -- --mode static      # Force a mode (static | ssr)
+ *   npm run hosting:generate -- --dry-run          # Print the block, change nothing
+ *
+ * Options:
+ *   --ssr-function <name>   SSR function name (default: the one firebase.json's
+ *                           catch-all rewrite names, else nextServer)
+ *   --api-function <name>   Function behind /api/** (default: api, "none" to omit)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, FIREBASE_JSON, loadFirebaseJson } = require('./lib/service-manifest');
+const { parseArgs } = require('./lib/cli-args');
+const {
+  API_FUNCTION,
+  SSR_FUNCTION,
+  readNextBuild,
+  findShadowedApiRoutes,
+  findSsrFunction,
+  findFunctionExport,
+  buildHostingConfig,
+  stageSsrAssets,
+} = require('./lib/next-hosting');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('hosting-generate');
+
+const MODES = ['static', 'ssr'];
+
+/**
+ * Replace the hosting block, keeping the position of the key in firebase.json
+ */
+function withHosting(firebaseJson, hosting) {
+  if (!('hosting' in firebaseJson)) {
+    return { ...firebaseJson, hosting };
+  }
+  return Object.fromEntries(Object.entries(firebaseJson).map(([key, value]) => [key, key === 'hosting' ? hosting : value]));
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { options } = parseArgs(process.argv.slice(2), { booleans: ['dry-run'] });
+  const apiFunction = options.apiFunction === 'none' ? null : options.apiFunction || API_FUNCTION;
+
+  if (options.mode && !MODES.includes(options.mode)) {
+    logger.error(`Unknown mode "${options.mode}" (expected ${MODES.join(', ')})`);
+    process.exit(1);
+  }
+
+  let build;
+  try {
+    build = readNextBuild({ mode: options.mode });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  const shadowed = apiFunction ? findShadowedApiRoutes(build) : [];
+  if (shadowed.length > 0) {
+    logger.error([
+      `/api/** is rewritten to the "${apiFunction}" function, which hides these Next.js routes:`,
+      ...shadowed.map(page => `   ${page}`),
+      '\nResolution:',
+      '1. Move the route handlers out of app/api (or into apps/functions)',
+      '2. Or route /api/** to Next.js: npm run hosting:generate -- --api-function none',
+    ].join('\n'));
+    process.exit(1);
+  }
+
+  const firebaseJson = loadFirebaseJson(FIREBASE_JSON);
+  const ssrFunction = options.ssrFunction || findSsrFunction(firebaseJson.hosting) || SSR_FUNCTION;
+
+  // A catch-all to a missing function would leave Hosting unable to serve any page
+  if (build.mode === 'ssr' && !findFunctionExport(firebaseJson, ssrFunction)) {
+    logger.error([
+      `Server-rendered build, but no functions source in firebase.json exports "${ssrFunction}"`,
+      '\nResolution:',
+      `1. Export an HTTPS function named "${ssrFunction}" that serves the Next.js build from apps/functions`,
+      '2. Or build a static export: set output: \'export\' in next.config and rebuild',
+      '3. Or name an existing function: npm run hosting:generate -- --ssr-function <name>',
+    ].join('\n'));
+    process.exit(1);
+  }
+  const { hosting, skippedRedirects } = buildHostingConfig(build, {
+    existing: firebaseJson.hosting,
+    apiFunction,
+    ssrFunction,
+  });
+
+  if (options.dryRun) {
+    console.log(JSON.stringify({ hosting }, null, 2));
+    return;
+  }
+
+  logger.info(`🏗️  Next.js build: ${build.mode === 'static' ? 'static export' : 'server-rendered'}`);
+
+  if (build.mode === 'ssr') {
+    const files = stageSsrAssets(build);
+    logger.info(`📦 Staged ${files} file(s) in ${hosting.public}`);
+  }
+
+  fs.writeFileSync(FIREBASE_JSON, `${JSON.stringify(withHosting(firebaseJson, hosting), null, 2)}\n`);
+  logger.success(`Wrote hosting config to ${path.relative(ROOT_DIR, FIREBASE_JSON)}`);
+  logger.info(`   public:   ${hosting.public}`);
+  if (build.mode === 'ssr') {
+    logger.info(`   static pages: ${build.hasMiddleware ? 'none (middleware present: every page goes to the SSR function)' : build.prerenderedPages.length}`);
+  }
+  if (hosting.redirects) logger.info(`   redirects: ${hosting.redirects.length}`);
+
+  skippedRedirects.forEach(source => logger.warn(`Redirect ${source} uses conditions or regex groups; left to Next.js`));
+
+  const hostingPort = firebaseJson.emulators && firebaseJson.emulators.hosting && firebaseJson.emulators.hosting.port;
+  logger.info('\nTry it locally:');
+  logger.info('   firebase emulators:start --only hosting,functions');
+  logger.info(`   open http://localhost:${hostingPort || 5000}`);
+}
+
+main();
@@ -0,0 +1,50 @@
+/**
+ * Minimal command-line argument parser for the scripts
+ *
+ * Supports `--flag`, `--key value`, `--key=value` and positional arguments.
+ * Flags listed in `booleans` never consume the following argument.
+ */
+
+function parseArgs(argv = process.argv.slice(2), { booleans = [] } = {}) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = rawKey.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (booleans.includes(rawKey) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = argv[++i];
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Parse a numeric option that must be a positive number
+ *
+ * Returns undefined when the option was not given and throws for anything
+ * else that is not a finite number above zero (e.g. "abc", "0", a bare flag).
+ */
+function parsePositiveNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive number (got ${value === true ? 'no value' : `"${value}"`})`);
+  }
+  return number;
+}
+
+module.exports = { parseArgs, parsePositiveNumber };
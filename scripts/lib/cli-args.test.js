@@ -0,0 +1,29 @@
+/**
+ * Tests for numeric script options
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePositiveNumber } = require('./cli-args');
+
+describe('parsePositiveNumber', () => {
+  it('accepts positive numbers and passes undefined through', () => {
+    assert.equal(parsePositiveNumber('5', '--interval'), 5);
+    assert.equal(parsePositiveNumber('0.5', '--interval'), 0.5);
+    assert.equal(parsePositiveNumber(undefined, '--interval'), undefined);
+  });
+
+  it('rejects zero, negative and non-numeric values', () => {
+    for (const value of ['0', '-1', 'abc', '', 'Infinity']) {
+      assert.throws(() => parsePositiveNumber(value, '--interval'), {
+        message: `--interval must be a positive number (got "${value}")`,
+      });
+    }
+  });
+
+  it('rejects a flag given without a value', () => {
+    assert.throws(() => parsePositiveNumber(true, '--interval'), {
+      message: '--interval must be a positive number (got no value)',
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * ConfigService Loader
+ *
+ * Gives Node scripts the same ConfigService the web app uses
+ * (apps/web/src/config), so emulator endpoints and environment checks come
+ * from one place. The TypeScript source is loaded through tsx, with
+ * apps/web/.env.local applied first the way Next.js would.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./service-manifest');
+const { loadEnvFile } = require('./env-file');
+
+const WEB_DIR = path.join(ROOT_DIR, 'apps', 'web');
+const CONFIG_MODULE = path.join(WEB_DIR, 'src', 'config', 'firebase-config.ts');
+
+let registered = false;
+
+/**
+ * Require a TypeScript module from the web app
+ */
+function requireWebModule(file) {
+  if (!registered) {
+    require('tsx/cjs/api').register();
+    registered = true;
+  }
+  return require(file);
+}
+
+/**
+ * Env files for an environment, highest priority first (Next.js order)
+ *
+ * Next.js itself only knows development and production; .env.staging is
+ * this project's convention for CI and `npm run config:print`.
+ */
+function getEnvFiles(environment) {
+  const files = environment === 'development'
+    ? ['.env.development.local', '.env.local', '.env.development', '.env']
+    : [`.env.${environment}.local`, `.env.${environment}`, '.env'];
+  return files.map(file => path.join(WEB_DIR, file));
+}
+
+/**
+ * Create a ConfigService for any environment without touching the singleton
+ *
+ * Applies that environment's env files first; variables already set in the
+ * shell still win. Validation errors are left to the caller (validate()).
+ * Returns the service, the env files that were found and which file
+ * supplied each variable (`envSources`, shell variables are absent).
+ */
+function loadConfigForEnvironment(environment) {
+  const envFiles = getEnvFiles(environment).filter(file => fs.existsSync(file));
+  const envSources = {};
+  for (const file of envFiles) {
+    loadEnvFile(file).forEach((key) => { envSources[key] = file; });
+  }
+
+  const { ConfigService } = requireWebModule(CONFIG_MODULE);
+  const config = ConfigService.createForEnvironment(environment, { validate: false, silent: true });
+  return { config, envFiles, envSources };
+}
+
+/**
+ * Load the ConfigService singleton
+ *
+ * Throws the ConfigService's ConfigurationError when validation fails.
+ */
+function loadConfigService() {
+  loadEnvFile(path.join(WEB_DIR, '.env.local'));
+
+  const { ConfigService } = requireWebModule(CONFIG_MODULE);
+  return ConfigService.getInstance();
+}
+
+module.exports = {
+  WEB_DIR,
+  requireWebModule,
+  getEnvFiles,
+  loadConfigForEnvironment,
+  loadConfigService,
+};
@@ -0,0 +1,169 @@
+/**
+ * Emulator Admin Client
+ *
+ * Writes to the Auth and Firestore emulators over their REST APIs with the
+ * emulator-only admin token, so scripts can create users and documents
+ * without the Admin SDK or service account credentials.
+ *
+ * `target` is { projectId, emulators } where `emulators` is the shape
+ * returned by ConfigService.getEmulatorConfig().
+ */
+
+const { ADMIN_HEADERS, httpRequest, parseJson } = require('./probes');
+
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Firestore timestamp value
+ */
+class Timestamp {
+  constructor(date) {
+    this.date = date;
+  }
+}
+
+/**
+ * Firestore document reference value (path relative to the database root)
+ */
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+  }
+}
+
+/**
+ * Emulator request failure with the API's error message
+ */
+class EmulatorRequestError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EmulatorRequestError';
+    this.code = code;
+  }
+}
+
+/**
+ * Send a JSON request to an emulator and return the parsed response
+ */
+async function request(url, { method = 'POST', body } = {}) {
+  const response = await httpRequest(url, {
+    method,
+    headers: ADMIN_HEADERS,
+    body,
+    timeout: REQUEST_TIMEOUT,
+  });
+  const json = parseJson(response.body);
+
+  if (response.status >= 400) {
+    const message = (json && json.error && json.error.message) || `HTTP ${response.status}`;
+    // Auth errors look like "EMAIL_EXISTS" or "WEAK_PASSWORD : details"
+    throw new EmulatorRequestError(message, message.split(' : ')[0]);
+  }
+
+  return json || {};
+}
+
+function authUrl({ projectId, emulators }, operation = '') {
+  const { host, port } = emulators.auth;
+  return `http://${host}:${port}/identitytoolkit.googleapis.com/v1/projects/${projectId}/accounts${operation}`;
+}
+
+function documentsRoot(projectId) {
+  return `projects/${projectId}/databases/(default)/documents`;
+}
+
+function firestoreUrl({ projectId, emulators }, path) {
+  const { host, port } = emulators.firestore;
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  return `http://${host}:${port}/v1/${documentsRoot(projectId)}/${encodedPath}`;
+}
+
+/**
+ * Create or update an Auth user with a fixed uid
+ *
+ * Returns 'created' or 'updated'. Re-running with the same input leaves the
+ * user in the same state.
+ */
+async function upsertAuthUser(target, user) {
+  const { uid, email, password, phoneNumber, displayName, photoURL, emailVerified, disabled, customClaims } = user;
+
+  const { users = [] } = await request(authUrl(target, ':lookup'), { body: { localId: [uid] } });
+  const exists = users.length > 0;
+
+  if (!exists) {
+    try {
+      await request(authUrl(target), { body: { localId: uid, email, password, phoneNumber } });
+    } catch (error) {
+      if (error.code === 'EMAIL_EXISTS' || error.code === 'PHONE_NUMBER_EXISTS') {
+        throw new EmulatorRequestError(
+          `${email || phoneNumber} already belongs to another user (not uid ${uid}); clear the Auth emulator or set "uid" to match`,
+          error.code
+        );
+      }
+      throw error;
+    }
+  }
+
+  await request(authUrl(target, ':update'), {
+    body: {
+      localId: uid,
+      email,
+      password,
+      phoneNumber,
+      displayName,
+      photoUrl: photoURL,
+      emailVerified: Boolean(emailVerified),
+      disableUser: Boolean(disabled),
+      customAttributes: JSON.stringify(customClaims || {}),
+    },
+  });
+
+  return exists ? 'updated' : 'created';
+}
+
+/**
+ * Encode a JavaScript value as a Firestore REST value
+ */
+function encodeValue(value, projectId) {
+  if (value === null || value === undefined) return { nullValue: null };
+  if (value instanceof Timestamp) return { timestampValue: value.date.toISOString() };
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (value instanceof DocumentReference) {
+    return { referenceValue: `${documentsRoot(projectId)}/${value.path}` };
+  }
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(item => encodeValue(item, projectId)) } };
+  }
+  return { mapValue: { fields: encodeFields(value, projectId) } };
+}
+
+function encodeFields(data, projectId) {
+  const fields = {};
+  for (const [key, value] of Object.entries(data)) {
+    fields[key] = encodeValue(value, projectId);
+  }
+  return fields;
+}
+
+/**
+ * Write a Firestore document, replacing any existing content
+ */
+async function setDocument(target, path, data) {
+  await request(firestoreUrl(target, path), {
+    method: 'PATCH',
+    body: { fields: encodeFields(data, target.projectId) },
+  });
+}
+
+module.exports = {
+  Timestamp,
+  DocumentReference,
+  EmulatorRequestError,
+  upsertAuthUser,
+  setDocument,
+};
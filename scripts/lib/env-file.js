@@ -0,0 +1,126 @@
+/**
+ * .env File Helpers
+ *
+ * Minimal dotenv parser for scripts that need the same environment Next.js
+ * loads from apps/web/.env.local (KEY=value, quotes, comments, `export`).
+ */
+
+const fs = require('fs');
+
+const LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)?\s*$/;
+
+/**
+ * Parse .env content into a plain object
+ */
+function parseEnv(content) {
+  const values = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(LINE_PATTERN);
+    if (!match) continue;
+
+    const [, key, raw = ''] = match;
+    let value = raw.trim();
+
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') value = value.replace(/\\n/g, '\n');
+    } else {
+      // Unquoted values end at an inline comment
+      value = value.replace(/\s+#.*$/, '');
+    }
+
+    values[key] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Read and parse a .env file (empty object when it does not exist)
+ */
+function readEnvFile(file) {
+  if (!fs.existsSync(file)) return {};
+  return parseEnv(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load a .env file into process.env
+ *
+ * Variables already set in the environment win, as they do in Next.js.
+ * Returns the keys that were applied.
+ */
+function loadEnvFile(file) {
+  const applied = [];
+  for (const [key, value] of Object.entries(readEnvFile(file))) {
+    if (process.env[key] === undefined) {
+      process.env[key] = value;
+      applied.push(key);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Format a value for a .env file, quoting when needed
+ *
+ * Double-quoted values only unescape \n (as in dotenv), so values with
+ * double quotes are single-quoted instead.
+ */
+function formatValue(value) {
+  const text = String(value);
+  if (!/[\s#"'=]/.test(text) && text !== '') return text;
+  return text.includes('"') && !/['\n]/.test(text) ? `'${text}'` : JSON.stringify(text);
+}
+
+/**
+ * Set values in .env content, keeping comments and unrelated lines
+ *
+ * Existing assignments (including commented-out `# KEY=` placeholders) are
+ * replaced in place; new keys are appended.
+ */
+function setEnvValues(content, values) {
+  const remaining = new Map(Object.entries(values));
+  const lines = content.split(/\r?\n/).map((line) => {
+    const match = line.match(/^\s*(?:#\s*)?(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+    if (!match || !remaining.has(match[1])) return line;
+
+    const key = match[1];
+    const value = remaining.get(key);
+    remaining.delete(key);
+    return `${key}=${formatValue(value)}`;
+  });
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  for (const [key, value] of remaining) {
+    lines.push(`${key}=${formatValue(value)}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write values to a .env file
+ *
+ * Starts from the existing file, or from `template` (e.g. .env.local.example)
+ * when it does not exist yet.
+ */
+function writeEnvValues(file, values, { template } = {}) {
+  let content = '';
+  if (fs.existsSync(file)) {
+    content = fs.readFileSync(file, 'utf8');
+  } else if (template && fs.existsSync(template)) {
+    content = fs.readFileSync(template, 'utf8');
+  }
+
+  fs.writeFileSync(file, setEnvValues(content, values));
+}
+
+module.exports = {
+  parseEnv,
+  readEnvFile,
+  loadEnvFile,
+  setEnvValues,
+  writeEnvValues,
+};
@@ -0,0 +1,60 @@
+/**
+ * Tests for reading and updating .env files
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEnv, setEnvValues } = require('./env-file');
+
+describe('parseEnv', () => {
+  it('handles quotes, comments and export', () => {
+    const content = [
+      '# Firebase',
+      'export NEXT_PUBLIC_FIREBASE_PROJECT_ID=demo-project # emulator project',
+      'FIREBASE_PRIVATE_KEY="line one\\nline two"',
+      "GREETING='hello # not a comment'",
+      'EMPTY=',
+      'not a variable',
+    ].join('\n');
+
+    assert.deepEqual(parseEnv(content), {
+      NEXT_PUBLIC_FIREBASE_PROJECT_ID: 'demo-project',
+      FIREBASE_PRIVATE_KEY: 'line one\nline two',
+      GREETING: 'hello # not a comment',
+      EMPTY: '',
+    });
+  });
+});
+
+describe('setEnvValues', () => {
+  it('replaces assignments and placeholders in place and appends new keys', () => {
+    const content = [
+      '# Project',
+      'NEXT_PUBLIC_FIREBASE_PROJECT_ID=demo-project',
+      '# NEXT_PUBLIC_FIREBASE_API_KEY=',
+      'LOG_LEVEL=debug',
+      '',
+    ].join('\n');
+
+    const updated = setEnvValues(content, {
+      NEXT_PUBLIC_FIREBASE_PROJECT_ID: 'my-app',
+      NEXT_PUBLIC_FIREBASE_API_KEY: 'AIza123',
+      NEXT_PUBLIC_APP_ENV: 'development',
+    });
+
+    assert.equal(updated, [
+      '# Project',
+      'NEXT_PUBLIC_FIREBASE_PROJECT_ID=my-app',
+      'NEXT_PUBLIC_FIREBASE_API_KEY=AIza123',
+      'LOG_LEVEL=debug',
+      'NEXT_PUBLIC_APP_ENV=development',
+      '',
+    ].join('\n'));
+  });
+
+  it('quotes values that parseEnv would otherwise change', () => {
+    const values = { NAME: 'My App', EMPTY: '', HASH: 'a#b', QUOTE: 'say "hi"' };
+
+    assert.deepEqual(parseEnv(setEnvValues('', values)), values);
+  });
+});
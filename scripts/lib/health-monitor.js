@@ -0,0 +1,257 @@
+/**
+ * Continuous Health Monitoring (e2e-health --watch)
+ *
+ * Polls every service on an interval and keeps per-service statistics:
+ * - Uptime (share of healthy probes)
+ * - Latency percentiles (p50/p95/p99) over recent healthy probes
+ * - Up/down transitions, with flap detection over a sliding window
+ *
+ * When a required service goes down it can run a command and/or append
+ * to a log file, so lost emulators are noticed before tests fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const { probeService } = require('./probes');
+const { formatDuration } = require('./format');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health-monitor');
+
+// Keep this many latency samples per service for percentiles
+const MAX_LATENCY_SAMPLES = 500;
+
+const DEFAULTS = {
+  interval: 5000,
+  timeout: 3000,
+  flapThreshold: 4,
+  flapWindow: 5 * 60 * 1000,
+};
+
+/**
+ * Create empty statistics for a service
+ */
+function createStats(service) {
+  return {
+    service,
+    state: 'unknown',
+    since: Date.now(),
+    checks: 0,
+    healthyChecks: 0,
+    latencies: [],
+    transitions: [],
+    lastResult: null,
+  };
+}
+
+/**
+ * Percentile of a list of numbers (nearest-rank)
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(rank, sorted.length - 1))];
+}
+
+/**
+ * Number of transitions inside the flap window
+ */
+function recentTransitions(stats, flapWindow, now = Date.now()) {
+  return stats.transitions.filter(transition => now - transition.at <= flapWindow).length;
+}
+
+/**
+ * Record a probe result, returning the transition if the state changed
+ *
+ * The first probe only establishes the initial state, except that a
+ * service already down when watching starts is reported (marked
+ * `initial`) so --on-down and --log see it; initial transitions do not
+ * count towards flapping.
+ */
+function recordResult(stats, result, now = Date.now()) {
+  const state = result.healthy ? 'up' : 'down';
+
+  stats.checks++;
+  stats.lastResult = result;
+
+  if (result.healthy) {
+    stats.healthyChecks++;
+    stats.latencies.push(result.responseTime);
+    if (stats.latencies.length > MAX_LATENCY_SAMPLES) {
+      stats.latencies.shift();
+    }
+  }
+
+  if (state === stats.state) return null;
+
+  const transition = { at: now, from: stats.state, to: state, error: result.error || null };
+  stats.state = state;
+  stats.since = now;
+
+  if (transition.from === 'unknown') {
+    return state === 'down' ? { ...transition, initial: true } : null;
+  }
+
+  stats.transitions.push(transition);
+  return transition;
+}
+
+/**
+ * Render the live status table
+ */
+function renderTable(allStats, options) {
+  const now = Date.now();
+  const ms = value => (value === null ? '-' : `${value}ms`);
+  const lines = [];
+
+  lines.push(`E2E Environment Health - watching every ${options.interval / 1000}s (Ctrl+C to stop)`);
+  lines.push(`Last update: ${new Date(now).toLocaleTimeString()}`);
+  lines.push('');
+  lines.push(
+    `${'Service'.padEnd(24)}${'State'.padEnd(14)}${'For'.padEnd(9)}${'Uptime'.padEnd(9)}` +
+    `${'p50'.padEnd(9)}${'p95'.padEnd(9)}${'p99'.padEnd(9)}Transitions`
+  );
+  lines.push('─'.repeat(96));
+
+  for (const stats of allStats) {
+    const flapping = recentTransitions(stats, options.flapWindow, now) >= options.flapThreshold;
+    let state = stats.state === 'up' ? '✅ UP' : stats.state === 'down' ? '❌ DOWN' : '… ?';
+    if (stats.state === 'down' && !stats.service.required) state = '⚠️  DOWN';
+    if (flapping) state = '🔁 FLAPPING';
+
+    const uptime = stats.checks ? `${((stats.healthyChecks / stats.checks) * 100).toFixed(1)}%` : '-';
+
+    lines.push(
+      `${stats.service.name.padEnd(24)}${state.padEnd(14)}${formatDuration(now - stats.since).padEnd(9)}` +
+      `${uptime.padEnd(9)}${ms(percentile(stats.latencies, 50)).padEnd(9)}` +
+      `${ms(percentile(stats.latencies, 95)).padEnd(9)}${ms(percentile(stats.latencies, 99)).padEnd(9)}` +
+      `${stats.transitions.length}`
+    );
+
+    if (stats.state === 'down' && stats.lastResult && stats.lastResult.error) {
+      lines.push(`   └─ ${stats.lastResult.error}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Append a transition to the log file (JSON lines)
+ *
+ * A write failure (EACCES, ENOSPC, ...) is reported and otherwise ignored,
+ * so a bad --log path never stops the monitor. Returns whether it was written.
+ */
+function logTransition(logFile, stats, transition) {
+  const entry = {
+    timestamp: new Date(transition.at).toISOString(),
+    service: stats.service.name,
+    url: stats.service.url,
+    required: stats.service.required,
+    from: transition.from,
+    to: transition.to,
+    error: transition.error,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+    return true;
+  } catch (error) {
+    logger.error(`Could not write ${stats.service.name} ${transition.to} to ${logFile}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Run the --on-down command for a required service that went down
+ */
+function runOnDownCommand(command, stats, transition) {
+  exec(command, {
+    env: {
+      ...process.env,
+      E2E_SERVICE: stats.service.name,
+      E2E_SERVICE_URL: stats.service.url,
+      E2E_SERVICE_ERROR: transition.error || '',
+    },
+  }, (error) => {
+    if (error) {
+      logger.error(`--on-down command failed for ${stats.service.name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Watch services until interrupted
+ */
+function watchServices(services, userOptions = {}) {
+  const options = { ...DEFAULTS, ...userOptions };
+  const allStats = services.map(createStats);
+  const interactive = process.stdout.isTTY;
+  let timer = null;
+  let firstPoll = true;
+
+  const poll = async () => {
+    const results = await Promise.all(allStats.map(stats =>
+      probeService(stats.service, { projectId: options.projectId, timeout: options.timeout })
+    ));
+
+    results.forEach((result, index) => {
+      const stats = allStats[index];
+      const transition = recordResult(stats, result);
+      if (!transition) return;
+
+      if (options.logFile) {
+        logTransition(options.logFile, stats, transition);
+      }
+
+      if (!interactive) {
+        const message = `${new Date(transition.at).toISOString()} ${stats.service.name} is ${transition.to.toUpperCase()}${transition.error ? ` - ${transition.error}` : ''}`;
+        if (transition.to === 'up') logger.success(message);
+        else logger.error(message);
+      }
+
+      if (transition.to === 'down' && stats.service.required && options.onDown) {
+        runOnDownCommand(options.onDown, stats, transition);
+      }
+    });
+
+    if (interactive) {
+      process.stdout.write('\x1b[2J\x1b[H' + renderTable(allStats, options) + '\n');
+    } else if (firstPoll) {
+      allStats.forEach(stats => {
+        logger.info(`   ${stats.service.name.padEnd(30)} ${stats.state.toUpperCase()}`);
+      });
+    }
+
+    firstPoll = false;
+
+    timer = setTimeout(poll, options.interval);
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    console.log('\n' + renderTable(allStats, options) + '\n');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  if (!interactive) {
+    logger.info(`👀 Watching ${services.length} services every ${options.interval / 1000}s...`);
+  }
+
+  return poll();
+}
+
+module.exports = {
+  watchServices,
+  createStats,
+  recordResult,
+  percentile,
+  recentTransitions,
+  logTransition,
+};
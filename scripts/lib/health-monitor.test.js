@@ -0,0 +1,125 @@
+/**
+ * Tests for e2e-health --watch statistics
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStats, recordResult, percentile, recentTransitions, logTransition } = require('./health-monitor');
+
+const service = { name: 'Firebase Auth', url: 'http://localhost:9099', required: true };
+const up = (responseTime = 10) => ({ healthy: true, responseTime });
+const down = (error = 'ECONNREFUSED') => ({ healthy: false, error });
+
+describe('percentile', () => {
+  it('uses the nearest rank', () => {
+    const values = [50, 10, 40, 20, 30];
+
+    assert.equal(percentile(values, 50), 30);
+    assert.equal(percentile(values, 95), 50);
+    assert.equal(percentile(values, 0), 10);
+  });
+
+  it('returns null without samples', () => {
+    assert.equal(percentile([], 50), null);
+  });
+});
+
+describe('recordResult', () => {
+  it('does not report the initial up state', () => {
+    const stats = createStats(service);
+
+    assert.equal(recordResult(stats, up(), 1000), null);
+    assert.equal(stats.state, 'up');
+    assert.deepEqual(stats.transitions, []);
+  });
+
+  it('reports a service that is down when watching starts, without counting it as a flap', () => {
+    const stats = createStats(service);
+
+    assert.deepEqual(recordResult(stats, down(), 1000), {
+      at: 1000, from: 'unknown', to: 'down', error: 'ECONNREFUSED', initial: true,
+    });
+    assert.deepEqual(stats.transitions, []);
+  });
+
+  it('reports state changes and tracks uptime and latency', () => {
+    const stats = createStats(service);
+    recordResult(stats, up(10), 1000);
+
+    assert.equal(recordResult(stats, up(20), 2000), null);
+    assert.deepEqual(recordResult(stats, down('timeout'), 3000), { at: 3000, from: 'up', to: 'down', error: 'timeout' });
+    assert.deepEqual(recordResult(stats, up(30), 4000), { at: 4000, from: 'down', to: 'up', error: null });
+
+    assert.equal(stats.checks, 4);
+    assert.equal(stats.healthyChecks, 3);
+    assert.deepEqual(stats.latencies, [10, 20, 30]);
+    assert.equal(stats.since, 4000);
+  });
+
+  it('keeps a bounded number of latency samples', () => {
+    const stats = createStats(service);
+    for (let i = 0; i < 600; i++) recordResult(stats, up(i));
+
+    assert.equal(stats.latencies.length, 500);
+    assert.equal(stats.latencies[0], 100);
+  });
+});
+
+describe('recentTransitions', () => {
+  it('counts transitions inside the flap window', () => {
+    const stats = createStats(service);
+    recordResult(stats, up(), 0);
+    [1000, 2000, 8000, 9000].forEach((at, i) => recordResult(stats, i % 2 ? up() : down(), at));
+
+    assert.equal(recentTransitions(stats, 5000, 10000), 2);
+    assert.equal(recentTransitions(stats, 60000, 10000), 4);
+  });
+});
+
+describe('logTransition', () => {
+  const transition = { at: Date.parse('2026-10-18T10:00:00.000Z'), from: 'up', to: 'down', error: 'ECONNREFUSED' };
+
+  it('appends one JSON line per transition', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-monitor-'));
+    const logFile = path.join(dir, 'logs', 'health.jsonl');
+
+    try {
+      assert.equal(logTransition(logFile, createStats(service), transition), true);
+      assert.equal(logTransition(logFile, createStats(service), { ...transition, from: 'down', to: 'up', error: undefined }), true);
+
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines[0], {
+        timestamp: '2026-10-18T10:00:00.000Z',
+        service: 'Firebase Auth',
+        url: 'http://localhost:9099',
+        required: true,
+        from: 'up',
+        to: 'down',
+        error: 'ECONNREFUSED',
+      });
+      assert.equal(lines[1].to, 'up');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reports a failed write instead of throwing', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-monitor-'));
+    const notADirectory = path.join(dir, 'file');
+    fs.writeFileSync(notADirectory, '');
+    const stderr = process.stderr.write;
+    let output = '';
+    process.stderr.write = (chunk) => { output += chunk; return true; };
+
+    try {
+      assert.equal(logTransition(path.join(notADirectory, 'health.jsonl'), createStats(service), transition), false);
+    } finally {
+      process.stderr.write = stderr;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.match(output, /Could not write Firebase Auth down to .*health\.jsonl/);
+  });
+});
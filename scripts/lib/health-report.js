@@ -0,0 +1,100 @@
+/**
+ * Machine-readable Health Reports
+ *
+ * Turns e2e-health results into JSON or JUnit XML so CI dashboards and
+ * test runners can publish environment health next to unit test results.
+ */
+
+const FORMATS = ['json', 'junit'];
+
+/**
+ * Build the report object from health check results
+ */
+function buildReport(results, { projectId } = {}) {
+  const services = results.map(result => ({
+    name: result.name,
+    url: result.url,
+    required: result.required,
+    healthy: result.healthy,
+    status: result.status ?? null,
+    responseTime: result.responseTime ?? null,
+    error: result.error ?? null,
+  }));
+
+  return {
+    timestamp: new Date().toISOString(),
+    projectId: projectId || null,
+    healthy: results.every(result => result.passed),
+    services,
+  };
+}
+
+/**
+ * Escape a value for use in XML attributes and text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the report as JUnit XML
+ *
+ * Each service is a test case. Required services that are down are
+ * failures; optional services that are down are skipped.
+ */
+function toJUnit(report) {
+  const failures = report.services.filter(service => !service.healthy && service.required).length;
+  const skipped = report.services.filter(service => !service.healthy && !service.required).length;
+  const totalTime = report.services.reduce((sum, service) => sum + (service.responseTime || 0), 0);
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="E2E Environment Health" tests="${report.services.length}" failures="${failures}" skipped="${skipped}" time="${seconds(totalTime)}">`,
+    `  <testsuite name="e2e-health" tests="${report.services.length}" failures="${failures}" skipped="${skipped}" time="${seconds(totalTime)}" timestamp="${report.timestamp}">`,
+  ];
+
+  for (const service of report.services) {
+    lines.push(`    <testcase classname="e2e-health" name="${escapeXml(service.name)}" time="${seconds(service.responseTime)}">`);
+    lines.push('      <properties>');
+    lines.push(`        <property name="url" value="${escapeXml(service.url)}"/>`);
+    lines.push(`        <property name="required" value="${service.required}"/>`);
+    if (service.status !== null) {
+      lines.push(`        <property name="status" value="${service.status}"/>`);
+    }
+    lines.push('      </properties>');
+
+    if (!service.healthy && service.required) {
+      lines.push(`      <failure message="${escapeXml(service.error || 'Service not healthy')}">${escapeXml(`${service.name} (${service.url}): ${service.error}`)}</failure>`);
+    } else if (!service.healthy) {
+      lines.push(`      <skipped message="${escapeXml(`Optional service not running: ${service.error}`)}"/>`);
+    }
+
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the report in the requested format
+ */
+function formatReport(report, format) {
+  if (format === 'json') return JSON.stringify(report, null, 2) + '\n';
+  if (format === 'junit') return toJUnit(report);
+  throw new Error(`Unknown report format "${format}" (expected: ${FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  formatReport,
+};
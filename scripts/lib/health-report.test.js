@@ -0,0 +1,58 @@
+/**
+ * Tests for the e2e-health JSON and JUnit reports
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReport, formatReport } = require('./health-report');
+
+const results = [
+  { name: 'Firebase Auth', url: 'http://localhost:9099', required: true, healthy: true, passed: true, status: 200, responseTime: 12 },
+  { name: 'Firebase <Firestore>', url: 'http://localhost:8080', required: true, healthy: false, passed: false, error: 'ECONNREFUSED "8080"' },
+  { name: 'Firebase Storage', url: 'http://localhost:9199', required: false, healthy: false, passed: true, error: 'ECONNREFUSED' },
+];
+
+describe('buildReport', () => {
+  it('is healthy only when every result passed', () => {
+    assert.equal(buildReport(results).healthy, false);
+    assert.equal(buildReport([results[0], results[2]]).healthy, true);
+  });
+
+  it('fills missing fields with null', () => {
+    const report = buildReport(results, { projectId: 'demo-project' });
+
+    assert.equal(report.projectId, 'demo-project');
+    assert.deepEqual(report.services[1], {
+      name: 'Firebase <Firestore>',
+      url: 'http://localhost:8080',
+      required: true,
+      healthy: false,
+      status: null,
+      responseTime: null,
+      error: 'ECONNREFUSED "8080"',
+    });
+  });
+});
+
+describe('formatReport', () => {
+  it('counts down required services as failures and optional ones as skipped', () => {
+    const xml = formatReport(buildReport(results), 'junit');
+
+    assert.match(xml, /<testsuites name="E2E Environment Health" tests="3" failures="1" skipped="1" time="0.012">/);
+    assert.match(xml, /<skipped message="Optional service not running: ECONNREFUSED"\/>/);
+  });
+
+  it('escapes names and errors in JUnit XML', () => {
+    const xml = formatReport(buildReport(results), 'junit');
+
+    assert.match(xml, /name="Firebase &lt;Firestore&gt;"/);
+    assert.match(xml, /<failure message="ECONNREFUSED &quot;8080&quot;">/);
+  });
+
+  it('renders JSON and rejects unknown formats', () => {
+    const report = buildReport(results);
+
+    assert.deepEqual(JSON.parse(formatReport(report, 'json')), report);
+    assert.throws(() => formatReport(report, 'xml'), /Unknown report format "xml"/);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Isolated E2E Stack Instances
+ *
+ * `--instance <name>` (or E2E_INSTANCE) runs a fully separate emulator +
+ * Next.js stack next to the default one:
+ * - A free block of ports is allocated (default ports + n × PORT_STEP),
+ *   avoiding the default stack's ports and other instances' blocks
+ * - A firebase.json overlay (firebase.e2e-<name>.json, at the repo root so
+ *   relative paths keep working) uses those ports
+ * - The emulators run under a distinct demo project ID (demo-e2e-<name>)
+ * - Logs, process state and the exported endpoints live in
+ *   .e2e/instances/<name>/
+ *
+ * The endpoints are exported as an env file (.e2e/instances/<name>/.env)
+ * that ConfigService, the E2E scripts and test runners understand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isPortInUse } = require('./ports');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('instances');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const INSTANCES_DIR = path.join(ROOT_DIR, '.e2e', 'instances');
+
+// Offset between port blocks, and how many blocks to try
+const PORT_STEP = 10;
+const MAX_BLOCKS = 100;
+
+// Emulator ports the Firebase CLI opens besides the configured emulators
+const EXTRA_PORTS = {
+  hub: 4400,
+  logging: 4500,
+  firestoreWebsocket: 9150,
+};
+
+const INSTANCE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+
+/**
+ * Active instance name (from --instance or E2E_INSTANCE), or null
+ */
+function getInstanceName() {
+  return process.env.E2E_INSTANCE || null;
+}
+
+/**
+ * Apply a --instance option to this process (and the processes it spawns)
+ *
+ * Exits with an error for invalid names and, unless `mustExist` is false,
+ * for instances that were never allocated.
+ */
+function useInstance(name = getInstanceName(), { mustExist = true } = {}) {
+  if (!name) return;
+
+  if (name === true || !INSTANCE_NAME_PATTERN.test(name)) {
+    logger.error(`Invalid instance name "${name}" (use lowercase letters, digits and dashes)`);
+    process.exit(1);
+  }
+
+  if (mustExist && !readInstance(name)) {
+    logger.error(`E2E instance "${name}" does not exist\n   Start it with: npm run e2e:start -- --instance ${name}`);
+    process.exit(1);
+  }
+
+  process.env.E2E_INSTANCE = name;
+}
+
+/**
+ * Paths belonging to an instance
+ */
+function getInstancePaths(name) {
+  const dir = path.join(INSTANCES_DIR, name);
+  return {
+    dir,
+    record: path.join(dir, 'instance.json'),
+    envFile: path.join(dir, '.env'),
+    firebaseConfig: path.join(ROOT_DIR, `firebase.e2e-${name}.json`),
+  };
+}
+
+/**
+ * Read an allocated instance, or null if it does not exist
+ */
+function readInstance(name) {
+  const { record } = getInstancePaths(name);
+  if (!fs.existsSync(record)) return null;
+  return JSON.parse(fs.readFileSync(record, 'utf8'));
+}
+
+/**
+ * Read the active instance, failing loudly if it was never allocated
+ */
+function requireInstance(name) {
+  const instance = readInstance(name);
+  if (!instance) {
+    throw new Error(`E2E instance "${name}" does not exist. Start it with: npm run e2e:start -- --instance ${name}`);
+  }
+  return instance;
+}
+
+/**
+ * Ports reserved by all allocated instances
+ */
+function reservedPorts() {
+  if (!fs.existsSync(INSTANCES_DIR)) return new Set();
+
+  const ports = new Set();
+  for (const name of fs.readdirSync(INSTANCES_DIR)) {
+    const instance = readInstance(name);
+    if (instance) Object.values(instance.ports).forEach(port => ports.add(port));
+  }
+  return ports;
+}
+
+/**
+ * Default ports an instance needs, keyed by service
+ */
+function getBasePorts(firebaseJson, nextjsPort) {
+  const emulators = firebaseJson.emulators || {};
+  const ports = { nextjs: nextjsPort };
+
+  for (const [id, entry] of Object.entries(emulators)) {
+    if (entry && typeof entry === 'object' && entry.port) {
+      ports[id] = Number(entry.port);
+    }
+  }
+
+  ports.hub = Number(emulators.hub && emulators.hub.port) || EXTRA_PORTS.hub;
+  ports.logging = Number(emulators.logging && emulators.logging.port) || EXTRA_PORTS.logging;
+  if (emulators.firestore) {
+    ports.firestoreWebsocket = Number(emulators.firestore.websocketPort) || EXTRA_PORTS.firestoreWebsocket;
+  }
+
+  return ports;
+}
+
+/**
+ * Find a free block of ports
+ *
+ * Shifted ports can land on another service's default port (Auth 9099 + 100
+ * is Storage's 9199), so a block is skipped when any port is a default
+ * port, reserved by another instance, or bound right now.
+ */
+async function findPortBlock(basePorts, { reserved = reservedPorts(), portInUse = isPortInUse } = {}) {
+  const defaults = new Set(Object.values(basePorts));
+
+  for (let block = 1; block <= MAX_BLOCKS; block++) {
+    const ports = {};
+    for (const [id, port] of Object.entries(basePorts)) {
+      ports[id] = port + block * PORT_STEP;
+    }
+
+    const candidates = Object.values(ports);
+    if (candidates.some(port => port > 65535 || defaults.has(port) || reserved.has(port))) continue;
+
+    const inUse = await Promise.all(candidates.map(portInUse));
+    if (!inUse.some(Boolean)) return ports;
+  }
+
+  throw new Error(`No free block of ${Object.keys(basePorts).length} ports found for an E2E instance`);
+}
+
+/**
+ * Build the firebase.json overlay for an instance
+ */
+function buildOverlay(firebaseJson, ports) {
+  const overlay = JSON.parse(JSON.stringify(firebaseJson));
+  const emulators = overlay.emulators || (overlay.emulators = {});
+
+  for (const [id, entry] of Object.entries(emulators)) {
+    if (entry && typeof entry === 'object' && ports[id]) {
+      entry.port = ports[id];
+    }
+  }
+
+  emulators.hub = { ...emulators.hub, port: ports.hub };
+  emulators.logging = { ...emulators.logging, port: ports.logging };
+  if (emulators.firestore) {
+    emulators.firestore.websocketPort = ports.firestoreWebsocket;
+  }
+  emulators.ui = { enabled: false };
+
+  return overlay;
+}
+
+/**
+ * Environment variables that point clients at an instance
+ */
+function getInstanceEnv(instance) {
+  const { ports, projectId } = instance;
+  const env = {
+    E2E_INSTANCE: instance.name,
+    E2E_BASE_URL: `http://localhost:${ports.nextjs}`,
+    GCLOUD_PROJECT: projectId,
+    NEXT_PUBLIC_APP_ENV: 'development',
+    NEXT_PUBLIC_FIREBASE_PROJECT_ID: projectId,
+    FIREBASE_CONFIG_PATH: instance.firebaseConfig,
+    FIREBASE_EMULATOR_HUB: `localhost:${ports.hub}`,
+  };
+
+  if (ports.auth) {
+    env.NEXT_PUBLIC_FIREBASE_AUTH_EMULATOR_PORT = String(ports.auth);
+    env.FIREBASE_AUTH_EMULATOR_HOST = `localhost:${ports.auth}`;
+  }
+  if (ports.firestore) {
+    env.NEXT_PUBLIC_FIREBASE_FIRESTORE_EMULATOR_PORT = String(ports.firestore);
+    env.FIRESTORE_EMULATOR_HOST = `localhost:${ports.firestore}`;
+  }
+  if (ports.functions) {
+    env.NEXT_PUBLIC_FIREBASE_FUNCTIONS_EMULATOR_PORT = String(ports.functions);
+  }
+  if (ports.storage) {
+    env.NEXT_PUBLIC_FIREBASE_STORAGE_EMULATOR_PORT = String(ports.storage);
+    env.FIREBASE_STORAGE_EMULATOR_HOST = `localhost:${ports.storage}`;
+  }
+  if (ports.hosting) {
+    env.NEXT_PUBLIC_FIREBASE_HOSTING_EMULATOR_PORT = String(ports.hosting);
+  }
+
+  return env;
+}
+
+/**
+ * Allocate (or reuse) an instance: ports, overlay config and env file
+ */
+async function allocateInstance(name, { firebaseJson, nextjsPort }) {
+  const existing = readInstance(name);
+  if (existing) return existing;
+
+  const paths = getInstancePaths(name);
+  const ports = await findPortBlock(getBasePorts(firebaseJson, nextjsPort));
+
+  const instance = {
+    name,
+    projectId: `demo-e2e-${name}`,
+    firebaseConfig: paths.firebaseConfig,
+    ports,
+    createdAt: new Date().toISOString(),
+  };
+
+  fs.mkdirSync(paths.dir, { recursive: true });
+  fs.writeFileSync(paths.firebaseConfig, JSON.stringify(buildOverlay(firebaseJson, ports), null, 2) + '\n');
+  fs.writeFileSync(paths.record, JSON.stringify(instance, null, 2) + '\n');
+
+  const envLines = Object.entries(getInstanceEnv(instance)).map(([key, value]) => `${key}=${value}`);
+  fs.writeFileSync(paths.envFile, `# E2E instance "${name}" - generated by e2e-start\n${envLines.join('\n')}\n`);
+
+  return instance;
+}
+
+/**
+ * Release an instance: remove its overlay, record and env file (logs stay)
+ */
+function releaseInstance(name) {
+  const paths = getInstancePaths(name);
+  [paths.firebaseConfig, paths.record, paths.envFile]
+    .filter(file => fs.existsSync(file))
+    .forEach(file => fs.unlinkSync(file));
+
+  if (fs.existsSync(paths.dir) && fs.readdirSync(paths.dir).length === 0) {
+    fs.rmdirSync(paths.dir);
+  }
+}
+
+module.exports = {
+  INSTANCES_DIR,
+  getInstanceName,
+  useInstance,
+  getInstancePaths,
+  readInstance,
+  requireInstance,
+  getInstanceEnv,
+  getBasePorts,
+  findPortBlock,
+  buildOverlay,
+  allocateInstance,
+  releaseInstance,
+};
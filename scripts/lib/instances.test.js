@@ -0,0 +1,103 @@
+/**
+ * Tests for E2E instance port allocation and overlays
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBasePorts, findPortBlock, buildOverlay, getInstanceEnv } = require('./instances');
+
+const firebaseJson = {
+  emulators: {
+    auth: { port: 9099 },
+    firestore: { port: 8080 },
+    functions: { port: 5001 },
+    storage: { port: 9199 },
+    hosting: { port: 5000 },
+    ui: { enabled: true, port: 4000 },
+  },
+};
+
+const noPortsInUse = async () => false;
+
+describe('getBasePorts', () => {
+  it('collects emulator ports plus the hub, logging and Firestore websocket ports', () => {
+    assert.deepEqual(getBasePorts(firebaseJson, 3004), {
+      nextjs: 3004,
+      auth: 9099,
+      firestore: 8080,
+      functions: 5001,
+      storage: 9199,
+      hosting: 5000,
+      ui: 4000,
+      hub: 4400,
+      logging: 4500,
+      firestoreWebsocket: 9150,
+    });
+  });
+});
+
+describe('findPortBlock', () => {
+  it('shifts every port by the same offset', async () => {
+    const ports = await findPortBlock({ nextjs: 3004, auth: 9099 }, { reserved: new Set(), portInUse: noPortsInUse });
+
+    assert.deepEqual(ports, { nextjs: 3014, auth: 9109 });
+  });
+
+  it('skips blocks that land on a default port of the stack', async () => {
+    const basePorts = getBasePorts(firebaseJson, 3004);
+    // Blocks 1-9 are taken, and block 10 moves Auth onto Storage's 9199
+    const ports = await findPortBlock(basePorts, {
+      reserved: new Set(),
+      portInUse: async port => port > 3004 && port < 3104,
+    });
+
+    assert.equal(ports.nextjs, 3004 + 110);
+    assert.equal(ports.auth, 9099 + 110);
+  });
+
+  it('skips blocks reserved by other instances or in use', async () => {
+    const inUse = new Set([3024]);
+    const ports = await findPortBlock({ nextjs: 3004, auth: 9099 }, {
+      reserved: new Set([9109]),
+      portInUse: async port => inUse.has(port),
+    });
+
+    assert.deepEqual(ports, { nextjs: 3034, auth: 9129 });
+  });
+
+  it('fails when no block fits below 65535', async () => {
+    await assert.rejects(
+      findPortBlock({ nextjs: 65530 }, { reserved: new Set(), portInUse: noPortsInUse }),
+      /No free block of 1 ports found/
+    );
+  });
+});
+
+describe('buildOverlay', () => {
+  it('moves the emulators to the instance ports and disables the UI', () => {
+    const ports = { ...getBasePorts(firebaseJson, 3004), auth: 9299, firestore: 8280, hub: 4600, logging: 4700, firestoreWebsocket: 9350 };
+    const overlay = buildOverlay(firebaseJson, ports);
+
+    assert.equal(overlay.emulators.auth.port, 9299);
+    assert.deepEqual(overlay.emulators.firestore, { port: 8280, websocketPort: 9350 });
+    assert.deepEqual(overlay.emulators.hub, { port: 4600 });
+    assert.deepEqual(overlay.emulators.ui, { enabled: false });
+    assert.equal(firebaseJson.emulators.auth.port, 9099);
+  });
+});
+
+describe('getInstanceEnv', () => {
+  it('points clients at the instance', () => {
+    const env = getInstanceEnv({
+      name: 'ci',
+      projectId: 'demo-e2e-ci',
+      firebaseConfig: '/repo/firebase.e2e-ci.json',
+      ports: { nextjs: 3204, auth: 9299, firestore: 8280, hub: 4600 },
+    });
+
+    assert.equal(env.E2E_BASE_URL, 'http://localhost:3204');
+    assert.equal(env.FIREBASE_AUTH_EMULATOR_HOST, 'localhost:9299');
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_FIRESTORE_EMULATOR_PORT, '8280');
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_STORAGE_EMULATOR_PORT, undefined);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * E2E Service Log Files
+ *
+ * Each background service writes to .e2e/logs/<service>.out.log and
+ * .e2e/logs/<service>.err.log (.e2e/instances/<name>/logs/ for an instance). Lines are prefixed with an ISO timestamp and
+ * files rotate by size (<file>.1 is the most recent rotated file).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRuntimeDir } = require('./service-manifest');
+
+// Rotate at 5 MB, keeping this many rotated files per stream
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 3;
+
+/**
+ * Log directory for the active stack
+ */
+function getLogDir() {
+  return path.join(getRuntimeDir(), 'logs');
+}
+
+/**
+ * Log file locations for a service
+ */
+function getLogPaths(serviceId, logDir = getLogDir()) {
+  return {
+    stdout: path.join(logDir, `${serviceId}.out.log`),
+    stderr: path.join(logDir, `${serviceId}.err.log`),
+  };
+}
+
+/**
+ * Create a writer that timestamps lines and rotates the file by size
+ */
+function createRotatingWriter(file, { maxBytes = MAX_BYTES, maxFiles = MAX_FILES } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  let pending = '';
+
+  const rotate = () => {
+    const oldest = `${file}.${maxFiles}`;
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      const from = `${file}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${file}.${index + 1}`);
+      }
+    }
+
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.1`);
+    size = 0;
+  };
+
+  const writeLine = (line) => {
+    const entry = `${new Date().toISOString()} ${line}\n`;
+    const bytes = Buffer.byteLength(entry);
+    if (size + bytes > maxBytes && size > 0) rotate();
+    fs.appendFileSync(file, entry);
+    size += bytes;
+  };
+
+  return {
+    /**
+     * Write a chunk of output; incomplete lines are buffered
+     */
+    write(chunk) {
+      const lines = (pending + chunk.toString()).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(writeLine);
+    },
+
+    /**
+     * Flush a trailing line without newline
+     */
+    end() {
+      if (pending) writeLine(pending);
+      pending = '';
+    },
+  };
+}
+
+/**
+ * Split a logged line into its timestamp and message
+ */
+function parseLine(line) {
+  const match = line.match(/^(\d{4}-\d{2}-\d{2}T[\d:.]+Z) (.*)$/);
+  return match ? { timestamp: match[1], message: match[2] } : { timestamp: '', message: line };
+}
+
+/**
+ * Read the last `count` lines of a log file
+ */
+function readLastLines(file, count) {
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  return lines.slice(-count);
+}
+
+/**
+ * Follow a log file, calling onLine for each new line
+ *
+ * Handles files that do not exist yet and files that were rotated.
+ * Returns a function that stops following.
+ */
+function followLog(file, onLine, { fromStart = false, interval = 250 } = {}) {
+  let offset = !fromStart && fs.existsSync(file) ? fs.statSync(file).size : 0;
+  let pending = '';
+
+  const poll = () => {
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch (error) {
+      return; // Not created yet
+    }
+
+    // File was rotated or truncated, start over
+    if (size < offset) offset = 0;
+    if (size === offset) return;
+
+    const fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    fs.closeSync(fd);
+    offset = size;
+
+    const lines = (pending + buffer.toString('utf8')).split('\n');
+    pending = lines.pop();
+    lines.filter(Boolean).forEach(onLine);
+  };
+
+  const timer = setInterval(poll, interval);
+  poll();
+
+  return () => {
+    clearInterval(timer);
+    poll();
+  };
+}
+
+module.exports = {
+  getLogDir,
+  getLogPaths,
+  createRotatingWriter,
+  parseLine,
+  readLastLines,
+  followLog,
+};
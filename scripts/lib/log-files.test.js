@@ -0,0 +1,74 @@
+/**
+ * Tests for the rotating E2E service logs
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRotatingWriter, parseLine, readLastLines } = require('./log-files');
+
+describe('createRotatingWriter', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2e-logs-'));
+    file = path.join(dir, 'logs', 'nextjs.out.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('timestamps complete lines and buffers partial ones until end()', () => {
+    const writer = createRotatingWriter(file);
+    writer.write('ready on ');
+    writer.write('port 3004\r\ncompil');
+
+    assert.deepEqual(readLastLines(file, 10).map(line => parseLine(line).message), ['ready on port 3004']);
+
+    writer.end();
+    assert.deepEqual(readLastLines(file, 10).map(line => parseLine(line).message), ['ready on port 3004', 'compil']);
+  });
+
+  it('rotates by size and keeps maxFiles rotated files', () => {
+    const writer = createRotatingWriter(file, { maxBytes: 40, maxFiles: 2 });
+    ['one', 'two', 'three', 'four'].forEach(line => writer.write(`${line}\n`));
+
+    const messages = target => readLastLines(target, 10).map(line => parseLine(line).message);
+    assert.deepEqual(messages(file), ['four']);
+    assert.deepEqual(messages(`${file}.1`), ['three']);
+    assert.deepEqual(messages(`${file}.2`), ['two']);
+    assert.equal(fs.existsSync(`${file}.3`), false);
+  });
+
+  it('counts bytes, not characters, against maxBytes', () => {
+    // 31 characters but 41 bytes per line: two lines fit 80 characters, not 80 bytes
+    const writer = createRotatingWriter(file, { maxBytes: 80 });
+    writer.write('✅✅✅✅✅\n✅✅✅✅✅\n');
+
+    assert.equal(fs.statSync(file).size, 41);
+    assert.equal(fs.statSync(`${file}.1`).size, 41);
+  });
+});
+
+describe('parseLine', () => {
+  it('splits the timestamp from the message', () => {
+    assert.deepEqual(parseLine('2026-01-02T03:04:05.678Z ✔ Ready in 2s'), {
+      timestamp: '2026-01-02T03:04:05.678Z',
+      message: '✔ Ready in 2s',
+    });
+  });
+
+  it('keeps lines without a timestamp as the message', () => {
+    assert.deepEqual(parseLine('plain output'), { timestamp: '', message: 'plain output' });
+  });
+});
+
+describe('readLastLines', () => {
+  it('returns nothing for a missing file', () => {
+    assert.deepEqual(readLastLines(path.join(os.tmpdir(), 'missing-e2e.log'), 5), []);
+  });
+});
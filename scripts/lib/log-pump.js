@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Log Pump
+ *
+ * Runs a service command and writes its stdout/stderr to rotating,
+ * timestamped log files. e2e-start launches services through this wrapper
+ * so their output is still captured after e2e-start exits.
+ *
+ * Usage: node log-pump.js <serviceId> -- <command> [args...]
+ *
+ * Signals are forwarded to the service; the pump exits with its exit code.
+ */
+
+const { spawn } = require('child_process');
+const { getLogPaths, createRotatingWriter } = require('./log-files');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('log-pump');
+
+const isWindows = process.platform === 'win32';
+
+function main() {
+  const separator = process.argv.indexOf('--');
+  const serviceId = process.argv[2];
+
+  if (!serviceId || separator === -1 || separator === process.argv.length - 1) {
+    logger.error('Usage: node log-pump.js <serviceId> -- <command> [args...]');
+    process.exit(2);
+  }
+
+  const [command, ...args] = process.argv.slice(separator + 1);
+  const paths = getLogPaths(serviceId);
+  const stdout = createRotatingWriter(paths.stdout);
+  const stderr = createRotatingWriter(paths.stderr);
+
+  stdout.write(`[log-pump] Starting: ${command} ${args.join(' ')} (cwd: ${process.cwd()})\n`);
+
+  const child = spawn(command, args, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    shell: isWindows,
+  });
+
+  child.stdout.on('data', data => stdout.write(data));
+  child.stderr.on('data', data => stderr.write(data));
+
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+    process.on(signal, () => child.kill(signal));
+  });
+
+  child.on('error', (error) => {
+    stderr.write(`[log-pump] Failed to start ${command}: ${error.message}\n`);
+    stderr.end();
+    process.exit(1);
+  });
+
+  child.on('close', (code, signal) => {
+    stdout.end();
+    stderr.end();
+    const status = signal ? `killed by ${signal}` : `exited with code ${code}`;
+    stdout.write(`[log-pump] Process ${status}\n`);
+    process.exit(code === null ? 1 : code);
+  });
+}
+
+main();
@@ -0,0 +1,175 @@
+/**
+ * Structured Logger for the Scripts
+ *
+ * The Node counterpart of apps/web/src/lib/logger (same levels, LOG_LEVEL
+ * and LOG_FORMAT variables, same JSON fields), in plain JavaScript because
+ * scripts such as setup.js run before dependencies are installed.
+ *
+ * - pretty (default): the usual terminal output, with ✅/⚠️/❌ markers and
+ *   colors when writing to a terminal (NO_COLOR disables them); no
+ *   namespace prefix, these are the scripts' own messages
+ * - json (LOG_FORMAT=json): one JSON object per line with Cloud Logging's
+ *   `severity`, `message`, `time` and the namespace, e.g. for CI log search
+ *
+ * LOG_LEVEL (debug, info, warn, error, silent) defaults to info: unlike the
+ * app, scripts are always run by someone waiting for their output.
+ *
+ * Data a script prints on request (--json reports, tables, dry-run
+ * documents) is output, not logging, and stays on stdout.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Cloud Logging severities
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+const COLORS = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+};
+
+const BANNER_WIDTH = 60;
+
+/**
+ * Level from LOG_LEVEL
+ */
+function resolveLogLevel() {
+  const value = (process.env.LOG_LEVEL || '').toLowerCase();
+  return value in LEVELS ? value : 'info';
+}
+
+/**
+ * Format from LOG_FORMAT
+ */
+function resolveLogFormat() {
+  return process.env.LOG_FORMAT === 'json' ? 'json' : 'pretty';
+}
+
+/**
+ * Split the second argument of a log call into fields and an Error
+ *
+ * Accepts an Error, a plain object of fields (optionally with an `error`
+ * property), or any other value, which is logged as the `value` field.
+ */
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) return { fields: {} };
+  if (fields instanceof Error) return { fields: {}, error: fields };
+  if (Object.prototype.toString.call(fields) === '[object Object]') {
+    const { error, ...rest } = fields;
+    return error instanceof Error ? { fields: rest, error } : { fields };
+  }
+  return { fields: { value: fields } };
+}
+
+class Logger {
+  constructor(namespace, { level = resolveLogLevel(), format = resolveLogFormat() } = {}) {
+    this.namespace = namespace;
+    this.level = level;
+    this.format = format;
+  }
+
+  /**
+   * Logger for a sub-namespace, e.g. "e2e-start:emulators"
+   */
+  child(namespace) {
+    return new Logger(`${this.namespace}:${namespace}`, { level: this.level, format: this.format });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields, { color: 'dim' });
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  success(message, fields) {
+    this.write('info', message, fields, { icon: '✅', color: 'green' });
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields, { icon: '⚠️ ', color: 'yellow' });
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields, { icon: '❌', color: 'red' });
+  }
+
+  /**
+   * Numbered step of a multi-step script, e.g. "[1/5] Checking Node.js..."
+   */
+  step(step, message) {
+    this.write('info', `\n[${step}] ${message}`, undefined, { color: 'blue', jsonMessage: `[${step}] ${message}` });
+  }
+
+  /**
+   * Boxed title at the start of a script
+   */
+  banner(title) {
+    const [, leading, body] = title.match(/^(\n*)([\s\S]*)$/);
+    const text = `║      ${body}`.padEnd(BANNER_WIDTH + 1) + '║';
+    const box = [`╔${'═'.repeat(BANNER_WIDTH)}╗`, text, `╚${'═'.repeat(BANNER_WIDTH)}╝\n`].join('\n');
+    this.write('info', `${leading}${box}`, undefined, { color: 'bright', jsonMessage: body });
+  }
+
+  /**
+   * Section title between horizontal rules
+   */
+  header(title) {
+    const rule = '═'.repeat(64);
+    this.write('info', `\n${rule}\n${title}\n${rule}\n`, undefined, { color: 'bright', jsonMessage: title });
+  }
+
+  write(level, message, fields, { icon, color, jsonMessage } = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    const { fields: rest, error } = normalizeFields(fields);
+
+    if (this.format === 'json') {
+      const text = jsonMessage || message;
+      stream.write(`${JSON.stringify({
+        severity: SEVERITY[level],
+        message: error && error.stack ? `${text}\n${error.stack}` : text,
+        time: new Date().toISOString(),
+        namespace: this.namespace,
+        ...rest,
+      })}\n`);
+      return;
+    }
+
+    // Keep leading blank lines outside the icon ("\n✅ Done" not "✅ \nDone")
+    const [, leading, body] = message.match(/^(\n*)([\s\S]*)$/);
+    let text = `${leading}${icon ? `${icon} ` : ''}${body}`;
+    if (color && stream.isTTY && !process.env.NO_COLOR) {
+      text = `${COLORS[color]}${text}${COLORS.reset}`;
+    }
+    if (Object.keys(rest).length > 0) text += ` ${JSON.stringify(rest)}`;
+    // The stack only at debug level; the message is enough otherwise
+    if (error) text += this.isLevelEnabled('debug') ? `\n${error.stack}` : ` ${error.message}`;
+    stream.write(`${text}\n`);
+  }
+}
+
+/**
+ * Create a logger for a script or helper module
+ */
+function createLogger(namespace, options) {
+  return new Logger(namespace, options);
+}
+
+module.exports = {
+  Logger,
+  normalizeFields,
+  createLogger,
+  resolveLogLevel,
+  resolveLogFormat,
+};
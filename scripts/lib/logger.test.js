@@ -0,0 +1,97 @@
+/**
+ * Tests for the scripts' structured logger
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, normalizeFields } = require('./logger');
+
+/**
+ * Run `fn` and return what it wrote to stdout and stderr
+ */
+function capture(fn) {
+  const output = { stdout: '', stderr: '' };
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = chunk => { output.stdout += chunk; return true; };
+  process.stderr.write = chunk => { output.stderr += chunk; return true; };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return output;
+}
+
+describe('normalizeFields', () => {
+  it('accepts nothing, an Error or a plain object', () => {
+    const error = new Error('boom');
+
+    assert.deepEqual(normalizeFields(undefined), { fields: {} });
+    assert.deepEqual(normalizeFields(null), { fields: {} });
+    assert.deepEqual(normalizeFields(error), { fields: {}, error });
+    assert.deepEqual(normalizeFields({ port: 9099 }), { fields: { port: 9099 } });
+  });
+
+  it('splits an Error out of the fields', () => {
+    const error = new Error('boom');
+
+    assert.deepEqual(normalizeFields({ port: 9099, error }), { fields: { port: 9099 }, error });
+    assert.deepEqual(normalizeFields({ error: 'boom' }), { fields: { error: 'boom' } });
+  });
+
+  it('logs any other value as `value`', () => {
+    assert.deepEqual(normalizeFields('boom'), { fields: { value: 'boom' } });
+    assert.deepEqual(normalizeFields([1, 2]), { fields: { value: [1, 2] } });
+  });
+});
+
+describe('Logger', () => {
+  it('writes pretty lines with icons, fields and the error message', () => {
+    const logger = new Logger('test', { level: 'info', format: 'pretty' });
+
+    const output = capture(() => {
+      logger.success('\nDone', { count: 2 });
+      logger.error('Failed to stop Hosting:', new Error('ESRCH'));
+    });
+
+    assert.equal(output.stdout, '\n✅ Done {"count":2}\n');
+    assert.equal(output.stderr, '❌ Failed to stop Hosting: ESRCH\n');
+  });
+
+  it('writes one JSON object per line', () => {
+    const logger = new Logger('e2e', { level: 'info', format: 'json' }).child('stop');
+
+    const output = capture(() => logger.warn('Stale PID file', 'firebase.pid'));
+    const entry = JSON.parse(output.stderr);
+
+    assert.equal(entry.severity, 'WARNING');
+    assert.equal(entry.message, 'Stale PID file');
+    assert.equal(entry.namespace, 'e2e:stop');
+    assert.equal(entry.value, 'firebase.pid');
+  });
+
+  it('appends the stack to JSON messages', () => {
+    const logger = new Logger('test', { level: 'info', format: 'json' });
+    const error = new Error('boom');
+
+    const entry = JSON.parse(capture(() => logger.error('Seeding failed', { error, collection: 'users' })).stderr);
+
+    assert.equal(entry.message, `Seeding failed\n${error.stack}`);
+    assert.equal(entry.collection, 'users');
+    assert.equal(entry.error, undefined);
+  });
+
+  it('drops messages below its level', () => {
+    const logger = new Logger('test', { level: 'warn', format: 'pretty' });
+
+    const output = capture(() => {
+      logger.debug('debug');
+      logger.info('info');
+      logger.warn('warn');
+    });
+
+    assert.equal(output.stdout, '');
+    assert.equal(output.stderr, '⚠️  warn\n');
+  });
+});
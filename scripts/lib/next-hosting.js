@@ -0,0 +1,279 @@
+/**
+ * Firebase Hosting Config for the Next.js Build
+ *
+ * Reads the build output of apps/web and derives the `hosting` block of
+ * firebase.json for one of two modes:
+ * - static: `output: 'export'` builds; Hosting serves apps/web/out as is
+ * - ssr:    everything else; hashed assets, public/ files and fully static
+ *           prerendered pages are staged in apps/web/.hosting, and every
+ *           other path falls through to the SSR Cloud Function
+ *
+ * The SSR rewrites do not depend on the build's routes: Hosting serves a
+ * staged file when one matches and only then applies rewrites, so a single
+ * catch-all sends everything else to the function. That rewrite is only
+ * written once a functions source in firebase.json exports the function
+ * (see findFunctionExport); the committed firebase.json holds the static
+ * block until then.
+ *
+ * In both modes `/api/**` goes to the `api` function (apps/functions) and
+ * `/_next/static` (content-hashed) is cached as immutable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./service-manifest');
+
+const WEB_DIR = path.join(ROOT_DIR, 'apps', 'web');
+const DIST_DIR = path.join(WEB_DIR, '.next');
+const STAGING_DIR = path.join(WEB_DIR, '.hosting');
+
+const API_FUNCTION = 'api';
+const SSR_FUNCTION = 'nextServer';
+
+// public/ files are not content-hashed, so they get a short cache
+const PUBLIC_ASSET_EXTENSIONS = 'jpg|jpeg|gif|png|svg|webp|avif|ico|woff|woff2|ttf';
+
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const SHORT_CACHE = 'public, max-age=3600';
+const NO_CACHE = 'public, max-age=0, must-revalidate';
+
+/**
+ * Read a JSON file from the build output (null when missing)
+ */
+function readManifest(file) {
+  const full = path.join(DIST_DIR, file);
+  return fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, 'utf8')) : null;
+}
+
+/**
+ * Inspect the Next.js build in apps/web/.next
+ *
+ * Throws when there is no build. `mode` is detected from the static export
+ * marker unless forced.
+ */
+function readNextBuild({ mode } = {}) {
+  if (!fs.existsSync(path.join(DIST_DIR, 'BUILD_ID'))) {
+    throw new Error(`No Next.js build found in ${path.relative(ROOT_DIR, DIST_DIR)} (run: npm run build)`);
+  }
+
+  const exportDetail = readManifest('export-detail.json');
+  const outDir = exportDetail && exportDetail.success ? exportDetail.outDirectory : path.join(WEB_DIR, 'out');
+  const detectedMode = exportDetail && exportDetail.success ? 'static' : 'ssr';
+  const buildMode = mode || detectedMode;
+
+  if (buildMode === 'static' && !fs.existsSync(path.join(outDir, 'index.html'))) {
+    throw new Error(`No static export in ${path.relative(ROOT_DIR, outDir)} (set output: 'export' in next.config and rebuild)`);
+  }
+
+  const routesManifest = readManifest('routes-manifest.json') || {};
+  const middlewareManifest = readManifest(path.join('server', 'middleware-manifest.json')) || {};
+  const prerenderManifest = readManifest('prerender-manifest.json') || {};
+
+  return {
+    mode: buildMode,
+    outDir,
+    basePath: routesManifest.basePath || '',
+    staticRoutes: routesManifest.staticRoutes || [],
+    dynamicRoutes: routesManifest.dynamicRoutes || [],
+    redirects: (routesManifest.redirects || []).filter(redirect => !redirect.internal),
+    hasMiddleware: Object.keys(middlewareManifest.middleware || {}).length > 0,
+    prerenderedPages: findPrerenderedPages(prerenderManifest),
+  };
+}
+
+/**
+ * Fully static prerendered pages and their HTML in the build
+ *
+ * Pages with ISR (a revalidate interval) stay with the SSR function so they
+ * can be regenerated; so do Next.js' own error pages.
+ */
+function findPrerenderedPages(prerenderManifest) {
+  return Object.entries(prerenderManifest.routes || {})
+    .filter(([route, info]) => info.initialRevalidateSeconds === false && !/^\/(_not-found|_error|404|500)$/.test(route))
+    .map(([route]) => {
+      const name = `${route === '/' ? '/index' : route}.html`;
+      const file = [path.join(DIST_DIR, 'server', 'app', name), path.join(DIST_DIR, 'server', 'pages', name)]
+        .find(candidate => fs.existsSync(candidate));
+      return file ? { route, file: path.relative(DIST_DIR, file), output: name } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Next.js routes that the /api/** rewrite to the api function would shadow
+ */
+function findShadowedApiRoutes(build) {
+  return [...build.staticRoutes, ...build.dynamicRoutes]
+    .map(route => route.page)
+    .filter(page => page === '/api' || page.startsWith('/api/'));
+}
+
+/**
+ * Cache headers shared by both modes
+ */
+function cacheHeaders(build) {
+  return [
+    { source: `${build.basePath}/_next/static/**`, headers: [{ key: 'Cache-Control', value: IMMUTABLE }] },
+    { source: `/*.@(${PUBLIC_ASSET_EXTENSIONS})`, headers: [{ key: 'Cache-Control', value: SHORT_CACHE }] },
+    { source: `/!(_next)/**/*.@(${PUBLIC_ASSET_EXTENSIONS})`, headers: [{ key: 'Cache-Control', value: SHORT_CACHE }] },
+    { source: '**/*.html', headers: [{ key: 'Cache-Control', value: NO_CACHE }] },
+  ];
+}
+
+/**
+ * Hosting redirects from next.config redirects()
+ *
+ * Only plain path patterns (`/old/:slug`) translate to Hosting; redirects
+ * with `has`/`missing` conditions or regex groups are returned as skipped.
+ */
+function translateRedirects(build) {
+  const redirects = [];
+  const skipped = [];
+
+  for (const redirect of build.redirects) {
+    const plain = !redirect.has && !redirect.missing && !/[()]/.test(redirect.source);
+    if (!plain) {
+      skipped.push(redirect.source);
+      continue;
+    }
+    redirects.push({
+      source: redirect.source,
+      destination: redirect.destination,
+      type: redirect.permanent || redirect.statusCode === 308 || redirect.statusCode === 301 ? 301 : 302,
+    });
+  }
+
+  return { redirects, skipped };
+}
+
+/**
+ * Catch-all rewrite to the SSR function, after the staged files
+ */
+function ssrRewrites(build, ssrFunction) {
+  if (!build.basePath) {
+    return [{ source: '**', function: ssrFunction }];
+  }
+  return [
+    { source: build.basePath, function: ssrFunction },
+    { source: `${build.basePath}/**`, function: ssrFunction },
+  ];
+}
+
+/**
+ * SSR function named by the catch-all rewrite of an existing hosting block
+ *
+ * Lets firebase.json keep a custom function name across regenerations.
+ */
+function findSsrFunction(hosting = {}) {
+  const rewrites = hosting.rewrites || [];
+  const last = rewrites[rewrites.length - 1];
+  const isCatchAll = last && last.function && /(^|\/)\*\*$/.test(last.source || '') && last.source !== '/api/**';
+  return isCatchAll ? last.function : null;
+}
+
+/**
+ * Functions source file that exports `name`, relative to the root (null if none)
+ *
+ * Looks at the entry point of each functions codebase in firebase.json
+ * (package.json `main`, else index.js) and at src/index.ts for TypeScript
+ * codebases whose `main` is only compiled on deploy.
+ */
+function findFunctionExport(firebaseJson, name, rootDir = ROOT_DIR) {
+  const codebases = [].concat(firebaseJson.functions || []);
+  const exportPattern = new RegExp([
+    `exports\\.${name}\\s*=`,
+    `module\\.exports\\s*=\\s*\\{[^}]*\\b${name}\\b`,
+    `export\\s+(const|let|var|function|async\\s+function)\\s+${name}\\b`,
+    `export\\s*\\{[^}]*\\b${name}\\b[^}]*\\}`,
+  ].join('|'));
+
+  for (const codebase of codebases) {
+    const sourceDir = path.join(rootDir, codebase.source || 'functions');
+    const packageJson = path.join(sourceDir, 'package.json');
+    if (!fs.existsSync(packageJson)) continue;
+
+    const { main = 'index.js' } = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+    const candidates = [main, path.join('src', 'index.ts')].map(file => path.join(sourceDir, file));
+    const match = candidates.find(file => fs.existsSync(file) && exportPattern.test(fs.readFileSync(file, 'utf8')));
+    if (match) return path.relative(rootDir, match).split(path.sep).join('/');
+  }
+  return null;
+}
+
+/**
+ * Build the hosting block for a build
+ *
+ * `existing` is the current hosting block; `site`/`target` are kept.
+ */
+function buildHostingConfig(build, { existing = {}, apiFunction = API_FUNCTION, ssrFunction = SSR_FUNCTION } = {}) {
+  const publicDir = build.mode === 'static' ? build.outDir : STAGING_DIR;
+  const { redirects, skipped } = translateRedirects(build);
+
+  const hosting = {};
+  if (existing.site) hosting.site = existing.site;
+  if (existing.target) hosting.target = existing.target;
+
+  Object.assign(hosting, {
+    public: path.relative(ROOT_DIR, publicDir).split(path.sep).join('/'),
+    ignore: ['firebase.json', '**/.*', '**/node_modules/**'],
+    cleanUrls: true,
+  });
+
+  if (redirects.length > 0) hosting.redirects = redirects;
+
+  hosting.rewrites = [
+    ...(apiFunction ? [{ source: '/api/**', function: apiFunction }] : []),
+    ...(build.mode === 'ssr' ? ssrRewrites(build, ssrFunction) : []),
+  ];
+  hosting.headers = cacheHeaders(build);
+
+  return { hosting, skippedRedirects: skipped };
+}
+
+/**
+ * Copy files Hosting serves directly in SSR mode into apps/web/.hosting
+ *
+ * Hashed assets go to /_next/static, public/ to the root, and fully static
+ * prerendered pages to <route>.html (served as /<route> with cleanUrls).
+ * With middleware no pages are staged, since it has to see every page
+ * request. Returns the number of files staged.
+ */
+function stageSsrAssets(build) {
+  fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+  fs.mkdirSync(STAGING_DIR, { recursive: true });
+
+  const staticDir = path.join(DIST_DIR, 'static');
+  const nextStatic = path.join(STAGING_DIR, build.basePath, '_next', 'static');
+  fs.cpSync(staticDir, nextStatic, { recursive: true });
+
+  const publicDir = path.join(WEB_DIR, 'public');
+  if (fs.existsSync(publicDir)) {
+    fs.cpSync(publicDir, path.join(STAGING_DIR, build.basePath), { recursive: true });
+  }
+
+  if (!build.hasMiddleware) {
+    for (const page of build.prerenderedPages) {
+      const target = path.join(STAGING_DIR, build.basePath, page.output);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(DIST_DIR, page.file), target);
+    }
+  }
+
+  const count = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+    .reduce((total, entry) => total + (entry.isDirectory() ? count(path.join(dir, entry.name)) : 1), 0);
+  return count(STAGING_DIR);
+}
+
+module.exports = {
+  WEB_DIR,
+  DIST_DIR,
+  STAGING_DIR,
+  API_FUNCTION,
+  SSR_FUNCTION,
+  readNextBuild,
+  findShadowedApiRoutes,
+  findSsrFunction,
+  findFunctionExport,
+  buildHostingConfig,
+  stageSsrAssets,
+};
@@ -0,0 +1,144 @@
+/**
+ * Tests for deriving the firebase.json hosting block from a Next.js build
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFirebaseJson, FIREBASE_JSON } = require('./service-manifest');
+const { WEB_DIR, buildHostingConfig, findShadowedApiRoutes, findSsrFunction, findFunctionExport } = require('./next-hosting');
+
+const build = (overrides = {}) => ({
+  mode: 'ssr',
+  outDir: 'apps/web/out',
+  basePath: '',
+  staticRoutes: [{ page: '/' }, { page: '/about' }],
+  dynamicRoutes: [{ page: '/projects/[projectId]' }],
+  redirects: [],
+  hasMiddleware: false,
+  prerenderedPages: [],
+  ...overrides,
+});
+
+describe('buildHostingConfig', () => {
+  it('sends everything that is not a staged file to the SSR function', () => {
+    const { hosting } = buildHostingConfig(build());
+
+    assert.equal(hosting.public, 'apps/web/.hosting');
+    assert.deepEqual(hosting.rewrites, [
+      { source: '/api/**', function: 'api' },
+      { source: '**', function: 'nextServer' },
+    ]);
+  });
+
+  it('matches the committed firebase.json, which serves a static export', () => {
+    const committed = loadFirebaseJson(FIREBASE_JSON).hosting;
+    const { hosting } = buildHostingConfig(build({ mode: 'static', outDir: path.join(WEB_DIR, 'out') }), { existing: committed });
+
+    assert.deepEqual(hosting, committed);
+    assert.equal(findSsrFunction(committed), null);
+  });
+
+  it('keeps the rewrites independent of the routes in the build', () => {
+    const routes = { staticRoutes: [{ page: '/pricing' }], dynamicRoutes: [] };
+
+    assert.deepEqual(buildHostingConfig(build(routes)).hosting.rewrites, buildHostingConfig(build()).hosting.rewrites);
+  });
+
+  it('scopes the SSR rewrites and static cache to the basePath', () => {
+    const { hosting } = buildHostingConfig(build({ basePath: '/docs' }), { ssrFunction: 'docsServer' });
+
+    assert.deepEqual(hosting.rewrites.slice(1), [
+      { source: '/docs', function: 'docsServer' },
+      { source: '/docs/**', function: 'docsServer' },
+    ]);
+    assert.equal(hosting.headers[0].source, '/docs/_next/static/**');
+  });
+
+  it('serves static exports without the SSR function', () => {
+    const { hosting } = buildHostingConfig(build({ mode: 'static' }), { existing: { site: 'my-app', public: 'old' } });
+
+    assert.equal(hosting.site, 'my-app');
+    assert.equal(hosting.public, 'apps/web/out');
+    assert.deepEqual(hosting.rewrites, [{ source: '/api/**', function: 'api' }]);
+  });
+
+  it('translates plain redirects and skips conditional ones', () => {
+    const redirects = [
+      { source: '/old/:slug', destination: '/new/:slug', permanent: true },
+      { source: '/blog', destination: '/news', statusCode: 307 },
+      { source: '/beta', destination: '/', has: [{ type: 'cookie', key: 'beta' }] },
+    ];
+    const { hosting, skippedRedirects } = buildHostingConfig(build({ redirects }));
+
+    assert.deepEqual(hosting.redirects, [
+      { source: '/old/:slug', destination: '/new/:slug', type: 301 },
+      { source: '/blog', destination: '/news', type: 302 },
+    ]);
+    assert.deepEqual(skippedRedirects, ['/beta']);
+  });
+});
+
+describe('findSsrFunction', () => {
+  it('reads the function of the final catch-all rewrite', () => {
+    assert.equal(findSsrFunction({ rewrites: [{ source: '/api/**', function: 'api' }, { source: '**', function: 'ssr' }] }), 'ssr');
+    assert.equal(findSsrFunction({ rewrites: [{ source: '/docs/**', function: 'docsServer' }] }), 'docsServer');
+  });
+
+  it('ignores the api rewrite and blocks without a catch-all', () => {
+    assert.equal(findSsrFunction({ rewrites: [{ source: '/api/**', function: 'api' }] }), null);
+    assert.equal(findSsrFunction({ rewrites: [{ source: '**', destination: '/index.html' }] }), null);
+    assert.equal(findSsrFunction(undefined), null);
+  });
+});
+
+describe('findShadowedApiRoutes', () => {
+  it('lists Next.js routes under /api', () => {
+    const routes = build({ staticRoutes: [{ page: '/api' }, { page: '/apis' }], dynamicRoutes: [{ page: '/api/[id]' }] });
+
+    assert.deepEqual(findShadowedApiRoutes(routes), ['/api', '/api/[id]']);
+  });
+});
+
+describe('findFunctionExport', () => {
+  let rootDir;
+
+  const writeCodebase = (files) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, file), content);
+    }
+  };
+
+  before(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-hosting-'));
+  });
+
+  after(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('finds CommonJS and TypeScript exports in the codebase entry points', () => {
+    writeCodebase({
+      'cjs/package.json': JSON.stringify({ main: 'lib/index.js' }),
+      'cjs/lib/index.js': 'exports.api = api;\nmodule.exports = { ...module.exports, nextServer };\n',
+      'ts/package.json': JSON.stringify({ main: 'lib/index.js' }),
+      'ts/src/index.ts': "export const nextServer = onRequest(handler);\nexport { api } from './api';\n",
+    });
+
+    assert.equal(findFunctionExport({ functions: [{ source: 'cjs' }] }, 'api', rootDir), 'cjs/lib/index.js');
+    assert.equal(findFunctionExport({ functions: [{ source: 'cjs' }] }, 'nextServer', rootDir), 'cjs/lib/index.js');
+    assert.equal(findFunctionExport({ functions: { source: 'ts' } }, 'nextServer', rootDir), 'ts/src/index.ts');
+    assert.equal(findFunctionExport({ functions: { source: 'ts' } }, 'api', rootDir), 'ts/src/index.ts');
+  });
+
+  it('returns null for missing codebases and functions', () => {
+    writeCodebase({ 'other/package.json': '{}', 'other/index.js': 'exports.nextServerless = handler;\n' });
+
+    assert.equal(findFunctionExport({ functions: [{ source: 'other' }] }, 'nextServer', rootDir), null);
+    assert.equal(findFunctionExport({ functions: [{ source: 'missing' }] }, 'nextServer', rootDir), null);
+    assert.equal(findFunctionExport({}, 'nextServer', rootDir), null);
+  });
+});
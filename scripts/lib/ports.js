@@ -0,0 +1,150 @@
+/**
+ * Port Inspection Helpers
+ *
+ * Finds which processes listen on a TCP port and waits for ports to be
+ * released:
+ * - Linux: /proc/net/tcp{,6} socket inodes matched against /proc/<pid>/fd
+ * - macOS and other Unix: lsof
+ * - Windows: netstat -ano
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { tryExec } = require('./processes');
+
+const isWindows = process.platform === 'win32';
+const isLinux = process.platform === 'linux';
+
+// TCP state code for LISTEN in /proc/net/tcp
+const TCP_LISTEN = '0A';
+
+/**
+ * Socket inodes listening on a port (Linux)
+ */
+function listeningInodes(port) {
+  const inodes = new Set();
+
+  for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    content.split('\n').slice(1).forEach((line) => {
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 10 || fields[3] !== TCP_LISTEN) return;
+      const localPort = parseInt(fields[1].split(':')[1], 16);
+      if (localPort === port) inodes.add(fields[9]);
+    });
+  }
+
+  return inodes;
+}
+
+/**
+ * PIDs owning any of the given socket inodes (Linux)
+ */
+function pidsForInodes(inodes) {
+  const pids = new Set();
+  if (inodes.size === 0) return pids;
+
+  for (const entry of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) continue;
+
+    let fds;
+    try {
+      fds = fs.readdirSync(`/proc/${entry}/fd`);
+    } catch (error) {
+      continue; // Process exited or belongs to another user
+    }
+
+    for (const fd of fds) {
+      try {
+        const match = fs.readlinkSync(`/proc/${entry}/fd/${fd}`).match(/^socket:\[(\d+)\]$/);
+        if (match && inodes.has(match[1])) {
+          pids.add(Number(entry));
+          break;
+        }
+      } catch (error) {
+        // fd closed while scanning
+      }
+    }
+  }
+
+  return pids;
+}
+
+/**
+ * PIDs of processes listening on a TCP port
+ */
+function findListeners(port) {
+  if (isLinux) {
+    return [...pidsForInodes(listeningInodes(port))];
+  }
+
+  if (isWindows) {
+    const output = tryExec('netstat', ['-ano', '-p', 'TCP']) || '';
+    const pids = new Set();
+    output.split(/\r?\n/).forEach((line) => {
+      const match = line.match(/^\s*TCP\s+\S+:(\d+)\s+\S+\s+LISTENING\s+(\d+)/);
+      if (match && Number(match[1]) === port) pids.add(Number(match[2]));
+    });
+    return [...pids];
+  }
+
+  const output = tryExec('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-t']) || '';
+  return [...new Set(output.split('\n').filter(Boolean).map(Number))];
+}
+
+/**
+ * Check whether something accepts connections on a port
+ */
+function canConnect(port, host) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    socket.setTimeout(1000);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Check whether a port is in use (listener found or connection accepted)
+ */
+async function isPortInUse(port) {
+  if (findListeners(port).length > 0) return true;
+  return (await canConnect(port, '127.0.0.1')) || (await canConnect(port, '::1'));
+}
+
+/**
+ * Wait until none of the ports are in use
+ *
+ * Resolves to the list of ports still in use after `timeout` (empty when
+ * everything was released).
+ */
+async function waitForPortsReleased(ports, { timeout = 10000, interval = 250 } = {}) {
+  const deadline = Date.now() + timeout;
+  let busy = ports;
+
+  while (true) {
+    const inUse = await Promise.all(busy.map(isPortInUse));
+    busy = busy.filter((port, index) => inUse[index]);
+    if (busy.length === 0 || Date.now() >= deadline) return busy;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = {
+  findListeners,
+  isPortInUse,
+  waitForPortsReleased,
+};
@@ -0,0 +1,176 @@
+/**
+ * Service Readiness Probes
+ *
+ * Protocol-aware checks for each service in the manifest. A service is only
+ * reported ready when a real endpoint answers with the expected body:
+ * - Auth: emulator config endpoint returns the project's sign-in config
+ * - Firestore: a document read returns the document or a NOT_FOUND error
+ * - Functions: the emulator's backend listing returns its backends
+ * - Storage: listing the default bucket returns an item list
+ * - Next.js / Hosting: the root page answers without a server error
+ */
+
+const http = require('http');
+
+// Emulator REST APIs accept this token as an admin credential
+const ADMIN_HEADERS = { Authorization: 'Bearer owner' };
+
+/**
+ * Perform an HTTP request and collect the response body
+ *
+ * `body` is sent as JSON when it is not a string.
+ */
+function httpRequest(url, { method = 'GET', headers = {}, body, timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+    const requestHeaders = payload === undefined
+      ? headers
+      : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers };
+
+    const req = http.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port,
+      path: `${urlObj.pathname}${urlObj.search}`,
+      method,
+      headers: requestHeaders,
+      timeout,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Connection timeout'));
+    });
+
+    req.end(payload);
+  });
+}
+
+/**
+ * Perform a GET request and collect the response body
+ */
+function httpGet(url, { headers = {}, timeout = 5000 } = {}) {
+  return httpRequest(url, { headers, timeout });
+}
+
+/**
+ * Parse a JSON body, returning null when it is not JSON
+ */
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Probe definitions by service id
+ *
+ * `validate` returns an error message, or null when the response proves
+ * the service is ready.
+ */
+const PROBES = {
+  nextjs: () => ({
+    path: '/',
+    validate: ({ status, body }) => {
+      if (status >= 500) return `Server error (HTTP ${status})`;
+      if (!body.trim()) return `Empty response (HTTP ${status})`;
+      return null;
+    },
+  }),
+
+  auth: ({ projectId }) => ({
+    path: `/emulator/v1/projects/${projectId}/config`,
+    validate: ({ status, body }) => {
+      if (status !== 200) return `Config endpoint returned HTTP ${status}`;
+      const json = parseJson(body);
+      if (!json || typeof json.signIn !== 'object') return 'Config endpoint returned an unexpected body';
+      return null;
+    },
+  }),
+
+  firestore: ({ projectId }) => ({
+    path: `/v1/projects/${projectId}/databases/(default)/documents/__e2e_health__/probe`,
+    headers: ADMIN_HEADERS,
+    validate: ({ status, body }) => {
+      const json = parseJson(body);
+      if (status === 200 && json && json.name) return null;
+      if (status === 404 && json && json.error && json.error.status === 'NOT_FOUND') return null;
+      return `Document read returned HTTP ${status}`;
+    },
+  }),
+
+  functions: () => ({
+    path: '/backends',
+    validate: ({ status, body }) => {
+      if (status !== 200) return `Backend listing returned HTTP ${status}`;
+      const json = parseJson(body);
+      if (!json || !Array.isArray(json.backends)) return 'Backend listing returned an unexpected body';
+      return null;
+    },
+  }),
+
+  storage: ({ projectId }) => ({
+    path: `/v0/b/${process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET || `${projectId}.appspot.com`}/o`,
+    headers: ADMIN_HEADERS,
+    validate: ({ status, body }) => {
+      if (status !== 200) return `Bucket listing returned HTTP ${status}`;
+      const json = parseJson(body);
+      if (!json || !Array.isArray(json.items)) return 'Bucket listing returned an unexpected body';
+      return null;
+    },
+  }),
+
+  hosting: () => ({
+    path: '/',
+    validate: ({ status }) => (status >= 500 ? `Server error (HTTP ${status})` : null),
+  }),
+};
+
+/**
+ * Probe a manifest service
+ *
+ * Resolves to { healthy, status, responseTime, error } and never rejects.
+ */
+async function probeService(service, { projectId, timeout = 5000 } = {}) {
+  const probe = (PROBES[service.id] || PROBES.hosting)({ projectId });
+  const startTime = Date.now();
+
+  try {
+    const response = await httpGet(`${service.url}${probe.path}`, {
+      headers: probe.headers,
+      timeout,
+    });
+    const responseTime = Date.now() - startTime;
+    const error = probe.validate(response);
+
+    return {
+      healthy: !error,
+      status: response.status,
+      responseTime,
+      ...(error && { error }),
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  ADMIN_HEADERS,
+  PROBES,
+  probeService,
+  httpRequest,
+  httpGet,
+  parseJson,
+};
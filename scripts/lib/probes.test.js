@@ -0,0 +1,120 @@
+/**
+ * Tests for the protocol-aware readiness probes
+ */
+
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_HEADERS, PROBES, probeService } = require('./probes');
+
+const projectId = 'demo-test';
+
+const validate = (id, status, body) => PROBES[id]({ projectId }).validate({ status, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+describe('PROBES', () => {
+  it('nextjs: any page without a server error', () => {
+    assert.equal(validate('nextjs', 200, '<!doctype html><html></html>'), null);
+    assert.equal(validate('nextjs', 404, '<!doctype html><h1>404</h1>'), null);
+    assert.equal(validate('nextjs', 500, 'Internal Server Error'), 'Server error (HTTP 500)');
+    assert.equal(validate('nextjs', 200, '  '), 'Empty response (HTTP 200)');
+  });
+
+  it('auth: the project sign-in config', () => {
+    assert.equal(validate('auth', 200, { signIn: { allowDuplicateEmails: false } }), null);
+    assert.equal(validate('auth', 200, { usageMode: 'DEFAULT' }), 'Config endpoint returned an unexpected body');
+    assert.equal(validate('auth', 200, 'Ready.'), 'Config endpoint returned an unexpected body');
+    assert.equal(validate('auth', 404, 'Not Found'), 'Config endpoint returned HTTP 404');
+  });
+
+  it('firestore: the document or NOT_FOUND', () => {
+    const name = `projects/${projectId}/databases/(default)/documents/__e2e_health__/probe`;
+
+    assert.equal(validate('firestore', 200, { name, fields: {} }), null);
+    assert.equal(validate('firestore', 404, { error: { code: 404, status: 'NOT_FOUND' } }), null);
+    assert.equal(validate('firestore', 404, 'Not Found'), 'Document read returned HTTP 404');
+    assert.equal(validate('firestore', 200, 'Ok'), 'Document read returned HTTP 200');
+    assert.equal(validate('firestore', 403, { error: { code: 403, status: 'PERMISSION_DENIED' } }), 'Document read returned HTTP 403');
+  });
+
+  it('functions: the backend listing', () => {
+    assert.equal(validate('functions', 200, { backends: [] }), null);
+    assert.equal(validate('functions', 200, { functions: [] }), 'Backend listing returned an unexpected body');
+    assert.equal(validate('functions', 503, ''), 'Backend listing returned HTTP 503');
+  });
+
+  it('storage: a bucket listing with items[]', () => {
+    assert.equal(validate('storage', 200, { prefixes: [], items: [] }), null);
+    assert.equal(validate('storage', 200, { prefixes: [] }), 'Bucket listing returned an unexpected body');
+    assert.equal(validate('storage', 501, { error: { code: 501 } }), 'Bucket listing returned HTTP 501');
+  });
+
+  it('hosting: anything but a server error', () => {
+    assert.equal(validate('hosting', 404, 'Page Not Found'), null);
+    assert.equal(validate('hosting', 502, ''), 'Server error (HTTP 502)');
+  });
+
+  it('read the emulator project and authenticate as admin', () => {
+    assert.equal(PROBES.auth({ projectId }).path, `/emulator/v1/projects/${projectId}/config`);
+    assert.deepEqual(PROBES.firestore({ projectId }).headers, ADMIN_HEADERS);
+    assert.deepEqual(PROBES.storage({ projectId }).headers, ADMIN_HEADERS);
+  });
+});
+
+describe('probeService', () => {
+  let server;
+  let url;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      if (req.url.startsWith('/emulator/v1/')) {
+        res.end(JSON.stringify({ signIn: {} }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: { status: 'NOT_FOUND' } }));
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('reports a service whose body checks out as healthy', async () => {
+    const result = await probeService({ id: 'auth', url }, { projectId });
+
+    assert.equal(result.healthy, true);
+    assert.equal(result.status, 200);
+    assert.equal(requests.at(-1).url, `/emulator/v1/projects/${projectId}/config`);
+  });
+
+  it('reports the validation error of an unexpected body', async () => {
+    const result = await probeService({ id: 'functions', url }, { projectId });
+
+    assert.deepEqual({ healthy: result.healthy, status: result.status, error: result.error }, {
+      healthy: false,
+      status: 404,
+      error: 'Backend listing returned HTTP 404',
+    });
+  });
+
+  it('sends the admin token to Firestore', async () => {
+    const result = await probeService({ id: 'firestore', url }, { projectId });
+
+    assert.equal(result.healthy, true);
+    assert.equal(requests.at(-1).authorization, ADMIN_HEADERS.Authorization);
+  });
+
+  it('reports connection errors without rejecting', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await probeService({ id: 'auth', url: `http://127.0.0.1:${port}` }, { projectId });
+
+    assert.equal(result.healthy, false);
+    assert.match(result.error, /ECONNREFUSED/);
+  });
+});
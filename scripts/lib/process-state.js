@@ -0,0 +1,141 @@
+/**
+ * E2E Process State
+ *
+ * e2e-start writes one JSON state file per background process to
+ * .e2e/run/<id>.json (.e2e/instances/<name>/run/ for an instance):
+ *
+ *   { id, name, origin, pid, command, cwd, startedAt, processStartTime, ports }
+ *
+ * `origin` is 'started' for processes e2e-start spawned, or 'external' when
+ * the service was already running (then there is no PID to manage).
+ *
+ * e2e-stop only kills a PID after checking that the live process still
+ * matches the recorded start time and command line, so a PID reused by an
+ * unrelated process is never touched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRuntimeDir } = require('./service-manifest');
+const { getProcessInfo } = require('./processes');
+
+/**
+ * State directory for the active stack
+ */
+function getStateDir() {
+  return path.join(getRuntimeDir(), 'run');
+}
+
+/**
+ * State file location for a process
+ */
+function getStateFile(id, stateDir = getStateDir()) {
+  return path.join(stateDir, `${id}.json`);
+}
+
+/**
+ * Record a process we just spawned (or, without a PID, one that was
+ * already running)
+ */
+function writeState(processConfig, pid = null) {
+  const info = pid ? getProcessInfo(pid) : null;
+  const record = {
+    id: processConfig.id,
+    name: processConfig.name,
+    origin: pid ? 'started' : 'external',
+    pid,
+    command: info ? info.command : null,
+    cwd: processConfig.cwd,
+    startedAt: new Date().toISOString(),
+    processStartTime: info ? info.startTime : null,
+    ports: processConfig.services.map(service => service.port),
+  };
+
+  fs.mkdirSync(getStateDir(), { recursive: true });
+  fs.writeFileSync(getStateFile(processConfig.id), JSON.stringify(record, null, 2) + '\n');
+  return record;
+}
+
+/**
+ * Read a state file, returning null if it is missing or unreadable
+ */
+function readState(id) {
+  const file = getStateFile(id);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { id, invalid: true, error: error.message };
+  }
+}
+
+/**
+ * Ids of all state files, including ones not in the manifest
+ */
+function listStateIds() {
+  const stateDir = getStateDir();
+  if (!fs.existsSync(stateDir)) return [];
+  return fs.readdirSync(stateDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length));
+}
+
+/**
+ * Remove a state file
+ */
+function removeState(id) {
+  const file = getStateFile(id);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+/**
+ * Check that the recorded process is still the one we started
+ *
+ * Returns { running, matches, reason, info }:
+ * - running: a process with the recorded PID exists
+ * - matches: it has the recorded start time and command line
+ */
+function verifyProcess(record) {
+  if (!record || record.invalid || !Number.isInteger(record.pid)) {
+    return { running: false, matches: false, reason: 'invalid state file' };
+  }
+
+  const info = getProcessInfo(record.pid);
+  if (!info) {
+    return { running: false, matches: false, reason: 'process is not running' };
+  }
+
+  if (record.processStartTime && info.startTime !== record.processStartTime) {
+    return { running: true, matches: false, reason: `PID ${record.pid} was reused by another process (${info.command})`, info };
+  }
+
+  if (record.command && info.command !== record.command) {
+    return { running: true, matches: false, reason: `PID ${record.pid} runs a different command (${info.command})`, info };
+  }
+
+  return { running: true, matches: true, info };
+}
+
+/**
+ * Check whether a listener PID belongs to the recorded process tree
+ *
+ * Services run in their own process group (the group id is the PID we
+ * recorded), so emulator children such as the Firestore JVM still count.
+ */
+function belongsTo(listenerPid, record) {
+  if (listenerPid === record.pid) return true;
+  const info = getProcessInfo(listenerPid);
+  return Boolean(info && info.pgid === record.pid);
+}
+
+module.exports = {
+  getStateDir,
+  getStateFile,
+  writeState,
+  readState,
+  listStateIds,
+  removeState,
+  verifyProcess,
+  belongsTo,
+};
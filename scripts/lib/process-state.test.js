@@ -0,0 +1,48 @@
+/**
+ * Tests for verifying recorded E2E processes before they are killed
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyProcess, belongsTo } = require('./process-state');
+const { getProcessInfo } = require('./processes');
+
+describe('verifyProcess', () => {
+  const self = getProcessInfo(process.pid);
+  const record = { id: 'nextjs', pid: process.pid, command: self.command, processStartTime: self.startTime };
+
+  it('matches the process that was recorded', () => {
+    assert.deepEqual(verifyProcess(record), { running: true, matches: true, info: self });
+  });
+
+  it('does not match a reused PID', () => {
+    const result = verifyProcess({ ...record, processStartTime: 'earlier' });
+
+    assert.equal(result.running, true);
+    assert.equal(result.matches, false);
+    assert.match(result.reason, /was reused by another process/);
+  });
+
+  it('does not match a different command line', () => {
+    const result = verifyProcess({ ...record, command: 'firebase emulators:start' });
+
+    assert.equal(result.matches, false);
+    assert.match(result.reason, /runs a different command/);
+  });
+
+  it('rejects unreadable state files', () => {
+    assert.deepEqual(verifyProcess({ id: 'nextjs', invalid: true }), {
+      running: false, matches: false, reason: 'invalid state file',
+    });
+    assert.equal(verifyProcess(null).reason, 'invalid state file');
+  });
+});
+
+describe('belongsTo', () => {
+  it('accepts the recorded PID and processes in its group', () => {
+    const { pgid } = getProcessInfo(process.pid);
+
+    assert.equal(belongsTo(process.pid, { pid: process.pid }), true);
+    assert.equal(belongsTo(process.pid, { pid: pgid }), true);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Process Inspection Helpers
+ *
+ * Cross-platform lookups used to make sure a PID still belongs to the
+ * process we started before anything is killed:
+ * - Linux: /proc/<pid>/stat (start time) and /proc/<pid>/cmdline
+ * - macOS and other Unix: ps
+ * - Windows: PowerShell (Win32_Process)
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const isWindows = process.platform === 'win32';
+const isLinux = process.platform === 'linux';
+
+/**
+ * Run a command and return its stdout, or null if it fails
+ */
+function tryExec(command, args) {
+  try {
+    return execFileSync(command, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Look up a process: { pid, command, startTime } or null if it does not exist
+ *
+ * `startTime` is an opaque value that only has to be stable for the
+ * lifetime of the process, so a reused PID produces a different value.
+ */
+function getProcessInfo(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return null;
+
+  if (isLinux) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the "(comm)" part; starttime is field 22 overall
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const command = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+      return { pid, command, startTime: fields[19], pgid: Number(fields[2]) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (isWindows) {
+    const output = tryExec('powershell.exe', [
+      '-NoProfile',
+      '-Command',
+      `Get-CimInstance Win32_Process -Filter "ProcessId=${pid}" | ForEach-Object { $_.CreationDate.ToString('o'); $_.CommandLine }`,
+    ]);
+    if (!output || !output.trim()) return null;
+    const [startTime, ...command] = output.trim().split(/\r?\n/);
+    return { pid, command: command.join(' '), startTime, pgid: null };
+  }
+
+  const output = tryExec('ps', ['-o', 'pgid=', '-o', 'lstart=', '-o', 'command=', '-p', String(pid)]);
+  if (!output || !output.trim()) return null;
+  // lstart is a fixed five-field date, e.g. "Mon Oct 13 09:12:01 2025"
+  const match = output.trim().match(/^(\d+)\s+(\S+\s+\S+\s+\d+\s+[\d:]+\s+\d+)\s+(.*)$/);
+  if (!match) return null;
+  return { pid, command: match[3], startTime: match[2], pgid: Number(match[1]) };
+}
+
+/**
+ * Check whether a process exists
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Send a signal to a process group (Unix) or process tree (Windows)
+ *
+ * Returns false when the process no longer exists.
+ */
+function signalTree(pid, signal) {
+  if (isWindows) {
+    return tryExec('taskkill', ['/pid', String(pid), '/t', ...(signal === 'SIGKILL' ? ['/f'] : [])]) !== null;
+  }
+
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (error) {
+    // Not a group leader (e.g. a stray listener), signal the process itself
+    try {
+      process.kill(pid, signal);
+      return true;
+    } catch (innerError) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Stop a process tree gracefully, then force kill after `graceMs`
+ */
+async function terminateTree(pid, { graceMs = 5000 } = {}) {
+  if (!signalTree(pid, 'SIGTERM')) return;
+
+  const deadline = Date.now() + graceMs;
+  while (Date.now() < deadline) {
+    if (!isAlive(pid)) return;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  signalTree(pid, 'SIGKILL');
+}
+
+module.exports = {
+  getProcessInfo,
+  isAlive,
+  terminateTree,
+  tryExec,
+};
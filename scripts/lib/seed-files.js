@@ -0,0 +1,401 @@
+/**
+ * Seed Files
+ *
+ * Loads declarative seed data from seed/*.json|yaml and resolves it into a
+ * plan of Auth users and Firestore documents. Files are applied in name
+ * order; users from every file are known before any document is resolved,
+ * so references work across files.
+ *
+ * File shape:
+ *   auth:
+ *     users:
+ *       - $key: alice                 # name for $uid references
+ *         email: alice@example.com
+ *         password: password123
+ *         customClaims: { role: admin }
+ *   firestore:
+ *     projects:                       # collection path
+ *       - $id: website                # optional, see "Document ids"
+ *         $key: website               # name for $ref / $refId references
+ *         owner: { $uid: alice }
+ *         createdAt: { $timestamp: -7d }
+ *         $collections:               # subcollections
+ *           tasks:
+ *             - title: { $fake: hacker.phrase }
+ *       - $generate: 20               # 20 documents from one template
+ *         $key: project               # -> project-1 ... project-20
+ *         name: { $fake: company.name }
+ *
+ * Value directives:
+ *   { $uid: key }          uid of an Auth user (by $key or email)
+ *   { $ref: key }          document reference ("key-*" picks one at random)
+ *   { $refId: key }        document id of a referenced document
+ *   { $fake: path, $args } faker call (e.g. person.fullName) or "{{...}}" template
+ *   { $timestamp: value }  "now", an ISO date, or an offset like -7d / +2h / -30m
+ *   { $index: true }       position within a $generate block (1-based)
+ *
+ * Document ids: $id when given, otherwise derived from the collection path
+ * and $key (or position), so re-running a seed updates the same documents.
+ * Fake data is seeded per entity, so re-runs produce identical values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT_DIR } = require('./service-manifest');
+const { Timestamp, DocumentReference } = require('./emulator-admin');
+
+const SEED_DIR = path.join(ROOT_DIR, 'seed');
+const SEED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const USER_FIELDS = [
+  'uid',
+  'email',
+  'password',
+  'phoneNumber',
+  'displayName',
+  'photoURL',
+  'emailVerified',
+  'disabled',
+  'customClaims',
+];
+
+const DIRECTIVES = ['$uid', '$ref', '$refId', '$fake', '$timestamp', '$index'];
+const DIRECTIVE_OPTIONS = ['$args'];
+
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Seed data error with the file and path it came from
+ */
+class SeedError extends Error {
+  constructor(message, location) {
+    super(location ? `${location}: ${message}` : message);
+    this.name = 'SeedError';
+    this.location = location;
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !(value instanceof Timestamp) && !(value instanceof DocumentReference);
+}
+
+/**
+ * Seed files in apply order, optionally limited to some names
+ */
+function findSeedFiles(dir = SEED_DIR, only = []) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs.readdirSync(dir)
+    .filter(file => SEED_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  if (only.length === 0) return files.map(file => path.join(dir, file));
+
+  return only.map((name) => {
+    const match = files.find(file => file === name || path.basename(file, path.extname(file)) === name);
+    if (!match) throw new SeedError(`Seed file "${name}" not found in ${path.relative(ROOT_DIR, dir)}/`);
+    return path.join(dir, match);
+  });
+}
+
+/**
+ * Parse one seed file
+ */
+function loadSeedFile(file) {
+  const name = path.relative(ROOT_DIR, file);
+  const content = fs.readFileSync(file, 'utf8');
+
+  let data;
+  try {
+    data = path.extname(file) === '.json' ? JSON.parse(content) : require('yaml').parse(content);
+  } catch (error) {
+    throw new SeedError(`Could not parse: ${error.message}`, name);
+  }
+
+  data = data || {};
+  if (!isPlainObject(data)) throw new SeedError('Expected an object with "auth" and/or "firestore"', name);
+
+  const unknown = Object.keys(data).filter(key => key !== 'auth' && key !== 'firestore');
+  if (unknown.length > 0) {
+    throw new SeedError(`Unknown top-level key(s): ${unknown.join(', ')} (expected "auth" and/or "firestore")`, name);
+  }
+
+  return { file, name, data };
+}
+
+/**
+ * Expand $generate blocks into individual entries
+ *
+ * Returns [{ entry, index, key, seedKey, location }] where `index` is set
+ * for generated entries.
+ */
+function expandEntries(entries, scope, location) {
+  if (!Array.isArray(entries)) throw new SeedError('Expected a list', location);
+
+  return entries.flatMap((entry, position) => {
+    const entryLocation = `${location}[${position}]`;
+    if (!isPlainObject(entry)) throw new SeedError('Expected an object', entryLocation);
+
+    if (entry.$generate === undefined) {
+      return [{ entry, key: entry.$key, seedKey: `${scope}#${entry.$key || position}`, location: entryLocation }];
+    }
+
+    const count = entry.$generate;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new SeedError('$generate must be a positive integer', entryLocation);
+    }
+
+    const { $generate, ...template } = entry;
+    const base = template.$key || `generated${position}`;
+    return Array.from({ length: count }, (_, i) => ({
+      entry: template,
+      index: i + 1,
+      key: template.$key ? `${template.$key}-${i + 1}` : undefined,
+      seedKey: `${scope}#${base}-${i + 1}`,
+      location: `${entryLocation} #${i + 1}`,
+    }));
+  });
+}
+
+/**
+ * Resolve directives in a value
+ */
+function resolveValue(value, context, location) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => resolveValue(item, context, `${location}[${i}]`));
+  }
+
+  if (!isPlainObject(value)) return value;
+
+  const keys = Object.keys(value);
+  const directive = keys.find(key => DIRECTIVES.includes(key));
+
+  if (!directive) {
+    const unknown = keys.find(key => key.startsWith('$'));
+    if (unknown) throw new SeedError(`Unknown directive ${unknown}`, location);
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveValue(item, context, `${location}.${key}`);
+    }
+    return resolved;
+  }
+
+  const extra = keys.filter(key => key !== directive && !DIRECTIVE_OPTIONS.includes(key));
+  if (extra.length > 0) {
+    throw new SeedError(`${directive} cannot be combined with ${extra.join(', ')}`, location);
+  }
+
+  return resolveDirective(directive, value, context, location);
+}
+
+/**
+ * Pick a registered key, supporting "prefix-*" wildcards
+ */
+function lookupKey(registry, key, context, location) {
+  if (typeof key !== 'string') throw new SeedError('Reference must be a string key', location);
+
+  if (key.endsWith('*')) {
+    const prefix = key.slice(0, -1);
+    const matches = [...registry.keys()].filter(name => name.startsWith(prefix));
+    if (matches.length === 0) throw new SeedError(`No keys match "${key}"`, location);
+    return registry.get(context.faker.helpers.arrayElement(matches.sort()));
+  }
+
+  if (!registry.has(key)) throw new SeedError(`Unknown key "${key}"`, location);
+  return registry.get(key);
+}
+
+function resolveDirective(directive, value, context, location) {
+  const arg = value[directive];
+
+  switch (directive) {
+    case '$uid':
+      return lookupKey(context.users, arg, context, location);
+
+    case '$ref':
+      return new DocumentReference(lookupKey(context.documents, arg, context, location));
+
+    case '$refId':
+      return lookupKey(context.documents, arg, context, location).split('/').pop();
+
+    case '$index':
+      if (context.index === undefined) throw new SeedError('$index is only available inside $generate', location);
+      return context.index;
+
+    case '$timestamp':
+      return new Timestamp(parseTimestamp(arg, location));
+
+    case '$fake':
+      return fake(context.faker, arg, value.$args, location);
+
+    default:
+      throw new SeedError(`Unknown directive ${directive}`, location);
+  }
+}
+
+/**
+ * Parse "now", an ISO date, or a relative offset like -7d
+ */
+function parseTimestamp(value, location) {
+  if (value === 'now') return new Date();
+
+  const offset = typeof value === 'string' && value.match(/^([+-]?\d+)([smhdw])$/);
+  if (offset) return new Date(Date.now() + Number(offset[1]) * TIME_UNITS[offset[2]]);
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SeedError(`Invalid $timestamp "${value}" (use now, an ISO date, or an offset like -7d)`, location);
+  }
+  return date;
+}
+
+/**
+ * Call a faker method by path, or fill a "{{module.method}}" template
+ */
+function fake(faker, method, args = [], location) {
+  if (typeof method !== 'string') throw new SeedError('$fake must be a string', location);
+
+  if (method.includes('{{')) {
+    return faker.helpers.fake(method);
+  }
+
+  const [moduleName, methodName] = method.split('.');
+  const fn = faker[moduleName] && faker[moduleName][methodName];
+  if (typeof fn !== 'function') {
+    throw new SeedError(`Unknown faker method "${method}" (e.g. person.fullName, internet.email)`, location);
+  }
+
+  return fn.apply(faker[moduleName], Array.isArray(args) ? args : [args]);
+}
+
+/**
+ * Seed faker for one entity so its values are stable across runs
+ */
+function seedFaker(faker, seed, seedKey) {
+  faker.seed(parseInt(hash(`${seed}:${seedKey}`).slice(0, 8), 16));
+}
+
+/**
+ * Resolve Auth users from all seed files
+ */
+function planUsers(seedFiles, context) {
+  const users = [];
+
+  for (const { name, data } of seedFiles) {
+    if (!data.auth) continue;
+
+    const location = `${name}: auth.users`;
+    const entries = expandEntries(data.auth.users || [], 'auth', location);
+
+    for (const { entry, index, key, seedKey, location: entryLocation } of entries) {
+      const { $key, ...fields } = entry;
+      seedFaker(context.faker, context.seed, seedKey);
+      const user = resolveValue(fields, { ...context, index }, entryLocation);
+
+      const unknown = Object.keys(user).filter(field => !USER_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new SeedError(`Unknown user field(s): ${unknown.join(', ')} (allowed: ${USER_FIELDS.join(', ')})`, entryLocation);
+      }
+      if (!user.email && !user.phoneNumber) {
+        throw new SeedError('User needs an email or phoneNumber', entryLocation);
+      }
+
+      user.uid = user.uid || `seed${hash(key || user.email || user.phoneNumber).slice(0, 24)}`;
+
+      for (const alias of [key, user.email].filter(Boolean)) {
+        if (context.users.has(alias)) throw new SeedError(`Duplicate user key "${alias}"`, entryLocation);
+        context.users.set(alias, user.uid);
+      }
+
+      users.push({ ...user, file: name, location: entryLocation });
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Collect documents (ids and keys first, data resolved later)
+ */
+function collectDocuments(collections, parentPath, context, { file, location }, documents) {
+  if (!isPlainObject(collections)) throw new SeedError('Expected collections as an object', location);
+
+  for (const [collection, entries] of Object.entries(collections)) {
+    const collectionPath = parentPath ? `${parentPath}/${collection}` : collection;
+    if (collectionPath.split('/').length % 2 !== 1) {
+      throw new SeedError(`"${collectionPath}" is not a collection path`, location);
+    }
+
+    for (const expanded of expandEntries(entries, collectionPath, `${location}.${collection}`)) {
+      const { entry, index, key, seedKey, location: entryLocation } = expanded;
+      const { $id, $key, $collections, ...fields } = entry;
+
+      seedFaker(context.faker, context.seed, `${seedKey}:id`);
+      const id = $id === undefined
+        ? hash(seedKey).slice(0, 20)
+        : String(resolveValue($id, { ...context, index }, `${entryLocation}.$id`));
+      const docPath = `${collectionPath}/${id}`;
+
+      if (key) {
+        if (context.documents.has(key)) throw new SeedError(`Duplicate document key "${key}"`, entryLocation);
+        context.documents.set(key, docPath);
+      }
+
+      documents.push({ path: docPath, fields, index, seedKey, file, location: entryLocation });
+
+      if ($collections) {
+        collectDocuments($collections, docPath, context, { file, location: `${entryLocation}.$collections` }, documents);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve Firestore documents from all seed files
+ */
+function planDocuments(seedFiles, context) {
+  const documents = [];
+
+  for (const { name, data } of seedFiles) {
+    if (data.firestore) {
+      collectDocuments(data.firestore, '', context, { file: name, location: `${name}: firestore` }, documents);
+    }
+  }
+
+  return documents.map(({ path: docPath, fields, index, seedKey, file, location }) => {
+    seedFaker(context.faker, context.seed, seedKey);
+    return { path: docPath, data: resolveValue(fields, { ...context, index }, location), file, location };
+  });
+}
+
+/**
+ * Build the seed plan from parsed seed files
+ *
+ * Every file is resolved so references across files work; `only` limits
+ * the plan to entries from those files (seed file names, e.g. seed/users.yaml).
+ * `faker` is a Faker instance; `seed` changes every generated value at once.
+ */
+function buildPlan(seedFiles, { faker, seed = 1, only = null }) {
+  const context = { faker, seed, users: new Map(), documents: new Map() };
+
+  const users = planUsers(seedFiles, context);
+  const documents = planDocuments(seedFiles, context);
+  const selected = entry => !only || only.includes(entry.file);
+
+  return { users: users.filter(selected), documents: documents.filter(selected) };
+}
+
+module.exports = {
+  SEED_DIR,
+  SeedError,
+  findSeedFiles,
+  loadSeedFile,
+  buildPlan,
+};
@@ -0,0 +1,104 @@
+/**
+ * Tests for resolving seed files into a seed plan
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { faker } = require('@faker-js/faker');
+const { SeedError, buildPlan, findSeedFiles, loadSeedFile } = require('./seed-files');
+const { Timestamp, DocumentReference } = require('./emulator-admin');
+
+const seedFile = (name, data) => ({ file: name, name, data });
+
+const usersFile = seedFile('seed/01-users.yaml', {
+  auth: {
+    users: [
+      { $key: 'alice', email: 'alice@example.com', password: 'password123' },
+      { $generate: 3, $key: 'member', email: { $fake: '{{internet.userName}}@example.com' } },
+    ],
+  },
+});
+
+const projectsFile = seedFile('seed/02-projects.yaml', {
+  firestore: {
+    projects: [
+      {
+        $key: 'website',
+        owner: { $uid: 'alice' },
+        createdAt: { $timestamp: '2026-01-01T00:00:00.000Z' },
+        $collections: { tasks: [{ $key: 'launch', title: 'Launch' }] },
+      },
+    ],
+    activity: [
+      { project: { $ref: 'website' }, projectId: { $refId: 'website' }, task: { $ref: 'launch' } },
+    ],
+  },
+});
+
+describe('buildPlan', () => {
+  it('resolves references across files', () => {
+    const { users, documents } = buildPlan([usersFile, projectsFile], { faker });
+    const alice = users.find(user => user.email === 'alice@example.com');
+    const [project, task, activity] = documents;
+
+    assert.equal(project.data.owner, alice.uid);
+    assert.ok(project.data.createdAt instanceof Timestamp);
+    assert.match(task.path, new RegExp(`^${project.path}/tasks/[0-9a-f]{20}$`));
+    assert.deepEqual(activity.data.project, new DocumentReference(project.path));
+    assert.equal(activity.data.projectId, project.path.split('/').pop());
+    assert.deepEqual(activity.data.task, new DocumentReference(task.path));
+  });
+
+  it('expands $generate blocks with numbered keys', () => {
+    const { users } = buildPlan([usersFile], { faker });
+
+    assert.equal(users.length, 4);
+    assert.equal(new Set(users.map(user => user.uid)).size, 4);
+  });
+
+  it('produces the same ids and fake values on every run', () => {
+    const first = buildPlan([usersFile, projectsFile], { faker });
+    const second = buildPlan([usersFile, projectsFile], { faker });
+    const other = buildPlan([usersFile, projectsFile], { faker, seed: 2 });
+
+    assert.deepEqual(second.users, first.users);
+    assert.deepEqual(second.documents.map(doc => doc.path), first.documents.map(doc => doc.path));
+    assert.notDeepEqual(other.users.map(user => user.email), first.users.map(user => user.email));
+  });
+
+  it('limits the plan to the selected files but resolves references from all', () => {
+    const { users, documents } = buildPlan([usersFile, projectsFile], { faker, only: ['seed/02-projects.yaml'] });
+
+    assert.deepEqual(users, []);
+    assert.equal(documents.length, 3);
+  });
+
+  it('reports unknown references with their location', () => {
+    const broken = seedFile('seed/03-broken.yaml', { firestore: { projects: [{ owner: { $uid: 'bob' } }] } });
+
+    assert.throws(() => buildPlan([usersFile, broken], { faker }), (error) => {
+      assert.ok(error instanceof SeedError);
+      assert.equal(error.message, 'seed/03-broken.yaml: firestore.projects[0].owner: Unknown key "bob"');
+      return true;
+    });
+  });
+
+  it('rejects duplicate keys, unknown directives and unknown user fields', () => {
+    const duplicate = seedFile('seed/a.yaml', { auth: { users: [{ $key: 'alice', email: 'other@example.com' }] } });
+    const directive = seedFile('seed/b.yaml', { firestore: { projects: [{ owner: { $user: 'alice' } }] } });
+    const field = seedFile('seed/c.yaml', { auth: { users: [{ email: 'c@example.com', role: 'admin' }] } });
+
+    assert.throws(() => buildPlan([usersFile, duplicate], { faker }), /Duplicate user key "alice"/);
+    assert.throws(() => buildPlan([directive], { faker }), /Unknown directive \$user/);
+    assert.throws(() => buildPlan([field], { faker }), /Unknown user field\(s\): role/);
+  });
+});
+
+describe('seed directory', () => {
+  it('loads the bundled seed files in name order', () => {
+    const files = findSeedFiles().map(loadSeedFile);
+
+    assert.deepEqual(files.map(file => file.name), ['seed/00-config.yaml', 'seed/01-users.yaml', 'seed/02-projects.yaml']);
+    assert.doesNotThrow(() => buildPlan(files, { faker }));
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * E2E Service Manifest
+ *
+ * Single source of truth for the services used by the E2E scripts
+ * (e2e-start, e2e-health, e2e-stop):
+ * - Emulator ports come from the `emulators` block in firebase.json
+ * - The Next.js dev server port is defined here
+ *
+ * Changing a port in firebase.json (or NEXTJS_PORT below) updates startup,
+ * health checks and cleanup at once.
+ *
+ * When an instance is active (--instance / E2E_INSTANCE, see instances.js)
+ * everything resolves against that instance's ports, overlay config,
+ * project ID and runtime directory instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getInstanceName, requireInstance, getInstancePaths, getInstanceEnv } = require('./instances');
+
+const isWindows = process.platform === 'win32';
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const FIREBASE_JSON = path.join(ROOT_DIR, 'firebase.json');
+const FIREBASERC = path.join(ROOT_DIR, '.firebaserc');
+
+// Next.js dev server port (not part of firebase.json)
+const NEXTJS_PORT = 3004;
+
+// Emulators used by the E2E environment, in report order
+const EMULATORS = [
+  { id: 'auth', name: 'Firebase Auth', required: true },
+  { id: 'firestore', name: 'Firebase Firestore', required: true },
+  { id: 'functions', name: 'Firebase Functions', required: true },
+  { id: 'storage', name: 'Firebase Storage', required: false },
+  { id: 'hosting', name: 'Firebase Hosting', required: false },
+];
+
+/**
+ * The active instance record, or null for the default stack
+ */
+function getActiveInstance() {
+  const name = getInstanceName();
+  return name ? requireInstance(name) : null;
+}
+
+/**
+ * Directory for logs and process state (.e2e, or the instance's directory)
+ */
+function getRuntimeDir() {
+  const name = getInstanceName();
+  return name ? getInstancePaths(name).dir : path.join(ROOT_DIR, '.e2e');
+}
+
+/**
+ * firebase.json for the active stack (the overlay for an instance)
+ */
+function getFirebaseConfigPath() {
+  const instance = getActiveInstance();
+  return instance ? instance.firebaseConfig : FIREBASE_JSON;
+}
+
+/**
+ * Read and parse firebase.json
+ */
+function loadFirebaseJson(file = getFirebaseConfigPath()) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`firebase.json not found at ${file}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid firebase.json (${file}): ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the project ID the emulators run under
+ *
+ * Priority: instance project → environment variables → .firebaserc default
+ * → 'demo-project'
+ */
+function getProjectId() {
+  const instance = getActiveInstance();
+  if (instance) return instance.projectId;
+
+  const fromEnv = process.env.GCLOUD_PROJECT
+    || process.env.FIREBASE_PROJECT_ID
+    || process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID;
+  if (fromEnv) return fromEnv;
+
+  try {
+    const firebaserc = JSON.parse(fs.readFileSync(FIREBASERC, 'utf8'));
+    if (firebaserc.projects && firebaserc.projects.default) {
+      return firebaserc.projects.default;
+    }
+  } catch (error) {
+    // Missing or invalid .firebaserc, fall through to the default
+  }
+
+  return 'demo-project';
+}
+
+/**
+ * Turn a bind address into something we can connect to
+ */
+function connectableHost(host) {
+  if (!host || host === '0.0.0.0' || host === '::') return 'localhost';
+  return host;
+}
+
+/**
+ * Build the list of services (emulators + Next.js)
+ *
+ * Emulators missing from firebase.json are skipped: the Firebase CLI
+ * will not start them, so there is nothing to check or clean up.
+ */
+function getServices(firebaseJson = loadFirebaseJson()) {
+  const emulatorConfig = firebaseJson.emulators || {};
+  const instance = getActiveInstance();
+  const nextjsPort = instance ? instance.ports.nextjs : NEXTJS_PORT;
+  const services = [];
+
+  services.push({
+    id: 'nextjs',
+    name: 'Next.js Dev Server',
+    type: 'nextjs',
+    process: 'nextjs',
+    host: 'localhost',
+    port: nextjsPort,
+    url: `http://localhost:${nextjsPort}`,
+    required: true,
+  });
+
+  for (const emulator of EMULATORS) {
+    const entry = emulatorConfig[emulator.id];
+    if (!entry || !entry.port) continue;
+
+    const host = connectableHost(entry.host);
+    services.push({
+      ...emulator,
+      type: 'emulator',
+      process: 'emulators',
+      host,
+      port: Number(entry.port),
+      url: `http://${host}:${entry.port}`,
+    });
+  }
+
+  return services;
+}
+
+/**
+ * Build the processes that e2e-start launches and e2e-stop kills
+ *
+ * - `env`: extra environment variables for the process
+ * - `dependsOn`: processes that must be healthy first (see startup.js)
+ * - `startup.timeout`: how long to wait for health checks (ms)
+ * - `startup.backoff`: delay between health check attempts, growing from
+ *   `initial` by `factor` up to `max` (ms)
+ */
+function getProcesses(services = getServices()) {
+  const servicesFor = (processId) => services.filter(service => service.process === processId);
+  const instance = getActiveInstance();
+  const nextjsPort = servicesFor('nextjs')[0].port;
+
+  return {
+    emulators: {
+      id: 'emulators',
+      name: 'Firebase Emulators',
+      command: isWindows ? 'firebase.cmd' : 'firebase',
+      args: instance
+        ? ['emulators:start', '--config', instance.firebaseConfig, '--project', instance.projectId]
+        : ['emulators:start'],
+      cwd: ROOT_DIR,
+      env: instance ? { GCLOUD_PROJECT: instance.projectId } : {},
+      dependsOn: [],
+      services: servicesFor('emulators'),
+      startup: {
+        timeout: 180000,
+        backoff: { initial: 500, max: 5000, factor: 1.5 },
+      },
+    },
+    nextjs: {
+      id: 'nextjs',
+      name: 'Next.js Dev Server',
+      command: isWindows ? 'npm.cmd' : 'npm',
+      args: ['run', 'dev', '--', '--port', String(nextjsPort)],
+      cwd: path.join(ROOT_DIR, 'apps', 'web'),
+      // Points ConfigService at the instance's emulators
+      env: instance ? getInstanceEnv(instance) : {},
+      dependsOn: [],
+      services: servicesFor('nextjs'),
+      startup: {
+        timeout: 120000,
+        backoff: { initial: 500, max: 3000, factor: 1.5 },
+      },
+    },
+  };
+}
+
+/**
+ * Check the dependency graph for unknown processes and cycles
+ *
+ * Returns process ids in an order where dependencies come first.
+ */
+function resolveStartOrder(processes) {
+  const order = [];
+  const visiting = new Set();
+
+  const visit = (id, chain) => {
+    if (!processes[id]) {
+      throw new Error(`Unknown dependency "${id}" (required by ${chain.join(' → ')})`);
+    }
+    if (order.includes(id)) return;
+    if (visiting.has(id)) {
+      throw new Error(`Circular dependency: ${[...chain, id].join(' → ')}`);
+    }
+
+    visiting.add(id);
+    processes[id].dependsOn.forEach(dep => visit(dep, [...chain, id]));
+    visiting.delete(id);
+    order.push(id);
+  };
+
+  Object.keys(processes).forEach(id => visit(id, []));
+  return order;
+}
+
+/**
+ * All ports owned by the E2E environment
+ */
+function getPorts(services = getServices()) {
+  return services.map(service => service.port);
+}
+
+module.exports = {
+  ROOT_DIR,
+  FIREBASE_JSON,
+  NEXTJS_PORT,
+  getActiveInstance,
+  getRuntimeDir,
+  getFirebaseConfigPath,
+  loadFirebaseJson,
+  getProjectId,
+  getServices,
+  getProcesses,
+  resolveStartOrder,
+  getPorts,
+};
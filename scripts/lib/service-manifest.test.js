@@ -0,0 +1,81 @@
+/**
+ * Tests for the E2E service manifest
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NEXTJS_PORT, getServices, getPorts, getProcesses, resolveStartOrder } = require('./service-manifest');
+
+describe('getServices', () => {
+  beforeEach(() => {
+    delete process.env.E2E_INSTANCE;
+  });
+
+  it('takes emulator ports from firebase.json and adds the Next.js dev server', () => {
+    const services = getServices({
+      emulators: {
+        auth: { port: 9099 },
+        firestore: { host: '127.0.0.1', port: '8080' },
+      },
+    });
+
+    assert.deepEqual(services.map(service => [service.id, service.port, service.url]), [
+      ['nextjs', NEXTJS_PORT, `http://localhost:${NEXTJS_PORT}`],
+      ['auth', 9099, 'http://localhost:9099'],
+      ['firestore', 8080, 'http://127.0.0.1:8080'],
+    ]);
+  });
+
+  it('skips emulators that are missing or have no port', () => {
+    const services = getServices({ emulators: { auth: {}, storage: { port: 9199 }, ui: { port: 4000 } } });
+
+    assert.deepEqual(services.map(service => service.id), ['nextjs', 'storage']);
+    assert.equal(services[1].required, false);
+  });
+
+  it('connects to localhost for wildcard bind addresses', () => {
+    const services = getServices({ emulators: { auth: { host: '0.0.0.0', port: 9099 }, hosting: { host: '::', port: 5000 } } });
+
+    assert.deepEqual(services.slice(1).map(service => service.host), ['localhost', 'localhost']);
+  });
+
+  it('lists the ports of every service', () => {
+    assert.deepEqual(getPorts(getServices({ emulators: { functions: { port: 5001 } } })), [NEXTJS_PORT, 5001]);
+  });
+});
+
+describe('resolveStartOrder', () => {
+  const processes = graph => Object.fromEntries(
+    Object.entries(graph).map(([id, dependsOn]) => [id, { id, dependsOn }])
+  );
+
+  it('puts dependencies first', () => {
+    assert.deepEqual(resolveStartOrder(processes({ nextjs: ['emulators', 'build'], emulators: ['build'], build: [] })), [
+      'build',
+      'emulators',
+      'nextjs',
+    ]);
+  });
+
+  it('keeps declaration order for independent processes', () => {
+    assert.deepEqual(resolveStartOrder(processes({ emulators: [], nextjs: [] })), ['emulators', 'nextjs']);
+  });
+
+  it('starts the emulators without waiting for a build', () => {
+    delete process.env.E2E_INSTANCE;
+
+    assert.deepEqual(resolveStartOrder(getProcesses()), ['emulators', 'nextjs']);
+  });
+
+  it('rejects unknown dependencies', () => {
+    assert.throws(() => resolveStartOrder(processes({ nextjs: ['emulators'] })), {
+      message: 'Unknown dependency "emulators" (required by nextjs)',
+    });
+  });
+
+  it('rejects cycles', () => {
+    assert.throws(() => resolveStartOrder(processes({ a: ['b'], b: ['c'], c: ['a'] })), {
+      message: 'Circular dependency: a → b → c → a',
+    });
+  });
+});
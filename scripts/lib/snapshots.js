@@ -0,0 +1,236 @@
+/**
+ * Emulator Data Snapshots
+ *
+ * Named exports of emulator data in .e2e/snapshots/<name>, written by
+ * `firebase emulators:export` and loaded with `emulators:start --import`.
+ * Snapshots are meant to be committed so teams can share baseline fixtures.
+ *
+ * Each snapshot also gets a snapshot.json with who/when/where metadata.
+ *
+ * Exports are written to a hidden temporary directory next to the snapshot
+ * and renamed into place once complete, so a failed or interrupted export
+ * never leaves a half-overwritten snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { ROOT_DIR } = require('./service-manifest');
+
+const execFileAsync = promisify(execFile);
+const isWindows = process.platform === 'win32';
+
+const SNAPSHOTS_DIR = path.join(ROOT_DIR, '.e2e', 'snapshots');
+const METADATA_FILE = 'snapshot.json';
+const FIREBASE_METADATA_FILE = 'firebase-export-metadata.json';
+
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Validate a snapshot name and return its directory
+ */
+function getSnapshotPath(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid snapshot name "${name}" (use letters, digits, dots, dashes and underscores)`);
+  }
+  return path.join(SNAPSHOTS_DIR, name);
+}
+
+/**
+ * Check whether a snapshot exists and can be imported
+ */
+function snapshotExists(name) {
+  return fs.existsSync(path.join(getSnapshotPath(name), FIREBASE_METADATA_FILE));
+}
+
+/**
+ * All files in a directory, relative to it
+ */
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full, base) : [path.relative(base, full).split(path.sep).join('/')];
+  });
+}
+
+/**
+ * List snapshots with their metadata
+ */
+function listSnapshots() {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) return [];
+
+  return fs.readdirSync(SNAPSHOTS_DIR, { withFileTypes: true })
+    // Hidden directories are exports in progress (snapshot names cannot start with a dot)
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map((entry) => {
+      const dir = path.join(SNAPSHOTS_DIR, entry.name);
+      const files = listFiles(dir);
+      const size = files.reduce((sum, file) => sum + fs.statSync(path.join(dir, file)).size, 0);
+      let metadata = {};
+      try {
+        metadata = JSON.parse(fs.readFileSync(path.join(dir, METADATA_FILE), 'utf8'));
+      } catch (error) {
+        // Snapshot copied in by hand, no metadata
+      }
+
+      return {
+        name: entry.name,
+        path: dir,
+        valid: files.includes(FIREBASE_METADATA_FILE),
+        createdAt: metadata.createdAt || null,
+        projectId: metadata.projectId || null,
+        files: files.length,
+        size,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Export data from the running emulators into a named snapshot
+ *
+ * `firebaseConfig` and `projectId` select the emulator hub (needed for
+ * isolated instances).
+ */
+async function exportSnapshot(name, { projectId, firebaseConfig }, { runExport = runFirebaseExport } = {}) {
+  const dir = getSnapshotPath(name);
+  const tempDir = path.join(SNAPSHOTS_DIR, `.${name}.export-${process.pid}`);
+
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  try {
+    await runExport(tempDir, { projectId, firebaseConfig });
+    const metadata = { name, createdAt: new Date().toISOString(), projectId };
+    fs.writeFileSync(path.join(tempDir, METADATA_FILE), JSON.stringify(metadata, null, 2) + '\n');
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  replaceDirectory(tempDir, dir);
+  return dir;
+}
+
+/**
+ * Run `firebase emulators:export` into a directory
+ */
+async function runFirebaseExport(dir, { projectId, firebaseConfig }) {
+  const firebaseCmd = isWindows ? 'firebase.cmd' : 'firebase';
+  const args = ['emulators:export', dir, '--force', '--project', projectId];
+  if (firebaseConfig) args.push('--config', firebaseConfig);
+
+  try {
+    await execFileAsync(firebaseCmd, args, { cwd: ROOT_DIR, timeout: 120000, shell: isWindows });
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`.trim();
+    throw new Error(`firebase emulators:export failed${output ? `:\n${output}` : ` (${error.message})`}`);
+  }
+}
+
+/**
+ * Move a finished export over an existing snapshot
+ *
+ * The old snapshot is moved aside first and restored if the rename fails.
+ */
+function replaceDirectory(source, target) {
+  if (!fs.existsSync(target)) {
+    fs.renameSync(source, target);
+    return;
+  }
+
+  const backup = `${source}.old`;
+  fs.renameSync(target, backup);
+  try {
+    fs.renameSync(source, target);
+  } catch (error) {
+    fs.renameSync(backup, target);
+    fs.rmSync(source, { recursive: true, force: true });
+    throw error;
+  }
+  fs.rmSync(backup, { recursive: true, force: true });
+}
+
+/**
+ * Delete a snapshot
+ */
+function deleteSnapshot(name) {
+  const dir = getSnapshotPath(name);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Snapshot "${name}" does not exist`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Hash a file's contents
+ */
+function hashFile(file) {
+  return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Auth users in a snapshot, keyed by localId
+ */
+function readAuthUsers(dir) {
+  const file = path.join(dir, 'auth_export', 'accounts.json');
+  if (!fs.existsSync(file)) return new Map();
+
+  const { users = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(users.map(user => [user.localId, user]));
+}
+
+/**
+ * Compare two snapshots
+ *
+ * Returns file-level changes plus Auth user changes (Auth exports are JSON;
+ * Firestore exports are binary, so they are compared per file).
+ */
+function diffSnapshots(nameA, nameB) {
+  const dirA = getSnapshotPath(nameA);
+  const dirB = getSnapshotPath(nameB);
+
+  for (const [name, dir] of [[nameA, dirA], [nameB, dirB]]) {
+    if (!fs.existsSync(dir)) throw new Error(`Snapshot "${name}" does not exist`);
+  }
+
+  const ignored = new Set([METADATA_FILE, FIREBASE_METADATA_FILE]);
+  const filesA = new Set(listFiles(dirA).filter(file => !ignored.has(file)));
+  const filesB = new Set(listFiles(dirB).filter(file => !ignored.has(file)));
+
+  const files = {
+    added: [...filesB].filter(file => !filesA.has(file)),
+    removed: [...filesA].filter(file => !filesB.has(file)),
+    changed: [...filesA].filter(file => filesB.has(file)
+      && hashFile(path.join(dirA, file)) !== hashFile(path.join(dirB, file))),
+  };
+
+  const usersA = readAuthUsers(dirA);
+  const usersB = readAuthUsers(dirB);
+  const label = user => user.email || user.phoneNumber || user.localId;
+
+  const users = {
+    added: [...usersB.values()].filter(user => !usersA.has(user.localId)).map(label),
+    removed: [...usersA.values()].filter(user => !usersB.has(user.localId)).map(label),
+    changed: [...usersB.values()]
+      .filter(user => usersA.has(user.localId)
+        && JSON.stringify(usersA.get(user.localId)) !== JSON.stringify(user))
+      .map(label),
+  };
+
+  return { files, users };
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  getSnapshotPath,
+  snapshotExists,
+  listSnapshots,
+  exportSnapshot,
+  deleteSnapshot,
+  diffSnapshots,
+};
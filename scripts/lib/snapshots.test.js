@@ -0,0 +1,124 @@
+/**
+ * Tests for emulator data snapshots
+ *
+ * Uses uniquely named snapshots in .e2e/snapshots and removes them again;
+ * the Firebase CLI export is replaced by a function writing fixture files.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  SNAPSHOTS_DIR,
+  getSnapshotPath,
+  snapshotExists,
+  listSnapshots,
+  exportSnapshot,
+  deleteSnapshot,
+  diffSnapshots,
+} = require('./snapshots');
+
+const prefix = `test-${process.pid}`;
+// Outermost directory the tests create (.e2e or .e2e/snapshots), if any
+const createdDir = [path.dirname(SNAPSHOTS_DIR), SNAPSHOTS_DIR].find(dir => !fs.existsSync(dir));
+
+/**
+ * Fake `firebase emulators:export` writing the given Auth users
+ */
+const exportUsers = users => async (dir) => {
+  fs.mkdirSync(path.join(dir, 'auth_export'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'firebase-export-metadata.json'), '{}');
+  fs.writeFileSync(path.join(dir, 'auth_export', 'accounts.json'), JSON.stringify({ users }));
+};
+
+const failingExport = async (dir) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'partial'), '');
+  throw new Error('firebase emulators:export failed');
+};
+
+after(() => {
+  for (const entry of fs.existsSync(SNAPSHOTS_DIR) ? fs.readdirSync(SNAPSHOTS_DIR) : []) {
+    if (entry.includes(prefix)) fs.rmSync(path.join(SNAPSHOTS_DIR, entry), { recursive: true, force: true });
+  }
+  if (createdDir) fs.rmSync(createdDir, { recursive: true, force: true });
+});
+
+describe('getSnapshotPath', () => {
+  it('rejects names that could escape the snapshots directory', () => {
+    for (const name of ['../etc', '.hidden', 'a/b', '']) {
+      assert.throws(() => getSnapshotPath(name), /Invalid snapshot name/);
+    }
+  });
+});
+
+describe('exportSnapshot', () => {
+  const options = { projectId: 'demo-project' };
+
+  it('writes the export and its metadata', async () => {
+    const name = `${prefix}-new`;
+    const dir = await exportSnapshot(name, options, { runExport: exportUsers([]) });
+
+    assert.equal(dir, getSnapshotPath(name));
+    assert.equal(snapshotExists(name), true);
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+    assert.equal(metadata.projectId, 'demo-project');
+  });
+
+  it('replaces an existing snapshot only once the export succeeded', async () => {
+    const name = `${prefix}-replace`;
+    await exportSnapshot(name, options, { runExport: exportUsers([{ localId: 'a', email: 'a@example.com' }]) });
+
+    await assert.rejects(exportSnapshot(name, options, { runExport: failingExport }), /export failed/);
+    const accounts = path.join(getSnapshotPath(name), 'auth_export', 'accounts.json');
+    assert.deepEqual(JSON.parse(fs.readFileSync(accounts, 'utf8')).users.map(user => user.localId), ['a']);
+    assert.deepEqual(fs.readdirSync(SNAPSHOTS_DIR).filter(entry => entry.startsWith(`.${name}`)), []);
+
+    await exportSnapshot(name, options, { runExport: exportUsers([{ localId: 'b', email: 'b@example.com' }]) });
+    assert.deepEqual(JSON.parse(fs.readFileSync(accounts, 'utf8')).users.map(user => user.localId), ['b']);
+    assert.equal(fs.existsSync(path.join(getSnapshotPath(name), 'partial')), false);
+  });
+});
+
+describe('listSnapshots', () => {
+  it('skips exports in progress', async () => {
+    const name = `${prefix}-listed`;
+    await exportSnapshot(name, { projectId: 'demo-project' }, { runExport: exportUsers([]) });
+    fs.mkdirSync(path.join(SNAPSHOTS_DIR, `.${prefix}-pending.export-1`), { recursive: true });
+
+    const names = listSnapshots().map(snapshot => snapshot.name).filter(entry => entry.includes(prefix));
+    assert.ok(names.includes(name));
+    assert.ok(names.every(entry => !entry.startsWith('.')));
+    assert.equal(listSnapshots().find(snapshot => snapshot.name === name).valid, true);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('reports changed files and Auth users', async () => {
+    const before = `${prefix}-before`;
+    const afterName = `${prefix}-after`;
+    await exportSnapshot(before, { projectId: 'demo-project' }, {
+      runExport: exportUsers([{ localId: 'a', email: 'a@example.com' }, { localId: 'b', email: 'b@example.com' }]),
+    });
+    await exportSnapshot(afterName, { projectId: 'demo-project' }, {
+      runExport: exportUsers([{ localId: 'b', email: 'b@example.com', disabled: true }, { localId: 'c', email: 'c@example.com' }]),
+    });
+
+    assert.deepEqual(diffSnapshots(before, afterName), {
+      files: { added: [], removed: [], changed: ['auth_export/accounts.json'] },
+      users: { added: ['c@example.com'], removed: ['a@example.com'], changed: ['b@example.com'] },
+    });
+  });
+});
+
+describe('deleteSnapshot', () => {
+  it('removes a snapshot and rejects unknown ones', async () => {
+    const name = `${prefix}-deleted`;
+    await exportSnapshot(name, { projectId: 'demo-project' }, { runExport: exportUsers([]) });
+
+    deleteSnapshot(name);
+    assert.equal(snapshotExists(name), false);
+    assert.throws(() => deleteSnapshot(name), /does not exist/);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * E2E Stack Status
+ *
+ * Classifies each managed process and its ports for e2e-status, from the
+ * state file e2e-start wrote and from who actually listens on each port.
+ * The lookups are passed in (`system`, defaulting to the real ones), so the
+ * classification can be checked without processes or sockets.
+ *
+ * Process states:
+ * - untracked: no state file
+ * - invalid:   the state file cannot be read
+ * - external:  e2e-start found the service already running
+ * - running:   e2e-start started it and the PID still runs that command
+ * - orphaned:  e2e-start started it, but the PID is gone or was reused
+ *
+ * Port states:
+ * - free:     nobody listens
+ * - ours:     the recorded process (or its process group) listens
+ * - foreign:  another process listens on a port of a process we started
+ * - unknown:  something listens, but nothing is recorded for the process
+ * - external: something listens for a service found already running
+ */
+
+const fs = require('fs');
+const { formatDuration } = require('./format');
+const { readState, listStateIds, getStateFile, verifyProcess, belongsTo } = require('./process-state');
+const { getProcessInfo } = require('./processes');
+const { findListeners } = require('./ports');
+
+const SYSTEM = { readState, listStateIds, getStateFile, verifyProcess, belongsTo, getProcessInfo, findListeners, fileExists: fs.existsSync };
+
+/**
+ * Classify who holds each of a process's ports
+ *
+ * `record` is a readable state record or null.
+ */
+function inspectPorts(processConfig, record, problems, system = SYSTEM) {
+  const describe = (pid) => {
+    const info = system.getProcessInfo(pid);
+    return `PID ${pid}${info ? `, ${info.command.slice(0, 60)}` : ''}`;
+  };
+
+  return processConfig.services.map((service) => {
+    const listeners = system.findListeners(service.port);
+    const label = `${service.name.padEnd(22)} :${String(service.port).padEnd(6)}`;
+    const port = { service, listeners, listening: listeners.length > 0 };
+
+    if (listeners.length === 0) {
+      const note = service.required ? '' : ' (optional)';
+      return { ...port, state: 'free', line: `   ${label} – not listening${note}` };
+    }
+
+    if (record && record.origin === 'started' && Number.isInteger(record.pid)) {
+      const foreign = listeners.filter(pid => !system.belongsTo(pid, record));
+      if (foreign.length > 0) {
+        problems.push(`Port ${service.port} (${service.name}) is held by a foreign process: ${foreign.map(describe).join('; ')}`);
+        return { ...port, state: 'foreign', line: `   ${label} ⚠️  held by foreign process (${foreign.map(describe).join('; ')})` };
+      }
+      return { ...port, state: 'ours', line: `   ${label} ✅ listening (PID ${listeners.join(', ')})` };
+    }
+
+    // Nothing recorded for this service: whoever listens will block e2e-start
+    if (!record) {
+      problems.push(`Port ${service.port} (${service.name}) is in use by a process e2e-start does not know about: ${listeners.map(describe).join('; ')}`);
+    }
+
+    return { ...port, state: record ? 'external' : 'unknown', line: `   ${label} ● listening (${listeners.map(describe).join('; ')})` };
+  });
+}
+
+/**
+ * Status of one managed process
+ *
+ * Returns { state, summary, ports, problems }; `summary` and each port's
+ * `line` are what e2e-status prints.
+ */
+function inspectProcess(processConfig, { system = SYSTEM, now = Date.now() } = {}) {
+  const record = system.readState(processConfig.id);
+  const problems = [];
+  let state;
+  let summary;
+  let check = null;
+
+  if (!record) {
+    state = 'untracked';
+    summary = '⏹️  not tracked';
+  } else if (record.invalid) {
+    state = 'invalid';
+    summary = '⚠️  ORPHANED (unreadable state file)';
+    problems.push(`Unreadable state file ${system.getStateFile(processConfig.id)}: ${record.error}`);
+  } else if (record.origin === 'external') {
+    state = 'external';
+    summary = '● already running (not started by e2e-start)';
+  } else {
+    check = system.verifyProcess(record);
+    if (check.matches) {
+      const uptime = formatDuration(now - new Date(record.startedAt).getTime());
+      state = 'running';
+      summary = `✅ RUNNING  started by e2e-start  PID ${record.pid}  up ${uptime}`;
+    } else {
+      state = 'orphaned';
+      summary = `⚠️  ORPHANED (${check.reason})`;
+      problems.push(`Orphaned state file ${system.getStateFile(processConfig.id)}: ${check.reason}`);
+    }
+  }
+
+  const validRecord = record && !record.invalid ? record : null;
+  const ports = inspectPorts(processConfig, validRecord, problems, system);
+
+  // A live process whose required ports are served by nobody disagrees
+  if (state === 'running') {
+    const silent = ports.filter(port => port.service.required && !port.listening);
+    if (silent.length > 0) {
+      problems.push(`${processConfig.name} (PID ${record.pid}) is running but not listening on ${silent.map(port => port.service.port).join(', ')}`);
+    }
+  }
+
+  return { state, summary, ports, problems };
+}
+
+/**
+ * Problems with state files outside the manifest
+ *
+ * State files of processes the manifest no longer has, and PID files
+ * written by older versions of e2e-start.
+ */
+function findLeftovers(processes, legacyPidFiles, system = SYSTEM) {
+  return [
+    ...system.listStateIds()
+      .filter(id => !processes[id])
+      .map(id => `Orphaned state file ${system.getStateFile(id)} (unknown service "${id}")`),
+    ...legacyPidFiles
+      .filter(file => system.fileExists(file))
+      .map(file => `Orphaned legacy PID file ${file} (safe to delete)`),
+  ];
+}
+
+module.exports = {
+  inspectPorts,
+  inspectProcess,
+  findLeftovers,
+};
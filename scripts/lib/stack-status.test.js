@@ -0,0 +1,117 @@
+/**
+ * Tests for the e2e-status classification of processes and ports
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { inspectProcess, findLeftovers } = require('./stack-status');
+
+const emulators = {
+  id: 'emulators',
+  name: 'Firebase Emulators',
+  services: [
+    { id: 'auth', name: 'Firebase Auth', port: 9099, required: true },
+    { id: 'storage', name: 'Firebase Storage', port: 9199, required: false },
+  ],
+};
+
+const started = { origin: 'started', pid: 100, startedAt: '2026-10-18T10:00:00.000Z', ports: [9099, 9199] };
+
+/**
+ * Fake system lookups
+ *
+ * `listeners` maps ports to PIDs; `group` lists PIDs in the recorded
+ * process group; `processes` maps PIDs to commands.
+ */
+function fakeSystem({ record = null, check = { matches: true }, listeners = {}, group = [100], processes = {}, stateIds = [], files = [] } = {}) {
+  return {
+    readState: () => record,
+    listStateIds: () => stateIds,
+    getStateFile: id => `.e2e/run/${id}.json`,
+    verifyProcess: () => check,
+    belongsTo: pid => group.includes(pid),
+    getProcessInfo: pid => (processes[pid] ? { pid, command: processes[pid] } : null),
+    findListeners: port => listeners[port] || [],
+    fileExists: file => files.includes(file),
+  };
+}
+
+const inspect = options => inspectProcess(emulators, { system: fakeSystem(options), now: Date.parse('2026-10-18T10:05:00.000Z') });
+const portStates = status => status.ports.map(port => port.state);
+
+describe('inspectProcess', () => {
+  it('reports an untracked process with free ports', () => {
+    const status = inspect();
+
+    assert.equal(status.state, 'untracked');
+    assert.deepEqual(portStates(status), ['free', 'free']);
+    assert.deepEqual(status.problems, []);
+  });
+
+  it('tells a process we started from one that was already running', () => {
+    const ours = inspect({ record: started, listeners: { 9099: [100], 9199: [101] }, group: [100, 101] });
+    const external = inspect({ record: { origin: 'external', ports: [9099] }, listeners: { 9099: [555] } });
+
+    assert.equal(ours.state, 'running');
+    assert.match(ours.summary, /started by e2e-start {2}PID 100 {2}up 5m/);
+    assert.deepEqual(portStates(ours), ['ours', 'ours']);
+    assert.deepEqual(ours.problems, []);
+
+    assert.equal(external.state, 'external');
+    assert.deepEqual(portStates(external), ['external', 'free']);
+    assert.deepEqual(external.problems, []);
+  });
+
+  it('reports a running process that does not listen on a required port', () => {
+    const status = inspect({ record: started, listeners: { 9199: [100] } });
+
+    assert.equal(status.state, 'running');
+    assert.deepEqual(status.problems, ['Firebase Emulators (PID 100) is running but not listening on 9099']);
+  });
+
+  it('does not require optional ports', () => {
+    assert.deepEqual(inspect({ record: started, listeners: { 9099: [100] } }).problems, []);
+  });
+
+  it('reports orphaned state when the PID is gone or reused', () => {
+    const gone = inspect({ record: started, check: { matches: false, reason: 'process is not running' } });
+    const reused = inspect({ record: started, check: { matches: false, reason: 'PID 100 was reused by another process (vim)' } });
+
+    assert.equal(gone.state, 'orphaned');
+    assert.deepEqual(gone.problems, ['Orphaned state file .e2e/run/emulators.json: process is not running']);
+    assert.equal(reused.summary, '⚠️  ORPHANED (PID 100 was reused by another process (vim))');
+  });
+
+  it('reports an unreadable state file', () => {
+    const status = inspect({ record: { invalid: true, error: 'Unexpected end of JSON input' } });
+
+    assert.equal(status.state, 'invalid');
+    assert.deepEqual(status.problems, ['Unreadable state file .e2e/run/emulators.json: Unexpected end of JSON input']);
+    assert.deepEqual(portStates(status), ['free', 'free']);
+  });
+
+  it('reports foreign processes on the ports of a process we started', () => {
+    const status = inspect({ record: started, listeners: { 9099: [100, 777] }, processes: { 777: 'python3 -m http.server 9099' } });
+
+    assert.deepEqual(portStates(status), ['foreign', 'free']);
+    assert.deepEqual(status.problems, ['Port 9099 (Firebase Auth) is held by a foreign process: PID 777, python3 -m http.server 9099']);
+  });
+
+  it('reports listeners nothing is recorded for', () => {
+    const status = inspect({ listeners: { 9099: [888] } });
+
+    assert.deepEqual(portStates(status), ['unknown', 'free']);
+    assert.deepEqual(status.problems, ['Port 9099 (Firebase Auth) is in use by a process e2e-start does not know about: PID 888']);
+  });
+});
+
+describe('findLeftovers', () => {
+  it('reports state files of unknown services and legacy PID files', () => {
+    const system = fakeSystem({ stateIds: ['emulators', 'functionsBuild'], files: ['/repo/.e2e-nextjs.pid'] });
+
+    assert.deepEqual(findLeftovers({ emulators }, ['/repo/.e2e-emulators.pid', '/repo/.e2e-nextjs.pid'], system), [
+      'Orphaned state file .e2e/run/functionsBuild.json (unknown service "functionsBuild")',
+      'Orphaned legacy PID file /repo/.e2e-nextjs.pid (safe to delete)',
+    ]);
+  });
+});
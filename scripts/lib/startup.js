@@ -0,0 +1,73 @@
+/**
+ * Dependency-Ordered Startup
+ *
+ * Starts the processes of the service manifest (see service-manifest.js)
+ * with a caller-supplied `startProcess(processConfig)`, which resolves once
+ * the process is healthy:
+ * - independent processes start in parallel
+ * - a process starts once everything in its `dependsOn` is healthy
+ * - the first failure rejects with a StartupError whose `chain` runs from
+ *   the top-level process down to the root cause
+ */
+
+const { resolveStartOrder } = require('./service-manifest');
+
+/**
+ * Startup failure that carries the dependency chain
+ */
+class StartupError extends Error {
+  constructor(message, chain = []) {
+    super(message);
+    this.name = 'StartupError';
+    this.chain = chain;
+  }
+}
+
+/**
+ * Start every process once its dependencies are ready
+ *
+ * The returned promise rejects as soon as the first process fails; its
+ * dependents are never started.
+ */
+function startAll(processes, startProcess) {
+  resolveStartOrder(processes);
+
+  const started = {};
+
+  const start = (id) => {
+    if (!started[id]) {
+      const processConfig = processes[id];
+
+      started[id] = (async () => {
+        try {
+          await Promise.all(processConfig.dependsOn.map(start));
+        } catch (error) {
+          throw new StartupError(
+            `${processConfig.name} was not started: dependency failed`,
+            [`${processConfig.name} (not started)`, ...error.chain]
+          );
+        }
+
+        try {
+          await startProcess(processConfig);
+        } catch (error) {
+          throw new StartupError(error.message, [error.message]);
+        }
+      })();
+    }
+
+    return started[id];
+  };
+
+  // Start from the processes nothing depends on, so failures surface with
+  // the complete chain from the top-level process down to the root cause
+  const dependedOn = new Set(Object.values(processes).flatMap(processConfig => processConfig.dependsOn));
+  const leaves = Object.keys(processes).filter(id => !dependedOn.has(id));
+
+  return Promise.all(leaves.map(start));
+}
+
+module.exports = {
+  StartupError,
+  startAll,
+};
@@ -0,0 +1,105 @@
+/**
+ * Tests for dependency-ordered startup
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { StartupError, startAll } = require('./startup');
+
+const processes = (graph) => Object.fromEntries(
+  Object.entries(graph).map(([id, dependsOn]) => [id, { id, name: id, dependsOn }])
+);
+
+/**
+ * startProcess stub whose processes become healthy (or fail) on demand
+ */
+function fakeStarter() {
+  const pending = {};
+  const events = [];
+
+  const startProcess = (processConfig) => new Promise((resolve, reject) => {
+    events.push(`start ${processConfig.id}`);
+    pending[processConfig.id] = {
+      ready: () => {
+        events.push(`ready ${processConfig.id}`);
+        resolve();
+      },
+      fail: message => reject(new Error(message)),
+    };
+  });
+
+  return { startProcess, pending, events };
+}
+
+// Let the startup promises settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('startAll', () => {
+  it('starts independent processes in parallel', async () => {
+    const { startProcess, pending, events } = fakeStarter();
+    const done = startAll(processes({ emulators: [], nextjs: [] }), startProcess);
+
+    await flush();
+    assert.deepEqual(events, ['start emulators', 'start nextjs']);
+
+    pending.nextjs.ready();
+    pending.emulators.ready();
+    await done;
+  });
+
+  it('starts dependents once their dependencies are healthy', async () => {
+    const { startProcess, pending, events } = fakeStarter();
+    const done = startAll(processes({ nextjs: ['emulators'], emulators: [], worker: ['emulators'] }), startProcess);
+
+    await flush();
+    assert.deepEqual(events, ['start emulators']);
+
+    pending.emulators.ready();
+    await flush();
+    assert.deepEqual(events, ['start emulators', 'ready emulators', 'start nextjs', 'start worker']);
+
+    pending.nextjs.ready();
+    pending.worker.ready();
+    await done;
+  });
+
+  it('fails fast with the chain when an upstream process dies', async () => {
+    const { startProcess, pending, events } = fakeStarter();
+    const done = startAll(processes({ e2e: ['nextjs'], nextjs: ['emulators'], emulators: [], storage: [] }), startProcess);
+
+    await flush();
+    pending.emulators.fail('Firebase Auth will not become ready: Firebase Emulators exited with code 1');
+
+    // storage is still starting: the failure does not wait for it
+    await assert.rejects(done, (error) => {
+      assert.ok(error instanceof StartupError);
+      assert.deepEqual(error.chain, [
+        'e2e (not started)',
+        'nextjs (not started)',
+        'Firebase Auth will not become ready: Firebase Emulators exited with code 1',
+      ]);
+      return true;
+    });
+    assert.deepEqual(events, ['start emulators', 'start storage']);
+  });
+
+  it('reports a process without dependencies by its own error', async () => {
+    const { startProcess, pending } = fakeStarter();
+    const done = startAll(processes({ nextjs: [] }), startProcess);
+
+    await flush();
+    pending.nextjs.fail('Next.js Dev Server failed to become ready within 120s');
+
+    await assert.rejects(done, {
+      name: 'StartupError',
+      chain: ['Next.js Dev Server failed to become ready within 120s'],
+    });
+  });
+
+  it('rejects unknown dependencies before starting anything', () => {
+    const { startProcess, events } = fakeStarter();
+
+    assert.throws(() => startAll(processes({ nextjs: ['emulators'] }), startProcess), /Unknown dependency "emulators"/);
+    assert.deepEqual(events, []);
+  });
+});
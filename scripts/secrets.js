@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Encrypted Secrets File
+ *
+ * Manages apps/web/.secrets.enc, the AES-256-GCM encrypted secret map read
+ * by the "file" secret provider (apps/web/src/config/secrets). The file can
+ * be committed; the key (SECRETS_KEY) lives in apps/web/.env.local and is
+ * shared out of band.
+ *
+ * Usage:
+ *   npm run secrets -- init                        # New key in .env.local + empty file
+ *   npm run secrets -- set STRIPE_SECRET_KEY       # Prompt for the value (or pipe it in)
+ *   npm run secrets -- remove STRIPE_SECRET_KEY
+ *   npm run secrets -- list                        # Names only, never values
+ *
+ * Options:
+ *   --file <path>   Secrets file (default: SECRETS_FILE, else apps/web/.secrets.enc)
+ *   --force         init: replace an existing file and key
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { ROOT_DIR } = require('./lib/service-manifest');
+const { parseArgs } = require('./lib/cli-args');
+const { readEnvFile, writeEnvValues } = require('./lib/env-file');
+const { WEB_DIR, requireWebModule } = require('./lib/config-service');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('secrets');
+
+const ENV_FILE = path.join(WEB_DIR, '.env.local');
+const EXAMPLE_FILE = path.join(WEB_DIR, '.env.local.example');
+
+/**
+ * Load the file provider helpers through tsx
+ */
+function loadHelpers() {
+  return requireWebModule(path.join(WEB_DIR, 'src', 'config', 'secrets', 'file-provider.ts'));
+}
+
+/**
+ * SECRETS_KEY from the shell or apps/web/.env.local
+ */
+function getKey() {
+  const key = process.env.SECRETS_KEY || readEnvFile(ENV_FILE).SECRETS_KEY;
+  if (!key) {
+    logger.error('SECRETS_KEY is not set in the shell or apps/web/.env.local\n   Run: npm run secrets -- init (or ask whoever created the file for the key)');
+    process.exit(1);
+  }
+  return key;
+}
+
+/**
+ * Read a value from stdin: piped input as is, or a prompt on a terminal
+ */
+async function readValue(name) {
+  if (!process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question(`Value for ${name}: `);
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Write the secret map encrypted
+ */
+function save(file, secrets, key, { encryptSecrets }) {
+  fs.writeFileSync(file, `${JSON.stringify(encryptSecrets(secrets, key), null, 2)}\n`);
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const { options, positionals } = parseArgs(process.argv.slice(2), { booleans: ['force'] });
+  const [command, name] = positionals;
+  const helpers = loadHelpers();
+  const file = path.resolve(WEB_DIR, options.file || process.env.SECRETS_FILE || helpers.DEFAULT_SECRETS_FILE);
+  const relativeFile = path.relative(ROOT_DIR, file);
+
+  const requireName = () => {
+    if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) {
+      logger.error(`Usage: npm run secrets -- ${command} <NAME> (letters, digits, hyphens, underscores)`);
+      process.exit(1);
+    }
+    if (name.startsWith('NEXT_PUBLIC_')) {
+      logger.error('NEXT_PUBLIC_ names are inlined into the browser bundle; choose another name');
+      process.exit(1);
+    }
+  };
+
+  const readSecrets = key => helpers.readSecretsFile(file, key) || {};
+
+  try {
+    switch (command) {
+      case 'init': {
+        if (fs.existsSync(file) && !options.force) {
+          logger.error(`${relativeFile} already exists (--force replaces it and its key)`);
+          process.exit(1);
+        }
+        const key = helpers.generateSecretsKey();
+        writeEnvValues(ENV_FILE, { SECRETS_KEY: key }, { template: EXAMPLE_FILE });
+        save(file, {}, key, helpers);
+        logger.success(`Created ${relativeFile} and wrote SECRETS_KEY to ${path.relative(ROOT_DIR, ENV_FILE)}`);
+        logger.info('   Share the key with your team out of band (never commit .env.local)');
+        break;
+      }
+
+      case 'set': {
+        requireName();
+        const key = getKey();
+        const secrets = readSecrets(key);
+        const value = await readValue(name);
+        if (!value) {
+          logger.error('Empty value; nothing written');
+          process.exit(1);
+        }
+        save(file, { ...secrets, [name]: value }, key, helpers);
+        logger.success(`${name in secrets ? 'Updated' : 'Added'} ${name} in ${relativeFile}`);
+        break;
+      }
+
+      case 'remove': {
+        requireName();
+        const key = getKey();
+        const secrets = readSecrets(key);
+        if (!(name in secrets)) {
+          logger.error(`${name} is not in ${relativeFile}`);
+          process.exit(1);
+        }
+        delete secrets[name];
+        save(file, secrets, key, helpers);
+        logger.success(`Removed ${name} from ${relativeFile}`);
+        break;
+      }
+
+      case 'list': {
+        const names = Object.keys(readSecrets(getKey())).sort();
+        console.log(`🔐 ${relativeFile}: ${names.length} secret(s)`);
+        names.forEach(secret => console.log(`   ${secret}`));
+        break;
+      }
+
+      default:
+        logger.error('Usage: npm run secrets -- <init|set|remove|list> [NAME]');
+        process.exit(1);
+    }
+  } catch (error) {
+    // ConfigurationError from the helpers: wrong key, modified file
+    logger.error([
+      error.message,
+      ...(error.details ? [`   ${error.details}`] : []),
+      ...(error.resolution ? [`\n${error.resolution}`] : []),
+    ].join('\n'));
+    process.exit(1);
+  }
+}
+
+main();
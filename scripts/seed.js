@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Seed Emulator Data
+ *
+ * Writes declarative seed data from seed/*.json|yaml to the Auth and
+ * Firestore emulators (see lib/seed-files.js for the file format).
+ * Emulator endpoints and the project ID come from the web app's
+ * ConfigService, so seeded data lands where the app reads it.
+ *
+ * Seeding is idempotent: users keep fixed uids and documents fixed ids, so
+ * re-running updates them in place instead of creating duplicates.
+ *
+ * Usage:
+ *   npm run seed:all                       # Apply every seed file in order
+ *   npm run seed:all -- 01-users           # Apply only these files
+ *   npm run seed:all -- --dry-run          # Show what would be written
+ *
+ * Options:
+ *   --seed <n>         Faker seed (default: 1); changes all generated values
+ *   --instance <name>  Seed an isolated stack (see e2e-start.js)
+ *
+ * Refuses to run when ConfigService reports production or has no emulator
+ * configuration.
+ */
+
+const path = require('path');
+const { ROOT_DIR } = require('./lib/service-manifest');
+const { parseArgs } = require('./lib/cli-args');
+const { getInstanceName, useInstance, requireInstance, getInstanceEnv } = require('./lib/instances');
+const { loadConfigService } = require('./lib/config-service');
+const { findSeedFiles, loadSeedFile, buildPlan } = require('./lib/seed-files');
+const { upsertAuthUser, setDocument } = require('./lib/emulator-admin');
+const { createLogger } = require('./lib/logger');
+
+const logger = createLogger('seed');
+
+const WRITE_CONCURRENCY = 8;
+
+/**
+ * Print a ConfigurationError (message, details, resolution) and exit
+ */
+function exitWithConfigurationError(error) {
+  logger.error([
+    `\n${error.message}`,
+    ...(error.details ? [`   ${error.details.split('\n').join('\n   ')}`] : []),
+    ...(error.resolution ? [`\n${error.resolution}`] : []),
+  ].join('\n'));
+  process.exit(1);
+}
+
+/**
+ * Load ConfigService, exiting with its resolution steps on failure
+ */
+function loadConfig() {
+  try {
+    return loadConfigService();
+  } catch (error) {
+    exitWithConfigurationError(error);
+  }
+}
+
+/**
+ * Make sure the emulators we are about to write to are up
+ */
+async function checkEmulators(config, { users, documents }) {
+  const services = [];
+  if (users.length > 0) services.push('auth');
+  if (documents.length > 0) services.push('firestore');
+
+  try {
+    await config.ensureEmulatorsRunning({ services });
+  } catch (error) {
+    exitWithConfigurationError(error);
+  }
+}
+
+/**
+ * Run tasks with limited concurrency, collecting failures
+ */
+async function runAll(items, worker) {
+  const failures = [];
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (error) {
+        failures.push({ item, error });
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(WRITE_CONCURRENCY, items.length) }, lane));
+  return failures;
+}
+
+/**
+ * Print the plan without writing
+ */
+function printPlan({ users, documents }) {
+  console.log(`\n👤 Auth users (${users.length}):`);
+  users.forEach(user => console.log(`   ${user.uid}  ${user.email || user.phoneNumber}`));
+
+  console.log(`\n📄 Firestore documents (${documents.length}):`);
+  documents.forEach(doc => console.log(`   ${doc.path}`));
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const { options, positionals } = parseArgs(process.argv.slice(2), { booleans: ['dry-run'] });
+
+  logger.banner('Seed Emulator Data - SavvyProxy');
+
+  // Isolated stack: point ConfigService at the instance's ports and project
+  useInstance(options.instance);
+  const instanceName = getInstanceName();
+  if (instanceName) {
+    Object.assign(process.env, getInstanceEnv(requireInstance(instanceName)));
+    logger.info(`🧪 Instance "${instanceName}"\n`);
+  }
+
+  const files = findSeedFiles();
+  const selected = findSeedFiles(undefined, positionals);
+  if (files.length === 0) {
+    logger.warn('No seed files found in seed/');
+    logger.info('Add seed/*.json or seed/*.yaml (see scripts/lib/seed-files.js for the format)');
+    return;
+  }
+
+  const config = loadConfig();
+
+  if (config.isProduction()) {
+    logger.error('\nRefusing to seed: ConfigService reports a production environment');
+    logger.info('   Seeding only targets the Firebase emulators');
+    process.exit(1);
+  }
+
+  const emulators = config.getEmulatorConfig();
+  if (!emulators) {
+    logger.error('\nRefusing to seed: no emulator configuration');
+    logger.info('   Set NEXT_PUBLIC_APP_ENV=development so ConfigService uses the emulators');
+    process.exit(1);
+  }
+
+  const { projectId } = config.getFirebaseConfig();
+  const { faker } = require('@faker-js/faker');
+  const seedFiles = files.map(loadSeedFile);
+  const only = positionals.length > 0 ? selected.map(file => path.relative(ROOT_DIR, file)) : null;
+  const plan = buildPlan(seedFiles, { faker, seed: Number(options.seed) || 1, only });
+
+  logger.info(`\n🌱 ${(only || seedFiles.map(file => file.name)).join(', ')}`);
+  logger.info(`   Project: ${projectId}`);
+
+  if (options.dryRun) {
+    printPlan(plan);
+    logger.info('\n💡 Dry run: nothing was written');
+    return;
+  }
+
+  await checkEmulators(config, plan);
+
+  const target = { projectId, emulators };
+  const counts = { created: 0, updated: 0 };
+
+  logger.info(`\n👤 Seeding ${plan.users.length} Auth user(s)...`);
+  const userFailures = await runAll(plan.users, async (user) => {
+    counts[await upsertAuthUser(target, user)]++;
+  });
+
+  logger.info(`📄 Writing ${plan.documents.length} Firestore document(s)...`);
+  const documentFailures = await runAll(plan.documents, doc => setDocument(target, doc.path, doc.data));
+
+  const failures = [...userFailures, ...documentFailures];
+  if (failures.length > 0) {
+    const details = failures.map(({ item, error }) => `   ${item.location}: ${error.message}`);
+    logger.error([`\n${failures.length} write(s) failed:`, ...details].join('\n'));
+    process.exit(1);
+  }
+
+  logger.success('\nSeeding complete');
+  logger.info(`   Users: ${counts.created} created, ${counts.updated} updated`);
+  logger.info(`   Documents: ${plan.documents.length} written`);
+  logger.info(`\n💡 Save this state with "npm run e2e:snapshot -- create <name>"`);
+}
+
+main().catch((error) => {
+  logger.error(`Seeding failed: ${error.message}`);
+  process.exit(1);
+});
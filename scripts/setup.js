@@ -7,77 +7,68 @@
  * 1. Validates Node.js version (>= 18)
  * 2. Checks Firebase CLI is installed
  * 3. Installs npm dependencies if needed
- * 4. Creates .env.local from .env.local.example if missing
+ * 4. Configures the Firebase project: writes .env.local and .firebaserc
+ *    from the project ID and web app config (wizard or flags)
  * 5. Runs health check to validate setup
  * 6. Displays success message with next steps
  *
- * Usage: npm run setup
+ * Usage:
+ *   npm run setup                                   # Interactive wizard
+ *   npm run setup -- --yes --project-id=my-project  # Non-interactive (CI, devcontainers)
+ *
+ * Options:
+ *   --yes, -y            Accept defaults and never prompt
+ *   --project-id=<id>    Firebase project ID (default: demo-project, emulators only)
+ *   --config=<file>      Web app config: JSON file or a file containing the
+ *                        firebaseConfig snippet from the Firebase console
+ *   --env=<environment>  NEXT_PUBLIC_APP_ENV to write (default: development)
+ *   --force              Reconfigure even if .env.local already exists
+ *
+ * Without a terminal (or with --yes) an existing .env.local is kept, unless
+ * --project-id, --config or --env is given: those are applied on top of it.
  */
 
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-
-// ANSI color codes for terminal output
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  green: '\x1b[32m',
-  red: '\x1b[31m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  cyan: '\x1b[36m',
+const readline = require('readline/promises');
+const { parseArgs } = require('./lib/cli-args');
+const { readEnvFile, writeEnvValues } = require('./lib/env-file');
+const { createLogger } = require('./lib/logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ENVIRONMENTS = ['development', 'staging', 'production'];
+
+// firebaseConfig keys (Firebase console snippet) → .env.local variables
+const FIREBASE_ENV_VARS = {
+  apiKey: 'NEXT_PUBLIC_FIREBASE_API_KEY',
+  authDomain: 'NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN',
+  projectId: 'NEXT_PUBLIC_FIREBASE_PROJECT_ID',
+  storageBucket: 'NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET',
+  messagingSenderId: 'NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID',
+  appId: 'NEXT_PUBLIC_FIREBASE_APP_ID',
 };
 
-// Helper functions
-function log(message, color = 'reset') {
-  console.log(`${colors[color]}${message}${colors.reset}`);
-}
-
-function logHeader(message) {
-  console.log('\n' + '═'.repeat(64));
-  log(message, 'bright');
-  console.log('═'.repeat(64) + '\n');
-}
-
-function logSuccess(message) {
-  log(`✅ ${message}`, 'green');
-}
-
-function logError(message) {
-  log(`❌ ${message}`, 'red');
-}
-
-function logWarning(message) {
-  log(`⚠️  ${message}`, 'yellow');
-}
-
-function logInfo(message) {
-  log(`ℹ️  ${message}`, 'cyan');
-}
-
-function logStep(step, message) {
-  log(`\n[${step}] ${message}`, 'blue');
-}
+const logger = createLogger('setup');
 
 /**
  * Check Node.js version
  */
 function checkNodeVersion() {
-  logStep('1/5', 'Validating Node.js version...');
+  logger.step('1/5', 'Validating Node.js version...');
 
   const currentVersion = process.version;
   const versionNumber = parseInt(currentVersion.slice(1).split('.')[0]);
   const requiredVersion = 18;
 
-  logInfo(`Current version: ${currentVersion}`);
+  logger.info(`Current version: ${currentVersion}`);
 
   if (versionNumber >= requiredVersion) {
-    logSuccess(`Node.js ${requiredVersion}+ requirement met`);
+    logger.success(`Node.js ${requiredVersion}+ requirement met`);
     return true;
   } else {
-    logError(`Node.js ${requiredVersion} or higher is required`);
-    logInfo(`Please upgrade Node.js: https://nodejs.org/`);
+    logger.error(`Node.js ${requiredVersion} or higher is required`);
+    logger.info(`Please upgrade Node.js: https://nodejs.org/`);
     return false;
   }
 }
@@ -86,19 +77,19 @@ function checkNodeVersion() {
  * Check if Firebase CLI is installed
  */
 function checkFirebaseCli() {
-  logStep('2/5', 'Checking Firebase CLI...');
+  logger.step('2/5', 'Checking Firebase CLI...');
 
   try {
     const isWindows = process.platform === 'win32';
     const command = isWindows ? 'firebase.cmd' : 'firebase';
     const version = execSync(`${command} --version`, { encoding: 'utf8' }).trim();
-    logInfo(`Firebase CLI version: ${version}`);
-    logSuccess('Firebase CLI is installed');
+    logger.info(`Firebase CLI version: ${version}`);
+    logger.success('Firebase CLI is installed');
     return true;
   } catch (error) {
-    logError('Firebase CLI is not installed');
-    logInfo('Install with: npm install -g firebase-tools');
-    logInfo('Or visit: https://firebase.google.com/docs/cli');
+    logger.error('Firebase CLI is not installed');
+    logger.info('Install with: npm install -g firebase-tools');
+    logger.info('Or visit: https://firebase.google.com/docs/cli');
     return false;
   }
 }
@@ -107,7 +98,7 @@ function checkFirebaseCli() {
  * Check and install npm dependencies
  */
 function checkDependencies() {
-  logStep('3/5', 'Checking npm dependencies...');
+  logger.step('3/5', 'Checking npm dependencies...');
 
   const rootNodeModules = path.join(__dirname, '..', 'node_modules');
   const webNodeModules = path.join(__dirname, '..', 'apps', 'web', 'node_modules');
@@ -116,56 +107,258 @@ function checkDependencies() {
   const webExists = fs.existsSync(webNodeModules);
 
   if (rootExists && webExists) {
-    logSuccess('Dependencies already installed');
+    logger.success('Dependencies already installed');
     return true;
   }
 
-  logWarning('Some dependencies are missing');
-  logInfo('Installing dependencies... (this may take a few minutes)');
+  logger.warn('Some dependencies are missing');
+  logger.info('Installing dependencies... (this may take a few minutes)');
 
   try {
     execSync('npm install', {
       stdio: 'inherit',
       cwd: path.join(__dirname, '..'),
     });
-    logSuccess('Dependencies installed successfully');
+    logger.success('Dependencies installed successfully');
     return true;
   } catch (error) {
-    logError('Failed to install dependencies');
-    logInfo('Please run: npm install');
+    logger.error('Failed to install dependencies');
+    logger.info('Please run: npm install');
     return false;
   }
 }
 
 /**
- * Create .env.local from .env.local.example if missing
+ * Parse a firebaseConfig snippet or JSON document
+ *
+ * Accepts the `const firebaseConfig = { ... }` block from the Firebase
+ * console as well as plain JSON. Values are read as string literals, the
+ * snippet is never evaluated.
+ */
+function parseFirebaseConfig(text) {
+  const config = {};
+
+  for (const key of Object.keys(FIREBASE_ENV_VARS)) {
+    const match = text.match(new RegExp(`["']?${key}["']?\\s*:\\s*(["'\`])([^"'\`]*)\\1`));
+    if (match) config[key] = match[2];
+  }
+
+  return config;
+}
+
+/**
+ * Read a web app config file (JSON or snippet)
+ */
+function readFirebaseConfigFile(file) {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Config file not found: ${fullPath}`);
+  }
+
+  const config = parseFirebaseConfig(fs.readFileSync(fullPath, 'utf8'));
+  if (Object.keys(config).length === 0) {
+    throw new Error(`No firebaseConfig values found in ${fullPath}`);
+  }
+  return config;
+}
+
+/**
+ * Validate values with the same rules as ConfigService.validate()
+ *
+ * The rules live in apps/web/src/config/validation.ts. Returns null when
+ * they cannot be loaded (dependencies not installed yet).
+ */
+function validateFirebaseValues(environment, firebaseConfig) {
+  let validation;
+  try {
+    const { requireWebModule, WEB_DIR } = require('./lib/config-service');
+    validation = requireWebModule(path.join(WEB_DIR, 'src', 'config', 'validation.ts'));
+  } catch (error) {
+    logger.warn('Could not load ConfigService validation rules (run npm install first)');
+    return null;
+  }
+
+  return validation.validateFirebaseConfig(environment, firebaseConfig);
+}
+
+/**
+ * Ask for a pasted firebaseConfig snippet (ends when braces balance)
  */
-function setupEnvironmentFile() {
-  logStep('4/5', 'Setting up environment configuration...');
+async function promptSnippet(rl) {
+  logger.info('Paste the firebaseConfig object from the Firebase console');
+  logger.info('(Project settings → Your apps → SDK setup and configuration):\n');
+
+  const lines = [];
+  let depth = 0;
+  let opened = false;
+
+  while (true) {
+    const line = await rl.question('');
+    lines.push(line);
+    for (const char of line) {
+      if (char === '{') { depth++; opened = true; }
+      if (char === '}') depth--;
+    }
+    if ((opened && depth <= 0) || (!opened && line.trim() === '')) break;
+  }
 
-  const envExample = path.join(__dirname, '..', 'apps', 'web', '.env.local.example');
-  const envLocal = path.join(__dirname, '..', 'apps', 'web', '.env.local');
+  return parseFirebaseConfig(lines.join('\n'));
+}
+
+/**
+ * Interactive wizard: collect the environment, project ID and web app config
+ */
+async function runWizard(defaults) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    logger.info([
+      '\nHow do you want to provide your Firebase web app config?',
+      '  1. Paste the firebaseConfig snippet',
+      '  2. Load it from a JSON file',
+      '  3. Project ID only (emulators, no real Firebase project)',
+    ].join('\n'));
+    const choice = (await rl.question('\nChoice [3]: ')).trim() || '3';
+
+    let firebaseConfig = {};
+    if (choice === '1') {
+      firebaseConfig = await promptSnippet(rl);
+    } else if (choice === '2') {
+      const file = (await rl.question('Path to JSON file: ')).trim();
+      firebaseConfig = readFirebaseConfigFile(file);
+    }
+
+    if (choice !== '3' && Object.keys(firebaseConfig).length === 0) {
+      logger.warn('No firebaseConfig values recognized, continuing with project ID only');
+    }
+
+    const defaultProjectId = firebaseConfig.projectId || defaults.projectId;
+    const projectId = (await rl.question(`Firebase project ID [${defaultProjectId}]: `)).trim() || defaultProjectId;
+
+    const environment = (await rl.question(`Environment (${ENVIRONMENTS.join('/')}) [${defaults.environment}]: `)).trim()
+      || defaults.environment;
+
+    return { environment, firebaseConfig: { ...firebaseConfig, projectId } };
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Ask a yes/no question (default: no)
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = (await rl.question(`${question} [y/N]: `)).trim().toLowerCase();
+    return answer === 'y' || answer === 'yes';
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Write .firebaserc from .firebaserc.example with the default project set
+ */
+function writeFirebaserc(projectId, rootDir = ROOT_DIR) {
+  const firebaserc = path.join(rootDir, '.firebaserc');
+  const example = path.join(rootDir, '.firebaserc.example');
+  const source = fs.existsSync(firebaserc) ? firebaserc : example;
+
+  const content = fs.existsSync(source) ? JSON.parse(fs.readFileSync(source, 'utf8')) : {};
+  content.projects = { ...content.projects, default: projectId };
+
+  fs.writeFileSync(firebaserc, JSON.stringify(content, null, 2) + '\n');
+}
+
+/**
+ * Configure the Firebase project: .env.local and .firebaserc
+ *
+ * Interactive unless --yes is given or stdin is not a terminal.
+ */
+async function setupEnvironmentFile(options, rootDir = ROOT_DIR) {
+  logger.step('4/5', 'Configuring Firebase project...');
+
+  const envExample = path.join(rootDir, 'apps', 'web', '.env.local.example');
+  const envLocal = path.join(rootDir, 'apps', 'web', '.env.local');
+  const interactive = !options.yes && process.stdin.isTTY;
+  const explicit = Boolean(options.projectId || options.config || options.env);
 
   if (!fs.existsSync(envExample)) {
-    logError('.env.local.example not found');
-    logInfo('Expected location: apps/web/.env.local.example');
+    logger.error('.env.local.example not found');
+    logger.info('Expected location: apps/web/.env.local.example');
     return false;
   }
 
-  if (fs.existsSync(envLocal)) {
-    logSuccess('.env.local already exists');
-    return true;
+  if (fs.existsSync(envLocal) && !options.force) {
+    if (!interactive && !explicit) {
+      logger.success('.env.local already exists (use --force to reconfigure)');
+      return true;
+    }
+    if (interactive && !(await confirm('.env.local already exists. Reconfigure it?'))) {
+      logger.success('Keeping existing .env.local');
+      return true;
+    }
   }
 
   try {
-    fs.copyFileSync(envExample, envLocal);
-    logSuccess('Created .env.local from .env.local.example');
-    logWarning('Please update .env.local with your Firebase project credentials');
-    logInfo('Location: apps/web/.env.local');
+    const existing = readEnvFile(envLocal);
+    const defaults = {
+      projectId: options.projectId || existing.NEXT_PUBLIC_FIREBASE_PROJECT_ID || 'demo-project',
+      environment: options.env || existing.NEXT_PUBLIC_APP_ENV || 'development',
+    };
+
+    let { environment, firebaseConfig } = interactive
+      ? await runWizard(defaults)
+      : {
+        environment: defaults.environment,
+        firebaseConfig: options.config ? readFirebaseConfigFile(options.config) : {},
+      };
+
+    // An explicit --project-id wins over the one in a config file
+    firebaseConfig = { ...firebaseConfig, projectId: options.projectId || firebaseConfig.projectId || defaults.projectId };
+
+    // Keep web app values already in .env.local unless they belong to another project
+    if (existing.NEXT_PUBLIC_FIREBASE_PROJECT_ID === firebaseConfig.projectId) {
+      for (const [key, envVar] of Object.entries(FIREBASE_ENV_VARS)) {
+        if (!firebaseConfig[key] && existing[envVar]) firebaseConfig[key] = existing[envVar];
+      }
+    }
+
+    if (!ENVIRONMENTS.includes(environment)) {
+      logger.error(`Unknown environment "${environment}" (expected ${ENVIRONMENTS.join(', ')})`);
+      return false;
+    }
+
+    const errors = validateFirebaseValues(environment, firebaseConfig);
+    if (errors && errors.length > 0) {
+      logger.error('Firebase configuration is invalid:');
+      errors.forEach(error => logger.info(`   ${error}`));
+      return false;
+    }
+
+    const values = { NEXT_PUBLIC_APP_ENV: environment };
+    for (const [key, envVar] of Object.entries(FIREBASE_ENV_VARS)) {
+      if (firebaseConfig[key]) {
+        values[envVar] = firebaseConfig[key];
+      } else if (existing[envVar]) {
+        values[envVar] = ''; // Clear values from a previous project
+      }
+    }
+
+    writeEnvValues(envLocal, values, { template: envExample });
+    logger.success('Wrote apps/web/.env.local');
+
+    writeFirebaserc(firebaseConfig.projectId, rootDir);
+    logger.success(`Wrote .firebaserc (default project: ${firebaseConfig.projectId})`);
+
+    if (firebaseConfig.projectId.startsWith('demo-')) {
+      logger.info('demo-* projects only work with the emulators, which is all local development needs');
+    }
     return true;
   } catch (error) {
-    logError('Failed to create .env.local');
-    logInfo(`Error: ${error.message}`);
+    logger.error('Failed to configure the Firebase project');
+    logger.info(`Error: ${error.message}`);
     return false;
   }
 }
@@ -174,18 +367,18 @@ function setupEnvironmentFile() {
  * Run health check to validate setup
  */
 async function runHealthCheck() {
-  logStep('5/5', 'Validating setup with health check...');
+  logger.step('5/5', 'Validating setup with health check...');
 
   const healthScript = path.join(__dirname, 'e2e-health.js');
 
   if (!fs.existsSync(healthScript)) {
-    logWarning('Health check script not found');
-    logInfo('You can manually verify setup by running: npm run dev:all');
+    logger.warn('Health check script not found');
+    logger.info('You can manually verify setup by running: npm run dev:all');
     return true; // Not a critical failure
   }
 
-  logInfo('This will check if Firebase emulators and Next.js are running...');
-  logInfo('If services are not running, this check will fail (expected)');
+  logger.info('This will check if Firebase emulators and Next.js are running...');
+  logger.info('If services are not running, this check will fail (expected)');
 
   return new Promise((resolve) => {
     const child = spawn('node', [healthScript], {
@@ -194,18 +387,18 @@ async function runHealthCheck() {
 
     child.on('close', (code) => {
       if (code === 0) {
-        logSuccess('Services are running and healthy!');
+        logger.success('Services are running and healthy!');
         resolve(true);
       } else {
-        logWarning('Services are not currently running (this is normal)');
-        logInfo('Start services with: npm run dev:all');
+        logger.warn('Services are not currently running (this is normal)');
+        logger.info('Start services with: npm run dev:all');
         resolve(true); // Not a critical failure for setup
       }
     });
 
     child.on('error', (error) => {
-      logWarning('Could not run health check');
-      logInfo('You can manually verify setup by running: npm run dev:all');
+      logger.warn('Could not run health check');
+      logger.info('You can manually verify setup by running: npm run dev:all');
       resolve(true); // Not a critical failure
     });
   });
@@ -215,59 +408,61 @@ async function runHealthCheck() {
  * Display success message with next steps
  */
 function displaySuccessMessage() {
-  logHeader('✅ Setup Complete!');
-
-  console.log('Your Firebase + Next.js development environment is ready.\n');
-
-  log('Next Steps:', 'bright');
-  console.log('');
-  console.log('  1. Start the development environment:');
-  log('     npm run dev:all', 'cyan');
-  console.log('');
-  console.log('  2. This will start:');
-  console.log('     • Firebase Emulators (Auth, Firestore, Functions)');
-  console.log('     • Next.js Dev Server');
-  console.log('');
-  console.log('  3. Access the application:');
-  log('     http://localhost:3004', 'cyan');
-  console.log('');
-  console.log('  4. Other useful commands:');
-  log('     npm run e2e:health     ', 'cyan') + '- Check service health';
-  log('     npm run test:e2e       ', 'cyan') + '- Run E2E tests';
-  log('     npm run seed:all       ', 'cyan') + '- Seed sample data';
-  console.log('');
-
-  logInfo('Documentation: See README.md for detailed guides');
-  console.log('');
+  logger.header('✅ Setup Complete!');
+
+  logger.info([
+    'Your Firebase + Next.js development environment is ready.',
+    '',
+    'Next Steps:',
+    '',
+    '  1. Start the development environment:',
+    '     npm run dev:all',
+    '',
+    '  2. This will start:',
+    '     • Firebase Emulators (Auth, Firestore, Functions)',
+    '     • Next.js Dev Server',
+    '',
+    '  3. Access the application:',
+    '     http://localhost:3004',
+    '',
+    '  4. Other useful commands:',
+    '     npm run e2e:health      - Check service health',
+    '     npm run e2e:start       - Start services for E2E tests',
+    '     npm run seed:all        - Seed sample data',
+    '',
+    'Documentation: See README.md for detailed guides\n',
+  ].join('\n'));
 }
 
 /**
  * Display failure message with troubleshooting steps
  */
 function displayFailureMessage(failedChecks) {
-  logHeader('❌ Setup Incomplete');
+  logger.header('❌ Setup Incomplete');
 
-  console.log('The following issues need to be resolved:\n');
+  logger.info('The following issues need to be resolved:\n');
 
   failedChecks.forEach((check, index) => {
-    console.log(`  ${index + 1}. ${check.message}`);
+    logger.error(`${index + 1}. ${check.message}`);
     if (check.resolution) {
-      log(`     → ${check.resolution}`, 'cyan');
+      logger.info(`     → ${check.resolution}\n`);
     }
-    console.log('');
   });
 
-  logInfo('Please resolve these issues and run: npm run setup');
-  console.log('');
+  logger.info('For a detailed diagnosis run: npm run doctor');
+  logger.info('Please resolve these issues and run: npm run setup\n');
 }
 
 /**
  * Main execution
  */
 async function main() {
-  console.log('\n╔════════════════════════════════════════════════════════════╗');
-  console.log('║   Firebase + Next.js Template - Environment Setup        ║');
-  console.log('╚════════════════════════════════════════════════════════════╝');
+  const { options } = parseArgs(
+    process.argv.slice(2).map(arg => (arg === '-y' ? '--yes' : arg)),
+    { booleans: ['yes', 'force'] }
+  );
+
+  logger.banner('Firebase + Next.js Template - Environment Setup');
 
   const failedChecks = [];
 
@@ -295,11 +490,11 @@ async function main() {
     });
   }
 
-  // Step 4: Setup environment file
-  if (!setupEnvironmentFile()) {
+  // Step 4: Configure Firebase project (.env.local, .firebaserc)
+  if (!(await setupEnvironmentFile(options))) {
     failedChecks.push({
-      message: 'Failed to create .env.local',
-      resolution: 'Manually copy apps/web/.env.local.example to apps/web/.env.local',
+      message: 'Failed to configure .env.local and .firebaserc',
+      resolution: 'Run: npm run setup -- --force (or copy apps/web/.env.local.example to apps/web/.env.local)',
     });
   }
 
@@ -307,7 +502,6 @@ async function main() {
   await runHealthCheck();
 
   // Display results
-  console.log('');
   if (failedChecks.length === 0) {
     displaySuccessMessage();
     process.exit(0);
@@ -317,9 +511,14 @@ async function main() {
   }
 }
 
-// Run the setup
-main().catch((error) => {
-  logError(`Setup failed with error: ${error.message}`);
-  console.error(error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('Setup failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseFirebaseConfig,
+  setupEnvironmentFile,
+};
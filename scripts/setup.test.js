@@ -0,0 +1,71 @@
+/**
+ * Tests for the non-interactive Firebase project setup
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { readEnvFile } = require('./lib/env-file');
+const { setupEnvironmentFile } = require('./setup');
+
+const TEMPLATE = path.join(__dirname, '..', 'apps', 'web', '.env.local.example');
+
+describe('setupEnvironmentFile --yes with an existing .env.local', () => {
+  let rootDir;
+  let envLocal;
+
+  const firebaserc = () => JSON.parse(fs.readFileSync(path.join(rootDir, '.firebaserc'), 'utf8'));
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-'));
+    envLocal = path.join(rootDir, 'apps', 'web', '.env.local');
+    fs.mkdirSync(path.dirname(envLocal), { recursive: true });
+    fs.copyFileSync(TEMPLATE, path.join(rootDir, 'apps', 'web', '.env.local.example'));
+    fs.writeFileSync(envLocal, [
+      'NEXT_PUBLIC_APP_ENV=development',
+      'NEXT_PUBLIC_FIREBASE_PROJECT_ID=demo-project',
+      'NEXT_PUBLIC_FIREBASE_API_KEY=kept-key',
+      '',
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('keeps the file when nothing is passed', async () => {
+    const before = fs.readFileSync(envLocal, 'utf8');
+
+    assert.equal(await setupEnvironmentFile({ yes: true }, rootDir), true);
+    assert.equal(fs.readFileSync(envLocal, 'utf8'), before);
+    assert.equal(fs.existsSync(path.join(rootDir, '.firebaserc')), false);
+  });
+
+  it('applies --project-id to .env.local and .firebaserc', async () => {
+    assert.equal(await setupEnvironmentFile({ yes: true, projectId: 'demo-other' }, rootDir), true);
+
+    const env = readEnvFile(envLocal);
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_PROJECT_ID, 'demo-other');
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_API_KEY, ''); // Belonged to demo-project
+    assert.equal(firebaserc().projects.default, 'demo-other');
+  });
+
+  it('applies --env and keeps the values of the same project', async () => {
+    fs.writeFileSync(path.join(rootDir, 'config.json'), JSON.stringify({ projectId: 'demo-project', appId: '1:1234567890:web:abc123' }));
+
+    assert.equal(await setupEnvironmentFile({ yes: true, env: 'development', config: path.join(rootDir, 'config.json') }, rootDir), true);
+
+    const env = readEnvFile(envLocal);
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_APP_ID, '1:1234567890:web:abc123');
+    assert.equal(env.NEXT_PUBLIC_FIREBASE_API_KEY, 'kept-key');
+    assert.equal(firebaserc().projects.default, 'demo-project');
+  });
+
+  it('fails instead of ignoring values it cannot apply', async () => {
+    assert.equal(await setupEnvironmentFile({ yes: true, env: 'qa' }, rootDir), false);
+    assert.equal(await setupEnvironmentFile({ yes: true, config: path.join(rootDir, 'missing.json') }, rootDir), false);
+    assert.equal(readEnvFile(envLocal).NEXT_PUBLIC_APP_ENV, 'development');
+  });
+});